@@ -4,7 +4,8 @@ const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
-const fs = require('fs');
+const matching = require('../utils/matching');
+const { createLogger } = require('../utils/logger');
 
 // Calibre configuration
 const calibreServerUrl = process.env.CALIBRE_SERVER_URL || 'http://localhost:8080';
@@ -27,19 +28,7 @@ if (calibreUsername && calibrePassword) {
   };
 }
 
-// Ensure logs directory exists
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-// Log function
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(path.join(__dirname, '../logs/calibre.log'), logMessage);
-  console.log(message);
-};
+const log = createLogger('calibre');
 
 // Function to get current book IDs in library (for loaded_book_ids parameter)
 async function getLoadedBookIds() {
@@ -64,16 +53,56 @@ async function getLoadedBookIds() {
       return [];
     }
   } catch (error) {
-    log(`Error getting loaded book IDs: ${error.message}`);
+    log.error(`Error getting loaded book IDs: ${error.message}`);
     return [];
   }
 }
 
+// Find a book by title and author when the file name doesn't match (Calibre renames files on import)
+async function findBookByTitle(title, author) {
+  const searchTitle = matching.normalizeTitle(title);
+  if (!searchTitle) return null;
+
+  log(`Looking up book by title: "${title}" by ${author || 'unknown author'}`);
+
+  let candidates = [];
+  if (useCliOnly) {
+    const { stdout } = await execAsync(
+      `calibredb list --for-machine --fields title,authors --search 'title:"${searchTitle}"' --with-library="${calibreLibraryPath}"`
+    );
+    candidates = JSON.parse(stdout).map(book => ({ id: book.id, title: book.title, author: book.authors }));
+  } else {
+    const searchResponse = await calibreAPI.get('/ajax/search', {
+      params: {
+        query: `title:"${searchTitle}"`,
+        library_id: 'calibre'
+      }
+    });
+
+    // Only the first few results are worth fetching details for
+    for (const id of (searchResponse.data?.book_ids || []).slice(0, 10)) {
+      const bookResponse = await calibreAPI.get(`/ajax/book/${id}/calibre`);
+      candidates.push({ id, title: bookResponse.data.title, author: bookResponse.data.authors?.join(' & ') });
+    }
+  }
+
+  const best = matching.bestMatch(candidates, candidate => {
+    const comparison = matching.compareBooks({ title, author }, candidate);
+    return comparison.isMatch ? comparison.score : 0;
+  });
+
+  if (best) {
+    log(`Matched "${best.item.title}" (ID ${best.item.id}) with ${best.confidence} confidence`);
+  }
+  return best ? String(best.item.id) : null;
+}
+
 module.exports = {
   /**
    * Update book metadata in Calibre
    * @param {string} filePath - Path to the book file
-   * @param {object} metadata - Metadata to update, including user info
+   * @param {object} metadata - Metadata to update, including user info, and the
+   *   title/author used to find the book if its file name has changed
    */
   updateBookMetadata: async (filePath, metadata) => {
     try {
@@ -90,12 +119,17 @@ module.exports = {
           const searchCmd = `calibredb search "file:${filename}" --with-library="${calibreLibraryPath}"`;
           const { stdout } = await execAsync(searchCmd);
           bookId = stdout.trim();
-          
-          if (!bookId || isNaN(parseInt(bookId))) {
-            throw new Error(`Book not found or invalid ID for file: ${filename}`);
-          }
         } catch (error) {
-          throw new Error(`Error finding book with CLI: ${error.message}`);
+          // calibredb exits with an error when nothing matches
+          log(`No book found by file name: ${error.message}`);
+        }
+
+        // Calibre renames files on import, so fall back to the title and author
+        if ((!bookId || isNaN(parseInt(bookId))) && metadata.title) {
+          bookId = await findBookByTitle(metadata.title, metadata.author);
+        }
+        if (!bookId || isNaN(parseInt(bookId))) {
+          throw new Error(`Book not found or invalid ID for file: ${path.basename(filePath)}`);
         }
         
         // Use Calibre CLI to update metadata
@@ -136,7 +170,11 @@ module.exports = {
           
           if (searchResponse.data && searchResponse.data.book_ids && searchResponse.data.book_ids.length > 0) {
             bookId = searchResponse.data.book_ids[0];
-          } else {
+          } else if (metadata.title) {
+            bookId = await findBookByTitle(metadata.title, metadata.author);
+          }
+
+          if (!bookId) {
             throw new Error(`Book not found for file: ${filename}`);
           }
         }
@@ -173,7 +211,7 @@ module.exports = {
         return { success: true, bookId };
       }
     } catch (error) {
-      log(`Error updating Calibre metadata: ${error.message}`);
+      log.error(`Error updating Calibre metadata: ${error.message}`);
       throw error;
     }
   },
@@ -267,7 +305,7 @@ module.exports = {
         };
       }
     } catch (error) {
-      log(`Error checking Calibre metadata: ${error.message}`);
+      log.error(`Error checking Calibre metadata: ${error.message}`);
       throw error;
     }
   },
@@ -320,7 +358,7 @@ module.exports = {
         };
       }
     } catch (error) {
-      log(`Error getting book details: ${error.message}`);
+      log.error(`Error getting book details: ${error.message}`);
       throw error;
     }
   },
@@ -378,14 +416,14 @@ module.exports = {
               comments: bookResponse.data.comments || ''
             });
           } catch (err) {
-            log(`Error fetching details for book ${id}: ${err.message}`);
+            log.error(`Error fetching details for book ${id}: ${err.message}`);
           }
         }
         
         return books;
       }
     } catch (error) {
-      log(`Error searching Calibre: ${error.message}`);
+      log.error(`Error searching Calibre: ${error.message}`);
       throw error;
     }
   },
@@ -430,7 +468,7 @@ module.exports = {
         return { success: true, bookId, tags, response: response.data[bookId] };
       }
     } catch (error) {
-      log(`Error updating tags: ${error.message}`);
+      log.error(`Error updating tags: ${error.message}`);
       throw error;
     }
   }
@@ -1,25 +1,11 @@
 // config/googleBooks.js - Enhanced version with better search results
 const axios = require('axios');
 const dotenv = require('dotenv');
-const fs = require('fs');
-const path = require('path');
+const { createLogger } = require('../utils/logger');
 
 dotenv.config();
 
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/google-books.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+const log = createLogger('google-books');
 
 const googleBooksAPI = axios.create({
   baseURL: 'https://www.googleapis.com/books/v1',
@@ -167,7 +153,7 @@ module.exports = {
 
       return books;
     } catch (error) {
-      log(`Error searching Google Books: ${error.message}`);
+      log.error(`Error searching Google Books: ${error.message}`);
       return [];
     }
   },
@@ -235,7 +221,7 @@ module.exports = {
       
       return bookDetails;
     } catch (error) {
-      log(`Error getting book details: ${error.message}`);
+      log.error(`Error getting book details: ${error.message}`);
       throw error;
     }
   },
@@ -298,7 +284,7 @@ module.exports = {
 
       return cache.recent;
     } catch (error) {
-      log(`Error fetching recent books from Google Books: ${error.message}`);
+      log.error(`Error fetching recent books from Google Books: ${error.message}`);
       return [];
     }
   },
@@ -344,7 +330,7 @@ module.exports = {
 
       return cache.popular;
     } catch (error) {
-      log(`Error fetching popular books from Google Books: ${error.message}`);
+      log.error(`Error fetching popular books from Google Books: ${error.message}`);
       return [];
     }
   },
@@ -441,7 +427,7 @@ module.exports = {
       log(`Found ${books.length} books by author: "${author}"`);
       return books;
     } catch (error) {
-      log(`Error searching books by author: ${error.message}`);
+      log.error(`Error searching books by author: ${error.message}`);
       return [];
     }
   },
@@ -538,7 +524,7 @@ module.exports = {
       
       return authorInfo;
     } catch (error) {
-      log(`Error searching for author information: ${error.message}`);
+      log.error(`Error searching for author information: ${error.message}`);
       return null;
     }
   }
@@ -1,41 +1,42 @@
 // config/readarr.js - Simplified version with lastname, firstname search
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const matching = require('../utils/matching');
+const { createLogger } = require('../utils/logger');
 
-// Ensure logs directory exists
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
+// Book formats that can be requested
+const FORMATS = ['ebook', 'audiobook'];
 
-const readarrAPI = axios.create({
-  baseURL: process.env.READARR_API_URL,
-  headers: {
-    'X-Api-Key': process.env.READARR_API_KEY
-  }
-});
+// Axios clients keyed by instance, rebuilt when the instance's connection details change
+const clients = new Map();
 
-// Add logging to help troubleshoot
-const logFile = path.join(__dirname, '../logs/readarr.log');
+/**
+ * Get the axios client for a Readarr instance
+ * @param {Object} instance - ReadarrInstance document or { url, apiKey }
+ */
+function getClient(instance) {
+  if (!instance || !instance.url) {
+    throw new Error('No Readarr instance available for this request');
+  }
 
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+  const key = instance._id ? instance._id.toString() : instance.url;
+  const cached = clients.get(key);
+  if (cached && cached.url === instance.url && cached.apiKey === instance.apiKey) {
+    return cached.client;
+  }
 
-// Clean and normalize text for better comparisons
-function normalizeText(text) {
-  if (!text) return '';
-  
-  return text.toLowerCase()
-    .replace(/\./g, '') // Remove periods
-    .replace(/\s+/g, ' ') // Normalize spaces
-    .trim();
+  const client = axios.create({
+    baseURL: instance.url,
+    timeout: 30000,
+    headers: {
+      'X-Api-Key': instance.apiKey
+    }
+  });
+  clients.set(key, { url: instance.url, apiKey: instance.apiKey, client });
+  return client;
 }
 
+const log = createLogger('readarr');
+
 // Helper function to clean and prepare book/author input
 function preprocessBookData(bookData) {
   const result = { ...bookData };
@@ -50,7 +51,7 @@ function preprocessBookData(bookData) {
       const titlePart = parts.slice(0, -1).join(' by ').trim();
       
       // If the author field matches what's after "by", use the title part alone
-      if (potentialAuthor.toLowerCase() === result.author.toLowerCase()) {
+      if (matching.authorSimilarity(potentialAuthor, result.author) >= matching.MATCH_THRESHOLD) {
         log(`Title contains redundant author info. Updating title from "${result.title}" to "${titlePart}"`);
         result.title = titlePart;
       }
@@ -60,25 +61,115 @@ function preprocessBookData(bookData) {
   return result;
 }
 
-// Helper function to convert author name to "lastname, firstname" format
-function getLastnameFirstFormat(authorName) {
-  if (!authorName) return '';
-  
-  const parts = authorName.trim().split(' ');
-  if (parts.length < 2) return authorName; // Can't split if it's just one word
-  
-  const lastName = parts.pop(); // Get the last part as the last name
-  const firstName = parts.join(' '); // Join the rest as the first name(s)
-  
-  return `${lastName}, ${firstName}`;
+/**
+ * Error thrown when no exact author or book match is found, so an admin can pick one
+ * @param {string} message - What could not be matched
+ */
+function needsMatchError(message) {
+  const error = new Error(message);
+  error.code = 'NEEDS_MATCH';
+  return error;
+}
+
+// Cover URL from a Readarr images list
+function getCoverUrl(images = []) {
+  const cover = images.find(image => image.coverType === 'cover') || images[0];
+  return cover ? cover.remoteUrl || cover.url : null;
+}
+
+/**
+ * Pick the configured option from a Readarr list, or the first entry when none
+ * is configured. A configured option Readarr no longer has is an error, so the
+ * book isn't filed under the wrong profile or folder.
+ * @param {Array} items - Profiles or root folders returned by Readarr
+ * @param {string} key - Field to match on ('id' or 'path')
+ * @param {*} value - Configured value
+ * @param {string} label - Name used in errors
+ */
+function resolveOption(items, key, value, label) {
+  if (value === undefined || value === null || value === '') {
+    return items[0][key];
+  }
+
+  const match = items.find(item => String(item[key]) === String(value));
+  if (!match) {
+    throw new Error(`Configured ${label} "${value}" not found in Readarr`);
+  }
+  return match[key];
 }
 
 module.exports = {
-  // Simplified addBook function with "lastname, firstname" search option
-  addBook: async (bookData) => {
+  FORMATS,
+
+  /**
+   * Get Readarr's version and its own health check results
+   * @param {Object} instance - Readarr instance to query
+   */
+  getHealth: async (instance) => {
+    const readarrAPI = getClient(instance);
+    const [systemStatus, health] = await Promise.all([
+      readarrAPI.get('/api/v1/system/status'),
+      readarrAPI.get('/api/v1/health')
+    ]);
+
+    return {
+      version: systemStatus.data?.version,
+      issues: (health.data || []).map(issue => ({
+        type: issue.type,
+        source: issue.source,
+        message: issue.message
+      }))
+    };
+  },
+
+  /**
+   * List quality profiles, metadata profiles and root folders from Readarr
+   * @param {Object} instance - Readarr instance to query
+   */
+  getOptions: async (instance) => {
     try {
+      const readarrAPI = getClient(instance);
+
+      const [qualityProfiles, metadataProfiles, rootFolders] = await Promise.all([
+        readarrAPI.get('/api/v1/qualityprofile'),
+        readarrAPI.get('/api/v1/metadataprofile'),
+        readarrAPI.get('/api/v1/rootfolder')
+      ]);
+
+      return {
+        qualityProfiles: (qualityProfiles.data || []).map(p => ({ id: p.id, name: p.name })),
+        metadataProfiles: (metadataProfiles.data || []).map(p => ({ id: p.id, name: p.name })),
+        rootFolders: (rootFolders.data || []).map(f => ({
+          id: f.id,
+          name: f.name,
+          path: f.path,
+          freeSpace: f.freeSpace,
+          defaultQualityProfileId: f.defaultQualityProfileId,
+          defaultMetadataProfileId: f.defaultMetadataProfileId
+        }))
+      };
+    } catch (error) {
+      log.error(`Error getting Readarr options from ${instance?.name || instance?.url}: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a book (and its author if needed) to Readarr and trigger a search
+   * @param {Object} bookData - { title, author, isbn, authorMetadata, bookMetadata }
+   * @param {Object} options - { instance, profiles, match, onEvent(type, message, data) }
+   * @param {Object} options.instance - Readarr instance to add the book to
+   * @param {Object} options.match - Author/book picked by an admin:
+   *   { foreignBookId, title, foreignAuthorId, authorName, authorTitleSlug }.
+   *   Without it, a missing exact match throws an error with code NEEDS_MATCH.
+   * @param {Object} options.profiles - { qualityProfileId, metadataProfileId, rootFolderPath } to use
+   * @param {Function} options.onEvent - Called for each step to record it
+   */
+  addBook: async (bookData, { instance, profiles = {}, match = null, onEvent = () => {} } = {}) => {
+    try {
+      const readarrAPI = getClient(instance);
       log(`\n========== Starting to add book ==========`);
-      log(`Original request: "${bookData.title}" by ${bookData.author}`);
+      log(`Original request: "${bookData.title}" by ${bookData.author} (instance: ${instance.name || instance.url})`);
       
       // Preprocess the input to handle ambiguous formats
       const processedData = preprocessBookData(bookData);
@@ -95,34 +186,55 @@ module.exports = {
       if (!metadataProfiles.data?.length) throw new Error('No metadata profiles found');
       if (!rootFolders.data?.length) throw new Error('No root folders found');
 
-      const qualityProfileId = qualityProfiles.data[0].id;
-      const metadataProfileId = metadataProfiles.data[0].id;
-      const rootFolderPath = rootFolders.data[1].path;
+      const qualityProfileId = resolveOption(qualityProfiles.data, 'id', profiles.qualityProfileId, 'quality profile');
+      const metadataProfileId = resolveOption(metadataProfiles.data, 'id', profiles.metadataProfileId, 'metadata profile');
+      const rootFolderPath = resolveOption(rootFolders.data, 'path', profiles.rootFolderPath, 'root folder');
 
       log(`Using profiles - Quality: ${qualityProfileId}, Metadata: ${metadataProfileId}, Root: ${rootFolderPath}`);
 
+      onEvent('readarr-add-attempt', `Adding "${processedData.title}" by ${processedData.author} to Readarr`, {
+        title: processedData.title,
+        author: processedData.author,
+        isbn: processedData.isbn,
+        instance: instance.name,
+        qualityProfileId,
+        metadataProfileId,
+        rootFolderPath
+      });
+
       // Step 2: Check if the author already exists
       let authorId = null;
       log(`Checking if author exists: ${processedData.author}`);
       
       const existingAuthorsResponse = await readarrAPI.get('/api/v1/author');
       
-      // Look for exact author match first (case-insensitive)
-      if (existingAuthorsResponse.data?.length) {
-        const exactAuthorMatch = existingAuthorsResponse.data.find(a => 
-          normalizeText(a.authorName) === normalizeText(processedData.author));
+      if (match?.foreignAuthorId) {
+        // Use the author the admin picked if Readarr already has them
+        const pickedAuthor = (existingAuthorsResponse.data || []).find(a =>
+          a.foreignAuthorId === match.foreignAuthorId);
+
+        if (pickedAuthor) {
+          authorId = pickedAuthor.id;
+          log(`Found picked author: ${pickedAuthor.authorName} with ID: ${authorId}`);
+        }
+      } else if (existingAuthorsResponse.data?.length) {
+        // Look for a confident author match (diacritics, initials and name order don't matter)
+        const existingAuthorMatch = matching.bestMatch(existingAuthorsResponse.data, a =>
+          matching.authorSimilarity(a.authorName, processedData.author));
           
-        if (exactAuthorMatch) {
-          authorId = exactAuthorMatch.id;
-          log(`Found existing author: ${exactAuthorMatch.authorName} with ID: ${authorId}`);
+        if (existingAuthorMatch) {
+          authorId = existingAuthorMatch.item.id;
+          log(`Found existing author: ${existingAuthorMatch.item.authorName} with ID: ${authorId} (${existingAuthorMatch.confidence} match)`);
         }
       }
 
       // Step 3: If author doesn't exist, search for and add them
-      if (!authorId) {
+      if (!authorId && match?.foreignAuthorId) {
+        log(`Adding picked author: ${match.authorName} (${match.foreignAuthorId})`);
+      } else if (!authorId) {
         // Generate both normal and lastname first formats for searching
         const standardAuthorName = processedData.author;
-        const lastnameFirstAuthor = getLastnameFirstFormat(standardAuthorName);
+        const lastnameFirstAuthor = matching.lastnameFirst(standardAuthorName);
         
         log(`Author not found. Will try both name formats:
         - Standard format: ${standardAuthorName}
@@ -147,29 +259,43 @@ module.exports = {
           }
         } catch (error) {
           // If any error occurs, try the standard format
-          log(`Error with lastname first search: ${error.message}. Trying standard format.`);
+          log.warn(`Error with lastname first search: ${error.message}. Trying standard format.`);
           authorLookupResponse = await readarrAPI.get(`/api/v1/author/lookup?term=${encodeURIComponent(standardAuthorName)}`);
           authorSearchResults = authorLookupResponse.data || [];
         }
         
         if (!authorSearchResults.length) {
-          throw new Error(`Author "${processedData.author}" not found in Readarr database`);
+          throw needsMatchError(`Author "${processedData.author}" not found in Readarr database`);
         }
         
-        // Find exact author match or best match
-        let authorToAdd = null;
-        
-        // Try exact match with both name formats
-        authorToAdd = authorSearchResults.find(a => 
-          normalizeText(a.authorName) === normalizeText(standardAuthorName) ||
-          normalizeText(a.authorName) === normalizeText(lastnameFirstAuthor));
+        // Find the best author match; both name formats normalize the same way
+        const authorMatch = matching.bestMatch(authorSearchResults, a =>
+          matching.authorSimilarity(a.authorName, standardAuthorName));
         
-        // If no exact match, use the first result
-        if (!authorToAdd) {
-          log(`No exact author name match found. Using first search result.`);
-          authorToAdd = authorSearchResults[0];
+        // Never guess: let an admin pick the right author
+        if (!authorMatch) {
+          log(`No confident author name match found for "${processedData.author}"`);
+          throw needsMatchError(`No exact author match for "${processedData.author}" in Readarr`);
         }
-        
+
+        const authorToAdd = authorMatch.item;
+        log(`Matched author "${authorToAdd.authorName}" (${authorMatch.confidence}, score ${authorMatch.score.toFixed(2)})`);
+
+        match = {
+          ...match,
+          foreignAuthorId: authorToAdd.foreignAuthorId,
+          authorName: authorToAdd.authorName,
+          authorTitleSlug: authorToAdd.titleSlug
+        };
+      }
+
+      if (!authorId) {
+        const authorToAdd = {
+          authorName: match.authorName,
+          foreignAuthorId: match.foreignAuthorId,
+          titleSlug: match.authorTitleSlug
+        };
+
         log(`Adding author: ${authorToAdd.authorName}`);
         
         // Create author payload
@@ -192,6 +318,10 @@ module.exports = {
         const authorResponse = await readarrAPI.post('/api/v1/author', authorPayload);
         authorId = authorResponse.data.id;
         log(`Created new author with ID: ${authorId}`);
+        onEvent('readarr-author-added', `Added author ${authorToAdd.authorName} to Readarr`, {
+          payload: authorPayload,
+          authorId
+        });
 
         // Wait for Readarr to process the new author
         log('Waiting for Readarr to process the new author...');
@@ -210,51 +340,53 @@ module.exports = {
         
         // Check if book already exists for this author
         if (booksList.length > 0) {
-          // Look for exact match first
-          targetBook = booksList.find(book => 
-            normalizeText(book.title) === normalizeText(processedData.title));
+          // Look for the picked book, or a confident title match
+          targetBook = match?.foreignBookId
+            ? booksList.find(book => book.foreignBookId === match.foreignBookId)
+            : matching.bestMatch(booksList, book => matching.titleSimilarity(book.title, processedData.title))?.item;
           
           if (targetBook) {
-            log(`Found exact title match in author's library: "${targetBook.title}" with ID: ${targetBook.id}`);
+            log(`Found title match in author's library: "${targetBook.title}" with ID: ${targetBook.id}`);
+            onEvent('readarr-book-found', `Book already in Readarr as "${targetBook.title}"`, {
+              bookId: targetBook.id,
+              authorId
+            });
           }
         }
       } catch (error) {
-        log(`Error getting author's books: ${error.message}. Will proceed to search for the book.`);
+        log.warn(`Error getting author's books: ${error.message}. Will proceed to search for the book.`);
       }
 
       // Step 5: If book doesn't exist, search for and add it
       if (!targetBook) {
-        log(`Book not found in author's library. Searching for book: ${processedData.title}`);
-        
-        // Search for the book
-        const searchTerm = `${processedData.title} ${processedData.author}`;
-        const bookLookupResponse = await readarrAPI.get(`/api/v1/book/lookup?term=${encodeURIComponent(searchTerm)}`);
-        
-        if (!bookLookupResponse.data?.length) {
-          throw new Error(`Book "${processedData.title}" not found in Readarr database`);
-        }
-        
-        // Find best book match
         let bookToAdd = null;
-        
-        // First try exact match on title and author
-        bookToAdd = bookLookupResponse.data.find(book => 
-          normalizeText(book.title) === normalizeText(processedData.title) && 
-          book.authorName && normalizeText(book.authorName) === normalizeText(processedData.author));
-        
-        // If no exact match, use the first result that matches this author
-        if (!bookToAdd) {
-          // Find books matching our author
-          const authorBooks = bookLookupResponse.data.filter(book =>
-            book.authorId === authorId || 
-            (book.authorName && normalizeText(book.authorName) === normalizeText(processedData.author)));
-          
-          if (authorBooks.length > 0) {
-            bookToAdd = authorBooks[0]; // Use first matching book
-          } else {
-            // If no author match, use first result
-            log(`No book matching both title and author found. Using first search result.`);
-            bookToAdd = bookLookupResponse.data[0];
+
+        if (match?.foreignBookId) {
+          bookToAdd = { foreignBookId: match.foreignBookId, title: match.title || processedData.title };
+        } else {
+          log(`Book not found in author's library. Searching for book: ${processedData.title}`);
+
+          // Search for the book
+          const searchTerm = `${processedData.title} ${processedData.author}`;
+          const bookLookupResponse = await readarrAPI.get(`/api/v1/book/lookup?term=${encodeURIComponent(searchTerm)}`);
+
+          if (!bookLookupResponse.data?.length) {
+            throw needsMatchError(`Book "${processedData.title}" not found in Readarr database`);
+          }
+
+          // Only a confident match on both title and author is added without asking
+          const bookMatch = matching.bestMatch(bookLookupResponse.data, book => {
+            const comparison = matching.compareBooks(processedData, {
+              title: book.title,
+              author: book.author?.authorName || book.authorName || ''
+            });
+            return comparison.isMatch && comparison.authorScore !== null ? comparison.score : 0;
+          });
+          bookToAdd = bookMatch?.item;
+
+          if (!bookToAdd) {
+            log(`No book matching both title and author found for "${processedData.title}"`);
+            throw needsMatchError(`No exact book match for "${processedData.title}" in Readarr`);
           }
         }
         
@@ -278,6 +410,10 @@ module.exports = {
         const addResponse = await readarrAPI.post('/api/v1/book', bookPayload);
         targetBook = addResponse.data;
         log(`Book added to library with ID: ${targetBook.id}`);
+        onEvent('readarr-book-added', `Added "${targetBook.title}" to Readarr`, {
+          payload: bookPayload,
+          bookId: targetBook.id
+        });
       }
 
       // Step 6: Trigger search for the book
@@ -291,6 +427,10 @@ module.exports = {
       try {
         const searchResponse = await readarrAPI.post('/api/v1/command', searchPayload);
         log(`Search command successful: Command ID: ${searchResponse.data.id}, Status: ${searchResponse.data.status}`);
+        onEvent('search-triggered', 'Readarr search started', {
+          commandId: searchResponse.data.id,
+          status: searchResponse.data.status
+        });
 
         // Return the book with search information
         return {
@@ -299,8 +439,12 @@ module.exports = {
           searchStatus: searchResponse.data.status
         };
       } catch (searchError) {
-        log(`WARNING: Book was found/added but search command failed: ${searchError.message}`);
+        log.warn(`Book was found/added but search command failed: ${searchError.message}`);
         log(`You may need to manually search for this book in Readarr`);
+        onEvent('search-triggered', `Readarr search command failed: ${searchError.message}`, {
+          status: 'failed',
+          error: searchError.message
+        });
 
         // Return the book anyway since we found/added it
         return {
@@ -310,14 +454,166 @@ module.exports = {
         };
       }
     } catch (error) {
-      log(`ERROR: ${error.message}`);
+      log.error(`Adding book failed: ${error.message}`);
       throw error;
     }
   },
 
-  getBookStatus: async (bookId) => {
+  /**
+   * Look up candidate authors and books in Readarr's metadata source
+   * @param {Object} query - { title, author }
+   * @param {Object} instance - Readarr instance to query
+   * @returns {Object} - { authors, books }, each flagged with whether it matches exactly
+   */
+  lookupCandidates: async ({ title, author }, instance) => {
+    const readarrAPI = getClient(instance);
+
+    // Readarr finds some authors only as "lastname, firstname"
+    const authorTerms = [...new Set([author, matching.lastnameFirst(author)].filter(Boolean))];
+    const authorResponses = await Promise.all(authorTerms.map(term =>
+      readarrAPI.get('/api/v1/author/lookup', { params: { term } })
+        .catch(error => {
+          log(`Author lookup for "${term}" failed: ${error.message}`);
+          return { data: [] };
+        })
+    ));
+
+    const authorsById = new Map();
+    for (const result of authorResponses.flatMap(response => response.data || [])) {
+      if (!authorsById.has(result.foreignAuthorId)) {
+        authorsById.set(result.foreignAuthorId, result);
+      }
+    }
+
+    let bookResults = [];
+    if (title) {
+      const term = [title, author].filter(Boolean).join(' ');
+      const bookResponse = await readarrAPI.get('/api/v1/book/lookup', { params: { term } });
+      bookResults = bookResponse.data || [];
+    }
+
+    log(`Lookup for "${title || ''}" by ${author || 'any author'}: ${authorsById.size} authors, ${bookResults.length} books`);
+
+    return {
+      authors: [...authorsById.values()].map(a => {
+        const score = author ? matching.authorSimilarity(a.authorName, author) : 0;
+        return {
+          id: a.id,
+          foreignAuthorId: a.foreignAuthorId,
+          name: a.authorName,
+          titleSlug: a.titleSlug,
+          bookCount: a.statistics?.bookCount || a.bookCount || 0,
+          overview: a.overview ? a.overview.slice(0, 300) : null,
+          image: getCoverUrl(a.images),
+          score,
+          exact: score >= matching.MATCH_THRESHOLD
+        };
+      }).sort((a, b) => b.score - a.score),
+      books: bookResults.map(b => {
+        const authorName = b.author?.authorName || b.authorName || b.authorTitle;
+        const comparison = matching.compareBooks({ title, author }, { title: b.title, author: authorName });
+        return {
+          id: b.id,
+          foreignBookId: b.foreignBookId,
+          title: b.title,
+          authorName,
+          foreignAuthorId: b.author?.foreignAuthorId,
+          authorTitleSlug: b.author?.titleSlug,
+          year: b.releaseDate ? new Date(b.releaseDate).getFullYear() : null,
+          titleSlug: b.titleSlug,
+          editionCount: b.editions?.length || 0,
+          cover: getCoverUrl(b.images),
+          score: comparison.score,
+          exact: comparison.isMatch
+        };
+      }).sort((a, b) => b.score - a.score)
+    };
+  },
+
+  /**
+   * Find an author that is already in an instance's library
+   * @param {string} authorName - Name to look for (fuzzy matched)
+   * @param {Object} instance - Readarr instance to search
+   * @returns {Object|null} - { id, name, bookFileCount } of the best match
+   */
+  findLibraryAuthor: async (authorName, instance) => {
+    const readarrAPI = getClient(instance);
+    const response = await readarrAPI.get('/api/v1/author');
+
+    const best = matching.bestMatch(response.data, a => matching.authorSimilarity(a.authorName, authorName));
+    if (!best) return null;
+
+    return {
+      id: best.item.id,
+      name: best.item.authorName,
+      bookFileCount: best.item.statistics?.bookFileCount || 0
+    };
+  },
+
+  /**
+   * Ask Readarr to search its indexers for a book again
+   * @param {string} bookId - Readarr book ID
+   * @param {Object} instance - Readarr instance
+   * @returns {Object} - { commandId, status }
+   */
+  searchBook: async (bookId, instance) => {
+    const readarrAPI = getClient(instance);
+    const response = await readarrAPI.post('/api/v1/command', {
+      name: 'BookSearch',
+      bookIds: [parseInt(bookId, 10)]
+    });
+
+    return { commandId: response.data.id, status: response.data.status };
+  },
+
+  /**
+   * Get an instance's download queue
+   * @param {Object} instance - Readarr instance
+   * @returns {Array} - Queue items: { bookId, progress, size, sizeLeft, timeLeft, eta, status,
+   *   state, indexer, downloadClient, protocol, messages, errorMessage }
+   */
+  getQueue: async (instance) => {
+    const readarrAPI = getClient(instance);
+    const response = await readarrAPI.get('/api/v1/queue', {
+      params: { page: 1, pageSize: 1000 }
+    });
+
+    const records = response.data?.records || [];
+    return records
+      .filter(record => record.bookId)
+      .map(record => {
+        const size = record.size || 0;
+        const sizeLeft = record.sizeleft || 0;
+
+        return {
+          bookId: record.bookId.toString(),
+          progress: size > 0 ? Math.round(((size - sizeLeft) / size) * 1000) / 10 : 0,
+          size,
+          sizeLeft,
+          timeLeft: record.timeleft || null,
+          eta: record.estimatedCompletionTime || null,
+          status: record.status,
+          // trackedDownloadStatus is ok/warning/error; the state says what Readarr is doing with it
+          health: record.trackedDownloadStatus || 'ok',
+          state: record.trackedDownloadState || null,
+          indexer: record.indexer || null,
+          downloadClient: record.downloadClient || null,
+          protocol: record.protocol || null,
+          messages: (record.statusMessages || []).flatMap(message => message.messages || []),
+          errorMessage: record.errorMessage || null
+        };
+      });
+  },
+
+  /**
+   * Check whether a book has been downloaded
+   * @param {string} bookId - Readarr book ID (only unique within its instance)
+   * @param {Object} instance - Readarr instance the book lives in
+   */
+  getBookStatus: async (bookId, instance) => {
     try {
-      log(`Checking status for book ID: ${bookId}`);
+      const readarrAPI = getClient(instance);
+      log(`Checking status for book ID: ${bookId} on ${instance.name || instance.url}`);
   
       // Get the book details
       const bookResponse = await readarrAPI.get(`/api/v1/book/${bookId}`);
@@ -348,7 +644,7 @@ module.exports = {
             log(`No book files found for book ID: ${bookId}`);
           }
         } catch (fileError) {
-          log(`Error getting book file: ${fileError.message}`);
+          log.error(`Error getting book file: ${fileError.message}`);
         }
       }
   
@@ -362,7 +658,7 @@ module.exports = {
         bookFilePath: bookFilePath
       };
     } catch (error) {
-      log(`Error checking book status: ${error.message}`);
+      log.error(`Error checking book status: ${error.message}`);
       throw error;
     }
   }
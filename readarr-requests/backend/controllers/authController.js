@@ -1,45 +1,62 @@
 // controllers/authController.js
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const roleService = require('../services/roleService');
+const authService = require('../services/authService');
+const registrationService = require('../services/registrationService');
+const accountService = require('../services/accountService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('auth', { file: 'auth.log' });
+
+const REGISTRATION_ERROR_STATUS = {
+  REGISTRATION_CLOSED: 403,
+  INVITE_REQUIRED: 403,
+  INVALID_INVITE: 400,
+  INVALID_REGISTRATION: 400
+};
 
 exports.register = async (req, res) => {
   try {
-    const { username, email, password } = req.body;
-
-    // Check if user exists
-    let user = await User.findOne({ email });
-    if (user) {
-      return res.status(400).json({ message: 'User already exists' });
+    const { username, email, password, invite } = req.body;
+    const { user, pending } = await registrationService.register({ username, email, password, invite });
+
+    // The account exists either way; a failed mail can be sent again from the login page
+    await accountService.sendVerificationEmail(user)
+      .catch(() => {});
+
+    // Accounts waiting for approval or email verification don't get a session yet
+    if (pending) {
+      return res.status(202).json({
+        pending: true,
+        message: 'Your account was created and is waiting for an admin to approve it'
+      });
+    }
+    if (accountService.isVerificationRequired()) {
+      return res.status(202).json({
+        pending: true,
+        message: 'Your account was created. Open the link we emailed you to confirm your address, then sign in.'
+      });
     }
-
-    // Create new user
-    user = new User({
-      username,
-      email,
-      password
-    });
-
-    await user.save();
 
     // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, user: { id: user.id, username, email, role: user.role } });
-      }
-    );
+    res.json(await authService.createSession(user));
   } catch (err) {
-    console.error(err.message);
+    if (REGISTRATION_ERROR_STATUS[err.code]) {
+      return res.status(REGISTRATION_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    log.error(`Error registering: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Registration mode and whether an invite code can be used, for the registration page
+ */
+exports.getRegistration = async (req, res) => {
+  try {
+    res.json(await registrationService.getRegistrationInfo(req.query.invite));
+  } catch (err) {
+    log.error(`Error getting registration info: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
@@ -60,37 +77,91 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (user.disabled) {
+      return res.status(403).json({ message: 'This account has been disabled' });
+    }
+
+    if (user.pendingApproval) {
+      return res.status(403).json({ message: 'Your account is waiting for an admin to approve it' });
+    }
+
+    if (user.emailVerified === false && accountService.isVerificationRequired()) {
+      return res.status(403).json({
+        message: 'Confirm your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
     // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ 
-          token, 
-          user: { 
-            id: user.id, 
-            username: user.username, 
-            email: user.email, 
-            role: user.role 
-          } 
-        });
-      }
-    );
+    res.json(await authService.createSession(user));
   } catch (err) {
-    console.error(err.message);
+    log.error(`Error signing in: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
+// Same answer whether or not the address has an account, and whether or not
+// the mail could be sent, since only known addresses get mail that can fail
+const EMAIL_SENT_MESSAGE = 'If an account uses that address, we have emailed it a link';
+
+/**
+ * Email a password reset link
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+  } catch (err) {
+    log.error(`Error sending password reset link: ${err.message}`);
+  }
+  res.json({ message: EMAIL_SENT_MESSAGE });
+};
+
+/**
+ * Set a new password with the token from a reset link
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    await accountService.resetPassword(req.body.token, req.body.password);
+    res.json({ message: 'Your password has been changed. Sign in with your new password.' });
+  } catch (err) {
+    if (err.code === 'INVALID_TOKEN' || err.code === 'INVALID_PASSWORD') {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error(`Error resetting password: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Confirm an email address with the token from a verification link
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    await accountService.verifyEmail(req.body.token);
+    res.json({ message: 'Your email address is confirmed' });
+  } catch (err) {
+    if (err.code === 'INVALID_TOKEN') {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error(`Error verifying email address: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Email a new verification link
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    await accountService.resendVerification(req.body.email);
+  } catch (err) {
+    log.error(`Error sending verification link: ${err.message}`);
+  }
+  res.json({ message: EMAIL_SENT_MESSAGE });
+};
+
 exports.register_admin = async (req, res) => {
   try {
     const { username, email, password, adminKey } = req.body;
@@ -117,24 +188,9 @@ exports.register_admin = async (req, res) => {
     await user.save();
 
     // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, user: { id: user.id, username, email, role: user.role } });
-      }
-    );
+    res.json(await authService.createSession(user));
   } catch (err) {
-    console.error(err.message);
+    log.error(`Error registering admin: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
@@ -144,9 +200,15 @@ exports.register_admin = async (req, res) => {
 exports.getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
-    res.json(user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Permissions come from the role as it is now, so clients pick up role changes
+    const permissions = await roleService.getPermissions(user.role);
+    res.json({ ...user.toObject(), permissions });
   } catch (err) {
-    console.error(err.message);
+    log.error(`Error getting current user: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// controllers/autoApprovalController.js
+const AutoApprovalRule = require('../models/AutoApprovalRule');
+
+// Fields an admin can set on a rule
+const EDITABLE_FIELDS = ['name', 'enabled', 'priority', 'conditions'];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Error saving auto-approval rule:', error);
+  return res.status(500).json({ message: 'Error saving auto-approval rule', error: error.message });
+};
+
+/**
+ * List auto-approval rules in evaluation order
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await AutoApprovalRule.find().sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error getting auto-approval rules:', error);
+    res.status(500).json({ message: 'Error getting auto-approval rules', error: error.message });
+  }
+};
+
+/**
+ * Add an auto-approval rule
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = new AutoApprovalRule(pickEditableFields(req.body));
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Update an auto-approval rule
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await AutoApprovalRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Auto-approval rule not found' });
+    }
+
+    rule.set(pickEditableFields(req.body));
+    rule.updatedAt = Date.now();
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Delete an auto-approval rule
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await AutoApprovalRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Auto-approval rule not found' });
+    }
+
+    res.json({ message: 'Auto-approval rule deleted' });
+  } catch (error) {
+    console.error('Error deleting auto-approval rule:', error);
+    res.status(500).json({ message: 'Error deleting auto-approval rule', error: error.message });
+  }
+};
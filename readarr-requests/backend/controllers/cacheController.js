@@ -6,11 +6,6 @@ const openLibraryAPI = require('../config/openLibrary');
 // Purge all caches
 exports.purgeAllCaches = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to purge cache' });
-    }
-
     // Purge OpenLibrary cache
     openLibraryAPI.purgeCache();
 
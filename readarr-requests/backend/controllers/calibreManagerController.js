@@ -1,33 +1,14 @@
 // controllers/calibreManagerController.js
 const calibreAPI = require('../config/calibreAPI');
-const fs = require('fs');
-const path = require('path');
-
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/calibre-manager.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('calibre-manager');
 
 /**
  * Get all books from Calibre library
  */
 exports.getAllBooks = async (req, res) => {
   try {
-    // Only admin can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     // Get query parameters for pagination and filtering
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -96,7 +77,7 @@ exports.getAllBooks = async (req, res) => {
       pagination
     });
   } catch (error) {
-    log(`Error fetching books: ${error.message}`);
+    log.error(`Error fetching books: ${error.message}`);
     res.status(500).json({ message: 'Error fetching books from Calibre', error: error.message });
   }
 };
@@ -106,11 +87,6 @@ exports.getAllBooks = async (req, res) => {
  */
 exports.getBookDetails = async (req, res) => {
   try {
-    // Only admin can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const { id } = req.params;
     log(`Fetching details for book ID: ${id}`);
 
@@ -119,7 +95,7 @@ exports.getBookDetails = async (req, res) => {
     
     res.json(bookDetails);
   } catch (error) {
-    log(`Error fetching book details: ${error.message}`);
+    log.error(`Error fetching book details: ${error.message}`);
     res.status(500).json({ message: 'Error fetching book details from Calibre', error: error.message });
   }
 };
@@ -129,11 +105,6 @@ exports.getBookDetails = async (req, res) => {
  */
 exports.updateBookTags = async (req, res) => {
   try {
-    // Only admin can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const { id } = req.params;
     const { tags } = req.body;
     
@@ -153,7 +124,7 @@ exports.updateBookTags = async (req, res) => {
       tags
     });
   } catch (error) {
-    log(`Error updating book tags: ${error.message}`);
+    log.error(`Error updating book tags: ${error.message}`);
     res.status(500).json({ message: 'Error updating book tags in Calibre', error: error.message });
   }
 };
@@ -163,11 +134,6 @@ exports.updateBookTags = async (req, res) => {
  */
 exports.bulkUpdateTags = async (req, res) => {
   try {
-    // Only admin can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const { books } = req.body;
     
     if (!books || !Array.isArray(books) || books.length === 0) {
@@ -203,7 +169,7 @@ exports.bulkUpdateTags = async (req, res) => {
           tags: book.tags
         });
       } catch (error) {
-        log(`Error updating tags for book ID ${book.id}: ${error.message}`);
+        log.error(`Error updating tags for book ID ${book.id}: ${error.message}`);
         results.failed.push({
           id: book.id,
           error: error.message
@@ -216,7 +182,7 @@ exports.bulkUpdateTags = async (req, res) => {
       results
     });
   } catch (error) {
-    log(`Error in bulk update: ${error.message}`);
+    log.error(`Error in bulk update: ${error.message}`);
     res.status(500).json({ message: 'Error performing bulk tag update', error: error.message });
   }
 };
\ No newline at end of file
@@ -0,0 +1,7 @@
+// controllers/eventController.js
+const eventService = require('../services/eventService');
+
+// Open a live update stream for the signed-in user
+exports.stream = (req, res) => {
+  eventService.subscribe(req, res);
+};
@@ -0,0 +1,78 @@
+// controllers/jobController.js
+const schedulerService = require('../services/schedulerService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('jobs');
+
+/**
+ * Get all scheduled jobs with their last and next runs
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await schedulerService.getJobs();
+    res.json(jobs);
+  } catch (error) {
+    log.error(`Error getting jobs: ${error.message}`);
+    res.status(500).json({ message: 'Error getting scheduled jobs', error: error.message });
+  }
+};
+
+/**
+ * Update a job's interval or enable/disable it
+ */
+exports.updateJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { intervalMinutes, enabled } = req.body;
+
+    if (!(await schedulerService.getJob(name))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await schedulerService.updateJob(name, { intervalMinutes, enabled });
+    res.json(job);
+  } catch (error) {
+    log.error(`Error updating job: ${error.message}`);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Run a job immediately
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!(await schedulerService.getJob(name))) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const run = await schedulerService.runJob(name, {
+      trigger: 'manual',
+      userId: req.user.id
+    });
+
+    res.json(run);
+  } catch (error) {
+    if (error.code === 'JOB_RUNNING') {
+      return res.status(409).json({ message: error.message });
+    }
+    log.error(`Error running job: ${error.message}`);
+    res.status(500).json({ message: 'Error running job', error: error.message });
+  }
+};
+
+/**
+ * Get recent runs of a job
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await schedulerService.getJobRuns(req.params.name, limit);
+    res.json(runs);
+  } catch (error) {
+    log.error(`Error getting job runs: ${error.message}`);
+    res.status(500).json({ message: 'Error getting job runs', error: error.message });
+  }
+};
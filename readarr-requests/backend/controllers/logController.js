@@ -0,0 +1,32 @@
+// controllers/logController.js
+const logService = require('../services/logService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('logs');
+
+/**
+ * List the log subsystems with their sizes
+ */
+exports.getSubsystems = async (req, res) => {
+  try {
+    res.json(logService.listSubsystems());
+  } catch (error) {
+    log.error(`Error listing logs: ${error.message}`);
+    res.status(500).json({ message: 'Error listing logs', error: error.message });
+  }
+};
+
+/**
+ * Search log entries by subsystem, level, time range, text and related IDs
+ */
+exports.getEntries = async (req, res) => {
+  try {
+    res.json(await logService.query(req.query));
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error(`Error reading logs: ${error.message}`);
+    res.status(500).json({ message: 'Error reading logs', error: error.message });
+  }
+};
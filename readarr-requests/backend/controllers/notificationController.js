@@ -98,11 +98,6 @@ exports.sendTestNotification = async (req, res) => {
  */
 exports.sendAdminTestNotification = async (req, res) => {
   try {
-    // Verify admin role
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const notification = {
       title: 'Admin Test Notification',
       body: 'This is a test notification for admins',
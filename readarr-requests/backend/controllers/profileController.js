@@ -0,0 +1,60 @@
+// controllers/profileController.js
+const User = require('../models/User');
+const authService = require('../services/authService');
+const profileService = require('../services/profileService');
+const accountService = require('../services/accountService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('profile', { file: 'auth.log' });
+
+/**
+ * Change the signed-in user's username, email or password. Returns a new
+ * token, since tokens issued before a password change stop working.
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousEmail = user.email;
+    await profileService.updateProfile(user, req.body);
+
+    // A new address has to be confirmed. The account service logs failures,
+    // and the user can ask for another link, so they don't fail the change.
+    if (user.email !== previousEmail) {
+      await accountService.sendVerificationEmail(user)
+        .catch(() => {});
+    }
+
+    res.json(await authService.createSession(user));
+  } catch (error) {
+    if (error.code === 'INVALID_PROFILE') {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error(`Error updating profile: ${error.message}`);
+    res.status(500).json({ message: 'Error updating profile', error: error.message });
+  }
+};
+
+/**
+ * Save the signed-in user's theme and notification preferences
+ */
+exports.updatePreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const preferences = await profileService.updatePreferences(user, req.body);
+    res.json(preferences);
+  } catch (error) {
+    if (error.code === 'INVALID_PROFILE') {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error(`Error updating preferences: ${error.message}`);
+    res.status(500).json({ message: 'Error updating preferences', error: error.message });
+  }
+};
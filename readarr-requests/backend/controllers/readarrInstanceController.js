@@ -0,0 +1,174 @@
+// controllers/readarrInstanceController.js
+const ReadarrInstance = require('../models/ReadarrInstance');
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const readarrInstanceService = require('../services/readarrInstanceService');
+
+// Fields an admin can set on an instance
+const EDITABLE_FIELDS = ['name', 'slug', 'url', 'apiKey', 'enabled', 'isDefault', 'priority', 'rules', 'defaults'];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  // Keep the stored key when the form leaves it blank
+  if (!fields.apiKey) delete fields.apiKey;
+  return fields;
+};
+
+// Only one instance can be the fallback
+const clearOtherDefaults = async (instance) => {
+  if (instance.isDefault) {
+    await ReadarrInstance.updateMany(
+      { _id: { $ne: instance._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+};
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'An instance with this slug already exists' });
+  }
+  console.error('Error saving Readarr instance:', error);
+  return res.status(500).json({ message: 'Error saving Readarr instance', error: error.message });
+};
+
+/**
+ * List all Readarr instances
+ */
+exports.getInstances = async (req, res) => {
+  try {
+    const instances = await ReadarrInstance.find().sort({ priority: 1, createdAt: 1 });
+    res.json(instances.map(instance => instance.toSafeJSON()));
+  } catch (error) {
+    console.error('Error getting Readarr instances:', error);
+    res.status(500).json({ message: 'Error getting Readarr instances', error: error.message });
+  }
+};
+
+/**
+ * Add a Readarr instance and check its health straight away
+ */
+exports.createInstance = async (req, res) => {
+  try {
+    const instance = new ReadarrInstance(pickEditableFields(req.body));
+    await instance.save();
+    await clearOtherDefaults(instance);
+    await readarrInstanceService.checkHealth(instance);
+
+    res.status(201).json(instance.toSafeJSON());
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Update a Readarr instance
+ */
+exports.updateInstance = async (req, res) => {
+  try {
+    const instance = await ReadarrInstance.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ message: 'Readarr instance not found' });
+    }
+
+    const connectionChanged = (req.body.url && req.body.url !== instance.url) || Boolean(req.body.apiKey);
+
+    instance.set(pickEditableFields(req.body));
+    instance.updatedAt = Date.now();
+    await instance.save();
+    await clearOtherDefaults(instance);
+
+    if (connectionChanged) {
+      await readarrInstanceService.checkHealth(instance);
+    }
+
+    res.json(instance.toSafeJSON());
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Delete a Readarr instance that no request refers to
+ */
+exports.deleteInstance = async (req, res) => {
+  try {
+    const instance = await ReadarrInstance.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ message: 'Readarr instance not found' });
+    }
+
+    const requestCount = await Request.countDocuments({ readarrInstance: instance._id });
+    if (requestCount > 0) {
+      return res.status(400).json({
+        message: `${requestCount} request(s) use this instance. Disable it instead of deleting it.`
+      });
+    }
+
+    await instance.deleteOne();
+    res.json({ message: 'Readarr instance deleted' });
+  } catch (error) {
+    console.error('Error deleting Readarr instance:', error);
+    res.status(500).json({ message: 'Error deleting Readarr instance', error: error.message });
+  }
+};
+
+/**
+ * List the quality profiles, metadata profiles and root folders of an instance
+ */
+exports.getInstanceOptions = async (req, res) => {
+  try {
+    const instance = await ReadarrInstance.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ message: 'Readarr instance not found' });
+    }
+
+    const options = await readarrAPI.getOptions(instance);
+    res.json(options);
+  } catch (error) {
+    console.error('Error getting Readarr options:', error);
+    res.status(502).json({ message: 'Error getting options from Readarr', error: error.message });
+  }
+};
+
+/**
+ * Run a health check on an instance now
+ */
+exports.checkInstanceHealth = async (req, res) => {
+  try {
+    const instance = await ReadarrInstance.findById(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ message: 'Readarr instance not found' });
+    }
+
+    await readarrInstanceService.checkHealth(instance);
+    res.json(instance.toSafeJSON());
+  } catch (error) {
+    console.error('Error checking Readarr instance health:', error);
+    res.status(500).json({ message: 'Error checking Readarr instance health', error: error.message });
+  }
+};
+
+/**
+ * Get the instance a request would be sent to on approval
+ */
+exports.resolveRequestInstance = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.requestId).populate('user', 'username');
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    const instance = await readarrInstanceService.getRequestInstance(request);
+    res.json(instance ? instance.toSafeJSON() : null);
+  } catch (error) {
+    console.error('Error resolving Readarr instance:', error);
+    res.status(500).json({ message: 'Error resolving Readarr instance', error: error.message });
+  }
+};
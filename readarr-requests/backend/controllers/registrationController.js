@@ -0,0 +1,77 @@
+// controllers/registrationController.js
+const registrationService = require('../services/registrationService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('registration', { file: 'auth.log' });
+
+const REGISTRATION_ERROR_STATUS = {
+  INVITE_NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  INVALID_INVITE: 400,
+  INVALID_REGISTRATION: 400,
+  INVALID_QUOTA: 400
+};
+
+const sendRegistrationError = (res, error, action) => {
+  if (REGISTRATION_ERROR_STATUS[error.code]) {
+    return res.status(REGISTRATION_ERROR_STATUS[error.code]).json({ message: error.message });
+  }
+  log.error(`Error ${action}: ${error.message}`);
+  return res.status(500).json({ message: `Error ${action}`, error: error.message });
+};
+
+/**
+ * Get the registration mode
+ */
+exports.getRegistrationSettings = async (req, res) => {
+  try {
+    res.json({ mode: await registrationService.getMode() });
+  } catch (error) {
+    sendRegistrationError(res, error, 'getting registration settings');
+  }
+};
+
+/**
+ * Change the registration mode
+ */
+exports.updateRegistrationSettings = async (req, res) => {
+  try {
+    res.json({ mode: await registrationService.setMode(req.user, req.body.mode) });
+  } catch (error) {
+    sendRegistrationError(res, error, 'updating registration settings');
+  }
+};
+
+/**
+ * List invite codes with who created and used them
+ */
+exports.getInvites = async (req, res) => {
+  try {
+    res.json(await registrationService.listInvites());
+  } catch (error) {
+    sendRegistrationError(res, error, 'getting invites');
+  }
+};
+
+/**
+ * Create an invite code
+ */
+exports.createInvite = async (req, res) => {
+  try {
+    const invite = await registrationService.createInvite(req.user, req.body);
+    res.status(201).json(invite);
+  } catch (error) {
+    sendRegistrationError(res, error, 'creating invite');
+  }
+};
+
+/**
+ * Revoke an invite code
+ */
+exports.revokeInvite = async (req, res) => {
+  try {
+    res.json(await registrationService.revokeInvite(req.user, req.params.id));
+  } catch (error) {
+    sendRegistrationError(res, error, 'revoking invite');
+  }
+};
@@ -1,431 +1,673 @@
 // controllers/requestController.js
 const Request = require('../models/Request');
+const User = require('../models/User');
+const ReadarrInstance = require('../models/ReadarrInstance');
 const readarrAPI = require('../config/readarr');
 const calibreAPI = require('../config/calibreAPI');
-const googleBooksAPI = require('../config/googleBooks');
-const openLibraryAPI = require('../config/openLibrary');
 const notificationService = require('../services/notificationService');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/readarr.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
+const readarrInstanceService = require('../services/readarrInstanceService');
+const quotaService = require('../services/quotaService');
+const autoApprovalService = require('../services/autoApprovalService');
+const requestApprovalService = require('../services/requestApprovalService');
+const sharedRequestService = require('../services/sharedRequestService');
+const requestQueryService = require('../services/requestQueryService');
+const bulkRequestService = require('../services/bulkRequestService');
+const eventService = require('../services/eventService');
+const searchRetryService = require('../services/searchRetryService');
+const schedulerService = require('../services/schedulerService');
+const { STATUS_CHECK_JOB } = require('../services/statusCheckService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('requests', { file: 'readarr.log' });
+
+/**
+ * Notify admins that a new request was made
+ * @param {Object} request - The saved request
+ */
+const notifyAdminsOfRequest = async (request) => {
+  try {
+    // Get user details for the notification
+    const userData = await Request.findById(request._id)
+      .populate('user', 'username email');
+
+    const formatLabel = request.format === 'audiobook' ? ' (audiobook)' : '';
+    const adminNotification = {
+      title: 'New Book Request',
+      body: `${userData.user.username} requested "${request.title}" by ${request.author}${formatLabel}`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/admin/requests',
+        requestId: request._id.toString(),
+        bookId: request.bookId,
+        type: 'new-book-request'
+      },
+      actions: [
+        {
+          action: 'view-requests',
+          title: 'View Requests'
+        }
+      ]
+    };
+
+    const notifyResult = await notificationService.sendAdminNotification(adminNotification);
+    log(`Admin notification sent for new book request: "${request.title}"`);
+
+    if (notifyResult.success) {
+      request.addEvent('notification-sent', 'Admins notified of new request', {
+        data: { audience: 'admins', results: notifyResult.results }
+      });
+      await request.save();
+    }
+  } catch (notifyError) {
+    // Don't fail the request creation if notification fails
+    log.error(`Failed to send admin notification: ${notifyError.message}`);
+  }
 };
 
-// Create direct Readarr API client for internal use
-const readarrDirectAPI = axios.create({
-  baseURL: process.env.READARR_API_URL,
-  headers: {
-    'X-Api-Key': process.env.READARR_API_KEY
+// Formats that can be requested (those accepted by an enabled Readarr instance)
+exports.getFormats = async (req, res) => {
+  try {
+    const formats = await readarrInstanceService.getAvailableFormats();
+    res.json({ formats });
+  } catch (err) {
+    log.error(`Error getting formats: ${err.message}`);
+    res.status(500).send('Server error');
   }
-});
+};
 
-exports.createRequest = async (req, res) => {
+// Get the preset reasons admins can give when denying a request
+exports.getDenialReasons = async (req, res) => {
+  res.json({ reasons: Request.DENIAL_REASONS });
+};
+
+// Find the request other users already made for a book, so the user can join it
+exports.getSharedRequest = async (req, res) => {
   try {
-    const { bookId, title, author, cover, isbn, source } = req.body;
+    const { bookId, isbn, title, author, format = 'ebook' } = req.query;
+    if (!bookId && !isbn && !title) {
+      return res.status(400).json({ message: 'A book ID, ISBN or title is required' });
+    }
 
-    // Check if request already exists
-    const existingRequest = await Request.findOne({ 
-      user: req.user.id, 
-      bookId 
+    const request = await sharedRequestService.findCanonical({ bookId, isbn, title, author }, format);
+    if (!request) {
+      return res.json({ request: null });
+    }
+
+    res.json({
+      request: {
+        _id: request._id,
+        title: request.title,
+        author: request.author,
+        format: request.format,
+        status: request.status,
+        voteCount: request.voteCount,
+        mine: request.user.toString() === req.user.id,
+        following: request.followers.some(follower => follower.user.toString() === req.user.id)
+      }
     });
+  } catch (err) {
+    log.error(`Error finding shared request: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
 
-    if (existingRequest) {
+// Join another user's request ("me too")
+exports.followRequest = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    if (!sharedRequestService.SHAREABLE_STATUSES.includes(request.status)) {
+      return res.status(400).json({ message: 'This request can no longer be joined' });
+    }
+
+    const joined = await sharedRequestService.follow(request, req.user.id);
+    if (!joined) {
       return res.status(400).json({ message: 'Book already requested' });
     }
 
-    // Create new request
-    const newRequest = new Request({
-      user: req.user.id,
-      bookId,
-      title,
-      author,
-      cover,
-      isbn,
-      source
-    });
+    res.json(sharedRequestService.toUserView(request, req.user.id));
+  } catch (err) {
+    log.error(`Error following request: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
 
-    // Save the request
-    await newRequest.save();
-    
-    // Send notification to admins about the new request
-    try {
-      // Get user details for the notification
-      const userData = await Request.findById(newRequest._id)
-        .populate('user', 'username email');
-      
-      const adminNotification = {
-        title: 'New Book Request',
-        body: `${userData.user.username} requested "${title}" by ${author}`,
-        icon: '/icon-192x192.png',
-        badge: '/badge-72x72.png',
-        data: {
-          url: '/admin/requests',
-          requestId: newRequest._id.toString(),
-          bookId: bookId,
-          type: 'new-book-request'
-        },
-        actions: [
-          {
-            action: 'view-requests',
-            title: 'View Requests'
-          }
-        ]
-      };
-      
-      await notificationService.sendAdminNotification(adminNotification);
-      log(`Admin notification sent for new book request: "${title}"`);
-    } catch (notifyError) {
-      // Don't fail the request creation if notification fails
-      log(`Failed to send admin notification: ${notifyError.message}`);
+// Leave a request the user joined
+exports.unfollowRequest = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
     }
-    
-    // Return the created request
-    res.status(201).json(newRequest);
+
+    const left = await sharedRequestService.unfollow(request, req.user.id);
+    if (!left) {
+      return res.status(400).json({ message: 'You are not following this request' });
+    }
+
+    res.json({ message: 'No longer following this request', voteCount: request.voteCount });
   } catch (err) {
-    console.error('Error creating request:', err);
+    log.error(`Error unfollowing request: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
-exports.updateRequestStatus = async (req, res) => {
+// Get the current user's request quota and how much of it is used
+exports.getQuota = async (req, res) => {
   try {
-    // Only admin can update request status
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    const usage = await quotaService.getUsage(req.user.id);
+    res.json(usage);
+  } catch (err) {
+    log.error(`Error getting request quota: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+exports.createRequest = async (req, res) => {
+  try {
+    const { bookId, title, author, cover, isbn, source, language, genres, year, notes, editionPreference, format = 'ebook' } = req.body;
+
+    // "both" creates one request per format
+    const formats = format === 'both' ? readarrAPI.FORMATS : [format];
+    const availableFormats = await readarrInstanceService.getAvailableFormats();
+
+    for (const requestedFormat of formats) {
+      if (!readarrAPI.FORMATS.includes(requestedFormat)) {
+        return res.status(400).json({ message: `Invalid format: ${requestedFormat}` });
+      }
+      if (!availableFormats.includes(requestedFormat)) {
+        return res.status(400).json({ message: `${requestedFormat} requests are not available` });
+      }
     }
 
+    // Skip formats this user has already requested, and join another user's
+    // request for the same book instead of creating a duplicate
+    const newFormats = [];
+    const sharedRequests = [];
+    for (const requestedFormat of formats) {
+      const existingRequest = await Request.findOne({
+        $or: [{ user: req.user.id }, { 'followers.user': req.user.id }],
+        bookId,
+        format: Request.formatCondition(requestedFormat)
+      });
+      if (existingRequest) continue;
+
+      const sharedRequest = await sharedRequestService.findCanonical({ bookId, isbn, title, author }, requestedFormat);
+      if (!sharedRequest) {
+        newFormats.push(requestedFormat);
+      } else if (!sharedRequest.isInterested(req.user.id)) {
+        sharedRequests.push(sharedRequest);
+      }
+    }
+
+    if (newFormats.length === 0 && sharedRequests.length === 0) {
+      return res.status(400).json({ message: 'Book already requested' });
+    }
+
+    // Each new format counts as one request against the user's quota; joining doesn't
+    if (newFormats.length > 0) {
+      try {
+        await quotaService.assertCanRequest(req.user.id, newFormats.length);
+      } catch (quotaError) {
+        if (quotaError.code === 'QUOTA_EXCEEDED') {
+          return res.status(429).json({ message: quotaError.message, quota: quotaError.usage });
+        }
+        throw quotaError;
+      }
+    }
+
+    const followed = [];
+    for (const sharedRequest of sharedRequests) {
+      await sharedRequestService.follow(sharedRequest, req.user.id);
+      log(`User ${req.user.id} joined request ${sharedRequest._id} ("${sharedRequest.title}")`);
+      followed.push(sharedRequestService.toUserView(sharedRequest, req.user.id));
+    }
+
+    // Sources send the publication date as a year or a full date
+    const publishedYear = parseInt(year, 10);
+
+    const created = [];
+    for (const requestFormat of newFormats) {
+      // Create new request
+      const newRequest = new Request({
+        user: req.user.id,
+        bookId,
+        title,
+        author,
+        cover,
+        isbn,
+        source,
+        language,
+        genres: Array.isArray(genres) ? genres : undefined,
+        year: Number.isNaN(publishedYear) ? undefined : publishedYear,
+        notes: typeof notes === 'string' ? notes.trim().slice(0, 1000) : undefined,
+        editionPreference: Request.EDITION_PREFERENCES.includes(editionPreference) ? editionPreference : undefined,
+        format: requestFormat
+      });
+
+      newRequest.addEvent('created', `Request created (${requestFormat})`, { actor: req.user.id });
+
+      // Save the request
+      await newRequest.save();
+
+      // Send notification to admins about the new request
+      await notifyAdminsOfRequest(newRequest);
+
+      // Trusted users and books skip the approval queue
+      await autoApprovalService.autoApprove(newRequest);
+
+      created.push(newRequest);
+    }
+
+    // Return the created or joined request, or all of them when both formats were asked for
+    const results = [...created, ...followed];
+    res.status(201).json(format === 'both' ? results : results[0]);
+  } catch (err) {
+    log.error(`Error creating request: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+exports.updateRequestStatus = async (req, res) => {
+  try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, readarrOptions, readarrInstance, denialReason } = req.body;
 
     if (!['pending', 'approved', 'denied', 'available'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
-    const request = await Request.findById(id);
+    const request = await Request.findById(id).populate('user', 'username');
     if (!request) {
       return res.status(404).json({ message: 'Request not found' });
     }
 
-    // Store previous status for notification purposes
+    // Admins can send the book to a specific instance instead of the routed one
+    let chosenInstance = null;
+    if (status === 'approved' && readarrInstance) {
+      chosenInstance = await ReadarrInstance.findOne({ _id: readarrInstance, enabled: true });
+      if (!chosenInstance) {
+        return res.status(400).json({ message: 'Readarr instance not found or disabled' });
+      }
+    }
+
+    // The reason is only kept while the request stays denied
+    request.denialReason = status === 'denied' && typeof denialReason === 'string' && denialReason.trim()
+      ? denialReason.trim().slice(0, 500)
+      : undefined;
+
+    // Requests waiting for a Readarr match keep their current status
     const previousStatus = request.status;
 
-    // If approving the request, add book to Readarr
-    if (status === 'approved' && request.status !== 'approved') {
-      try {
-        log(`Processing request approval for: "${request.title}" by ${request.author}`);
-        
-        // Get more detailed book information based on source if available
-        let enrichedBookData = {
-          title: request.title,
-          author: request.author,
-          isbn: request.isbn
-        };
-        
-        // If source is specified, get richer metadata
-        if (request.source) {
-          try {
-            log(`Getting enhanced metadata from ${request.source} for book: ${request.bookId}`);
-            let bookDetails;
-            
-            if (request.source === 'google') {
-              // Remove 'gb-' prefix if present
-              const googleId = request.bookId.startsWith('gb-') ? 
-                request.bookId.substring(3) : request.bookId;
-              bookDetails = await googleBooksAPI.getBookDetails(googleId);
-            } else if (request.source === 'openLibrary') {
-              // Remove 'ol-' prefix if present
-              const olId = request.bookId.startsWith('ol-') ? 
-                request.bookId.substring(3) : request.bookId;
-              bookDetails = await openLibraryAPI.getBookDetails(olId);
-            }
-            
-            if (bookDetails) {
-              // Get author information for better matching
-              let authorInfo = null;
-              if (request.source === 'google' && bookDetails.author) {
-                // Extract the primary author (first in the list)
-                const primaryAuthor = bookDetails.author.split(',')[0].trim();
-                try {
-                  authorInfo = await googleBooksAPI.searchAuthor(primaryAuthor);
-                  log(`Found author information for ${primaryAuthor}`);
-                } catch (authorErr) {
-                  log(`Error getting author info: ${authorErr.message}, will continue without it`);
-                }
-              }
-              
-              // Enhance book data with metadata
-              enrichedBookData = {
-                ...enrichedBookData,
-                title: bookDetails.title || request.title,
-                author: bookDetails.author || request.author,
-                isbn: bookDetails.isbn || request.isbn,
-                // Add additional metadata
-                authorMetadata: authorInfo ? {
-                  name: authorInfo.name,
-                  books: authorInfo.books?.length || 0,
-                  genres: authorInfo.primaryGenres || []
-                } : null,
-                bookMetadata: {
-                  title: bookDetails.title || request.title,
-                  source: request.source,
-                  sourceId: request.bookId,
-                  publishYear: bookDetails.year
-                }
-              };
-              
-              log(`Enhanced book data: ${JSON.stringify(enrichedBookData)}`);
-            }
-          } catch (metadataError) {
-            log(`Error getting enhanced metadata: ${metadataError.message}`);
-            // Continue with basic metadata if enhanced fails
-          }
-        }
+    // If approving the request (or retrying after a reset), add book to Readarr
+    let needsMatch = false;
+    if (status === 'approved' && (request.status !== 'approved' || request.readarrStatus === 'pending')) {
+      ({ needsMatch } = await requestApprovalService.sendToReadarr(request, {
+        actorId: req.user.id,
+        instance: chosenInstance,
+        readarrOptions
+      }));
+    }
 
-        // Use the readarrAPI module's functions to add the book
-        const readarrResult = await readarrAPI.addBook(enrichedBookData);
-        
-        // Update request with readarr info
-        request.readarrStatus = 'added';
-        request.readarrId = readarrResult.id?.toString() || '';
-        request.readarrMessage = 'Successfully added to Readarr';
-
-      } catch (error) {
-        console.error('Error adding book to Readarr:', error);
-        log(`ERROR in Readarr flow: ${error.message}`);
-
-        // Still update the request status, but note the error
-        request.readarrStatus = 'error';
-        request.readarrMessage = error.message || 'Error adding to Readarr';
-      }
+    // Approval waits until an admin picks the Readarr match
+    await requestApprovalService.applyStatusChange(request, needsMatch ? previousStatus : status, req.user.id);
+
+    res.json(request);
+  } catch (err) {
+    log.error(`Error updating request status: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+// Get the Readarr authors and books an admin can pick from for a request
+exports.getReadarrCandidates = async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).populate('user', 'username');
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
     }
 
-    request.status = status;
-    await request.save();
+    // The admin can refine the search terms and look in another instance
+    const instance = req.query.instance
+      ? await ReadarrInstance.findOne({ _id: req.query.instance, enabled: true })
+      : await readarrInstanceService.getRequestInstance(request);
+    if (!instance) {
+      return res.status(400).json({ message: 'No Readarr instance available for this request' });
+    }
 
-    // Send notification to user about status change
-    try {
-      if (previousStatus !== status) {
-        // Get user details
-        const userData = await Request.findById(id)
-          .populate('user', 'username email');
-        
-        // Notification title and message based on new status
-        let notificationTitle = 'Book Request Update';
-        let notificationBody = '';
-        
-        switch (status) {
-          case 'approved':
-            notificationTitle = 'Book Request Approved';
-            notificationBody = `Your request for "${request.title}" has been approved and added to the download queue.`;
-            break;
-          case 'denied':
-            notificationTitle = 'Book Request Denied';
-            notificationBody = `Your request for "${request.title}" has been denied.`;
-            break;
-          case 'available':
-            notificationTitle = 'Book Now Available';
-            notificationBody = `"${request.title}" is now available in the library.`;
-            break;
-          default:
-            notificationBody = `The status of your request for "${request.title}" has been updated to ${status}.`;
-        }
-        
-        const userNotification = {
-          title: notificationTitle,
-          body: notificationBody,
-          icon: '/icon-192x192.png',
-          badge: '/badge-72x72.png',
-          data: {
-            url: '/requests',
-            requestId: id,
-            bookId: request.bookId,
-            type: 'request-status-update'
-          }
-        };
-        
-        await notificationService.sendUserNotification(
-          userData.user._id, 
-          userNotification
-        );
-        
-        log(`User notification sent for status change to ${status} for request: "${request.title}"`);
+    const candidates = await readarrAPI.lookupCandidates({
+      title: req.query.title || request.title,
+      author: req.query.author || request.author
+    }, instance);
+
+    res.json({
+      ...candidates,
+      instance: instance.toSafeJSON()
+    });
+  } catch (err) {
+    log.error(`Error looking up Readarr candidates: ${err.message}`);
+    res.status(502).json({ message: 'Error searching Readarr', error: err.message });
+  }
+};
+
+// Approve a request using the Readarr author and book picked by an admin
+exports.selectReadarrMatch = async (req, res) => {
+  try {
+    const { foreignBookId, title, foreignAuthorId, authorName, authorTitleSlug, readarrInstance, readarrOptions } = req.body;
+    if (!foreignBookId || !foreignAuthorId) {
+      return res.status(400).json({ message: 'A Readarr book and author are required' });
+    }
+
+    const request = await Request.findById(req.params.id).populate('user', 'username');
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    if (!['pending', 'needs-match', 'error'].includes(request.readarrStatus)) {
+      return res.status(400).json({ message: 'This request has already been added to Readarr' });
+    }
+
+    let chosenInstance = null;
+    if (readarrInstance) {
+      chosenInstance = await ReadarrInstance.findOne({ _id: readarrInstance, enabled: true });
+      if (!chosenInstance) {
+        return res.status(400).json({ message: 'Readarr instance not found or disabled' });
       }
-    } catch (notifyError) {
-      // Don't fail if notification fails
-      log(`Failed to send status update notification: ${notifyError.message}`);
     }
 
+    request.readarrMatch = { foreignBookId, title, foreignAuthorId, authorName, authorTitleSlug };
+    request.readarrStatus = 'pending';
+    request.addEvent('match-selected', `Readarr match picked: "${title}" by ${authorName}`, {
+      actor: req.user.id,
+      data: { foreignBookId, foreignAuthorId }
+    });
+
+    const { needsMatch } = await requestApprovalService.sendToReadarr(request, {
+      actorId: req.user.id,
+      instance: chosenInstance,
+      readarrOptions
+    });
+
+    await requestApprovalService.applyStatusChange(request, needsMatch ? request.status : 'approved', req.user.id);
+
     res.json(request);
   } catch (err) {
-    console.error('Error updating request status:', err);
+    log.error(`Error selecting Readarr match: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
-exports.getUserRequests = async (req, res) => {
+// Change the format, notes or edition preference of the user's own pending request
+exports.updateOwnRequest = async (req, res) => {
   try {
-    const requests = await Request.find({ user: req.user.id })
-      .sort({ createdAt: -1 });
-    res.json(requests);
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    if (request.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending requests can be edited' });
+    }
+
+    const { format, notes, editionPreference } = req.body;
+    const changes = [];
+
+    if (format !== undefined && format !== (request.format || 'ebook')) {
+      if (!readarrAPI.FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Invalid format: ${format}` });
+      }
+      const availableFormats = await readarrInstanceService.getAvailableFormats();
+      if (!availableFormats.includes(format)) {
+        return res.status(400).json({ message: `${format} requests are not available` });
+      }
+      // Followers asked for this format
+      if (request.followers.length > 0) {
+        return res.status(400).json({
+          message: 'Other users joined this request, so its format cannot change. Request the other format instead.'
+        });
+      }
+      const duplicate = await Request.findOne({
+        _id: { $ne: request._id },
+        user: req.user.id,
+        bookId: request.bookId,
+        format: Request.formatCondition(format)
+      });
+      if (duplicate) {
+        return res.status(400).json({ message: `You already requested the ${format}` });
+      }
+
+      request.format = format;
+      changes.push(`format to ${format}`);
+    }
+
+    if (editionPreference !== undefined && editionPreference !== request.editionPreference) {
+      if (!Request.EDITION_PREFERENCES.includes(editionPreference)) {
+        return res.status(400).json({ message: 'Invalid edition preference' });
+      }
+      request.editionPreference = editionPreference;
+      changes.push(`edition preference to ${editionPreference}`);
+    }
+
+    if (notes !== undefined) {
+      const trimmed = typeof notes === 'string' ? notes.trim() : '';
+      if (trimmed.length > 1000) {
+        return res.status(400).json({ message: 'Notes must be 1000 characters or fewer' });
+      }
+      if (trimmed !== (request.notes || '')) {
+        request.notes = trimmed || undefined;
+        changes.push('notes');
+      }
+    }
+
+    if (changes.length > 0) {
+      request.addEvent('edited', `Request changed: ${changes.join(', ')}`, {
+        actor: req.user.id,
+        data: { changes }
+      });
+      await request.save();
+    }
+
+    res.json(sharedRequestService.toUserView(request, req.user.id));
   } catch (err) {
-    console.error(err.message);
+    log.error(`Error editing request: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
-exports.getAllRequests = async (req, res) => {
+// Cancel the user's own pending request. Users who manage requests can delete any request.
+exports.cancelRequest = async (req, res) => {
   try {
-    // Only admin can view all requests
-    if (req.user.role !== 'admin') {
+    const request = await Request.findById(req.params.id).populate('user', 'username');
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    const isAdmin = req.user.permissions.includes('manage-requests');
+    const isOwner = request.user._id.toString() === req.user.id;
+    if (!isOwner && !isAdmin) {
       return res.status(403).json({ message: 'Not authorized' });
     }
+    if (!isAdmin && request.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending requests can be cancelled' });
+    }
 
-    const requests = await Request.find()
-      .populate('user', 'username email')
-      .sort({ createdAt: -1 });
-    res.json(requests);
+    // Read before a hand-off replaces the requester with the new owner's ID
+    const requesterName = request.user.username;
+
+    // Users who joined keep the request; the longest follower becomes its owner
+    const newOwner = isOwner
+      ? await sharedRequestService.handToFirstFollower(request, {
+        actor: req.user.id,
+        message: 'Original requester cancelled; the first follower now owns the request'
+      })
+      : null;
+
+    if (newOwner) {
+      log(`Request ${request._id} ("${request.title}") handed to follower ${newOwner} after cancellation`);
+    } else {
+      await Request.deleteOne({ _id: request._id });
+      eventService.publishRequest('request:deleted', request);
+      log(`Request ${request._id} ("${request.title}") cancelled by ${isOwner ? 'requester' : 'admin'}`);
+    }
+
+    if (isOwner) {
+      try {
+        await notificationService.sendAdminNotification({
+          title: 'Request Cancelled',
+          body: `${requesterName} cancelled their request for "${request.title}"`,
+          icon: '/icon-192x192.png',
+          badge: '/badge-72x72.png',
+          data: {
+            url: '/admin/requests',
+            requestId: request._id.toString(),
+            type: 'request-cancelled'
+          }
+        });
+      } catch (notifyError) {
+        // Don't fail the cancellation if notification fails
+        log.error(`Failed to send cancellation notification: ${notifyError.message}`);
+      }
+    }
+
+    res.json({ message: 'Request cancelled' });
   } catch (err) {
-    console.error(err.message);
+    log.error(`Error cancelling request: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
-// Enhanced version to also check/update metadata
-exports.checkRequestsStatus = async (req, res) => {
+// Add a comment to a request's thread. The requester and users who manage requests
+// can comment, and the other side is notified.
+exports.addComment = async (req, res) => {
   try {
-    // Only admin can run this check
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!body) {
+      return res.status(400).json({ message: 'Comment cannot be empty' });
+    }
+    if (body.length > 2000) {
+      return res.status(400).json({ message: 'Comment must be 2000 characters or fewer' });
     }
 
-    // Get approved requests with readarrId that aren't marked as 'downloaded'
-    const requests = await Request.find({
-      status: 'approved',
-      readarrId: { $exists: true, $ne: '' },
-      readarrStatus: { $ne: 'downloaded' }
-    }).populate('user', 'username');
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
 
-    if (requests.length === 0) {
-      return res.json({ message: 'No requests to check', updatedCount: 0 });
+    const isAdmin = req.user.permissions.includes('manage-requests');
+    const isOwner = request.user.toString() === req.user.id;
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ message: 'Not authorized' });
     }
 
-    log(`Checking status for ${requests.length} requests`);
+    const author = await User.findById(req.user.id).select('username');
 
-    // Check each request
-    let updatedCount = 0;
-    let metadataUpdatedCount = 0;
-    let metadataFailedCount = 0;
+    request.comments.push({
+      user: req.user.id,
+      username: author ? author.username : undefined,
+      fromAdmin: isAdmin,
+      body
+    });
+    await request.save();
 
-    for (const request of requests) {
-      try {
-        // Check if the book is available in Readarr
-        const bookStatus = await readarrAPI.getBookStatus(request.readarrId);
-        log(`Request ${request._id}: Book ${request.readarrId} status - isDownloaded: ${bookStatus.isDownloaded}`);
-
-        if (bookStatus.isDownloaded) {
-          // Update metadata if file path is available
-          if (bookStatus.bookFilePath) {
-            try {
-              log(`Updating metadata for book: ${request.title} (file: ${bookStatus.bookFilePath})`);
-              
-              await calibreAPI.updateBookMetadata(bookStatus.bookFilePath, {
-                user: request.user.username,
-                userId: request.user._id.toString()
-              });
-              
-              log(`Metadata updated for book: ${request.title}`);
-              metadataUpdatedCount++;
-              
-              // Update the request status
-              request.readarrStatus = 'downloaded';
-              request.status = 'available';
-              request.readarrMessage = 'Book is downloaded and available with metadata';
-              await request.save();
-              updatedCount++;
-              
-              // Send notification to user that book is available
-              try {
-                const userNotification = {
-                  title: 'Book Now Available',
-                  body: `Your requested book "${request.title}" is now available in the library.`,
-                  icon: '/icon-192x192.png',
-                  badge: '/badge-72x72.png',
-                  data: {
-                    url: '/requests',
-                    requestId: request._id.toString(),
-                    type: 'book-available'
-                  }
-                };
-                
-                await notificationService.sendUserNotification(
-                  request.user._id, 
-                  userNotification
-                );
-                log(`Notification sent to user for book availability: ${request.title}`);
-              } catch (notifyError) {
-                log(`Failed to send book availability notification: ${notifyError.message}`);
-              }
-            } catch (metadataError) {
-              log(`Error updating metadata: ${metadataError.message}`);
-              metadataFailedCount++;
-              
-              // Still update request status but note the error
-              request.readarrStatus = 'downloaded';
-              request.status = 'available';
-              request.readarrMessage = `Book is downloaded but metadata update failed: ${metadataError.message}`;
-              await request.save();
-              updatedCount++;
-            }
-          } else {
-            // No file path, but still update status
-            log(`No file path available for book: ${request.title}`);
-            request.readarrStatus = 'downloaded';
-            request.status = 'available';
-            request.readarrMessage = 'Book is downloaded and available (no file path for metadata)';
-            await request.save();
-            updatedCount++;
-          }
-        }
-      } catch (error) {
-        log(`Error checking status for request ${request._id}: ${error.message}`);
+    const preview = body.length > 120 ? `${body.slice(0, 117)}...` : body;
+    const notification = {
+      title: `New comment on "${request.title}"`,
+      body: `${author ? author.username : 'Someone'}: ${preview}`,
+      data: {
+        type: 'request-comment',
+        requestId: request._id.toString()
       }
-    }
+    };
 
-    res.json({ 
-      message: `Checked ${requests.length} requests, updated ${updatedCount}`,
-      updatedCount,
-      metadataStats: {
-        updated: metadataUpdatedCount,
-        failed: metadataFailedCount
+    // Admin replies go to the requester; the requester's comments go to the admins
+    try {
+      if (isAdmin && !isOwner) {
+        await notificationService.sendUserNotification(request.user, notification);
+      } else {
+        await notificationService.sendAdminNotification(notification);
       }
+    } catch (notifyError) {
+      // The comment is saved; don't make the client post it again
+      log.error(`Failed to send comment notification: ${notifyError.message}`);
+    }
+
+    res.status(201).json(request.comments);
+  } catch (err) {
+    log.error(`Error adding comment: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+exports.getUserRequests = async (req, res) => {
+  try {
+    // Requests the user made and the ones they joined
+    const filter = await requestQueryService.buildFilter(req.query, {
+      scope: { $or: [{ user: req.user.id }, { 'followers.user': req.user.id }] }
+    });
+    const { requests, pagination } = await requestQueryService.paginate(filter, req.query);
+
+    // Users only see a trimmed version of the history
+    res.json({
+      requests: requests.map(request => sharedRequestService.toUserView(request, req.user.id)),
+      pagination
     });
   } catch (err) {
-    log(`Error checking requests status: ${err.message}`);
+    if (err.code === 'INVALID_QUERY') {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error(`Error getting user requests: ${err.message}`);
     res.status(500).send('Server error');
   }
 };
 
-// Manual metadata update for a specific request
-exports.updateRequestMetadata = async (req, res) => {
+exports.getAllRequests = async (req, res) => {
   try {
-    // Only admin can update metadata
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    const filter = await requestQueryService.buildFilter(req.query, { allowUser: true });
+    const result = await requestQueryService.paginate(filter, req.query, query => query
+      .populate('user', 'username email')
+      .populate('history.actor', 'username')
+      .populate('readarrInstance', 'name slug'));
+
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'INVALID_QUERY') {
+      return res.status(400).json({ message: err.message });
     }
+    log.error(`Error getting all requests: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
+
+// Run the Readarr status check now instead of waiting for the scheduler
+exports.checkRequestsStatus = async (req, res) => {
+  try {
+    const run = await schedulerService.runJob(STATUS_CHECK_JOB, {
+      trigger: 'manual',
+      userId: req.user.id
+    });
+
+    if (run.status === 'error') {
+      return res.status(500).json({ message: `Status check failed: ${run.error}`, runId: run._id });
+    }
+
+    res.json({ ...run.result, runId: run._id });
+  } catch (err) {
+    if (err.code === 'JOB_RUNNING') {
+      return res.status(409).json({ message: 'A status check is already running' });
+    }
+    log.error(`Error checking requests status: ${err.message}`);
+    res.status(500).send('Server error');
+  }
+};
 
+// Manual metadata update for a specific request
+exports.updateRequestMetadata = async (req, res) => {
+  try {
     const { id } = req.params;
     const request = await Request.findById(id).populate('user', 'username');
     
@@ -438,8 +680,14 @@ exports.updateRequestMetadata = async (req, res) => {
       return res.status(400).json({ message: 'Request does not have a Readarr ID' });
     }
 
+    // Calibre only holds ebooks
+    if (request.format === 'audiobook') {
+      return res.status(400).json({ message: 'Audiobooks are not tagged in Calibre' });
+    }
+
     // Get book status from Readarr
-    const bookStatus = await readarrAPI.getBookStatus(request.readarrId);
+    const instance = await readarrInstanceService.getRequestInstance(request);
+    const bookStatus = await readarrAPI.getBookStatus(request.readarrId, instance);
     
     if (!bookStatus.isDownloaded) {
       return res.status(400).json({ message: 'Book is not downloaded yet' });
@@ -450,15 +698,21 @@ exports.updateRequestMetadata = async (req, res) => {
     }
 
     // Update metadata
-    await calibreAPI.updateBookMetadata(bookStatus.bookFilePath, {
+    const metadataResult = await calibreAPI.updateBookMetadata(bookStatus.bookFilePath, {
       user: request.user.username,
-      userId: request.user._id.toString()
+      userId: request.user._id.toString(),
+      title: request.title,
+      author: request.author
     });
 
     // Update request status
     request.readarrStatus = 'downloaded';
     request.status = 'available';
     request.readarrMessage = 'Book is downloaded and metadata updated manually';
+    request.addEvent('calibre-tagged', `Tagged for ${request.user.username} in Calibre (manual)`, {
+      actor: req.user.id,
+      data: { filePath: bookStatus.bookFilePath, calibreBookId: metadataResult.bookId }
+    });
     await request.save();
 
     res.json({
@@ -466,7 +720,7 @@ exports.updateRequestMetadata = async (req, res) => {
       request
     });
   } catch (err) {
-    log(`Error updating metadata: ${err.message}`);
+    log.error(`Error updating metadata: ${err.message}`);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
@@ -474,11 +728,6 @@ exports.updateRequestMetadata = async (req, res) => {
 // Reset Readarr status to try again
 exports.resetReadarrStatus = async (req, res) => {
   try {
-    // Only admin can update request status
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const { id } = req.params;
     const { readarrStatus, readarrMessage } = req.body;
 
@@ -488,8 +737,13 @@ exports.resetReadarrStatus = async (req, res) => {
     }
 
     // Update Readarr status
+    const previousReadarrStatus = request.readarrStatus;
     request.readarrStatus = readarrStatus || 'pending';
     request.readarrMessage = readarrMessage || 'Status reset by admin';
+    request.addEvent('readarr-reset', request.readarrMessage, {
+      actor: req.user.id,
+      data: { from: previousReadarrStatus, to: request.readarrStatus }
+    });
     
     // If there was an error, clear it to try again
     if (request.readarrStatus === 'pending') {
@@ -500,19 +754,39 @@ exports.resetReadarrStatus = async (req, res) => {
     await request.save();
     res.json(request);
   } catch (err) {
-    console.error('Error resetting Readarr status:', err);
+    log.error(`Error resetting Readarr status: ${err.message}`);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
-// Mark book as externally downloaded
-exports.markExternallyDownloaded = async (req, res) => {
+// Search Readarr again for an added or stalled request
+exports.searchRequest = async (req, res) => {
   try {
-    // Only admin can update request status
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    const request = await Request.findById(req.params.id).populate('readarrInstance');
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
     }
 
+    if (request.status !== 'approved' || !request.readarrId || !['added', 'stalled'].includes(request.readarrStatus)) {
+      return res.status(400).json({ message: 'Only approved requests waiting for a release can be searched' });
+    }
+
+    await searchRetryService.searchNow(request, req.user.id);
+
+    const updated = await Request.findById(request._id)
+      .populate('user', 'username email')
+      .populate('history.actor', 'username')
+      .populate('readarrInstance', 'name slug');
+    res.json(updated);
+  } catch (err) {
+    log.error(`Error searching Readarr: ${err.message}`);
+    res.status(500).json({ message: 'Failed to start Readarr search', error: err.message });
+  }
+};
+
+// Mark book as externally downloaded
+exports.markExternallyDownloaded = async (req, res) => {
+  try {
     const { id } = req.params;
     const { notes } = req.body;
 
@@ -525,43 +799,55 @@ exports.markExternallyDownloaded = async (req, res) => {
     request.status = 'available';
     request.readarrStatus = 'externally-downloaded';
     request.readarrMessage = notes || 'Book obtained externally and marked as available by admin';
+    request.addEvent('marked-available', 'Obtained externally and marked as available', {
+      actor: req.user.id,
+      data: { external: true, notes }
+    });
 
     await request.save();
 
-    // Send notification to user about book availability
-    try {
-      // Get user details
-      const userData = await Request.findById(id)
-        .populate('user', 'username email');
-      
-      // If you have notification service implemented, you can use it here
-      /*
-      const userNotification = {
-        title: 'Book Now Available',
-        body: `Your requested book "${request.title}" is now available in the library.`,
-        icon: '/icon-192x192.png',
-        badge: '/badge-72x72.png',
-        data: {
-          url: '/requests',
-          requestId: request._id.toString(),
-          type: 'book-available'
-        }
-      };
-      
-      await notificationService.sendUserNotification(
-        userData.user._id, 
-        userNotification
-      );
-      */
-      
-      console.log(`Book marked as available: ${request.title} for user ${userData.user.username}`);
-    } catch (notifyError) {
-      console.error('Failed to send book availability notification:', notifyError);
-    }
+    log(`Request ${request._id} ("${request.title}") marked as available externally by ${req.user.id}`);
 
     res.json(request);
   } catch (err) {
-    console.error('Error marking as externally downloaded:', err);
+    log.error(`Error marking as externally downloaded: ${err.message}`);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Start a bulk action on many requests, processed as a tracked run
+exports.startBulkAction = async (req, res) => {
+  try {
+    const { action, ids, denialReason, notes } = req.body;
+    const run = await bulkRequestService.start({
+      action,
+      ids,
+      actorId: req.user.id,
+      denialReason,
+      notes
+    });
+
+    res.status(202).json(run);
+  } catch (err) {
+    if (err.code === 'INVALID_BULK_ACTION') {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error(`Error starting bulk action: ${err.message}`);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// Get the progress and per-request results of a bulk run
+exports.getBulkRun = async (req, res) => {
+  try {
+    const run = await bulkRequestService.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ message: 'Bulk run not found' });
+    }
+
+    res.json(run);
+  } catch (err) {
+    log.error(`Error getting bulk run: ${err.message}`);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,139 @@
+// controllers/roleController.js
+const Role = require('../models/Role');
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+const eventService = require('../services/eventService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('roles', { file: 'auth.log' });
+
+// Fields an admin can set on a role; the name is fixed once created
+const EDITABLE_FIELDS = ['description', 'permissions'];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+// Permissions in `permissions` that the signed-in user doesn't have
+const missingPermissions = (req, permissions) =>
+  permissions.filter(permission => !req.user.permissions.includes(permission));
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A role with this name already exists' });
+  }
+  log.error(`Error saving role: ${error.message}`);
+  return res.status(500).json({ message: 'Error saving role', error: error.message });
+};
+
+/**
+ * List roles with the number of users holding each, and every permission a role can grant
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const userCounts = new Map(counts.map(item => [item._id, item.count]));
+
+    res.json({
+      permissions: Role.PERMISSIONS,
+      roles: roles.map(role => ({ ...role, userCount: userCounts.get(role.name) || 0 }))
+    });
+  } catch (error) {
+    log.error(`Error getting roles: ${error.message}`);
+    res.status(500).json({ message: 'Error getting roles', error: error.message });
+  }
+};
+
+/**
+ * Add a role. Users can't grant permissions they don't have themselves.
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const missing = missingPermissions(req, req.body.permissions === undefined ? [] : toArray(req.body.permissions));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: `You can't grant permissions you don't have: ${missing.join(', ')}` });
+    }
+
+    const role = new Role({ name: req.body.name, ...pickEditableFields(req.body) });
+    await role.save();
+    roleService.clearCache();
+
+    res.status(201).json({ ...role.toObject(), userCount: 0 });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Update a role's description or permissions
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.name === roleService.ADMIN_ROLE && req.body.permissions !== undefined) {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+
+    // Changing a role's permissions needs every permission it had and will have
+    if (req.body.permissions !== undefined) {
+      const missing = missingPermissions(req, [...new Set([...role.permissions, ...toArray(req.body.permissions)])]);
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `You can't change permissions you don't have: ${missing.join(', ')}` });
+      }
+    }
+
+    role.set(pickEditableFields(req.body));
+    role.updatedAt = Date.now();
+    await role.save();
+    roleService.clearCache();
+    if (req.body.permissions !== undefined) eventService.disconnectRole(role.name);
+
+    const userCount = await User.countDocuments({ role: role.name });
+    res.json({ ...role.toObject(), userCount });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.builtIn) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ message: `Role is assigned to ${userCount} user(s); assign them another role first` });
+    }
+
+    await role.deleteOne();
+    roleService.clearCache();
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    log.error(`Error deleting role: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting role', error: error.message });
+  }
+};
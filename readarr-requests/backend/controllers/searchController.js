@@ -2,23 +2,13 @@
 const googleBooksAPI = require('../config/googleBooks');
 const openLibraryAPI = require('../config/openLibrary');
 const readarrAPI = require('../config/readarr');
-const fs = require('fs');
-const path = require('path');
+const ReadarrInstance = require('../models/ReadarrInstance');
+const matching = require('../utils/matching');
+const readarrInstanceService = require('../services/readarrInstanceService');
+const sharedRequestService = require('../services/sharedRequestService');
+const { createLogger } = require('../utils/logger');
 
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/search.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+const log = createLogger('search');
 
 /**
  * Calculate similarity between two strings (0-1)
@@ -212,6 +202,11 @@ exports.searchBooks = async (req, res) => {
       log(`Combined results: ${results.combined.length} books after deduplication and sorting`);
     }
     
+    // Show how many users already asked for each book
+    for (const key of Object.keys(results)) {
+      results[key] = await sharedRequestService.annotateBooks(results[key]);
+    }
+
     // Create response data
     const responseData = {
       query,
@@ -223,7 +218,7 @@ exports.searchBooks = async (req, res) => {
     
     res.json(responseData);
   } catch (err) {
-    log(`Error searching books: ${err.message}`);
+    log.error(`Error searching books: ${err.message}`);
     console.error('Error searching books:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -254,7 +249,7 @@ exports.getBookDetails = async (req, res) => {
     
     res.json(bookDetails);
   } catch (err) {
-    log(`Error getting book details: ${err.message}`);
+    log.error(`Error getting book details: ${err.message}`);
     console.error('Error getting book details:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -292,7 +287,7 @@ exports.searchBooksByAuthor = async (req, res) => {
       books
     });
   } catch (err) {
-    log(`Error searching books by author: ${err.message}`);
+    log.error(`Error searching books by author: ${err.message}`);
     console.error('Error searching books by author:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -325,7 +320,7 @@ exports.getAuthorInfo = async (req, res) => {
     
     res.json(authorInfo);
   } catch (err) {
-    log(`Error getting author information: ${err.message}`);
+    log.error(`Error getting author information: ${err.message}`);
     console.error('Error getting author information:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -336,7 +331,7 @@ exports.getAuthorInfo = async (req, res) => {
  */
 exports.addBookFromMetadata = async (req, res) => {
   try {
-    const { bookId, source } = req.body;
+    const { bookId, source, format = 'ebook' } = req.body;
     
     if (!bookId || !source) {
       return res.status(400).json({ message: 'Book ID and source are required' });
@@ -387,8 +382,23 @@ exports.addBookFromMetadata = async (req, res) => {
       }
     };
     
+    // Route the book to a Readarr instance the same way requests are routed
+    const instance = await readarrInstanceService.resolveInstance({
+      format,
+      language: bookDetails.language,
+      genres: bookDetails.genres,
+      user: req.user.id
+    });
+
+    if (!instance) {
+      return res.status(400).json({ message: 'No Readarr instance matches this book' });
+    }
+
     // Add the book to Readarr
-    const result = await readarrAPI.addBook(bookData);
+    const result = await readarrAPI.addBook(bookData, {
+      instance,
+      profiles: instance.defaults || {}
+    });
     
     res.json({
       success: true,
@@ -396,7 +406,7 @@ exports.addBookFromMetadata = async (req, res) => {
       bookDetails: result
     });
   } catch (err) {
-    log(`Error adding book from metadata: ${err.message}`);
+    log.error(`Error adding book from metadata: ${err.message}`);
     console.error('Error adding book from metadata:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -407,81 +417,33 @@ exports.addBookFromMetadata = async (req, res) => {
  */
 exports.searchReadarr = async (req, res) => {
   try {
-    const { title, author } = req.query;
+    const { title, author, format, instance: instanceId } = req.query;
     
     if (!title && !author) {
       return res.status(400).json({ message: 'Title or author is required' });
     }
     
     log(`Direct Readarr search: title="${title}", author="${author}"`);
-    
-    // First search for the exact author
-    let authorResults = [];
-    let bookResults = [];
-    
-    if (author) {
-      const authorResponse = await readarrAPI.get(`/api/v1/author/lookup?term=${encodeURIComponent(author)}`);
-      authorResults = authorResponse.data || [];
-      
-      log(`Found ${authorResults.length} author matches in Readarr`);
-      
-      // Find exact author match
-      const exactAuthorMatch = authorResults.find(a => 
-        a.authorName.toLowerCase() === author.toLowerCase());
-      
-      if (exactAuthorMatch && title) {
-        // If we have an exact author match and a title, search for books
-        try {
-          const bookSearchResponse = await readarrAPI.get(`/api/v1/book/lookup`, {
-            params: {
-              term: title
-            }
-          });
-          
-          bookResults = bookSearchResponse.data || [];
-          log(`Found ${bookResults.length} book matches in Readarr`);
-          
-          // Filter book results to this author
-          bookResults = bookResults.filter(book => 
-            book.authorName && book.authorName.toLowerCase() === author.toLowerCase());
-          
-          log(`After filtering for author, found ${bookResults.length} matching books`);
-        } catch (bookError) {
-          log(`Error searching for books: ${bookError.message}`);
-        }
-      }
-    } else if (title) {
-      // Search by title only
-      const bookSearchResponse = await readarrAPI.get(`/api/v1/book/lookup`, {
-        params: {
-          term: title
-        }
-      });
-      
-      bookResults = bookSearchResponse.data || [];
-      log(`Found ${bookResults.length} book matches in Readarr for title: "${title}"`);
+
+    // Search the requested instance, or the one a request in this format would go to
+    const instance = instanceId
+      ? await ReadarrInstance.findOne({ _id: instanceId, enabled: true })
+      : await readarrInstanceService.resolveInstance({ format: format || 'ebook' });
+    if (!instance) {
+      return res.status(400).json({ success: false, message: 'No Readarr instance configured' });
     }
+
+    const { authors, books } = await readarrAPI.lookupCandidates({ title, author }, instance);
     
     return res.json({
       success: true,
       query: { title, author },
-      authorResults: authorResults.map(a => ({
-        id: a.id,
-        name: a.authorName,
-        titleSlug: a.titleSlug,
-        bookCount: a.bookCount || 0
-      })),
-      bookResults: bookResults.map(b => ({
-        id: b.id,
-        title: b.title,
-        author: b.authorName,
-        year: b.releaseDate ? new Date(b.releaseDate).getFullYear() : null,
-        titleSlug: b.titleSlug,
-        foreignBookId: b.foreignBookId
-      }))
+      instance: { _id: instance._id, name: instance.name },
+      authorResults: authors,
+      bookResults: books.map(b => ({ ...b, author: b.authorName }))
     });
   } catch (error) {
-    log(`Error in direct Readarr search: ${error.message}`);
+    log.error(`Error in direct Readarr search: ${error.message}`);
     return res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -508,16 +470,22 @@ function combineAndDeduplicate(googleBooks, openLibraryBooks, query) {
     }))
   ];
   
-  // Basic deduplication by title and author
+  // Deduplicate editions of the same book, which the sources spell differently
+  // ("The Hobbit" by "J.R.R. Tolkien" vs "Hobbit (Lord of the Rings)" by "Tolkien, J. R. R.")
   const seen = new Map();
   const results = [];
   
   for (const book of combinedBooks) {
-    const key = `${book.title}|${book.author}`.toLowerCase();
+    const key = `${matching.normalizeTitle(book.title)}|${matching.normalizeAuthor(book.author)}`;
     
+    let existingIndex = seen.get(key);
+    if (existingIndex === undefined) {
+      existingIndex = results.findIndex(existing => matching.compareBooks(existing, book).isMatch);
+    }
+
     // If we've seen this book before and the current book has a higher score, replace it
-    if (seen.has(key)) {
-      const existingIndex = seen.get(key);
+    if (existingIndex !== -1) {
+      seen.set(key, existingIndex);
       if (book.relevanceScore > results[existingIndex].relevanceScore) {
         results[existingIndex] = book;
       }
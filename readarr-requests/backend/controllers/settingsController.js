@@ -0,0 +1,56 @@
+// controllers/settingsController.js
+const Settings = require('../models/Settings');
+const quotaService = require('../services/quotaService');
+const roleService = require('../services/roleService');
+
+// Quotas for every role, with empty entries for roles that have none yet
+const getRoleQuotas = async (settings) => {
+  const quotas = {};
+  for (const role of await roleService.listRoleNames()) {
+    const quota = settings.quotas?.get(role);
+    quotas[role] = quota ? quota.toObject() : {};
+  }
+  return quotas;
+};
+
+/**
+ * Get the request quotas of each role
+ */
+exports.getQuotas = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    res.json(await getRoleQuotas(settings));
+  } catch (error) {
+    console.error('Error getting quotas:', error);
+    res.status(500).json({ message: 'Error getting quotas', error: error.message });
+  }
+};
+
+/**
+ * Update the request quotas of one or more roles
+ */
+exports.updateQuotas = async (req, res) => {
+  try {
+    const roles = await roleService.listRoleNames();
+    const settings = await Settings.getSettings();
+
+    for (const [role, quota] of Object.entries(req.body)) {
+      if (!roles.includes(role)) {
+        return res.status(400).json({ message: `Unknown role: ${role}` });
+      }
+      settings.quotas.set(role, quotaService.sanitizeQuota(quota));
+    }
+
+    settings.updatedAt = Date.now();
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json(await getRoleQuotas(settings));
+  } catch (error) {
+    if (error.code === 'INVALID_QUOTA') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating quotas:', error);
+    res.status(500).json({ message: 'Error updating quotas', error: error.message });
+  }
+};
@@ -0,0 +1,138 @@
+// controllers/userController.js
+const User = require('../models/User');
+const quotaService = require('../services/quotaService');
+const userService = require('../services/userService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('users', { file: 'auth.log' });
+
+const USER_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  INVALID_USER_CHANGE: 400
+};
+
+const sendUserError = (res, error, action) => {
+  if (USER_ERROR_STATUS[error.code]) {
+    return res.status(USER_ERROR_STATUS[error.code]).json({ message: error.message });
+  }
+  log.error(`Error ${action}: ${error.message}`);
+  return res.status(500).json({ message: `Error ${action}`, error: error.message });
+};
+
+/**
+ * List users with their request counts, quota, last login and push subscription count
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const users = await userService.listUsers();
+    res.json(users);
+  } catch (error) {
+    log.error(`Error getting users: ${error.message}`);
+    res.status(500).json({ message: 'Error getting users', error: error.message });
+  }
+};
+
+/**
+ * Get a user's quota and how much of it they have used
+ */
+exports.getUserQuota = async (req, res) => {
+  try {
+    const usage = await quotaService.getUsage(req.params.id);
+    res.json(usage);
+  } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+    log.error(`Error getting user quota: ${error.message}`);
+    res.status(500).json({ message: 'Error getting user quota', error: error.message });
+  }
+};
+
+/**
+ * Override a user's quota. Empty fields fall back to the role's quota.
+ */
+exports.updateUserQuota = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.quotaOverride = quotaService.sanitizeQuota(req.body);
+    await user.save();
+
+    const usage = await quotaService.getUsage(user._id);
+    res.json({ quotaOverride: user.quotaOverride, usage });
+  } catch (error) {
+    if (error.code === 'INVALID_QUOTA') {
+      return res.status(400).json({ message: error.message });
+    }
+    log.error(`Error updating user quota: ${error.message}`);
+    res.status(500).json({ message: 'Error updating user quota', error: error.message });
+  }
+};
+
+/**
+ * Assign a user a role
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const user = await userService.changeRole(req.user, req.params.id, req.body.role);
+    res.json(user);
+  } catch (error) {
+    sendUserError(res, error, 'updating user role');
+  }
+};
+
+/**
+ * Set a new password for a user
+ */
+exports.resetUserPassword = async (req, res) => {
+  try {
+    await userService.resetPassword(req.user, req.params.id, req.body.password);
+    res.json({ message: 'Password reset' });
+  } catch (error) {
+    sendUserError(res, error, 'resetting password');
+  }
+};
+
+/**
+ * Disable or enable a user's login
+ */
+exports.updateUserStatus = async (req, res) => {
+  try {
+    if (typeof req.body.disabled !== 'boolean') {
+      return res.status(400).json({ message: 'disabled must be true or false' });
+    }
+
+    const user = await userService.setDisabled(req.user, req.params.id, req.body.disabled);
+    res.json(user);
+  } catch (error) {
+    sendUserError(res, error, 'updating user status');
+  }
+};
+
+/**
+ * Let a user waiting for approval sign in
+ */
+exports.approveUser = async (req, res) => {
+  try {
+    const user = await userService.approveUser(req.user, req.params.id);
+    res.json(user);
+  } catch (error) {
+    sendUserError(res, error, 'approving user');
+  }
+};
+
+/**
+ * Delete a user and the requests they made that nobody else follows
+ */
+exports.deleteUser = async (req, res) => {
+  try {
+    const result = await userService.deleteUser(req.user, req.params.id);
+    res.json({ message: 'User deleted', ...result });
+  } catch (error) {
+    sendUserError(res, error, 'deleting user');
+  }
+};
@@ -1,24 +1,11 @@
 // controllers/webhookController.js
 const Request = require('../models/Request');
+const readarrInstanceService = require('../services/readarrInstanceService');
 const calibreAPI = require('../config/calibreAPI');
 const notificationService = require('../services/notificationService');
-const fs = require('fs');
-const path = require('path');
+const { createLogger, redact, runWithContext } = require('../utils/logger');
 
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/webhooks.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+const log = createLogger('webhooks');
 
 exports.validateWebhook = (req, res, next) => {
   // Get webhook secret from header or query parameter
@@ -26,7 +13,10 @@ exports.validateWebhook = (req, res, next) => {
   
   // Check if secret is valid
   if (secret !== process.env.WEBHOOK_SECRET) {
-    log(`Invalid webhook secret: ${secret}`);
+    // Never log the secret that was sent; it may be a near miss of the real one
+    log.warn(`Rejected webhook with ${secret ? 'an invalid' : 'no'} secret: ${req.method} ${req.originalUrl}`, {
+      ip: req.ip
+    });
     return res.status(403).json({ message: 'Invalid webhook secret' });
   }
   
@@ -36,173 +26,537 @@ exports.validateWebhook = (req, res, next) => {
   next();
 };
 
+/**
+ * Run a handler step for each request, with everything it logs tagged with
+ * the request so it shows up in the request's log view
+ * @param {Array} requests - Request documents
+ * @param {Function} fn - Async function taking one request
+ */
+const forEachRequest = async (requests, fn) => {
+  for (const request of requests) {
+    await runWithContext({ request: request._id.toString() }, () => fn(request));
+  }
+};
+
+// Readarr sends a single book or a list of books depending on the event
+const getEventBooks = (event) => {
+  if (Array.isArray(event.books)) return event.books;
+  return event.book ? [event.book] : [];
+};
+
+// Path of the imported file across the different import payload shapes
+const getImportedFilePath = (event) => {
+  if (Array.isArray(event.bookFiles) && event.bookFiles.length > 0) {
+    return event.bookFiles[0].path;
+  }
+  return event.bookFile?.path || event.importedBook?.path || null;
+};
+
+/**
+ * Find requests tracking any of the given Readarr books.
+ * Book IDs are only unique within one Readarr instance, so matching is scoped to it.
+ * @param {Array} books - Books from the webhook payload
+ * @param {Array} statuses - Request statuses to include
+ * @param {Object} instance - Instance that sent the webhook
+ */
+const findRequestsForBooks = async (books, statuses, instance) => {
+  const bookIds = books.filter(book => book.id).map(book => book.id.toString());
+  if (bookIds.length === 0) return [];
+
+  return Request.find({
+    readarrId: { $in: bookIds },
+    readarrInstance: instance._id,
+    status: { $in: statuses }
+  }).populate('user', 'username');
+};
+
+/**
+ * Send a push notification to the user who made the request and its followers
+ */
+const notifyRequestUser = async (request, title, body, type) => {
+  try {
+    const result = await notificationService.sendRequestNotification(request, {
+      title,
+      body,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/requests',
+        requestId: request._id.toString(),
+        bookId: request.bookId,
+        type
+      }
+    });
+
+    if (result.success) {
+      request.addEvent('notification-sent', `User notified: ${title}`, {
+        data: { audience: 'user', results: result.results }
+      });
+    }
+  } catch (error) {
+    log.error(`Error sending user notification: ${error.message}`);
+    // Don't fail the webhook if notification fails
+  }
+};
+
+/**
+ * Send a push notification to all admins
+ */
+const notifyAdmins = async (title, body, type) => {
+  try {
+    await notificationService.sendAdminNotification({
+      title,
+      body,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/admin/requests',
+        type
+      }
+    });
+  } catch (error) {
+    log.error(`Error sending admin notification: ${error.message}`);
+  }
+};
+
+/**
+ * Tag the book in Calibre for the requesting user
+ * @returns {boolean} - Whether tagging succeeded
+ */
+const tagInCalibre = async (request, filePath) => {
+  // Calibre only holds ebooks
+  if (request.format === 'audiobook') {
+    return false;
+  }
+
+  try {
+    const metadataResult = await calibreAPI.updateBookMetadata(filePath, {
+      user: request.user.username,
+      userId: request.user._id.toString(),
+      title: request.title,
+      author: request.author
+    });
+
+    log(`Metadata updated successfully: ${JSON.stringify(metadataResult)}`);
+    request.addEvent('calibre-tagged', `Tagged for ${request.user.username} in Calibre`, {
+      data: { filePath, calibreBookId: metadataResult.bookId }
+    });
+    return true;
+  } catch (metadataError) {
+    log.error(`Error updating metadata: ${metadataError.message}`);
+    request.addEvent('calibre-tag-failed', `Calibre tagging failed: ${metadataError.message}`, {
+      data: { filePath, error: metadataError.message }
+    });
+    request.readarrMessage = `Book downloaded but metadata update failed: ${metadataError.message}`;
+    return false;
+  }
+};
+
+// Grab: a release was sent to the download client
+const handleGrab = async (event, { instance }) => {
+  const books = getEventBooks(event);
+  log(`Book grab initiated: ${books.map(b => b.title).join(', ') || 'Unknown'}`);
+
+  const requests = await findRequestsForBooks(books, ['approved'], instance);
+
+  await forEachRequest(requests, async (request) => {
+    request.readarrStatus = 'downloading';
+    request.readarrMessage = `Downloading${event.release?.releaseTitle ? `: ${event.release.releaseTitle}` : ''}`;
+    request.addEvent('grabbed', `Release grabbed${event.release?.releaseTitle ? `: ${event.release.releaseTitle}` : ''}`, {
+      data: {
+        releaseTitle: event.release?.releaseTitle,
+        indexer: event.release?.indexer,
+        quality: event.release?.quality,
+        size: event.release?.size,
+        downloadClient: event.downloadClient,
+        downloadId: event.downloadId
+      }
+    });
+
+    await notifyRequestUser(
+      request,
+      'Book Downloading',
+      `Your requested book "${request.title}" is being downloaded.`,
+      'request-downloading'
+    );
+    await request.save();
+  });
+
+  return {
+    message: 'Grab event processed',
+    event: 'grab',
+    requestsUpdated: requests.length
+  };
+};
+
+// Upgrade: a better release replaced an existing file
+const handleUpgrade = async (event, { instance }) => {
+  const books = getEventBooks(event);
+  const filePath = getImportedFilePath(event);
+  log(`Book upgrade imported: ${books.map(b => b.title).join(', ') || 'Unknown'}`);
+
+  const requests = await findRequestsForBooks(books, ['approved', 'available'], instance);
+
+  await forEachRequest(requests, async (request) => {
+    const wasAvailable = request.status === 'available';
+
+    request.addEvent('upgraded', 'Book file upgraded to a better release', {
+      data: { filePath, previousFilePath: request.filePath }
+    });
+    request.status = 'available';
+    request.readarrStatus = 'downloaded';
+    request.readarrMessage = 'Book upgraded and metadata updated';
+
+    if (filePath) {
+      request.filePath = filePath;
+      await tagInCalibre(request, filePath);
+    }
+
+    if (!wasAvailable) {
+      await notifyRequestUser(
+        request,
+        'Book Available!',
+        `Your requested book "${request.title}" is now available`,
+        'book-available'
+      );
+    }
+    await request.save();
+  });
+
+  return {
+    message: 'Upgrade event processed',
+    event: 'upgrade',
+    requestsUpdated: requests.length
+  };
+};
+
+// Download/BookFileImport: a file was imported into the library
+const handleImport = async (event, context) => {
+  if (event.isUpgrade) {
+    return handleUpgrade(event, context);
+  }
+
+  const books = getEventBooks(event);
+  const bookId = books[0]?.id;
+  const bookTitle = books[0]?.title || 'Unknown';
+  const authorName = books[0]?.authorName || event.author?.name || 'Unknown';
+
+  log(`Book import detected: ${bookTitle} by ${authorName} (ID: ${bookId})`);
+
+  if (!bookId) {
+    log('Missing book ID in webhook event');
+    return { statusCode: 400, message: 'Missing book ID' };
+  }
+
+  // Find matching requests in our database
+  const requests = await findRequestsForBooks(books, ['approved'], context.instance);
+
+  if (requests.length === 0) {
+    log(`No matching request found for book ID: ${bookId}`);
+    return {
+      message: 'No matching request found',
+      bookId
+    };
+  }
+
+  const filePath = getImportedFilePath(event);
+  if (filePath) {
+    log(`Book file path: ${filePath}`);
+  } else {
+    log('No file path found in webhook event');
+  }
+
+  const results = [];
+
+  await forEachRequest(requests, async (request) => {
+    log(`Found matching request from user: ${request.user.username}`);
+
+    request.status = 'available';
+    request.readarrStatus = 'downloaded';
+    request.readarrMessage = filePath
+      ? 'Book downloaded and metadata updated'
+      : 'Book downloaded (no file path for metadata)';
+    request.addEvent('imported', `Imported by Readarr (${event.eventType})`, {
+      data: { filePath, eventType: event.eventType }
+    });
+
+    // Update Calibre metadata to include username
+    let metadataUpdated = false;
+    if (filePath) {
+      request.filePath = filePath;
+      metadataUpdated = await tagInCalibre(request, filePath);
+    }
+
+    await request.save();
+    log(`Request updated to status: ${request.status}`);
+
+    // Send notification about book availability
+    try {
+      await notificationService.sendBookAvailableNotification(
+        {
+          id: bookId,
+          title: bookTitle,
+          author: authorName
+        },
+        request
+      );
+      log(`Notification sent for book availability: ${bookTitle}`);
+      request.addEvent('notification-sent', 'User and admins notified that the book is available', {
+        data: { audience: 'user+admins' }
+      });
+      await request.save();
+    } catch (notificationError) {
+      log.error(`Error sending notification: ${notificationError.message}`);
+      // Don't fail the webhook if notification fails
+    }
+
+    results.push({
+      requestId: request._id,
+      user: request.user.username,
+      metadataUpdated
+    });
+  });
+
+  return {
+    message: 'Webhook processed successfully',
+    bookId,
+    requests: results
+  };
+};
+
+// Rename: files were renamed on disk. Paths are only matched within the
+// instance that sent the webhook, like book IDs.
+const handleRename = async (event, { instance }) => {
+  const renamedFiles = event.renamedBookFiles || [];
+  log(`Rename detected for ${renamedFiles.length} files by ${event.author?.name || 'Unknown'}`);
+
+  let updated = 0;
+
+  for (const file of renamedFiles) {
+    if (!file.previousPath || !file.path) continue;
+
+    const requests = await Request.find({ filePath: file.previousPath, readarrInstance: instance._id });
+    await forEachRequest(requests, async (request) => {
+      request.filePath = file.path;
+      request.addEvent('renamed', 'Book file renamed by Readarr', {
+        data: { previousPath: file.previousPath, path: file.path }
+      });
+      await request.save();
+      updated++;
+    });
+  }
+
+  return {
+    message: 'Rename event processed',
+    event: 'rename',
+    requestsUpdated: updated
+  };
+};
+
+// BookFileDelete: a book file was removed from disk
+const handleBookFileDelete = async (event, { instance }) => {
+  const books = getEventBooks(event);
+  const reason = event.deleteReason || 'unknown';
+  log(`Book file deleted: ${books.map(b => b.title).join(', ') || 'Unknown'} (reason: ${reason})`);
+
+  // Upgrades delete the old file before importing the new one
+  if (reason.toLowerCase() === 'upgrade') {
+    return {
+      message: 'File deleted as part of an upgrade, no changes made',
+      event: 'bookFileDelete'
+    };
+  }
+
+  const requests = await findRequestsForBooks(books, ['available'], instance);
+
+  await forEachRequest(requests, async (request) => {
+    request.status = 'approved';
+    request.readarrStatus = 'added';
+    request.readarrMessage = `Book file deleted from Readarr (${reason})`;
+    request.addEvent('file-deleted', 'Book file was deleted, waiting for a new download', {
+      data: { path: event.bookFile?.path, reason }
+    });
+    request.filePath = undefined;
+    await request.save();
+  });
+
+  if (requests.length > 0) {
+    await notifyAdmins(
+      'Requested Book File Deleted',
+      `The file for ${requests.map(r => `"${r.title}"`).join(', ')} was deleted in Readarr (${reason})`,
+      'admin-book-file-deleted'
+    );
+  }
+
+  return {
+    message: 'Book file delete event processed',
+    event: 'bookFileDelete',
+    requestsUpdated: requests.length
+  };
+};
+
+/**
+ * Mark requests as removed from Readarr
+ * @param {Array} requests - Requests whose book no longer exists in Readarr
+ * @param {boolean} filesDeleted - Whether the files were deleted too
+ * @param {string} message - Description for the history
+ */
+const markRemovedFromReadarr = async (requests, filesDeleted, message) => {
+  await forEachRequest(requests, async (request) => {
+    if (filesDeleted && request.status === 'available') {
+      request.status = 'approved';
+      request.filePath = undefined;
+    }
+    request.readarrStatus = 'removed';
+    request.readarrMessage = message;
+    request.addEvent('readarr-removed', message, {
+      data: { readarrId: request.readarrId, filesDeleted }
+    });
+    await request.save();
+  });
+};
+
+// BookDelete: a book was removed from Readarr
+const handleBookDelete = async (event, { instance }) => {
+  const books = getEventBooks(event);
+  log(`Book deleted from Readarr: ${books.map(b => b.title).join(', ') || 'Unknown'}`);
+
+  const requests = await findRequestsForBooks(books, ['approved', 'available'], instance);
+  await markRemovedFromReadarr(requests, Boolean(event.deletedFiles), 'Book was deleted from Readarr');
+
+  if (requests.length > 0) {
+    await notifyAdmins(
+      'Requested Book Deleted',
+      `${requests.map(r => `"${r.title}"`).join(', ')} was deleted from Readarr`,
+      'admin-book-deleted'
+    );
+  }
+
+  return {
+    message: 'Book delete event processed',
+    event: 'bookDelete',
+    requestsUpdated: requests.length
+  };
+};
+
+// AuthorDelete: an author and all their books were removed from Readarr
+const handleAuthorDelete = async (event, { instance }) => {
+  const authorId = event.author?.id;
+  log(`Author deleted from Readarr: ${event.author?.name || 'Unknown'} (ID: ${authorId})`);
+
+  const requests = authorId
+    ? await Request.find({
+      readarrAuthorId: authorId.toString(),
+      readarrInstance: instance._id,
+      status: { $in: ['approved', 'available'] }
+    })
+    : [];
+
+  await markRemovedFromReadarr(
+    requests,
+    Boolean(event.deletedFiles),
+    `Author ${event.author?.name || ''} was deleted from Readarr`.replace(/\s+/g, ' ')
+  );
+
+  if (requests.length > 0) {
+    await notifyAdmins(
+      'Requested Author Deleted',
+      `${event.author?.name || 'An author'} was deleted from Readarr, affecting ${requests.length} request(s)`,
+      'admin-author-deleted'
+    );
+  }
+
+  return {
+    message: 'Author delete event processed',
+    event: 'authorDelete',
+    requestsUpdated: requests.length
+  };
+};
+
+// HealthIssue: Readarr reported a problem with itself
+const handleHealthIssue = async (event, { instance }) => {
+  log(`Readarr health issue on ${instance.name} (${event.level || 'unknown'}): ${event.message}`);
+
+  await notifyAdmins(
+    `Readarr Health ${event.level === 'error' ? 'Error' : 'Warning'} (${instance.name})`,
+    event.message || 'Readarr reported a health issue',
+    'admin-readarr-health'
+  );
+
+  return {
+    message: 'Health issue event processed',
+    event: 'healthIssue'
+  };
+};
+
+// Test: sent when saving the connection in Readarr
+const handleTest = async () => {
+  log('Readarr test event received');
+
+  return {
+    message: 'Test event received',
+    event: 'test'
+  };
+};
+
+const eventHandlers = {
+  Grab: handleGrab,
+  Download: handleImport,
+  BookFileImport: handleImport,
+  Upgrade: handleUpgrade,
+  Rename: handleRename,
+  BookDelete: handleBookDelete,
+  BookFileDelete: handleBookFileDelete,
+  AuthorDelete: handleAuthorDelete,
+  HealthIssue: handleHealthIssue,
+  Test: handleTest
+};
+
 exports.processReadarrWebhook = async (req, res) => {
   try {
     const event = req.body;
-    
+    const instance = await readarrInstanceService.findWebhookInstance(req.params.instance);
+
+    if (!instance) {
+      log(`Webhook for unknown Readarr instance: ${req.params.instance || '(default)'}`);
+      return res.status(404).json({ message: 'Unknown Readarr instance' });
+    }
+
     // Log the event type
-    log(`Processing webhook event: ${JSON.stringify(event.eventType)}`);
+    log(`Processing webhook event from ${instance.name}: ${JSON.stringify(event.eventType)}`);
     
     // Check if this is a valid book event
     if (!event.eventType) {
       log('Invalid webhook: Missing eventType');
       return res.status(400).json({ message: 'Invalid webhook: Missing eventType' });
     }
-    
-    // Handle grab event (initial download)
-    if (event.eventType === 'Grab') {
-      log(`Book grab initiated: ${event.book?.title || 'Unknown'}`);
-      
-      // Nothing to do yet, but we could update request status
+
+    const handler = eventHandlers[event.eventType];
+
+    // Other event types
+    if (!handler) {
       return res.status(200).json({ 
-        message: 'Grab event processed',
-        event: 'grab'
+        message: 'Event not processed',
+        eventType: event.eventType
       });
     }
-    
-    // Handle download/import event
-    if (event.eventType === 'Download' || event.eventType === 'BookFileImport') {
-      const bookId = event.book?.id;
-      const bookTitle = event.book?.title || 'Unknown';
-      const authorName = event.book?.authorName || 'Unknown';
-      
-      log(`Book import detected: ${bookTitle} by ${authorName} (ID: ${bookId})`);
-      
-      if (!bookId) {
-        log('Missing book ID in webhook event');
-        return res.status(400).json({ message: 'Missing book ID' });
-      }
-      
-      // Find matching request in our database
-      const request = await Request.findOne({ 
-        readarrId: bookId.toString(),
-        status: 'approved'
-      }).populate('user', 'username');
-      
-      if (!request) {
-        log(`No matching request found for book ID: ${bookId}`);
-        return res.status(200).json({ 
-          message: 'No matching request found',
-          bookId
-        });
-      }
-      
-      log(`Found matching request from user: ${request.user.username}`);
-      
-      // Get file path 
-      let filePath;
-      
-      if (event.bookFile && event.bookFile.path) {
-        filePath = event.bookFile.path;
-      } else if (event.importedBook && event.importedBook.path) {
-        filePath = event.importedBook.path;
-      } else {
-        log('No file path found in webhook event');
-        return res.status(200).json({ 
-          message: 'No file path found, metadata update skipped',
-          requestId: request._id
-        });
-      }
-      
-      log(`Book file path: ${filePath}`);
-      
-      // Update Calibre metadata to include username
-      try {
-        const metadataResult = await calibreAPI.updateBookMetadata(filePath, {
-          user: request.user.username,
-          userId: request.user._id.toString()
-        });
-        
-        log(`Metadata updated successfully: ${JSON.stringify(metadataResult)}`);
-        
-        // Update request status
-        request.status = 'available';
-        request.readarrStatus = 'downloaded';
-        request.readarrMessage = 'Book downloaded and metadata updated';
-        await request.save();
-        
-        log(`Request updated to status: ${request.status}`);
-        
-        // Send notification about book availability
-        try {
-          await notificationService.sendBookAvailableNotification(
-            {
-              id: bookId,
-              title: bookTitle,
-              author: authorName
-            },
-            request
-          );
-          log(`Notification sent for book availability: ${bookTitle}`);
-        } catch (notificationError) {
-          log(`Error sending notification: ${notificationError.message}`);
-          // Don't fail the webhook if notification fails
-        }
-        
-        return res.status(200).json({ 
-          message: 'Webhook processed successfully',
-          bookId,
-          requestId: request._id,
-          user: request.user.username,
-          metadataUpdated: true,
-          notificationSent: true
-        });
-      } catch (metadataError) {
-        log(`Error updating metadata: ${metadataError.message}`);
-        
-        // Still update request status but note the error
-        request.status = 'available';
-        request.readarrStatus = 'downloaded';
-        request.readarrMessage = `Book downloaded but metadata update failed: ${metadataError.message}`;
-        await request.save();
-        
-        // Still send notification despite metadata error
-        try {
-          await notificationService.sendBookAvailableNotification(
-            {
-              id: bookId,
-              title: bookTitle,
-              author: authorName
-            },
-            request
-          );
-          log(`Notification sent for book availability despite metadata error: ${bookTitle}`);
-        } catch (notificationError) {
-          log(`Error sending notification: ${notificationError.message}`);
-          // Don't fail the webhook if notification fails
-        }
-        
-        return res.status(200).json({
-          message: 'Book processed but metadata update failed',
-          bookId,
-          requestId: request._id,
-          error: metadataError.message,
-          notificationSent: true
-        });
-      }
-    }
-    
-    // Other event types
-    return res.status(200).json({ 
-      message: 'Event not processed',
-      eventType: event.eventType
-    });
+
+    const { statusCode = 200, ...result } = await handler(event, { instance });
+    return res.status(statusCode).json(result);
   } catch (error) {
-    log(`Error processing webhook: ${error.message}`);
+    log.error(`Error processing webhook: ${error.message}`);
     return res.status(500).json({ message: 'Error processing webhook', error: error.message });
   }
 };
 
 // Handle test webhook for debugging
 exports.testWebhook = (req, res) => {
-  log('Test webhook received');
-  log(`Headers: ${JSON.stringify(req.headers)}`);
-  log(`Body: ${JSON.stringify(req.body)}`);
+  log('Test webhook received', { headers: req.headers, body: req.body });
   
   return res.status(200).json({ 
     message: 'Test webhook received successfully',
     timestamp: new Date().toISOString(),
-    headers: req.headers,
+    headers: redact(req.headers),
     body: req.body
   });
 };
\ No newline at end of file
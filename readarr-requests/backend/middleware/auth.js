@@ -1,7 +1,9 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authService = require('../services/authService');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -11,11 +13,33 @@ module.exports = function(req, res, next) {
   }
 
   // Verify token
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
   }
-};
\ No newline at end of file
+
+  // Tokens outlive account changes, so check the account is still active and
+  // the token was issued after the last password change
+  try {
+    const user = await User.findById(decoded.user.id).select('disabled pendingApproval passwordChangedAt').lean();
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+    if (user.disabled) {
+      return res.status(401).json({ message: 'This account has been disabled' });
+    }
+    if (user.pendingApproval) {
+      return res.status(401).json({ message: 'This account is waiting for approval' });
+    }
+    if (authService.isTokenStale(decoded, user)) {
+      return res.status(401).json({ message: 'Password changed, please log in again' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = decoded.user;
+  next();
+};
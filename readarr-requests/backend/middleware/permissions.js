@@ -0,0 +1,57 @@
+// middleware/permissions.js
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+
+/**
+ * Load the signed-in user's current role and permissions onto req.user.
+ * The token's role can be stale, so the role is always read from the database.
+ * Use after auth.
+ */
+const loadPermissions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('role');
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    req.user.role = user.role;
+    req.user.permissions = await roleService.getPermissions(user.role);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only let users whose role grants every listed permission through.
+ * Use after auth.
+ * @param {...string} permissions
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  loadPermissions(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!permissions.every(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    next();
+  });
+};
+
+/**
+ * Only let users whose role grants at least one of the listed permissions through.
+ * Use after auth.
+ * @param {...string} permissions
+ */
+const requireAnyPermission = (...permissions) => (req, res, next) => {
+  loadPermissions(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!permissions.some(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    next();
+  });
+};
+
+module.exports = { loadPermissions, requirePermission, requireAnyPermission };
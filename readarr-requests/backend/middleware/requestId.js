@@ -0,0 +1,14 @@
+// middleware/requestId.js
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/logger');
+
+// Tag each request with an ID that every log line it causes carries.
+// An ID set by a proxy in front of the app is reused.
+module.exports = function(req, res, next) {
+  const incoming = req.header('x-request-id');
+  const requestId = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithContext({ requestId }, next);
+};
@@ -0,0 +1,112 @@
+// models/AutoApprovalRule.js
+const mongoose = require('mongoose');
+
+// Request attributes an auto-approval condition can check
+const CONDITION_FIELDS = ['user', 'role', 'author-in-library', 'genre', 'year', 'quota-headroom'];
+
+// One check a request must pass. `values` is used by user, role and genre;
+// `min`/`max` by year, and `min` by quota-headroom (requests left after this one).
+const ConditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: CONDITION_FIELDS,
+    required: true
+  },
+  values: {
+    type: [String],
+    default: []
+  },
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  }
+}, { _id: false });
+
+const AutoApprovalRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lower numbers are evaluated first; the first matching rule approves the request
+  priority: {
+    type: Number,
+    default: 100
+  },
+  // All conditions must pass
+  conditions: {
+    type: [ConditionSchema],
+    default: []
+  },
+  // Times the rule has approved a request
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const inRange = (value, min, max) => {
+  if (value === null || value === undefined) return false;
+  if (min !== null && min !== undefined && value < min) return false;
+  if (max !== null && max !== undefined && value > max) return false;
+  return true;
+};
+
+/**
+ * Whether a request passes every condition of this rule. A rule without conditions never matches.
+ * @param {Object} context - { user: [id, username], role, genres, year, authorInLibrary, quotaRemaining }
+ */
+AutoApprovalRuleSchema.methods.matches = function(context) {
+  if (this.conditions.length === 0) return false;
+
+  return this.conditions.every(condition => {
+    const values = condition.values.map(value => value.toLowerCase());
+
+    switch (condition.field) {
+      case 'user':
+        return (context.user || []).some(user => values.includes(String(user).toLowerCase()));
+      case 'role':
+        return Boolean(context.role) && values.includes(context.role.toLowerCase());
+      case 'genre':
+        return (context.genres || []).some(genre => values.includes(genre.toLowerCase()));
+      case 'author-in-library':
+        return Boolean(context.authorInLibrary);
+      case 'year':
+        return inRange(context.year, condition.min, condition.max);
+      case 'quota-headroom':
+        // Users without a request limit always have headroom
+        return context.quotaRemaining === null || inRange(context.quotaRemaining, condition.min, null);
+      default:
+        return false;
+    }
+  });
+};
+
+/**
+ * Whether any condition needs a given field, so expensive checks can be skipped
+ * @param {string} field
+ */
+AutoApprovalRuleSchema.methods.uses = function(field) {
+  return this.conditions.some(condition => condition.field === field);
+};
+
+AutoApprovalRuleSchema.statics.CONDITION_FIELDS = CONDITION_FIELDS;
+
+module.exports = mongoose.model('AutoApprovalRule', AutoApprovalRuleSchema);
@@ -0,0 +1,86 @@
+// models/Invite.js
+const mongoose = require('mongoose');
+
+// A code admins hand out so someone can register, with the role and quota they get
+const InviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Role given to users who register with the code
+  role: {
+    type: String,
+    default: 'user'
+  },
+  // Quota override given to users who register with the code
+  quotaOverride: {
+    maxRequests: Number,
+    periodDays: Number,
+    maxPending: Number
+  },
+  // Registrations allowed with the code
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // No expiry when unset
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Query matching invites that can still be used
+ * @param {Date} now
+ */
+InviteSchema.statics.usableQuery = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    $expr: { $lt: ['$uses', '$maxUses'] }
+  };
+};
+
+/**
+ * Whether the invite is used up, expired, revoked or still usable
+ * @returns {string} - 'active', 'used', 'expired' or 'revoked'
+ */
+InviteSchema.methods.getStatus = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.uses >= this.maxUses) return 'used';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+module.exports = mongoose.model('Invite', InviteSchema);
@@ -0,0 +1,51 @@
+// models/JobRun.js
+const mongoose = require('mongoose');
+
+// Keep run history for 30 days
+const RUN_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'error'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Item counts for runs that work through a list, updated while running
+  progress: {
+    total: Number,
+    processed: Number,
+    succeeded: Number,
+    failed: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_SECONDS });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
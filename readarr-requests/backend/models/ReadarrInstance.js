@@ -0,0 +1,156 @@
+// models/ReadarrInstance.js
+const mongoose = require('mongoose');
+
+// Request attributes a routing rule can match on
+const RULE_FIELDS = ['format', 'language', 'genre', 'user'];
+
+// A request matches a rule when its value for `field` is one of `values`
+const RoutingRuleSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: RULE_FIELDS,
+    required: true
+  },
+  values: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Readarr options used when adding authors and books to this instance
+const ReadarrDefaultsSchema = new mongoose.Schema({
+  qualityProfileId: {
+    type: Number
+  },
+  metadataProfileId: {
+    type: Number
+  },
+  rootFolderPath: {
+    type: String
+  }
+}, { _id: false });
+
+const HealthSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['unknown', 'ok', 'warning', 'error'],
+    default: 'unknown'
+  },
+  checkedAt: {
+    type: Date
+  },
+  version: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  // Issues reported by Readarr's own health check
+  issues: {
+    type: [{
+      type: { type: String },
+      source: String,
+      message: String
+    }],
+    default: []
+  }
+}, { _id: false });
+
+const ReadarrInstanceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Used in the webhook URL (/api/webhooks/readarr/<slug>)
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  apiKey: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Used when no other instance's rules match a request
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Lower numbers are evaluated first
+  priority: {
+    type: Number,
+    default: 100
+  },
+  // All rules must match for a request to be routed here
+  rules: {
+    type: [RoutingRuleSchema],
+    default: []
+  },
+  defaults: {
+    type: ReadarrDefaultsSchema,
+    default: () => ({})
+  },
+  health: {
+    type: HealthSchema,
+    default: () => ({})
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Whether a request matches every routing rule of this instance
+ * @param {Object} attributes - { format, language, genres, user }
+ */
+ReadarrInstanceSchema.methods.matches = function(attributes) {
+  return this.rules.every(rule => {
+    const values = rule.values.map(value => value.toLowerCase());
+    if (values.length === 0) return true;
+
+    switch (rule.field) {
+      case 'format':
+        return values.includes((attributes.format || 'ebook').toLowerCase());
+      case 'language':
+        return Boolean(attributes.language) && values.includes(attributes.language.toLowerCase());
+      case 'genre':
+        return (attributes.genres || []).some(genre => values.includes(genre.toLowerCase()));
+      case 'user':
+        return (attributes.user || []).some(user => values.includes(String(user).toLowerCase()));
+      default:
+        return false;
+    }
+  });
+};
+
+/**
+ * Instance without its API key, for sending to the frontend
+ */
+ReadarrInstanceSchema.methods.toSafeJSON = function() {
+  const instance = this.toObject();
+  instance.hasApiKey = Boolean(instance.apiKey);
+  delete instance.apiKey;
+  return instance;
+};
+
+ReadarrInstanceSchema.statics.RULE_FIELDS = RULE_FIELDS;
+
+module.exports = mongoose.model('ReadarrInstance', ReadarrInstanceSchema);
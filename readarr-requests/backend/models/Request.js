@@ -1,5 +1,147 @@
 // models/Request.js
 const mongoose = require('mongoose');
+const eventService = require('../services/eventService');
+
+// Lifecycle events recorded in a request's history
+const EVENT_TYPES = [
+  'created',
+  'approved',
+  'denied',
+  'status-changed',
+  'readarr-add-attempt',
+  'readarr-author-added',
+  'readarr-book-found',
+  'readarr-book-added',
+  'readarr-error',
+  'readarr-reset',
+  'search-triggered',
+  'grabbed',
+  'download-failed',
+  'imported',
+  'calibre-tagged',
+  'calibre-tag-failed',
+  'notification-sent',
+  'marked-available',
+  'upgraded',
+  'renamed',
+  'file-deleted',
+  'readarr-removed',
+  'needs-match',
+  'match-selected',
+  'auto-approved',
+  'followed',
+  'unfollowed',
+  'edited',
+  'owner-changed',
+  'search-retried',
+  'stalled'
+];
+
+// Events shown to the requesting user (without actor or payload details)
+const USER_VISIBLE_EVENTS = [
+  'created',
+  'approved',
+  'denied',
+  'grabbed',
+  'imported',
+  'marked-available',
+  'upgraded',
+  'file-deleted',
+  'edited'
+];
+
+// Which edition the requester would like, when there is a choice
+const EDITION_PREFERENCES = ['any', 'original', 'latest'];
+
+// Reasons an admin can pick from when denying a request
+const DENIAL_REASONS = [
+  'Already in the library',
+  'Not available in the requested format',
+  'Not released yet',
+  'Could not find a reliable source',
+  'Outside what this library collects'
+];
+
+// Message in the thread between the requester and admins
+const CommentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Kept so the thread can be shown without looking up each user
+  username: {
+    type: String
+  },
+  fromAdmin: {
+    type: Boolean,
+    default: false
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Another user who asked for the same book ("me too")
+const FollowerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Readarr queue entry for a book that is downloading
+const DownloadSchema = new mongoose.Schema({
+  progress: Number,
+  size: Number,
+  sizeLeft: Number,
+  timeLeft: String,
+  eta: Date,
+  status: String,
+  // ok, warning or error
+  health: String,
+  state: String,
+  indexer: String,
+  downloadClient: String,
+  protocol: String,
+  messages: [String],
+  errorMessage: String,
+  updatedAt: Date
+}, { _id: false });
+
+const RequestEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
 
 const RequestSchema = new mongoose.Schema({
   user: {
@@ -42,14 +184,207 @@ const RequestSchema = new mongoose.Schema({
   readarrId: {
     type: String
   },
+  readarrAuthorId: {
+    type: String
+  },
   readarrStatus: {
     type: String,
-    enum: ['pending', 'added', 'downloaded', 'error'],
+    enum: ['pending', 'needs-match', 'added', 'downloading', 'downloaded', 'externally-downloaded', 'removed', 'error', 'stalled'],
     default: 'pending'
   },
+  // Requested format
+  format: {
+    type: String,
+    enum: ['ebook', 'audiobook'],
+    default: 'ebook'
+  },
+  // Book details used by the Readarr instance routing rules
+  language: {
+    type: String
+  },
+  genres: {
+    type: [String],
+    default: undefined
+  },
+  // Publication year, used by auto-approval rules
+  year: {
+    type: Number
+  },
+  // Readarr instance the book was (or will be) added to; readarrId is only unique within it
+  readarrInstance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReadarrInstance'
+  },
+  // Author and book an admin picked when Readarr had no exact match
+  readarrMatch: {
+    foreignBookId: String,
+    title: String,
+    foreignAuthorId: String,
+    authorName: String,
+    authorTitleSlug: String
+  },
+  // Readarr options chosen at approval time, overriding the instance defaults
+  readarrOptions: {
+    qualityProfileId: {
+      type: Number
+    },
+    metadataProfileId: {
+      type: Number
+    },
+    rootFolderPath: {
+      type: String
+    }
+  },
+  // Path of the imported book file, kept up to date from Readarr webhooks
+  filePath: {
+    type: String
+  },
   readarrMessage: {
     type: String
+  },
+  // Automatic Readarr searches since the book was added, and when the next one is due
+  searchAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastSearchAt: {
+    type: Date
+  },
+  nextSearchAt: {
+    type: Date
+  },
+  // Live download progress from the Readarr queue, cleared when the item leaves the queue
+  download: {
+    type: DownloadSchema,
+    default: undefined
+  },
+  // Set by the requester while the request is pending
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  editionPreference: {
+    type: String,
+    enum: EDITION_PREFERENCES,
+    default: 'any'
+  },
+  // Shown to the requester when the request is denied
+  denialReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  comments: {
+    type: [CommentSchema],
+    default: []
+  },
+  // Users who joined this request instead of making their own. They are
+  // notified like the requester but do not count against their quota.
+  followers: {
+    type: [FollowerSchema],
+    default: []
+  },
+  // Requester plus followers, kept so admins can sort by demand
+  voteCount: {
+    type: Number,
+    default: 1
+  },
+  // Append-only lifecycle history, written through addEvent()
+  history: {
+    type: [RequestEventSchema],
+    default: []
   }
 });
 
+// Request lists filter by owner or status and sort newest first
+RequestSchema.index({ user: 1, createdAt: -1 });
+RequestSchema.index({ 'followers.user': 1, createdAt: -1 });
+RequestSchema.index({ status: 1, createdAt: -1 });
+RequestSchema.index({ readarrStatus: 1, createdAt: -1 });
+RequestSchema.index({ voteCount: -1, createdAt: -1 });
+// Duplicate checks and webhook/status lookups
+RequestSchema.index({ bookId: 1, format: 1 });
+RequestSchema.index({ isbn: 1 }, { sparse: true });
+RequestSchema.index({ readarrInstance: 1, readarrId: 1 });
+// Search retry job
+RequestSchema.index({ readarrStatus: 1, nextSearchAt: 1 });
+// Fuzzy duplicate checks. `language` holds the book's language, so text search must not read it.
+RequestSchema.index({ title: 'text', author: 'text' }, { language_override: 'textSearchLanguage' });
+
+/**
+ * Append an event to the request history (saved with the request)
+ * @param {string} type - One of EVENT_TYPES
+ * @param {string} message - Human readable description
+ * @param {Object} options - { actor, data }
+ */
+RequestSchema.methods.addEvent = function(type, message, { actor, data } = {}) {
+  this.history.push({ type, message, actor, data, at: new Date() });
+};
+
+/**
+ * History trimmed down for the requesting user
+ */
+RequestSchema.methods.getUserHistory = function() {
+  return this.history
+    .filter(event => USER_VISIBLE_EVENTS.includes(event.type))
+    .map(event => ({ type: event.type, at: event.at, message: event.message }));
+};
+
+/**
+ * Whether a user made or follows this request
+ * @param {string} userId
+ */
+RequestSchema.methods.isInterested = function(userId) {
+  const id = userId.toString();
+  return (this.user._id || this.user).toString() === id ||
+    this.followers.some(follower => follower.user.toString() === id);
+};
+
+/**
+ * Users to notify about this request: the requester and every follower
+ * @returns {Array} - User IDs
+ */
+RequestSchema.methods.getRecipients = function() {
+  return [this.user._id || this.user, ...this.followers.map(follower => follower.user)];
+};
+
+/**
+ * Query condition matching requests of a format.
+ * Requests created before formats existed have no format and are ebooks.
+ * @param {string} format - 'ebook' or 'audiobook'
+ */
+RequestSchema.statics.formatCondition = function(format = 'ebook') {
+  return format === 'ebook' ? { $in: ['ebook', null] } : format;
+};
+
+// Download progress only means something while the book is being downloaded
+RequestSchema.pre('save', function(next) {
+  if (this.download && !['added', 'downloading'].includes(this.readarrStatus)) {
+    this.download = undefined;
+  }
+  next();
+});
+
+// Work out which live update to send once the save goes through
+RequestSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.liveEvent = 'request:created';
+  } else if (this.isModified('status') && this.status === 'available') {
+    this.$locals.liveEvent = 'request:available';
+  } else {
+    this.$locals.liveEvent = 'request:updated';
+  }
+  next();
+});
+
+RequestSchema.post('save', function(doc) {
+  eventService.publishRequest(doc.$locals.liveEvent || 'request:updated', doc);
+});
+
+RequestSchema.statics.EVENT_TYPES = EVENT_TYPES;
+RequestSchema.statics.DENIAL_REASONS = DENIAL_REASONS;
+RequestSchema.statics.EDITION_PREFERENCES = EDITION_PREFERENCES;
+RequestSchema.statics.USER_VISIBLE_EVENTS = USER_VISIBLE_EVENTS;
+
 module.exports = mongoose.model('Request', RequestSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+// models/Role.js
+const mongoose = require('mongoose');
+
+// What a role can grant. Users without a permission only see their own requests.
+const PERMISSIONS = [
+  'manage-requests',
+  'manage-calibre',
+  'manage-users',
+  'manage-settings',
+  'view-logs',
+  'purge-cache'
+];
+
+const RoleSchema = new mongoose.Schema({
+  // Stored on users, so it can't change once created
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z][a-z0-9-]*$/
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: []
+  },
+  // Seeded roles can be edited but not deleted; admin always keeps every permission
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', RoleSchema);
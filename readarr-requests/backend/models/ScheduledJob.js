@@ -0,0 +1,25 @@
+// models/ScheduledJob.js
+const mongoose = require('mongoose');
+
+// Admin overrides for a registered job's schedule
+const ScheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  intervalMinutes: {
+    type: Number,
+    min: 1
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ScheduledJob', ScheduledJobSchema);
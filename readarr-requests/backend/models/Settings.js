@@ -0,0 +1,67 @@
+// models/Settings.js
+const mongoose = require('mongoose');
+
+// Request limits for a role; unset limits mean unlimited
+const QuotaSchema = new mongoose.Schema({
+  // Requests allowed per period
+  maxRequests: {
+    type: Number,
+    min: 0
+  },
+  periodDays: {
+    type: Number,
+    min: 1
+  },
+  // Requests that can wait for approval at once
+  maxPending: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Who can create an account: anyone, holders of an invite code, anyone but
+// only once an admin approves them, or nobody
+const REGISTRATION_MODES = ['open', 'invite', 'approval', 'closed'];
+
+// Application-wide settings, stored as a single document
+const SettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Quotas keyed by user role
+  quotas: {
+    type: Map,
+    of: QuotaSchema,
+    default: () => ({})
+  },
+  registrationMode: {
+    type: String,
+    enum: REGISTRATION_MODES,
+    default: 'open'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+/**
+ * Get the settings document, creating it on first use
+ */
+SettingsSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+SettingsSchema.statics.REGISTRATION_MODES = REGISTRATION_MODES;
+
+module.exports = mongoose.model('Settings', SettingsSchema);
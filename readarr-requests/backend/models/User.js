@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -17,15 +18,58 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set to false for accounts that haven't confirmed their address yet.
+  // Accounts from before email verification have no value and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Tokens issued before this stop working
+  passwordChangedAt: {
+    type: Date
+  },
+  // Name of a Role; its permissions are looked up on every protected request
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: async (name) => Boolean(await Role.exists({ name })),
+      message: (props) => `Unknown role: ${props.value}`
+    }
   },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  lastLoginAt: {
+    type: Date
+  },
+  // Disabled users can't sign in, and their existing sessions stop working
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date
+  },
+  // Accounts registered while registration needs approval can't sign in until an admin approves them
+  pendingApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Invite code the account registered with
+  invite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invite'
+  },
+  // Per-user request quota; unset fields fall back to the role's quota
+  quotaOverride: {
+    maxRequests: Number,
+    periodDays: Number,
+    maxPending: Number
+  },
   // Add push notification subscriptions
   pushSubscriptions: [{
     endpoint: String,
@@ -59,10 +103,20 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Shortest password accepted when one is set or changed
+UserSchema.statics.MIN_PASSWORD_LENGTH = 8;
+
+// Loose check; the address is only used to sign in
+UserSchema.statics.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
 
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
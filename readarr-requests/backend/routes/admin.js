@@ -2,9 +2,198 @@
 const express = require('express');
 const router = express.Router();
 const cacheController = require('../controllers/cacheController');
+const jobController = require('../controllers/jobController');
+const readarrInstanceController = require('../controllers/readarrInstanceController');
+const settingsController = require('../controllers/settingsController');
+const autoApprovalController = require('../controllers/autoApprovalController');
+const userController = require('../controllers/userController');
+const logController = require('../controllers/logController');
+const roleController = require('../controllers/roleController');
+const registrationController = require('../controllers/registrationController');
 const auth = require('../middleware/auth');
+const { requirePermission, requireAnyPermission } = require('../middleware/permissions');
 
-// Purge all caches - Admin only
-router.post('/purge-cache', auth, cacheController.purgeAllCaches);
+// Purge all caches - requires the purge-cache permission
+router.post('/purge-cache', auth, requirePermission('purge-cache'), cacheController.purgeAllCaches);
 
-module.exports = router;
\ No newline at end of file
+// @route   GET api/admin/jobs
+// @desc    Get scheduled jobs with last and next run
+// @access  Private/manage-settings or manage-requests
+router.get('/jobs', auth, requireAnyPermission('manage-settings', 'manage-requests'), jobController.getJobs);
+
+// @route   PUT api/admin/jobs/:name
+// @desc    Update a job's interval or enabled flag
+// @access  Private/manage-settings
+router.put('/jobs/:name', auth, requirePermission('manage-settings'), jobController.updateJob);
+
+// @route   POST api/admin/jobs/:name/run
+// @desc    Run a job immediately
+// @access  Private/manage-settings
+router.post('/jobs/:name/run', auth, requirePermission('manage-settings'), jobController.runJob);
+
+// @route   GET api/admin/jobs/:name/runs
+// @desc    Get recent runs of a job
+// @access  Private/manage-settings or manage-requests
+router.get('/jobs/:name/runs', auth, requireAnyPermission('manage-settings', 'manage-requests'), jobController.getJobRuns);
+
+// @route   GET api/admin/readarr-instances
+// @desc    List Readarr instances with their health
+// @access  Private/manage-settings or manage-requests
+router.get('/readarr-instances', auth, requireAnyPermission('manage-settings', 'manage-requests'), readarrInstanceController.getInstances);
+
+// @route   POST api/admin/readarr-instances
+// @desc    Add a Readarr instance
+// @access  Private/manage-settings
+router.post('/readarr-instances', auth, requirePermission('manage-settings'), readarrInstanceController.createInstance);
+
+// @route   GET api/admin/readarr-instances/resolve/:requestId
+// @desc    Get the instance a request would be routed to
+// @access  Private/manage-settings or manage-requests
+router.get('/readarr-instances/resolve/:requestId', auth, requireAnyPermission('manage-settings', 'manage-requests'), readarrInstanceController.resolveRequestInstance);
+
+// @route   PUT api/admin/readarr-instances/:id
+// @desc    Update a Readarr instance's connection, routing rules or defaults
+// @access  Private/manage-settings
+router.put('/readarr-instances/:id', auth, requirePermission('manage-settings'), readarrInstanceController.updateInstance);
+
+// @route   DELETE api/admin/readarr-instances/:id
+// @desc    Delete an unused Readarr instance
+// @access  Private/manage-settings
+router.delete('/readarr-instances/:id', auth, requirePermission('manage-settings'), readarrInstanceController.deleteInstance);
+
+// @route   GET api/admin/readarr-instances/:id/options
+// @desc    List an instance's quality profiles, metadata profiles and root folders
+// @access  Private/manage-settings or manage-requests
+router.get('/readarr-instances/:id/options', auth, requireAnyPermission('manage-settings', 'manage-requests'), readarrInstanceController.getInstanceOptions);
+
+// @route   POST api/admin/readarr-instances/:id/health
+// @desc    Check an instance's health now
+// @access  Private/manage-settings
+router.post('/readarr-instances/:id/health', auth, requirePermission('manage-settings'), readarrInstanceController.checkInstanceHealth);
+
+// @route   GET api/admin/quotas
+// @desc    Get the request quotas of each role
+// @access  Private/manage-users
+router.get('/quotas', auth, requirePermission('manage-users'), settingsController.getQuotas);
+
+// @route   PUT api/admin/quotas
+// @desc    Update the request quotas of roles
+// @access  Private/manage-users
+router.put('/quotas', auth, requirePermission('manage-users'), settingsController.updateQuotas);
+
+// @route   GET api/admin/users
+// @desc    List users with request counts, quotas, last login and push subscription count
+// @access  Private/manage-users
+router.get('/users', auth, requirePermission('manage-users'), userController.getUsers);
+
+// @route   GET api/admin/users/:id/quota
+// @desc    Get a user's quota and usage
+// @access  Private/manage-users
+router.get('/users/:id/quota', auth, requirePermission('manage-users'), userController.getUserQuota);
+
+// @route   PUT api/admin/users/:id/quota
+// @desc    Override a user's request quota
+// @access  Private/manage-users
+router.put('/users/:id/quota', auth, requirePermission('manage-users'), userController.updateUserQuota);
+
+// @route   PUT api/admin/users/:id/role
+// @desc    Assign a user a role
+// @access  Private/manage-users
+router.put('/users/:id/role', auth, requirePermission('manage-users'), userController.updateUserRole);
+
+// @route   PUT api/admin/users/:id/password
+// @desc    Set a new password for a user
+// @access  Private/manage-users
+router.put('/users/:id/password', auth, requirePermission('manage-users'), userController.resetUserPassword);
+
+// @route   PUT api/admin/users/:id/status
+// @desc    Disable or enable a user's login
+// @access  Private/manage-users
+router.put('/users/:id/status', auth, requirePermission('manage-users'), userController.updateUserStatus);
+
+// @route   PUT api/admin/users/:id/approve
+// @desc    Approve a user who registered while registration needed approval
+// @access  Private/manage-users
+router.put('/users/:id/approve', auth, requirePermission('manage-users'), userController.approveUser);
+
+// @route   DELETE api/admin/users/:id
+// @desc    Delete a user and the requests they made
+// @access  Private/manage-users
+router.delete('/users/:id', auth, requirePermission('manage-users'), userController.deleteUser);
+
+// @route   GET api/admin/registration
+// @desc    Get the registration mode
+// @access  Private/manage-users
+router.get('/registration', auth, requirePermission('manage-users'), registrationController.getRegistrationSettings);
+
+// @route   PUT api/admin/registration
+// @desc    Change the registration mode
+// @access  Private/manage-users
+router.put('/registration', auth, requirePermission('manage-users'), registrationController.updateRegistrationSettings);
+
+// @route   GET api/admin/invites
+// @desc    List invite codes
+// @access  Private/manage-users
+router.get('/invites', auth, requirePermission('manage-users'), registrationController.getInvites);
+
+// @route   POST api/admin/invites
+// @desc    Create an invite code
+// @access  Private/manage-users
+router.post('/invites', auth, requirePermission('manage-users'), registrationController.createInvite);
+
+// @route   DELETE api/admin/invites/:id
+// @desc    Revoke an invite code
+// @access  Private/manage-users
+router.delete('/invites/:id', auth, requirePermission('manage-users'), registrationController.revokeInvite);
+
+// @route   GET api/admin/roles
+// @desc    List roles, their permissions and user counts
+// @access  Private/manage-users
+router.get('/roles', auth, requirePermission('manage-users'), roleController.getRoles);
+
+// @route   POST api/admin/roles
+// @desc    Add a role
+// @access  Private/manage-users
+router.post('/roles', auth, requirePermission('manage-users'), roleController.createRole);
+
+// @route   PUT api/admin/roles/:id
+// @desc    Update a role's description or permissions
+// @access  Private/manage-users
+router.put('/roles/:id', auth, requirePermission('manage-users'), roleController.updateRole);
+
+// @route   DELETE api/admin/roles/:id
+// @desc    Delete a custom role that no user holds
+// @access  Private/manage-users
+router.delete('/roles/:id', auth, requirePermission('manage-users'), roleController.deleteRole);
+
+// @route   GET api/admin/auto-approval-rules
+// @desc    List auto-approval rules
+// @access  Private/manage-settings
+router.get('/auto-approval-rules', auth, requirePermission('manage-settings'), autoApprovalController.getRules);
+
+// @route   POST api/admin/auto-approval-rules
+// @desc    Add an auto-approval rule
+// @access  Private/manage-settings
+router.post('/auto-approval-rules', auth, requirePermission('manage-settings'), autoApprovalController.createRule);
+
+// @route   PUT api/admin/auto-approval-rules/:id
+// @desc    Update an auto-approval rule
+// @access  Private/manage-settings
+router.put('/auto-approval-rules/:id', auth, requirePermission('manage-settings'), autoApprovalController.updateRule);
+
+// @route   DELETE api/admin/auto-approval-rules/:id
+// @desc    Delete an auto-approval rule
+// @access  Private/manage-settings
+router.delete('/auto-approval-rules/:id', auth, requirePermission('manage-settings'), autoApprovalController.deleteRule);
+
+// @route   GET api/admin/logs
+// @desc    List the backend log subsystems
+// @access  Private/view-logs
+router.get('/logs', auth, requirePermission('view-logs'), logController.getSubsystems);
+
+// @route   GET api/admin/logs/entries
+// @desc    Search log entries by subsystem, level, time range, text, correlation or request ID
+// @access  Private/view-logs
+router.get('/logs/entries', auth, requirePermission('view-logs'), logController.getEntries);
+
+module.exports = router;
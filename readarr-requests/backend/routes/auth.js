@@ -9,6 +9,11 @@ const auth = require('../middleware/auth');
 // @access  Public
 router.post('/register', authController.register);
 
+// @route   GET api/auth/registration
+// @desc    Get the registration mode and check an invite code
+// @access  Public
+router.get('/registration', authController.getRegistration);
+
 // @route   POST api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
@@ -16,6 +21,26 @@ router.post('/login', authController.login);
 
 router.post('/register-admin', authController.register_admin)
 
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', authController.forgotPassword);
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', authController.resetPassword);
+
+// @route   POST api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', authController.verifyEmail);
+
+// @route   POST api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Public
+router.post('/resend-verification', authController.resendVerification);
+
 // @route   GET api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -3,27 +3,28 @@ const express = require('express');
 const router = express.Router();
 const calibreManagerController = require('../controllers/calibreManagerController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
-// All routes require authentication and admin role
+// All routes require authentication and the manage-calibre permission
 
 // @route   GET api/calibre-manager/books
 // @desc    Get all books from Calibre
-// @access  Private/Admin
-router.get('/books', auth, calibreManagerController.getAllBooks);
+// @access  Private/manage-calibre
+router.get('/books', auth, requirePermission('manage-calibre'), calibreManagerController.getAllBooks);
 
 // @route   GET api/calibre-manager/books/:id
 // @desc    Get book details from Calibre
-// @access  Private/Admin
-router.get('/books/:id', auth, calibreManagerController.getBookDetails);
+// @access  Private/manage-calibre
+router.get('/books/:id', auth, requirePermission('manage-calibre'), calibreManagerController.getBookDetails);
 
 // @route   PUT api/calibre-manager/books/:id/tags
 // @desc    Update tags for a book
-// @access  Private/Admin
-router.put('/books/:id/tags', auth, calibreManagerController.updateBookTags);
+// @access  Private/manage-calibre
+router.put('/books/:id/tags', auth, requirePermission('manage-calibre'), calibreManagerController.updateBookTags);
 
 // @route   POST api/calibre-manager/books/bulk-update-tags
 // @desc    Update tags for multiple books
-// @access  Private/Admin
-router.post('/books/bulk-update-tags', auth, calibreManagerController.bulkUpdateTags);
+// @access  Private/manage-calibre
+router.post('/books/bulk-update-tags', auth, requirePermission('manage-calibre'), calibreManagerController.bulkUpdateTags);
 
 module.exports = router;
\ No newline at end of file
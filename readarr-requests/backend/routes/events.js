@@ -0,0 +1,21 @@
+// routes/events.js
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const auth = require('../middleware/auth');
+const { loadPermissions } = require('../middleware/permissions');
+
+// EventSource can't send headers, so the stream takes the token as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('x-auth-token') && req.query.token) {
+    req.headers['x-auth-token'] = String(req.query.token);
+  }
+  next();
+};
+
+// @route   GET api/events
+// @desc    Stream live request updates (Server-Sent Events)
+// @access  Private
+router.get('/', tokenFromQuery, auth, loadPermissions, eventController.stream);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 // @route   GET api/notifications/vapid-public-key
 // @desc    Get VAPID public key for push subscription
@@ -25,8 +26,8 @@ router.post('/unsubscribe', auth, notificationController.unsubscribe);
 router.post('/test', auth, notificationController.sendTestNotification);
 
 // @route   POST api/notifications/admin-test
-// @desc    Send a test notification to all admins
-// @access  Private/Admin
-router.post('/admin-test', auth, notificationController.sendAdminTestNotification);
+// @desc    Send a test notification to everyone who manages requests
+// @access  Private/manage-requests
+router.post('/admin-test', auth, requirePermission('manage-requests'), notificationController.sendAdminTestNotification);
 
 module.exports = router;
\ No newline at end of file
@@ -3,43 +3,118 @@ const express = require('express');
 const router = express.Router();
 const requestController = require('../controllers/requestController');
 const auth = require('../middleware/auth');
+const { requirePermission, loadPermissions } = require('../middleware/permissions');
+const { runWithContext } = require('../utils/logger');
+
+// Tag log entries written while handling a request's routes with its ID
+router.param('id', (req, res, next, id) => runWithContext({ request: id }, next));
 
 // @route   POST api/requests
 // @desc    Create a request
 // @access  Private
 router.post('/', auth, requestController.createRequest);
 
+// @route   GET api/requests/formats
+// @desc    Get the formats that can be requested
+// @access  Private
+router.get('/formats', auth, requestController.getFormats);
+
+// @route   GET api/requests/denial-reasons
+// @desc    Get the preset reasons for denying a request
+// @access  Private
+router.get('/denial-reasons', auth, requestController.getDenialReasons);
+
+// @route   GET api/requests/shared
+// @desc    Find an existing request for a book that the user can join
+// @access  Private
+router.get('/shared', auth, requestController.getSharedRequest);
+
+// @route   GET api/requests/quota
+// @desc    Get the user's request quota and usage
+// @access  Private
+router.get('/quota', auth, requestController.getQuota);
+
 // @route   GET api/requests/me
-// @desc    Get user's requests
+// @desc    Get user's requests (paginated; same filters as GET api/requests except user)
 // @access  Private
 router.get('/me', auth, requestController.getUserRequests);
 
 // @route   GET api/requests
-// @desc    Get all requests (admin only)
-// @access  Private/Admin
-router.get('/', auth, requestController.getAllRequests);
+// @desc    Get all requests (manage-requests permission). Query: status, readarrStatus, format, user, bookId,
+//          from, to, q (title/author search), sort (e.g. -createdAt, voteCount), page, limit, cursor
+// @access  Private/manage-requests
+router.get('/', auth, requirePermission('manage-requests'), requestController.getAllRequests);
+
+// @route   POST api/requests/bulk
+// @desc    Approve, deny, retry, mark available or delete many requests (manage-requests permission)
+// @access  Private/manage-requests
+router.post('/bulk', auth, requirePermission('manage-requests'), requestController.startBulkAction);
+
+// @route   GET api/requests/bulk/:runId
+// @desc    Get the progress and results of a bulk action (manage-requests permission)
+// @access  Private/manage-requests
+router.get('/bulk/:runId', auth, requirePermission('manage-requests'), requestController.getBulkRun);
 
 // @route   PUT api/requests/:id
-// @desc    Update request status (admin only)
-// @access  Private/Admin
-router.put('/:id', auth, requestController.updateRequestStatus);
+// @desc    Update request status (manage-requests permission)
+// @access  Private/manage-requests
+router.put('/:id', auth, requirePermission('manage-requests'), requestController.updateRequestStatus);
 
-router.post('/check-status', auth, requestController.checkRequestsStatus);
+// @route   PATCH api/requests/:id
+// @desc    Edit the format, notes or edition preference of the user's own pending request
+// @access  Private
+router.patch('/:id', auth, requestController.updateOwnRequest);
+
+// @route   DELETE api/requests/:id
+// @desc    Cancel the user's own pending request (request managers can delete any request)
+// @access  Private
+router.delete('/:id', auth, loadPermissions, requestController.cancelRequest);
+
+router.post('/check-status', auth, requirePermission('manage-requests'), requestController.checkRequestsStatus);
 
 // @route   POST api/requests/:id/metadata
-// @desc    Manually update metadata for a specific request (admin only)
-// @access  Private/Admin
-router.post('/:id/metadata', auth, requestController.updateRequestMetadata);
+// @desc    Manually update metadata for a specific request (manage-requests permission)
+// @access  Private/manage-requests
+router.post('/:id/metadata', auth, requirePermission('manage-requests'), requestController.updateRequestMetadata);
 
 // @route   PUT api/requests/:id/reset-readarr
-// @desc    Reset Readarr status for a request (admin only)
-// @access  Private/Admin
-router.put('/:id/reset-readarr', auth, requestController.resetReadarrStatus);
+// @desc    Reset Readarr status for a request (manage-requests permission)
+// @access  Private/manage-requests
+router.put('/:id/reset-readarr', auth, requirePermission('manage-requests'), requestController.resetReadarrStatus);
+
+// @route   POST api/requests/:id/search
+// @desc    Search Readarr for a request's book now and restart its retry schedule (manage-requests permission)
+// @access  Private/manage-requests
+router.post('/:id/search', auth, requirePermission('manage-requests'), requestController.searchRequest);
 
 // @route   PUT api/requests/:id/external-download
-// @desc    Mark book as externally downloaded (admin only)
-// @access  Private/Admin
-router.put('/:id/external-download', auth, requestController.markExternallyDownloaded);
+// @desc    Mark book as externally downloaded (manage-requests permission)
+// @access  Private/manage-requests
+router.put('/:id/external-download', auth, requirePermission('manage-requests'), requestController.markExternallyDownloaded);
+
+// @route   GET api/requests/:id/readarr-candidates
+// @desc    Look up Readarr authors and books to match a request against (manage-requests permission)
+// @access  Private/manage-requests
+router.get('/:id/readarr-candidates', auth, requirePermission('manage-requests'), requestController.getReadarrCandidates);
+
+// @route   POST api/requests/:id/match
+// @desc    Approve a request with an admin-picked Readarr match (manage-requests permission)
+// @access  Private/manage-requests
+router.post('/:id/match', auth, requirePermission('manage-requests'), requestController.selectReadarrMatch);
 
+// @route   POST api/requests/:id/comments
+// @desc    Add a comment to a request (requester or request manager)
+// @access  Private
+router.post('/:id/comments', auth, loadPermissions, requestController.addComment);
+
+// @route   POST api/requests/:id/follow
+// @desc    Join another user's request for the same book
+// @access  Private
+router.post('/:id/follow', auth, requestController.followRequest);
+
+// @route   DELETE api/requests/:id/follow
+// @desc    Leave a joined request
+// @access  Private
+router.delete('/:id/follow', auth, requestController.unfollowRequest);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
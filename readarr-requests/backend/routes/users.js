@@ -0,0 +1,17 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const profileController = require('../controllers/profileController');
+const auth = require('../middleware/auth');
+
+// @route   PUT api/users/profile
+// @desc    Change username, email or password (email and password need currentPassword); returns a new token
+// @access  Private
+router.put('/profile', auth, profileController.updateProfile);
+
+// @route   PUT api/users/preferences
+// @desc    Save theme and notification preferences
+// @access  Private
+router.put('/preferences', auth, profileController.updatePreferences);
+
+module.exports = router;
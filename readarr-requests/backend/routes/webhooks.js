@@ -3,8 +3,9 @@ const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
 
-// Verify webhook comes from Readarr using a shared secret
-router.post('/readarr', webhookController.validateWebhook, webhookController.processReadarrWebhook);
+// Verify webhook comes from Readarr using a shared secret.
+// Each instance posts to /readarr/<slug or id>; /readarr alone is the default instance.
+router.post('/readarr/:instance?', webhookController.validateWebhook, webhookController.processReadarrWebhook);
 
 // Test webhook route for debugging
 router.post('/test', webhookController.validateWebhook, webhookController.testWebhook);
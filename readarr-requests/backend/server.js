@@ -7,37 +7,92 @@ const webhookRoutes = require('./routes/webhooks');
 const calibreManagerRoutes = require('./routes/calibreManager');
 const searchRoutes = require('./routes/search');
 const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const requestId = require('./middleware/requestId');
+const { createLogger } = require('./utils/logger');
 const path = require('path');
 
 // Load environment variables
 dotenv.config();
 
+const schedulerService = require('./services/schedulerService');
+const statusCheckService = require('./services/statusCheckService');
+const readarrInstanceService = require('./services/readarrInstanceService');
+const downloadQueueService = require('./services/downloadQueueService');
+const searchRetryService = require('./services/searchRetryService');
+const roleService = require('./services/roleService');
+
 // Routes
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
 const requestRoutes = require('./routes/requests');
 const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+
+const log = createLogger('server');
 
 const app = express();
 
 // Middleware
+app.use(requestId);
 app.use(cors());
 app.use(express.json());
 
+// Background jobs
+schedulerService.registerJob({
+  name: statusCheckService.STATUS_CHECK_JOB,
+  description: 'Check approved requests in Readarr, tag downloads in Calibre and notify users',
+  handler: statusCheckService.checkApprovedRequests,
+  intervalMinutes: parseInt(process.env.STATUS_CHECK_INTERVAL_MINUTES) || 15
+});
+
+schedulerService.registerJob({
+  name: readarrInstanceService.HEALTH_CHECK_JOB,
+  description: 'Check that each Readarr instance is reachable and healthy',
+  handler: readarrInstanceService.checkAllInstances,
+  intervalMinutes: parseInt(process.env.READARR_HEALTH_CHECK_INTERVAL_MINUTES) || 5
+});
+
+schedulerService.registerJob({
+  name: downloadQueueService.QUEUE_SYNC_JOB,
+  description: 'Copy download progress from the Readarr queues onto requests',
+  handler: downloadQueueService.syncQueues,
+  intervalMinutes: parseInt(process.env.DOWNLOAD_QUEUE_INTERVAL_MINUTES) || 1
+});
+
+schedulerService.registerJob({
+  name: searchRetryService.SEARCH_RETRY_JOB,
+  description: 'Search Readarr again for approved books with no release yet, marking them stalled after the retry limit',
+  handler: searchRetryService.retryStalledSearches,
+  intervalMinutes: parseInt(process.env.SEARCH_RETRY_INTERVAL_MINUTES) || 15
+});
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB Connected'))
-  .catch(err => console.error(err));
+  .then(() => {
+    log('MongoDB Connected');
+    // Create the built-in roles before anyone signs in
+    return roleService.seedRoles()
+      .catch(err => log.error(`Error seeding roles: ${err.message}`))
+      // Create Readarr instances from the environment on first start
+      .then(() => readarrInstanceService.seedFromEnv())
+      .catch(err => log.error(`Error seeding Readarr instances: ${err.message}`))
+      // Start background jobs once the database is available
+      .then(() => schedulerService.start());
+  })
+  .catch(err => log.error(`MongoDB connection failed: ${err.message}`));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/calibre-manager', calibreManagerRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -54,9 +109,9 @@ app.get('*', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  log.error(err.message, { stack: err.stack, path: req.originalUrl });
   res.status(500).send({ message: 'Server Error', error: err.message });
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => log(`Server running on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,162 @@
+// services/accountService.js
+const User = require('../models/User');
+const authService = require('./authService');
+const eventService = require('./eventService');
+const mailService = require('./mailService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('account', { file: 'auth.log' });
+
+/**
+ * Error thrown for an emailed token or password that can't be used, or for
+ * mail that can't be sent
+ * @param {string} code - INVALID_TOKEN, INVALID_PASSWORD or APP_URL_MISSING
+ * @param {string} message
+ */
+const accountError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Escape text for an HTML email
+ * @param {string} text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Whether accounts must verify their email address before signing in
+ */
+exports.isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Link to a page of the app, from APP_URL. Links are never built from request
+ * headers: anyone can send a forged Origin or Host, and the emailed token
+ * would then point at their site.
+ * @param {string} page - e.g. '/reset-password'
+ * @param {string} token
+ */
+const buildLink = (page, token) => {
+  if (!process.env.APP_URL) {
+    log.error(`Not sending ${page} link: set APP_URL to the address users open the app at`);
+    throw accountError('APP_URL_MISSING', 'APP_URL is not set, so account emails cannot link back to the app');
+  }
+  const appUrl = process.env.APP_URL.replace(/\/+$/, '');
+  return `${appUrl}${page}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a user a link to confirm their address
+ * @param {Object} user - User document
+ */
+exports.sendVerificationEmail = async (user) => {
+  const link = buildLink('/verify-email', authService.signActionToken(user, 'verify-email'));
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Confirm this is your email address for Readarr Requests by opening this link:\n\n${link}\n\n` +
+      'The link works for 24 hours. If you didn\'t create an account, you can ignore this email.\n',
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Confirm this is your email address for Readarr Requests:</p>` +
+      `<p><a href="${link}">Confirm email address</a></p>` +
+      '<p>The link works for 24 hours. If you didn\'t create an account, you can ignore this email.</p>'
+  });
+};
+
+/**
+ * Send a new verification link. Says nothing about whether the address has an
+ * account, so it can't be used to find out who has one.
+ * @param {string} email
+ */
+exports.resendVerification = async (email) => {
+  const user = typeof email === 'string' ? await User.findOne({ email: email.trim() }) : null;
+  if (!user || user.emailVerified !== false || user.disabled) return;
+
+  await exports.sendVerificationEmail(user);
+};
+
+/**
+ * Mark the address a verification token was sent to as confirmed
+ * @param {string} token
+ * @returns {Object} - User document
+ */
+exports.verifyEmail = async (token) => {
+  const user = await authService.verifyActionToken(token, 'verify-email');
+  if (!user) {
+    throw accountError('INVALID_TOKEN', 'This verification link is invalid or has expired');
+  }
+
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    log(`User ${user.username} verified their email address`, { userId: user.id });
+  }
+
+  return user;
+};
+
+/**
+ * Email a password reset link to the account with this address, if there is
+ * one. Like resendVerification it gives nothing away about the address.
+ * @param {string} email
+ */
+exports.requestPasswordReset = async (email) => {
+  const user = typeof email === 'string' ? await User.findOne({ email: email.trim() }) : null;
+  if (!user || user.disabled) {
+    log('Password reset requested for an unknown or disabled account');
+    return;
+  }
+
+  const link = buildLink('/reset-password', authService.signActionToken(user, 'reset-password'));
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password of your Readarr Requests account. Choose a new password here:\n\n${link}\n\n` +
+      'The link works for one hour and only once. If you didn\'t ask for this, you can ignore this email.\n',
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      '<p>Someone asked to reset the password of your Readarr Requests account.</p>' +
+      `<p><a href="${link}">Choose a new password</a></p>` +
+      '<p>The link works for one hour and only once. If you didn\'t ask for this, you can ignore this email.</p>'
+  });
+  log(`Password reset link sent to ${user.username}`, { userId: user.id });
+};
+
+/**
+ * Set a new password with a reset token. Signs the user out everywhere, and
+ * confirms their address since the token was emailed to it.
+ * @param {string} token
+ * @param {string} password
+ * @returns {Object} - User document
+ */
+exports.resetPassword = async (token, password) => {
+  if (typeof password !== 'string' || password.length < User.MIN_PASSWORD_LENGTH) {
+    throw accountError('INVALID_PASSWORD', `Passwords must be at least ${User.MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const user = await authService.verifyActionToken(token, 'reset-password');
+  if (!user || user.disabled) {
+    throw accountError('INVALID_TOKEN', 'This reset link is invalid, expired or already used');
+  }
+
+  user.password = password;
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  eventService.disconnectUser(user.id);
+  log(`User ${user.username} reset their password`, { userId: user.id });
+
+  return user;
+};
+
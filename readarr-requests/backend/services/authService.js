@@ -0,0 +1,96 @@
+// services/authService.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const roleService = require('./roleService');
+
+const TOKEN_LIFETIME = '7d';
+
+// Lifetime of each kind of emailed token
+const ACTION_TOKEN_LIFETIMES = {
+  'reset-password': '1h',
+  'verify-email': '24h'
+};
+
+/**
+ * Sign a token for a user
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+exports.signToken = (user) => jwt.sign(
+  { user: { id: user.id, role: user.role } },
+  process.env.JWT_SECRET,
+  { expiresIn: TOKEN_LIFETIME }
+);
+
+/**
+ * Whether a token was issued before the user last changed their password
+ * @param {Object} decoded - Verified token payload
+ * @param {Object} user - User with passwordChangedAt
+ */
+exports.isTokenStale = (decoded, user) => Boolean(user.passwordChangedAt) &&
+  decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+
+/**
+ * A fresh token and the user fields the client keeps, sent after signing in
+ * or changing account details
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { token, user }
+ */
+exports.createSession = async (user) => ({
+  token: exports.signToken(user),
+  user: {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    permissions: await roleService.getPermissions(user.role),
+    preferences: user.preferences,
+    emailVerified: user.emailVerified !== false,
+    createdAt: user.createdAt
+  }
+});
+
+/**
+ * Secret for an emailed token. Each purpose gets its own, so none of them
+ * passes as a session token or another kind of emailed token. Reset tokens
+ * also depend on the password hash, so they stop working once used.
+ * @param {string} purpose
+ * @param {Object} user - User document
+ */
+const getActionSecret = (purpose, user) => (purpose === 'reset-password'
+  ? `${process.env.JWT_SECRET}:${purpose}:${user.password}`
+  : `${process.env.JWT_SECRET}:${purpose}`);
+
+/**
+ * Sign a token to email to a user, proving they can read mail sent to their address
+ * @param {Object} user - User document
+ * @param {string} purpose - 'reset-password' or 'verify-email'
+ * @returns {string}
+ */
+exports.signActionToken = (user, purpose) => jwt.sign(
+  { purpose, user: user.id, email: user.email },
+  getActionSecret(purpose, user),
+  { expiresIn: ACTION_TOKEN_LIFETIMES[purpose] }
+);
+
+/**
+ * Check an emailed token and load the user it was sent to
+ * @param {string} token
+ * @param {string} purpose - 'reset-password' or 'verify-email'
+ * @returns {Promise<Object|null>} - User document, or null when the token is
+ *   invalid, expired, for another purpose or sent to an address the user no longer has
+ */
+exports.verifyActionToken = async (token, purpose) => {
+  const payload = typeof token === 'string' ? jwt.decode(token) : null;
+  if (!payload || payload.purpose !== purpose) return null;
+
+  const user = await User.findById(payload.user).catch(() => null);
+  if (!user || user.email !== payload.email) return null;
+
+  try {
+    jwt.verify(token, getActionSecret(purpose, user));
+  } catch (error) {
+    return null;
+  }
+  return user;
+};
@@ -0,0 +1,91 @@
+// services/autoApprovalService.js
+const AutoApprovalRule = require('../models/AutoApprovalRule');
+const readarrAPI = require('../config/readarr');
+const quotaService = require('./quotaService');
+const readarrInstanceService = require('./readarrInstanceService');
+const requestApprovalService = require('./requestApprovalService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('auto-approval', { file: 'readarr.log' });
+
+/**
+ * Whether Readarr already has a downloaded book by the request's author
+ * @param {Object} request - Request document
+ */
+const isAuthorInLibrary = async (request) => {
+  const instance = await readarrInstanceService.getRequestInstance(request);
+  if (!instance) return false;
+
+  try {
+    const author = await readarrAPI.findLibraryAuthor(request.author, instance);
+    return Boolean(author && author.bookFileCount > 0);
+  } catch (error) {
+    log.warn(`Could not check library for author "${request.author}": ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Find the first enabled rule a request matches
+ * @param {Object} request - Request document with user populated (username and role)
+ * @returns {Object|null} - Matching rule
+ */
+exports.evaluate = async (request) => {
+  const rules = await AutoApprovalRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+  if (rules.length === 0) return null;
+
+  const user = request.user;
+  const context = {
+    user: [user._id.toString(), user.username],
+    role: user.role,
+    genres: request.genres,
+    year: request.year,
+    authorInLibrary: false,
+    quotaRemaining: null
+  };
+
+  // Only look things up when a rule needs them
+  if (rules.some(rule => rule.uses('quota-headroom'))) {
+    const usage = await quotaService.getUsage(user._id);
+    context.quotaRemaining = usage.remaining;
+  }
+  if (rules.some(rule => rule.uses('author-in-library'))) {
+    context.authorInLibrary = await isAuthorInLibrary(request);
+  }
+
+  return rules.find(rule => rule.matches(context)) || null;
+};
+
+/**
+ * Approve a new request and send it to Readarr if an auto-approval rule matches.
+ * Failures are logged and leave the request pending for an admin.
+ * @param {Object} request - Newly created request document
+ * @returns {boolean} - Whether a rule approved the request
+ */
+exports.autoApprove = async (request) => {
+  try {
+    await request.populate('user', 'username role');
+
+    const rule = await exports.evaluate(request);
+    if (!rule) return false;
+
+    log(`Request ${request._id} ("${request.title}") auto-approved by rule "${rule.name}"`);
+    request.addEvent('auto-approved', `Auto-approved by rule "${rule.name}"`, {
+      data: { ruleId: rule._id, rule: rule.name }
+    });
+
+    await AutoApprovalRule.updateOne(
+      { _id: rule._id },
+      { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+    );
+
+    const { needsMatch } = await requestApprovalService.sendToReadarr(request);
+
+    // A request that needs a Readarr match waits for an admin like any other
+    await requestApprovalService.applyStatusChange(request, needsMatch ? request.status : 'approved');
+    return true;
+  } catch (error) {
+    log.error(`Error auto-approving request ${request._id}: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,200 @@
+// services/bulkRequestService.js
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const JobRun = require('../models/JobRun');
+const requestApprovalService = require('./requestApprovalService');
+const eventService = require('./eventService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('bulk-requests', { file: 'readarr.log' });
+
+// Job name bulk runs are recorded under
+const BULK_JOB = 'bulk-requests';
+
+const ACTIONS = ['approve', 'deny', 'retry', 'mark-available', 'delete'];
+
+const MAX_ITEMS = 500;
+
+/**
+ * Result of one item that was left unchanged
+ * @param {string} message
+ */
+const skipped = (message) => ({ status: 'skipped', message });
+
+/**
+ * Apply one action to one request
+ * @param {string} action - One of ACTIONS
+ * @param {Object} request - Request document
+ * @param {Object} options - { actorId, denialReason, notes }
+ * @returns {Object} - { status, message }
+ */
+const applyAction = async (action, request, { actorId, denialReason, notes }) => {
+  switch (action) {
+    case 'approve': {
+      if (request.status !== 'pending') {
+        return skipped(`Request is ${request.status}`);
+      }
+      const { needsMatch } = await requestApprovalService.sendToReadarr(request, { actorId });
+      if (needsMatch) {
+        await request.save();
+        return { status: 'success', message: 'Waiting for an admin to pick the Readarr match' };
+      }
+      await requestApprovalService.applyStatusChange(request, 'approved', actorId);
+      // Approved, but the book didn't make it into Readarr
+      if (request.readarrStatus === 'error') {
+        return { status: 'error', message: request.readarrMessage };
+      }
+      return { status: 'success', message: request.readarrMessage || 'Approved' };
+    }
+
+    case 'deny':
+      if (request.status === 'denied') {
+        return skipped('Request is already denied');
+      }
+      request.denialReason = denialReason || undefined;
+      await requestApprovalService.applyStatusChange(request, 'denied', actorId);
+      return { status: 'success', message: 'Denied' };
+
+    case 'retry': {
+      // Failed, removed or stalled books, and approved ones that never reached Readarr
+      const retryable = ['error', 'removed', 'stalled'].includes(request.readarrStatus) ||
+        (request.status === 'approved' && request.readarrStatus === 'pending');
+      if (!retryable || request.status === 'denied') {
+        return skipped(`Nothing to retry (Readarr status is ${request.readarrStatus})`);
+      }
+      const previousReadarrStatus = request.readarrStatus;
+      request.readarrStatus = 'pending';
+      request.readarrMessage = 'Retrying Readarr integration';
+      request.addEvent('readarr-reset', request.readarrMessage, {
+        actor: actorId,
+        data: { from: previousReadarrStatus, to: 'pending', bulk: true }
+      });
+
+      const { needsMatch } = await requestApprovalService.sendToReadarr(request, { actorId });
+      await requestApprovalService.applyStatusChange(request, needsMatch ? request.status : 'approved', actorId);
+      if (request.readarrStatus === 'error') {
+        return { status: 'error', message: request.readarrMessage };
+      }
+      return { status: 'success', message: request.readarrMessage || 'Sent to Readarr' };
+    }
+
+    case 'mark-available':
+      if (request.status === 'available') {
+        return skipped('Request is already available');
+      }
+      request.readarrStatus = 'externally-downloaded';
+      request.readarrMessage = notes || 'Book obtained externally and marked as available by admin';
+      await requestApprovalService.applyStatusChange(request, 'available', actorId);
+      return { status: 'success', message: 'Marked as available' };
+
+    case 'delete':
+      await Request.deleteOne({ _id: request._id });
+      eventService.publishRequest('request:deleted', request);
+      return { status: 'success', message: 'Deleted' };
+
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+};
+
+/**
+ * Work through a bulk run, recording each item's outcome. One failing
+ * request doesn't stop the others.
+ * @param {Object} run - JobRun document
+ * @param {Object} options - { action, ids, actorId, denialReason, notes }
+ */
+const processRun = async (run, { action, ids, ...options }) => {
+  const items = [];
+
+  try {
+    for (const id of ids) {
+      let outcome;
+      let title;
+
+      try {
+        const request = await Request.findById(id);
+        if (!request) {
+          outcome = { status: 'error', message: 'Request not found' };
+        } else {
+          title = request.title;
+          outcome = await applyAction(action, request, options);
+        }
+      } catch (error) {
+        log(`Bulk ${action} failed for request ${id}: ${error.message}`);
+        outcome = { status: 'error', message: error.message };
+      }
+
+      items.push({ id, title, ...outcome });
+      run.progress.processed += 1;
+      if (outcome.status === 'success') run.progress.succeeded += 1;
+      if (outcome.status === 'error') run.progress.failed += 1;
+      run.result = { action, items };
+      run.markModified('result');
+      await run.save();
+    }
+
+    run.status = 'success';
+  } catch (error) {
+    run.status = 'error';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    await run.save();
+    log(`Bulk ${action} run ${run._id} finished: ${run.progress.succeeded} succeeded, ${run.progress.failed} failed`);
+  }
+};
+
+/**
+ * Start a bulk action on many requests. The run is returned straight away
+ * and processed in the background; poll getRun for progress.
+ * @param {Object} options
+ * @param {string} options.action - One of ACTIONS
+ * @param {Array} options.ids - Request IDs
+ * @param {string} options.actorId - Admin starting the run
+ * @param {string} options.denialReason - Reason shown to users, for 'deny'
+ * @param {string} options.notes - Note stored on the requests, for 'mark-available'
+ * @returns {Object} - JobRun document
+ */
+exports.start = async ({ action, ids, actorId, denialReason, notes }) => {
+  if (!ACTIONS.includes(action)) {
+    const error = new Error(`Unknown action: ${action}`);
+    error.code = 'INVALID_BULK_ACTION';
+    throw error;
+  }
+
+  const uniqueIds = [...new Set((Array.isArray(ids) ? ids : []).map(String))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (uniqueIds.length === 0 || uniqueIds.length > MAX_ITEMS) {
+    const error = new Error(`Select between 1 and ${MAX_ITEMS} requests`);
+    error.code = 'INVALID_BULK_ACTION';
+    throw error;
+  }
+
+  const run = await JobRun.create({
+    job: BULK_JOB,
+    trigger: 'manual',
+    triggeredBy: actorId,
+    progress: { total: uniqueIds.length, processed: 0, succeeded: 0, failed: 0 },
+    result: { action, items: [] }
+  });
+
+  log(`Starting bulk ${action} of ${uniqueIds.length} requests (run ${run._id})`);
+
+  const reason = typeof denialReason === 'string' ? denialReason.trim().slice(0, 500) : undefined;
+  processRun(run, { action, ids: uniqueIds, actorId, denialReason: reason, notes })
+    .catch(error => log(`Bulk run ${run._id} crashed: ${error.message}`));
+
+  return run;
+};
+
+/**
+ * Get a bulk run with its progress and per-item results
+ * @param {string} runId
+ */
+exports.getRun = async (runId) => {
+  if (!mongoose.Types.ObjectId.isValid(runId)) return null;
+  return JobRun.findOne({ _id: runId, job: BULK_JOB }).populate('triggeredBy', 'username');
+};
+
+exports.ACTIONS = ACTIONS;
+exports.BULK_JOB = BULK_JOB;
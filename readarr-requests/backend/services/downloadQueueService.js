@@ -0,0 +1,143 @@
+// services/downloadQueueService.js
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const readarrInstanceService = require('./readarrInstanceService');
+const searchRetryService = require('./searchRetryService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('download-queue', { file: 'readarr.log' });
+
+// Name the queue sync is registered under in the scheduler
+exports.QUEUE_SYNC_JOB = 'download-queue-sync';
+
+// Readarr statuses of books that can show up in a download queue
+const ACTIVE_READARR_STATUSES = ['added', 'downloading', 'stalled'];
+
+// A grab can take a few minutes to show up in the queue
+const QUEUE_GRACE_MINUTES = 15;
+
+/**
+ * Whether a request marked downloading should be in the queue by now
+ * @param {Object} request - Request document with readarrStatus 'downloading'
+ */
+const shouldBeQueued = (request) => {
+  if (request.download) return true;
+
+  const grabbed = request.history.filter(event => event.type === 'grabbed').pop();
+  return !grabbed || grabbed.at.getTime() < Date.now() - QUEUE_GRACE_MINUTES * 60 * 1000;
+};
+
+/**
+ * Handle a download that left the queue. If Readarr didn't import the book
+ * (the download failed or was removed), the request goes back to waiting for
+ * a release so the search retry job picks it up again. The request is saved.
+ * @param {Object} request - Request document
+ * @param {Object} instance - Readarr instance the book lives in
+ * @returns {boolean} - Whether the request went back to searching
+ */
+const handleLeftQueue = async (request, instance) => {
+  const lastDownload = request.download;
+  const bookStatus = await readarrAPI.getBookStatus(request.readarrId, instance);
+
+  request.download = undefined;
+
+  // Imported without a webhook reaching us; the status check marks it available
+  if (bookStatus.isDownloaded) {
+    await request.save();
+    return false;
+  }
+
+  request.readarrStatus = 'added';
+  request.readarrMessage = 'Download left the queue without being imported, searching again';
+  request.nextSearchAt = searchRetryService.getNextSearchAt(request.searchAttempts);
+  request.addEvent('download-failed', 'Download left the Readarr queue without being imported', {
+    data: {
+      progress: lastDownload?.progress,
+      status: lastDownload?.status,
+      errorMessage: lastDownload?.errorMessage,
+      downloadClient: lastDownload?.downloadClient
+    }
+  });
+  await request.save();
+
+  log(`Request ${request._id} ("${request.title}") left the queue without an import, next search at ${request.nextSearchAt.toISOString()}`);
+  return true;
+};
+
+/**
+ * Copy download progress from each Readarr instance's queue onto the
+ * approved requests being downloaded, and clear it once they leave the queue.
+ * Downloads that leave without an import are searched for again.
+ * @returns {Object} - Summary of the sync
+ */
+exports.syncQueues = async () => {
+  const requests = await Request.find({
+    status: 'approved',
+    readarrId: { $exists: true, $ne: '' },
+    readarrStatus: { $in: ACTIVE_READARR_STATUSES }
+  }).populate('readarrInstance');
+
+  if (requests.length === 0) {
+    return { message: 'No requests to sync', checkedCount: 0, downloadingCount: 0, requeuedCount: 0, errors: [] };
+  }
+
+  // Fetch each instance's queue once, keyed by instance ID
+  const queues = new Map();
+  const errors = [];
+  let downloadingCount = 0;
+  let requeuedCount = 0;
+
+  for (const request of requests) {
+    try {
+      const instance = await readarrInstanceService.getRequestInstance(request);
+      if (!instance) continue;
+
+      const key = instance._id.toString();
+      if (!queues.has(key)) {
+        try {
+          queues.set(key, await readarrAPI.getQueue(instance));
+        } catch (error) {
+          log.error(`Error fetching queue from Readarr instance "${instance.name}": ${error.message}`);
+          errors.push({ instance: instance.name, error: error.message });
+          // Leave progress as it was rather than clearing it on a failed fetch
+          queues.set(key, null);
+        }
+      }
+
+      const queue = queues.get(key);
+      if (!queue) continue;
+
+      const item = queue.find(entry => entry.bookId === request.readarrId.toString());
+
+      if (item) {
+        request.download = { ...item, updatedAt: new Date() };
+        if (request.readarrStatus !== 'downloading') {
+          request.readarrStatus = 'downloading';
+          request.readarrMessage = 'Downloading';
+          // Readarr grabbed it without a webhook reaching us
+          request.addEvent('grabbed', 'Found in the Readarr download queue', {
+            data: { indexer: item.indexer, downloadClient: item.downloadClient }
+          });
+        }
+        downloadingCount++;
+        await request.save();
+      } else if (request.readarrStatus === 'downloading' && shouldBeQueued(request)) {
+        if (await handleLeftQueue(request, instance)) requeuedCount++;
+      } else if (request.download) {
+        request.download = undefined;
+        await request.save();
+      }
+    } catch (error) {
+      log.error(`Error syncing download progress for request ${request._id}: ${error.message}`);
+      errors.push({ requestId: request._id, error: error.message });
+    }
+  }
+
+  return {
+    message: `Synced ${requests.length} requests, ${downloadingCount} downloading, ${requeuedCount} searching again`,
+    checkedCount: requests.length,
+    downloadingCount,
+    requeuedCount,
+    errors
+  };
+};
@@ -0,0 +1,142 @@
+// services/eventService.js
+
+// Open Server-Sent Events streams: { res, userId, role, permissions, heartbeat }
+const clients = new Set();
+
+// Proxies drop connections that stay silent, so send a comment now and then
+const HEARTBEAT_INTERVAL = 25000;
+
+// Request fields clients can merge into what they already show
+const SNAPSHOT_FIELDS = ['title', 'author', 'format', 'status', 'readarrStatus', 'readarrMessage',
+  'download', 'voteCount', 'denialReason', 'notes', 'editionPreference', 'createdAt'];
+
+/**
+ * Write one event to a stream
+ * @param {Object} res - Express response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ */
+const send = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn a response into an event stream for the signed-in user. The stream
+ * stays open until the client disconnects.
+ * @param {Object} req - Express request, authenticated with permissions loaded
+ * @param {Object} res - Express response
+ */
+exports.subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    userId: req.user.id.toString(),
+    role: req.user.role,
+    permissions: req.user.permissions || []
+  };
+  clients.add(client);
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+  send(res, 'ready', { connectedAt: new Date() });
+
+  client.heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+  });
+};
+
+/**
+ * Close a stream. EventSource reconnects by itself, and the new stream goes
+ * through auth again, so it gets the account's current permissions or is refused.
+ * @param {Object} client - Open stream
+ */
+const disconnect = (client) => {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+  try {
+    client.res.end();
+  } catch (error) {
+    // Already closed
+  }
+};
+
+/**
+ * Close a user's open streams, after their role, password or status changed
+ * @param {string} userId
+ */
+exports.disconnectUser = (userId) => {
+  const id = userId.toString();
+  for (const client of clients) {
+    if (client.userId === id) disconnect(client);
+  }
+};
+
+/**
+ * Close the open streams of everyone holding a role, after its permissions changed
+ * @param {string} role - Role name
+ */
+exports.disconnectRole = (role) => {
+  for (const client of clients) {
+    if (client.role === role) disconnect(client);
+  }
+};
+
+/**
+ * Send an event to the matching connected clients
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {Object} audience
+ * @param {Array} audience.userIds - Users who should get it
+ * @param {string} audience.permission - Everyone whose role grants this should get it too
+ */
+exports.publish = (type, data, { userIds = [], permission = null } = {}) => {
+  const ids = new Set(userIds.map(id => id.toString()));
+
+  for (const client of clients) {
+    if ((permission && client.permissions.includes(permission)) || ids.has(client.userId)) {
+      try {
+        send(client.res, type, data);
+      } catch (error) {
+        // The connection is gone; its close handler cleans up
+      }
+    }
+  }
+};
+
+/**
+ * Tell the requester, followers and request managers that a request changed
+ * @param {string} type - 'request:created', 'request:updated', 'request:available' or 'request:deleted'
+ * @param {Object} request - Request document
+ */
+exports.publishRequest = (type, request) => {
+  if (clients.size === 0) return;
+
+  const snapshot = { _id: request._id.toString() };
+  if (type !== 'request:deleted') {
+    for (const field of SNAPSHOT_FIELDS) {
+      // null rather than missing so clients clear fields that were unset
+      snapshot[field] = request[field] === undefined ? null : request[field];
+    }
+  }
+
+  exports.publish(type, { request: snapshot }, {
+    userIds: request.getRecipients(),
+    permission: 'manage-requests'
+  });
+};
+
+/**
+ * Number of open streams
+ */
+exports.getClientCount = () => clients.size;
@@ -0,0 +1,189 @@
+// services/logService.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getLogDir, LEVELS } = require('../utils/logger');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// Lines written before structured logging: "<ISO time> - <message>"
+const LEGACY_LINE = /^(\d{4}-\d{2}-\d{2}T[\d:.]+Z) - (.*)$/;
+
+/**
+ * Error thrown for an invalid log query parameter
+ * @param {string} message
+ */
+const invalidQueryError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQueryError(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+/**
+ * Parse one log line, structured or legacy
+ * @param {string} line
+ * @param {string} subsystem - Log file the line came from
+ * @returns {Object|null} - Entry, or null for a line that isn't one
+ */
+const parseLine = (line, subsystem) => {
+  if (line.startsWith('{')) {
+    try {
+      return { subsystem, ...JSON.parse(line) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const legacy = LEGACY_LINE.exec(line);
+  return legacy
+    ? { subsystem, time: legacy[1], level: 'info', logger: subsystem, msg: legacy[2] }
+    : null;
+};
+
+/**
+ * The current file of a subsystem and its rotated copies, oldest first
+ * @param {string} subsystem
+ */
+const getSubsystemFiles = (subsystem) => {
+  const dir = getLogDir();
+  const prefix = `${subsystem}.log`;
+  const rotated = fs.readdirSync(dir)
+    .filter(file => file.startsWith(`${prefix}.`) && /^\d+$/.test(file.slice(prefix.length + 1)))
+    .sort((a, b) => parseInt(b.slice(prefix.length + 1), 10) - parseInt(a.slice(prefix.length + 1), 10));
+
+  return [...rotated, prefix]
+    .map(file => path.join(dir, file))
+    .filter(file => fs.existsSync(file));
+};
+
+/**
+ * List the subsystems that have logs
+ * @returns {Array} - { subsystem, size, modifiedAt, rotatedFiles }
+ */
+exports.listSubsystems = () => {
+  const dir = getLogDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.log'))
+    .map(file => {
+      const subsystem = file.slice(0, -'.log'.length);
+      const files = getSubsystemFiles(subsystem);
+      const stats = files.map(filePath => fs.statSync(filePath));
+
+      return {
+        subsystem,
+        size: stats.reduce((total, stat) => total + stat.size, 0),
+        modifiedAt: stats[stats.length - 1].mtime,
+        rotatedFiles: files.length - 1
+      };
+    })
+    .sort((a, b) => a.subsystem.localeCompare(b.subsystem));
+};
+
+/**
+ * Build a predicate for log entries from query parameters
+ * @param {Object} query - { level, from, to, q, correlationId, request }
+ */
+const buildMatcher = ({ level, from, to, q, correlationId, request }) => {
+  const minLevel = level ? LEVELS[level] : 0;
+  if (level && !minLevel) {
+    throw invalidQueryError(`Unknown level: ${level}`);
+  }
+  const fromTime = from ? parseDate(from, 'from').getTime() : null;
+  const toTime = to ? parseDate(to, 'to').getTime() : null;
+  const text = q ? String(q).toLowerCase() : null;
+
+  return (entry) => {
+    if (minLevel && (LEVELS[entry.level] || 0) < minLevel) return false;
+
+    const time = new Date(entry.time).getTime();
+    if (fromTime && !(time >= fromTime)) return false;
+    if (toTime && !(time <= toTime)) return false;
+
+    if (correlationId && entry.requestId !== correlationId) return false;
+    // Entries are tagged with the request they concern; older lines only mention its ID
+    if (request && entry.request !== request && !String(entry.msg).includes(request)) return false;
+
+    return !text || JSON.stringify(entry).toLowerCase().includes(text);
+  };
+};
+
+/**
+ * Keep the last `limit` matching entries of one subsystem. Files are streamed
+ * line by line so large logs aren't read into memory.
+ * @param {string} subsystem
+ * @param {Function} matches
+ * @param {number} limit
+ */
+const tailSubsystem = async (subsystem, matches, limit) => {
+  const entries = [];
+  let matched = 0;
+
+  for (const file of getSubsystemFiles(subsystem)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      const entry = parseLine(line, subsystem);
+      if (!entry || !matches(entry)) continue;
+
+      matched++;
+      entries.push(entry);
+      if (entries.length > limit) entries.shift();
+    }
+  }
+
+  return { entries, matched };
+};
+
+/**
+ * Search the backend logs, newest entries first
+ * @param {Object} query
+ * @param {string} query.subsystem - Log file name without .log; all subsystems when empty
+ * @param {string} query.level - Minimum level: debug, info, warn or error
+ * @param {string} query.from - Only entries at or after this time
+ * @param {string} query.to - Only entries at or before this time
+ * @param {string} query.q - Text anywhere in the entry
+ * @param {string} query.correlationId - ID of the HTTP request that logged the entries
+ * @param {string} query.request - ID of the book request the entries concern
+ * @param {number} query.limit - Entries to return
+ * @returns {Object} - { entries, total, truncated }
+ */
+exports.query = async (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const matches = buildMatcher(query);
+
+  const available = exports.listSubsystems().map(item => item.subsystem);
+  let subsystems = available;
+  if (query.subsystem) {
+    if (!available.includes(query.subsystem)) {
+      throw invalidQueryError(`Unknown log: ${query.subsystem}`);
+    }
+    subsystems = [query.subsystem];
+  }
+
+  let total = 0;
+  let entries = [];
+  for (const subsystem of subsystems) {
+    const result = await tailSubsystem(subsystem, matches, limit);
+    total += result.matched;
+    entries = entries.concat(result.entries);
+  }
+
+  entries.sort((a, b) => new Date(b.time) - new Date(a.time));
+
+  return {
+    entries: entries.slice(0, limit),
+    total,
+    truncated: total > limit
+  };
+};
@@ -0,0 +1,117 @@
+// services/mailService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('mail');
+
+// Read on first use, after dotenv has run
+let settings = null;
+
+const getSettings = () => {
+  if (!settings) {
+    settings = {
+      // Without SMTP settings mail goes to the console, so a fresh install still works
+      transport: (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase(),
+      from: process.env.MAIL_FROM || 'Readarr Requests <no-reply@localhost>',
+      dir: process.env.MAIL_DIR || path.join(__dirname, '../mail'),
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      }
+    };
+  }
+  return settings;
+};
+
+/**
+ * Transports by name. Each takes the mail settings and returns a function
+ * that delivers one message: { from, to, subject, text, html }.
+ */
+const transports = {
+  // Deliver through an SMTP server
+  smtp: ({ smtp }) => {
+    const transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  // Write each message to MAIL_DIR as an .eml file, for testing without a mail server
+  file: ({ dir }) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { file };
+    };
+  },
+
+  // Print each message, for local development. Bypasses the logger, which
+  // would redact the links the messages exist to deliver.
+  console: () => async (message) => {
+    console.log(`--- Mail to ${message.to}: ${message.subject} ---\n${message.text}\n--- End of mail ---`);
+    return {};
+  }
+};
+
+// Delivery function of the configured transport, created on first use
+let deliver = null;
+
+const getDeliver = () => {
+  if (!deliver) {
+    const config = getSettings();
+    const transport = transports[config.transport];
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+    deliver = transport(config);
+  }
+  return deliver;
+};
+
+/**
+ * Add a transport, or replace a built-in one. Select it with MAIL_TRANSPORT.
+ * @param {string} name
+ * @param {Function} factory - (settings) => async (message) => info
+ */
+exports.registerTransport = (name, factory) => {
+  transports[name.toLowerCase()] = factory;
+  deliver = null;
+};
+
+/**
+ * Name of the transport mail is sent with
+ */
+exports.getTransportName = () => getSettings().transport;
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body, optional
+ */
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const { transport, from } = getSettings();
+
+  try {
+    const info = await getDeliver()({ from, to, subject, text, html });
+    log(`Sent "${subject}" via ${transport}`, { to, ...(info?.file ? { file: info.file } : {}) });
+    return info;
+  } catch (error) {
+    log.error(`Sending "${subject}" via ${transport} failed: ${error.message}`, { to });
+    throw error;
+  }
+};
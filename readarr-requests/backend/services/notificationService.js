@@ -1,26 +1,14 @@
 // services/notificationService.js
 const User = require('../models/User');
+const roleService = require('./roleService');
+const profileService = require('./profileService');
 const webpush = require('web-push');
-const fs = require('fs');
-const path = require('path');
 const dotenv = require('dotenv');
+const { createLogger } = require('../utils/logger');
 
 dotenv.config(); // This will load the .env file
 
-// Set up logging
-const logDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-const logFile = path.join(__dirname, '../logs/notifications.log');
-
-const log = (message) => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} - ${message}\n`;
-  fs.appendFileSync(logFile, logMessage);
-  console.log(message);
-};
+const log = createLogger('notifications');
 
 // Configure web-push with VAPID keys
 webpush.setVapidDetails(
@@ -63,7 +51,7 @@ exports.saveSubscription = async (userId, subscription) => {
     log(`Saved push subscription for user: ${userId}`);
     return { success: true };
   } catch (error) {
-    log(`Error saving push subscription: ${error.message}`);
+    log.error(`Error saving push subscription: ${error.message}`);
     throw error;
   }
 };
@@ -89,7 +77,7 @@ exports.removeSubscription = async (userId, endpoint) => {
     log(`Removed push subscription for user: ${userId}`);
     return { success: true };
   } catch (error) {
-    log(`Error removing push subscription: ${error.message}`);
+    log.error(`Error removing push subscription: ${error.message}`);
     throw error;
   }
 };
@@ -106,6 +94,11 @@ exports.sendUserNotification = async (userId, notification) => {
       log(`No subscriptions found for user: ${userId}`);
       return { success: false, message: 'No subscriptions found' };
     }
+
+    if (!profileService.wantsNotification(user, notification.data?.type)) {
+      log(`User ${userId} turned off ${notification.data.type} notifications`);
+      return { success: false, message: 'Turned off in preferences' };
+    }
     
     const results = {
       successful: 0,
@@ -122,7 +115,7 @@ exports.sendUserNotification = async (userId, notification) => {
         results.successful++;
       } catch (error) {
         results.failed++;
-        log(`Error sending notification to subscription: ${error.message}`);
+        log.error(`Error sending notification to subscription: ${error.message}`);
         
         // Check if subscription is no longer valid (gone)
         if (error.statusCode === 410) {
@@ -143,19 +136,49 @@ exports.sendUserNotification = async (userId, notification) => {
     log(`Sent notification to user ${userId}: Success: ${results.successful}, Failed: ${results.failed}`);
     return { success: results.successful > 0, results };
   } catch (error) {
-    log(`Error sending user notification: ${error.message}`);
+    log.error(`Error sending user notification: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Send notification to all admin users
+ * Send notification to everyone interested in a request: the requester and its followers
+ * @param {Object} request - Request document
+ * @param {Object} notification - Notification payload
+ */
+exports.sendRequestNotification = async (request, notification) => {
+  const recipients = request.getRecipients();
+  const results = {
+    users: recipients.length,
+    successful: 0,
+    failed: 0
+  };
+
+  for (const userId of recipients) {
+    try {
+      const result = await exports.sendUserNotification(userId, notification);
+      if (result.results) {
+        results.successful += result.results.successful;
+        results.failed += result.results.failed;
+      }
+    } catch (error) {
+      results.failed++;
+      log.error(`Error notifying user ${userId} about request ${request._id}: ${error.message}`);
+    }
+  }
+
+  log(`Sent request notifications: Users: ${results.users}, Success: ${results.successful}, Failed: ${results.failed}`);
+  return { success: results.successful > 0, results };
+};
+
+/**
+ * Send notification to every user whose role grants a permission
  * @param {Object} notification - Notification payload
+ * @param {string} permission - Who should hear about it; request managers by default
  */
-exports.sendAdminNotification = async (notification) => {
+exports.sendAdminNotification = async (notification, permission = 'manage-requests') => {
   try {
-    // Find all admin users
-    const adminUsers = await User.find({ role: 'admin' });
+    const adminUsers = await roleService.findUsersWithPermission(permission);
     
     if (!adminUsers || adminUsers.length === 0) {
       log('No admin users found');
@@ -186,7 +209,7 @@ exports.sendAdminNotification = async (notification) => {
           results.successful++;
         } catch (error) {
           results.failed++;
-          log(`Error sending admin notification: ${error.message}`);
+          log.error(`Error sending admin notification: ${error.message}`);
           
           // Check if subscription is no longer valid
           if (error.statusCode === 410) {
@@ -203,7 +226,7 @@ exports.sendAdminNotification = async (notification) => {
     log(`Sent admin notifications: Users: ${results.users}, Success: ${results.successful}, Failed: ${results.failed}`);
     return { success: results.successful > 0, results };
   } catch (error) {
-    log(`Error sending admin notifications: ${error.message}`);
+    log.error(`Error sending admin notifications: ${error.message}`);
     throw error;
   }
 };
@@ -237,8 +260,8 @@ exports.sendBookAvailableNotification = async (book, request) => {
       ]
     };
     
-    // Send notification to the user who requested the book
-    await exports.sendUserNotification(request.user._id || request.user, userNotification);
+    // Send notification to the user who requested the book and its followers
+    await exports.sendRequestNotification(request, userNotification);
     
     // Notification payload for admins
     const adminNotification = {
@@ -265,7 +288,7 @@ exports.sendBookAvailableNotification = async (book, request) => {
     
     return { success: true };
   } catch (error) {
-    log(`Error sending book available notification: ${error.message}`);
+    log.error(`Error sending book available notification: ${error.message}`);
     throw error;
   }
 };
\ No newline at end of file
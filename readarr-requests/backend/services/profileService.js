@@ -0,0 +1,125 @@
+// services/profileService.js
+const User = require('../models/User');
+const eventService = require('./eventService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('profile', { file: 'auth.log' });
+
+const THEMES = User.schema.path('preferences.theme').enumValues;
+const NOTIFICATION_PREFERENCES = ['bookAvailable', 'newReleases', 'requestUpdates'];
+
+// Notification types each preference turns off
+const NOTIFICATION_TYPES = {
+  'book-available': 'bookAvailable',
+  'request-status-update': 'requestUpdates',
+  'request-comment': 'requestUpdates',
+  'request-owner-changed': 'requestUpdates'
+};
+
+/**
+ * Error thrown for a profile change that can't be made
+ * @param {string} message
+ */
+const invalidProfileError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PROFILE';
+  return error;
+};
+
+/**
+ * Change a user's username, email and/or password. Changing the email or
+ * password needs the current password.
+ * @param {Object} user - User document
+ * @param {Object} changes - { username, email, currentPassword, newPassword }
+ * @returns {Object} - The saved user
+ */
+exports.updateProfile = async (user, { username, email, currentPassword, newPassword }) => {
+  const nextUsername = typeof username === 'string' ? username.trim() : user.username;
+  const nextEmail = typeof email === 'string' ? email.trim() : user.email;
+  const changed = [];
+
+  if (nextEmail !== user.email || newPassword) {
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      throw invalidProfileError('Current password is incorrect');
+    }
+  }
+
+  if (nextUsername !== user.username) {
+    if (!nextUsername) {
+      throw invalidProfileError('Username cannot be empty');
+    }
+    if (await User.exists({ username: nextUsername, _id: { $ne: user._id } })) {
+      throw invalidProfileError('That username is already taken');
+    }
+    user.username = nextUsername;
+    changed.push('username');
+  }
+
+  if (nextEmail !== user.email) {
+    if (!User.EMAIL_PATTERN.test(nextEmail)) {
+      throw invalidProfileError('Enter a valid email address');
+    }
+    if (await User.exists({ email: nextEmail, _id: { $ne: user._id } })) {
+      throw invalidProfileError('That email is already used by another account');
+    }
+    user.email = nextEmail;
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+    changed.push('email');
+  }
+
+  if (newPassword) {
+    if (typeof newPassword !== 'string' || newPassword.length < User.MIN_PASSWORD_LENGTH) {
+      throw invalidProfileError(`Passwords must be at least ${User.MIN_PASSWORD_LENGTH} characters`);
+    }
+    user.password = newPassword;
+    changed.push('password');
+  }
+
+  if (changed.length > 0) {
+    await user.save();
+    if (changed.includes('password')) eventService.disconnectUser(user.id);
+    log(`User ${user.username} changed their ${changed.join(', ')}`, { userId: user.id });
+  }
+
+  return user;
+};
+
+/**
+ * Save a user's theme and notification preferences. Fields left out keep their value.
+ * @param {Object} user - User document
+ * @param {Object} preferences - { theme, notifications: { bookAvailable, newReleases, requestUpdates } }
+ * @returns {Object} - The saved preferences
+ */
+exports.updatePreferences = async (user, { theme, notifications } = {}) => {
+  if (theme !== undefined) {
+    if (!THEMES.includes(theme)) {
+      throw invalidProfileError(`Theme must be one of: ${THEMES.join(', ')}`);
+    }
+    user.set('preferences.theme', theme);
+  }
+
+  for (const [name, value] of Object.entries(notifications || {})) {
+    if (!NOTIFICATION_PREFERENCES.includes(name)) {
+      throw invalidProfileError(`Unknown notification preference: ${name}`);
+    }
+    if (typeof value !== 'boolean') {
+      throw invalidProfileError(`${name} must be true or false`);
+    }
+    user.set(`preferences.notifications.${name}`, value);
+  }
+
+  await user.save();
+  return user.preferences;
+};
+
+/**
+ * Whether a user wants a push notification of a given type. Types without a
+ * matching preference are always sent.
+ * @param {Object} user - User document
+ * @param {string} type - notification.data.type
+ */
+exports.wantsNotification = (user, type) => {
+  const preference = NOTIFICATION_TYPES[type];
+  return !preference || user.preferences?.notifications?.[preference] !== false;
+};
@@ -0,0 +1,137 @@
+// services/quotaService.js
+const Request = require('../models/Request');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+
+const QUOTA_FIELDS = ['maxRequests', 'periodDays', 'maxPending'];
+
+// Used when neither the role nor the user sets a period
+const DEFAULT_PERIOD_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Error thrown when a quota field is not a valid number
+ * @param {string} message
+ */
+const invalidQuotaError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUOTA';
+  return error;
+};
+
+/**
+ * Clean up quota fields from a request body. Empty values clear a limit.
+ * @param {Object} body - { maxRequests, periodDays, maxPending }
+ * @returns {Object} - Quota with numbers, or undefined for cleared fields
+ */
+exports.sanitizeQuota = (body = {}) => {
+  const quota = {};
+
+  for (const field of QUOTA_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      quota[field] = undefined;
+      continue;
+    }
+
+    const number = Number(value);
+    const minimum = field === 'periodDays' ? 1 : 0;
+    if (!Number.isInteger(number) || number < minimum) {
+      throw invalidQuotaError(`${field} must be a whole number of at least ${minimum}`);
+    }
+    quota[field] = number;
+  }
+
+  return quota;
+};
+
+/**
+ * Work out the quota that applies to a user: their override, then their role's quota
+ * @param {Object} user - User document with role and quotaOverride
+ * @returns {Object} - { maxRequests, periodDays, maxPending } (null means unlimited)
+ */
+exports.getQuota = async (user) => {
+  const settings = await Settings.getSettings();
+  const roleQuota = settings.quotas?.get(user.role) || {};
+  const override = user.quotaOverride || {};
+
+  const pick = (field, fallback) => {
+    if (isSet(override[field])) return override[field];
+    if (isSet(roleQuota[field])) return roleQuota[field];
+    return fallback;
+  };
+
+  return {
+    maxRequests: pick('maxRequests', null),
+    periodDays: pick('periodDays', DEFAULT_PERIOD_DAYS),
+    maxPending: pick('maxPending', null)
+  };
+};
+
+/**
+ * How much of their quota a user has used
+ * @param {string} userId
+ * @returns {Object} - Quota, counts, what is left (null when unlimited) and when the oldest request stops counting
+ */
+exports.getUsage = async (userId) => {
+  const user = await User.findById(userId).select('role quotaOverride');
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  const quota = await exports.getQuota(user);
+  const periodStart = new Date(Date.now() - quota.periodDays * DAY_MS);
+
+  const [used, pending, oldest] = await Promise.all([
+    Request.countDocuments({ user: user._id, createdAt: { $gte: periodStart } }),
+    Request.countDocuments({ user: user._id, status: 'pending' }),
+    Request.findOne({ user: user._id, createdAt: { $gte: periodStart } })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+  ]);
+
+  return {
+    quota,
+    used,
+    pending,
+    remaining: isSet(quota.maxRequests) ? Math.max(0, quota.maxRequests - used) : null,
+    pendingRemaining: isSet(quota.maxPending) ? Math.max(0, quota.maxPending - pending) : null,
+    resetsAt: oldest && isSet(quota.maxRequests)
+      ? new Date(oldest.createdAt.getTime() + quota.periodDays * DAY_MS)
+      : null
+  };
+};
+
+/**
+ * Make sure a user can create more requests
+ * @param {string} userId
+ * @param {number} count - Number of requests about to be created
+ * @returns {Object} - Usage before the new requests
+ * @throws {Error} - With code QUOTA_EXCEEDED and the usage attached
+ */
+exports.assertCanRequest = async (userId, count = 1) => {
+  const usage = await exports.getUsage(userId);
+
+  let message = null;
+  if (usage.remaining !== null && count > usage.remaining) {
+    message = usage.remaining === 0
+      ? `You have used all ${usage.quota.maxRequests} requests allowed every ${usage.quota.periodDays} days`
+      : `You only have ${usage.remaining} request(s) left for this period`;
+  } else if (usage.pendingRemaining !== null && count > usage.pendingRemaining) {
+    message = `You can have at most ${usage.quota.maxPending} request(s) waiting for approval`;
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = 'QUOTA_EXCEEDED';
+    error.usage = usage;
+    throw error;
+  }
+
+  return usage;
+};
@@ -0,0 +1,211 @@
+// services/readarrInstanceService.js
+const mongoose = require('mongoose');
+const ReadarrInstance = require('../models/ReadarrInstance');
+const Request = require('../models/Request');
+const Settings = require('../models/Settings');
+const readarrAPI = require('../config/readarr');
+const notificationService = require('./notificationService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('readarr-instances', { file: 'readarr.log' });
+
+// Name the health check is registered under in the scheduler
+exports.HEALTH_CHECK_JOB = 'readarr-health-check';
+
+/**
+ * Create instances from READARR_API_URL / READARR_AUDIO_API_URL the first time the
+ * app starts with an empty registry, and attach existing requests to them
+ */
+exports.seedFromEnv = async () => {
+  if (await ReadarrInstance.countDocuments() > 0) return;
+
+  // Defaults saved before instances were stored in the database
+  const settings = await Settings.findOne({ key: 'global' }).lean();
+  const savedDefaults = settings?.readarr || {};
+
+  const seeds = [
+    {
+      format: 'ebook',
+      name: 'Ebooks',
+      url: process.env.READARR_API_URL,
+      apiKey: process.env.READARR_API_KEY,
+      isDefault: true
+    },
+    {
+      format: 'audiobook',
+      name: 'Audiobooks',
+      url: process.env.READARR_AUDIO_API_URL,
+      apiKey: process.env.READARR_AUDIO_API_KEY,
+      isDefault: false
+    }
+  ];
+
+  for (const seed of seeds) {
+    if (!seed.url || !seed.apiKey) continue;
+
+    const instance = await ReadarrInstance.create({
+      name: seed.name,
+      slug: seed.format,
+      url: seed.url,
+      apiKey: seed.apiKey,
+      isDefault: seed.isDefault,
+      priority: seed.isDefault ? 100 : 10,
+      rules: [{ field: 'format', values: [seed.format] }],
+      defaults: savedDefaults[seed.format] || {}
+    });
+    log(`Created Readarr instance "${instance.name}" from environment`);
+
+    const { modifiedCount } = await Request.updateMany(
+      { readarrInstance: { $exists: false }, format: Request.formatCondition(seed.format) },
+      { $set: { readarrInstance: instance._id } }
+    );
+    log(`Attached ${modifiedCount} existing ${seed.format} requests to "${instance.name}"`);
+  }
+
+  if (settings?.readarr) {
+    await Settings.updateOne({ key: 'global' }, { $unset: { readarr: '' } });
+  }
+};
+
+/**
+ * Pick the instance a request should be sent to.
+ * Enabled instances are tried in priority order; the first whose rules all match wins,
+ * falling back to the default instance.
+ * @param {Object} request - Request document (user may be populated)
+ */
+exports.resolveInstance = async (request) => {
+  const instances = await ReadarrInstance.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+
+  const attributes = {
+    format: request.format,
+    language: request.language,
+    genres: request.genres,
+    user: [request.user?._id || request.user, request.user?.username].filter(Boolean)
+  };
+
+  return instances.find(instance => instance.rules.length > 0 && instance.matches(attributes))
+    || instances.find(instance => instance.isDefault)
+    || instances.find(instance => instance.rules.length === 0)
+    || null;
+};
+
+/**
+ * Get the instance a request lives in, resolving it by the routing rules if it has none yet
+ * @param {Object} request - Request document
+ */
+exports.getRequestInstance = async (request) => {
+  if (request.readarrInstance) {
+    if (request.readarrInstance.url) return request.readarrInstance;
+    const instance = await ReadarrInstance.findById(request.readarrInstance);
+    if (instance) return instance;
+  }
+
+  return exports.resolveInstance(request);
+};
+
+/**
+ * Find the instance a webhook was sent from
+ * @param {string} identifier - Slug or ID from the webhook URL, empty for the default instance
+ */
+exports.findWebhookInstance = async (identifier) => {
+  if (!identifier) {
+    return ReadarrInstance.findOne({ isDefault: true });
+  }
+
+  if (mongoose.Types.ObjectId.isValid(identifier)) {
+    const instance = await ReadarrInstance.findById(identifier);
+    if (instance) return instance;
+  }
+
+  return ReadarrInstance.findOne({ slug: identifier.toLowerCase() });
+};
+
+/**
+ * Formats that at least one enabled instance accepts
+ */
+exports.getAvailableFormats = async () => {
+  const instances = await ReadarrInstance.find({ enabled: true });
+  const formats = new Set();
+
+  for (const instance of instances) {
+    const formatRule = instance.rules.find(rule => rule.field === 'format' && rule.values.length > 0);
+    const instanceFormats = formatRule ? formatRule.values : readarrAPI.FORMATS;
+    instanceFormats.forEach(format => formats.add(format));
+  }
+
+  return readarrAPI.FORMATS.filter(format => formats.has(format));
+};
+
+/**
+ * Check an instance's health, store the result and alert admins when it becomes unhealthy
+ * @param {Object} instance - ReadarrInstance document
+ */
+exports.checkHealth = async (instance) => {
+  const previousStatus = instance.health?.status;
+
+  try {
+    const { version, issues } = await readarrAPI.getHealth(instance);
+    const status = issues.some(issue => issue.type === 'error')
+      ? 'error'
+      : issues.length > 0 ? 'warning' : 'ok';
+
+    instance.health = {
+      status,
+      checkedAt: new Date(),
+      version,
+      message: issues.length > 0 ? `${issues.length} issue(s) reported by Readarr` : 'Healthy',
+      issues
+    };
+  } catch (error) {
+    log(`Health check failed for Readarr instance "${instance.name}": ${error.message}`);
+    instance.health = {
+      status: 'error',
+      checkedAt: new Date(),
+      message: `Unreachable: ${error.message}`,
+      issues: []
+    };
+  }
+
+  await instance.save();
+
+  if (instance.health.status === 'error' && previousStatus !== 'error') {
+    try {
+      await notificationService.sendAdminNotification({
+        title: 'Readarr Instance Unhealthy',
+        body: `${instance.name}: ${instance.health.message}`,
+        icon: '/icon-192x192.png',
+        badge: '/badge-72x72.png',
+        data: {
+          url: '/admin/settings',
+          type: 'admin-readarr-health'
+        }
+      }, 'manage-settings');
+    } catch (notifyError) {
+      log.error(`Error sending health notification: ${notifyError.message}`);
+    }
+  }
+
+  return instance;
+};
+
+/**
+ * Check every enabled instance (scheduler job handler)
+ * @returns {Object} - Summary of the check
+ */
+exports.checkAllInstances = async () => {
+  const instances = await ReadarrInstance.find({ enabled: true });
+  const unhealthy = [];
+
+  for (const instance of instances) {
+    await exports.checkHealth(instance);
+    if (instance.health.status !== 'ok') {
+      unhealthy.push({ name: instance.name, status: instance.health.status, message: instance.health.message });
+    }
+  }
+
+  return {
+    message: `Checked ${instances.length} Readarr instances, ${unhealthy.length} with problems`,
+    checkedCount: instances.length,
+    unhealthy
+  };
+};
@@ -0,0 +1,290 @@
+// services/registrationService.js
+const crypto = require('crypto');
+const Invite = require('../models/Invite');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const quotaService = require('./quotaService');
+const roleService = require('./roleService');
+const notificationService = require('./notificationService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('registration', { file: 'auth.log' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error thrown when an account can't be registered or an invite can't be changed
+ * @param {string} code - REGISTRATION_CLOSED, INVITE_REQUIRED, INVALID_INVITE,
+ *   INVALID_REGISTRATION, INVITE_NOT_FOUND or FORBIDDEN
+ * @param {string} message
+ */
+const registrationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * The current registration mode: open, invite, approval or closed
+ */
+exports.getMode = async () => {
+  const settings = await Settings.getSettings();
+  return settings.registrationMode;
+};
+
+/**
+ * Change who can register
+ * @param {Object} actor - req.user
+ * @param {string} mode
+ * @returns {string} - The new mode
+ */
+exports.setMode = async (actor, mode) => {
+  if (!Settings.REGISTRATION_MODES.includes(mode)) {
+    throw registrationError('INVALID_REGISTRATION', `Unknown registration mode: ${mode}`);
+  }
+
+  const settings = await Settings.getSettings();
+  if (settings.registrationMode !== mode) {
+    log(`Registration mode changed from "${settings.registrationMode}" to "${mode}"`, { actor: actor.id });
+    settings.registrationMode = mode;
+    settings.updatedAt = Date.now();
+    settings.updatedBy = actor.id;
+    await settings.save();
+  }
+
+  return settings.registrationMode;
+};
+
+/**
+ * What the registration page needs to know: the mode and, when a code is
+ * given, whether it can be used
+ * @param {string} code - Invite code, optional
+ * @returns {Object} - { mode, invite }
+ */
+exports.getRegistrationInfo = async (code) => {
+  const mode = await exports.getMode();
+  if (!code || mode === 'closed') {
+    return { mode, invite: null };
+  }
+
+  const invite = await Invite.findOne({ code: String(code), ...Invite.usableQuery() }).select('role expiresAt');
+  return {
+    mode,
+    invite: invite
+      ? { valid: true, role: invite.role, expiresAt: invite.expiresAt }
+      : { valid: false }
+  };
+};
+
+/**
+ * Check the fields of a new account
+ * @param {Object} fields - { username, email, password }
+ * @returns {Object} - Trimmed username and email
+ */
+const validateAccount = async ({ username, email, password }) => {
+  const name = typeof username === 'string' ? username.trim() : '';
+  const address = typeof email === 'string' ? email.trim() : '';
+
+  if (!name) {
+    throw registrationError('INVALID_REGISTRATION', 'Username is required');
+  }
+  if (!User.EMAIL_PATTERN.test(address)) {
+    throw registrationError('INVALID_REGISTRATION', 'Enter a valid email address');
+  }
+  if (typeof password !== 'string' || password.length < User.MIN_PASSWORD_LENGTH) {
+    throw registrationError('INVALID_REGISTRATION', `Passwords must be at least ${User.MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (await User.exists({ email: address })) {
+    throw registrationError('INVALID_REGISTRATION', 'User already exists');
+  }
+  if (await User.exists({ username: name })) {
+    throw registrationError('INVALID_REGISTRATION', 'That username is already taken');
+  }
+
+  return { username: name, email: address };
+};
+
+/**
+ * Take one use of an invite. The use is counted atomically so a code can't
+ * be used more often than allowed by registering several accounts at once.
+ * @param {string} code
+ * @returns {Object} - Invite document
+ */
+const claimInvite = async (code) => {
+  const invite = await Invite.findOneAndUpdate(
+    { code: String(code), ...Invite.usableQuery() },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  if (!invite) {
+    throw registrationError('INVALID_INVITE', 'This invite code is invalid, expired or used up');
+  }
+  if (!(await roleService.roleExists(invite.role))) {
+    await Invite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+    throw registrationError('INVALID_INVITE', 'The role of this invite no longer exists');
+  }
+  return invite;
+};
+
+/**
+ * Tell user managers that an account is waiting for them
+ * @param {Object} user - User document
+ */
+const notifyPendingUser = async (user) => {
+  try {
+    await notificationService.sendAdminNotification({
+      title: 'New Account Awaiting Approval',
+      body: `${user.username} (${user.email}) registered and is waiting for approval`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/admin/users',
+        type: 'admin-user-pending'
+      }
+    }, 'manage-users');
+  } catch (error) {
+    log.error(`Error sending approval notification: ${error.message}`);
+  }
+};
+
+/**
+ * Register an account under the current registration mode. An invite code
+ * gives the account the invite's role and quota and skips approval.
+ * @param {Object} fields - { username, email, password, invite }
+ * @returns {Object} - { user, pending }
+ */
+exports.register = async ({ username, email, password, invite: code }) => {
+  const mode = await exports.getMode();
+  if (mode === 'closed') {
+    throw registrationError('REGISTRATION_CLOSED', 'Registration is closed');
+  }
+  if (mode === 'invite' && !code) {
+    throw registrationError('INVITE_REQUIRED', 'An invite code is required to register');
+  }
+
+  const account = await validateAccount({ username, email, password });
+  const invite = code ? await claimInvite(code) : null;
+  const pending = mode === 'approval' && !invite;
+
+  const user = new User({
+    ...account,
+    password,
+    pendingApproval: pending,
+    emailVerified: false
+  });
+  if (invite) {
+    user.role = invite.role;
+    user.quotaOverride = invite.quotaOverride;
+    user.invite = invite._id;
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (invite) {
+      await Invite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+    }
+    throw error;
+  }
+
+  if (invite) {
+    await Invite.updateOne({ _id: invite._id }, { $push: { usedBy: { user: user._id } } });
+    log(`User ${user.username} registered with invite ${invite.id} as "${user.role}"`, { userId: user.id });
+  } else {
+    log(`User ${user.username} registered${pending ? ', waiting for approval' : ''}`, { userId: user.id });
+  }
+
+  if (pending) {
+    await notifyPendingUser(user);
+  }
+
+  return { user, pending };
+};
+
+/**
+ * An invite as listed to admins
+ * @param {Object} invite - Invite document with createdBy and usedBy.user populated
+ */
+const toAdminInvite = (invite) => ({ ...invite.toObject(), status: invite.getStatus() });
+
+/**
+ * Every invite, newest first
+ * @returns {Array}
+ */
+exports.listInvites = async () => {
+  const invites = await Invite.find()
+    .populate('createdBy', 'username')
+    .populate('usedBy.user', 'username')
+    .sort({ createdAt: -1 });
+  return invites.map(toAdminInvite);
+};
+
+/**
+ * Create an invite code
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {Object} fields - { role, maxUses, expiresInDays, quotaOverride, note }
+ * @returns {Object} - Invite as listed to admins
+ */
+exports.createInvite = async (actor, { role, maxUses, expiresInDays, quotaOverride, note } = {}) => {
+  const inviteRole = role || roleService.DEFAULT_ROLE;
+  if (!(await roleService.roleExists(inviteRole))) {
+    throw registrationError('INVALID_INVITE', `Unknown role: ${inviteRole}`);
+  }
+  const missing = await roleService.getMissingPermissions(actor.permissions, inviteRole);
+  if (missing.length > 0) {
+    throw registrationError('FORBIDDEN', `You can't grant permissions you don't have: ${missing.join(', ')}`);
+  }
+
+  const uses = maxUses === undefined || maxUses === '' ? 1 : Number(maxUses);
+  if (!Number.isInteger(uses) || uses < 1) {
+    throw registrationError('INVALID_INVITE', 'maxUses must be a whole number of at least 1');
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!(days > 0)) {
+      throw registrationError('INVALID_INVITE', 'expiresInDays must be more than 0');
+    }
+    expiresAt = new Date(Date.now() + days * DAY_MS);
+  }
+
+  const invite = await Invite.create({
+    code: crypto.randomBytes(12).toString('base64url'),
+    createdBy: actor.id,
+    role: inviteRole,
+    quotaOverride: quotaOverride ? quotaService.sanitizeQuota(quotaOverride) : undefined,
+    maxUses: uses,
+    expiresAt,
+    note
+  });
+  log(`Invite ${invite.id} created for role "${inviteRole}" with ${uses} use(s)`, { actor: actor.id });
+
+  await invite.populate('createdBy', 'username');
+  return toAdminInvite(invite);
+};
+
+/**
+ * Stop an invite code working. Accounts already registered with it are kept.
+ * @param {Object} actor - req.user
+ * @param {string} inviteId
+ * @returns {Object} - Invite as listed to admins
+ */
+exports.revokeInvite = async (actor, inviteId) => {
+  const invite = await Invite.findById(inviteId).catch(() => null);
+  if (!invite) {
+    throw registrationError('INVITE_NOT_FOUND', 'Invite not found');
+  }
+
+  if (!invite.revokedAt) {
+    invite.revokedAt = new Date();
+    await invite.save();
+    log(`Invite ${invite.id} revoked`, { actor: actor.id });
+  }
+
+  await invite.populate([
+    { path: 'createdBy', select: 'username' },
+    { path: 'usedBy.user', select: 'username' }
+  ]);
+  return toAdminInvite(invite);
+};
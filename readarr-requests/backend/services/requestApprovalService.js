@@ -0,0 +1,273 @@
+// services/requestApprovalService.js
+const readarrAPI = require('../config/readarr');
+const googleBooksAPI = require('../config/googleBooks');
+const openLibraryAPI = require('../config/openLibrary');
+const readarrInstanceService = require('./readarrInstanceService');
+const notificationService = require('./notificationService');
+const searchRetryService = require('./searchRetryService');
+const { createLogger, runWithContext } = require('../utils/logger');
+
+const log = createLogger('request-approval', { file: 'readarr.log' });
+
+/**
+ * Set a request's status, record it in the history and notify the requesting user
+ * @param {Object} request - Request document
+ * @param {string} status - New status
+ * @param {string} actorId - Admin making the change (none for automatic changes)
+ */
+exports.applyStatusChange = async (request, status, actorId) => {
+  const previousStatus = request.status;
+  request.status = status;
+
+  if (previousStatus !== status) {
+    if (status === 'denied' && request.denialReason) {
+      request.addEvent(status, `Request denied: ${request.denialReason}`, { actor: actorId });
+    } else if (status === 'approved' || status === 'denied') {
+      request.addEvent(status, `Request ${status}`, { actor: actorId });
+    } else if (status === 'available') {
+      request.addEvent('marked-available', 'Marked as available by admin', { actor: actorId });
+    } else {
+      request.addEvent('status-changed', `Status changed from ${previousStatus} to ${status}`, {
+        actor: actorId,
+        data: { from: previousStatus, to: status }
+      });
+    }
+  }
+
+  await request.save();
+
+  // Send notification to user about status change
+  try {
+    if (previousStatus !== status) {
+      // Notification title and message based on new status
+      let notificationTitle = 'Book Request Update';
+      let notificationBody = '';
+      
+      switch (status) {
+        case 'approved':
+          notificationTitle = 'Book Request Approved';
+          notificationBody = `Your request for "${request.title}" has been approved and added to the download queue.`;
+          break;
+        case 'denied':
+          notificationTitle = 'Book Request Denied';
+          notificationBody = request.denialReason
+            ? `Your request for "${request.title}" has been denied: ${request.denialReason}`
+            : `Your request for "${request.title}" has been denied.`;
+          break;
+        case 'available':
+          notificationTitle = 'Book Now Available';
+          notificationBody = `"${request.title}" is now available in the library.`;
+          break;
+        default:
+          notificationBody = `The status of your request for "${request.title}" has been updated to ${status}.`;
+      }
+      
+      const userNotification = {
+        title: notificationTitle,
+        body: notificationBody,
+        icon: '/icon-192x192.png',
+        badge: '/badge-72x72.png',
+        data: {
+          url: '/requests',
+          requestId: request._id.toString(),
+          bookId: request.bookId,
+          type: 'request-status-update'
+        }
+      };
+      
+      // Followers get the same updates as the requester
+      const notifyResult = await notificationService.sendRequestNotification(request, userNotification);
+      
+      log(`User notification sent for status change to ${status} for request: "${request.title}"`);
+
+      if (notifyResult.success) {
+        request.addEvent('notification-sent', `User notified: ${notificationTitle}`, {
+          data: { audience: 'user', results: notifyResult.results }
+        });
+        await request.save();
+      }
+    }
+  } catch (notifyError) {
+    // Don't fail if notification fails
+    log.error(`Failed to send status update notification: ${notifyError.message}`);
+  }
+};
+
+
+/**
+ * Add an approved request's book to Readarr and record the outcome on the request.
+ * The request is not saved; callers save it along with their own changes.
+ * @param {Object} request - Request document
+ * @param {Object} options - { actorId, instance, readarrOptions }
+ * @param {string} options.actorId - Admin approving the request
+ * @param {Object} options.instance - Instance chosen by the admin, instead of the routed one
+ * @param {Object} options.readarrOptions - Profile/root folder overrides for this request
+ * @returns {Object} - { needsMatch } true when an admin has to pick the Readarr match first
+ */
+const sendToReadarr = async (request, { actorId, instance: chosenInstance = null, readarrOptions } = {}) => {
+  try {
+    log(`Processing request approval for: "${request.title}" by ${request.author}`);
+    
+    // Get more detailed book information based on source if available
+    let enrichedBookData = {
+      title: request.title,
+      author: request.author,
+      isbn: request.isbn
+    };
+    
+    // If source is specified, get richer metadata
+    if (request.source) {
+      try {
+        log(`Getting enhanced metadata from ${request.source} for book: ${request.bookId}`);
+        let bookDetails;
+        
+        if (request.source === 'google') {
+          // Remove 'gb-' prefix if present
+          const googleId = request.bookId.startsWith('gb-') ? 
+            request.bookId.substring(3) : request.bookId;
+          bookDetails = await googleBooksAPI.getBookDetails(googleId);
+        } else if (request.source === 'openLibrary') {
+          // Remove 'ol-' prefix if present
+          const olId = request.bookId.startsWith('ol-') ? 
+            request.bookId.substring(3) : request.bookId;
+          bookDetails = await openLibraryAPI.getBookDetails(olId);
+        }
+        
+        if (bookDetails) {
+          // Get author information for better matching
+          let authorInfo = null;
+          if (request.source === 'google' && bookDetails.author) {
+            // Extract the primary author (first in the list)
+            const primaryAuthor = bookDetails.author.split(',')[0].trim();
+            try {
+              authorInfo = await googleBooksAPI.searchAuthor(primaryAuthor);
+              log(`Found author information for ${primaryAuthor}`);
+            } catch (authorErr) {
+              log.warn(`Error getting author info: ${authorErr.message}, will continue without it`);
+            }
+          }
+          
+          // Enhance book data with metadata
+          enrichedBookData = {
+            ...enrichedBookData,
+            title: bookDetails.title || request.title,
+            author: bookDetails.author || request.author,
+            isbn: bookDetails.isbn || request.isbn,
+            // Add additional metadata
+            authorMetadata: authorInfo ? {
+              name: authorInfo.name,
+              books: authorInfo.books?.length || 0,
+              genres: authorInfo.primaryGenres || []
+            } : null,
+            bookMetadata: {
+              title: bookDetails.title || request.title,
+              source: request.source,
+              sourceId: request.bookId,
+              publishYear: bookDetails.year
+            }
+          };
+          
+          // Fill in details used by the instance routing rules
+          if (!request.language && bookDetails.language) {
+            request.language = bookDetails.language;
+          }
+          if (!request.genres?.length && bookDetails.genres?.length) {
+            request.genres = bookDetails.genres;
+          }
+
+          log(`Enhanced book data: ${JSON.stringify(enrichedBookData)}`);
+        }
+      } catch (metadataError) {
+        log.error(`Error getting enhanced metadata: ${metadataError.message}`);
+        // Continue with basic metadata if enhanced fails
+      }
+    }
+
+    // Route the request to a Readarr instance
+    const instance = chosenInstance || await readarrInstanceService.getRequestInstance(request);
+    if (!instance) {
+      throw new Error('No Readarr instance matches this request');
+    }
+    if (chosenInstance && String(request.readarrInstance) !== String(chosenInstance._id)) {
+      // Options chosen for another instance don't apply here
+      request.readarrOptions = undefined;
+    }
+    request.readarrInstance = instance._id;
+    log(`Using Readarr instance "${instance.name}"`);
+
+    // Per-request overrides take precedence over the instance defaults
+    if (readarrOptions) {
+      request.readarrOptions = {
+        qualityProfileId: readarrOptions.qualityProfileId || undefined,
+        metadataProfileId: readarrOptions.metadataProfileId || undefined,
+        rootFolderPath: readarrOptions.rootFolderPath || undefined
+      };
+    }
+
+    const defaults = instance.defaults || {};
+    const overrides = request.readarrOptions || {};
+    const profiles = {
+      qualityProfileId: overrides.qualityProfileId || defaults.qualityProfileId,
+      metadataProfileId: overrides.metadataProfileId || defaults.metadataProfileId,
+      rootFolderPath: overrides.rootFolderPath || defaults.rootFolderPath
+    };
+
+    // Author and book picked by an admin, if Readarr had no exact match before
+    const picked = request.readarrMatch || {};
+    const match = picked.foreignBookId ? {
+      foreignBookId: picked.foreignBookId,
+      title: picked.title,
+      foreignAuthorId: picked.foreignAuthorId,
+      authorName: picked.authorName,
+      authorTitleSlug: picked.authorTitleSlug
+    } : null;
+
+    // Use the readarrAPI module's functions to add the book
+    const readarrResult = await readarrAPI.addBook(enrichedBookData, {
+      instance,
+      profiles,
+      match,
+      onEvent: (type, message, data) => request.addEvent(type, message, { actor: actorId, data })
+    });
+    
+    // Update request with readarr info
+    request.readarrStatus = 'added';
+    request.readarrId = readarrResult.id?.toString() || '';
+    request.readarrAuthorId = readarrResult.authorId?.toString() || '';
+    request.readarrMessage = 'Successfully added to Readarr';
+    // addBook ran the first search; later ones are up to the retry job
+    request.searchAttempts = 0;
+    request.lastSearchAt = new Date();
+    request.nextSearchAt = searchRetryService.getNextSearchAt(0);
+
+  } catch (error) {
+    if (error.code === 'NEEDS_MATCH') {
+      // Nothing was guessed: wait for an admin to pick the author and book
+      log(`Request ${request._id} needs a manual match: ${error.message}`);
+      request.readarrStatus = 'needs-match';
+      request.readarrMessage = error.message;
+      request.addEvent('needs-match', `${error.message}. Waiting for an admin to pick the right book.`, {
+        actor: actorId
+      });
+      return { needsMatch: true };
+    }
+
+    log.error(`ERROR in Readarr flow: ${error.message}`);
+
+    // Still update the request status, but note the error
+    request.readarrStatus = 'error';
+    request.readarrMessage = error.message || 'Error adding to Readarr';
+    request.addEvent('readarr-error', request.readarrMessage, {
+      actor: actorId,
+      data: { error: error.message, response: error.response?.data }
+    });
+  }
+
+  return { needsMatch: false };
+};
+
+// Log entries written along the way are tagged with the request
+exports.sendToReadarr = (request, options) => runWithContext(
+  { request: request._id.toString() },
+  () => sendToReadarr(request, options)
+);
@@ -0,0 +1,182 @@
+// services/requestQueryService.js
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const User = require('../models/User');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields a request list can be sorted by; prefix with "-" for descending
+const SORT_FIELDS = ['createdAt', 'title', 'author', 'status', 'voteCount'];
+const DEFAULT_SORT = '-createdAt';
+
+const DATE_FIELDS = ['createdAt'];
+
+// A user ID as sent by clients: 24 hex characters
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Error thrown for an invalid list query parameter
+ * @param {string} message
+ */
+const invalidQueryError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+};
+
+// "a,b" or ['a', 'b'] as a list
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQueryError(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+const parseSort = (sort) => {
+  const value = sort ? String(sort) : DEFAULT_SORT;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!SORT_FIELDS.includes(field)) {
+    throw invalidQueryError(`Cannot sort by ${field}`);
+  }
+  return { field, direction: descending ? -1 : 1 };
+};
+
+// Cursors are opaque to clients: the sort value and ID of the last request returned
+const encodeCursor = (request, field) => Buffer.from(JSON.stringify({
+  value: request[field] === undefined ? null : request[field],
+  id: request._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    return {
+      value: DATE_FIELDS.includes(field) && value !== null ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    throw invalidQueryError('Invalid cursor');
+  }
+};
+
+/**
+ * Build the MongoDB filter for a request list from query parameters
+ * @param {Object} query - { status, readarrStatus, format, user, bookId, from, to, q }
+ * @param {Object} options
+ * @param {Object} options.scope - Condition every result must also match, e.g. the current user's requests
+ * @param {boolean} options.allowUser - Whether the `user` parameter may be used (admins only)
+ * @returns {Object} - MongoDB filter
+ */
+exports.buildFilter = async (query, { scope, allowUser = false } = {}) => {
+  const conditions = scope ? [scope] : [];
+
+  const statuses = toList(query.status);
+  if (statuses.length > 0) {
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const readarrStatuses = toList(query.readarrStatus);
+  if (readarrStatuses.length > 0) {
+    conditions.push({ readarrStatus: { $in: readarrStatuses } });
+  }
+
+  if (query.format) {
+    conditions.push({ format: Request.formatCondition(query.format) });
+  }
+
+  if (query.bookId) {
+    conditions.push({ bookId: String(query.bookId) });
+  }
+
+  if (allowUser && query.user) {
+    // Accept a user ID or a username. isValid() also accepts any 12-character
+    // string, which would turn a username like that into a bogus ID.
+    const userId = OBJECT_ID_PATTERN.test(query.user)
+      ? query.user
+      : (await User.findOne({ username: query.user }).select('_id'))?._id;
+    // An unknown username matches nothing rather than everything
+    conditions.push({ user: userId || new mongoose.Types.ObjectId() });
+  }
+
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) createdAt.$lte = parseDate(query.to, 'to');
+    conditions.push({ createdAt });
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    conditions.push({ $or: [{ title: pattern }, { author: pattern }] });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Run a paginated request list query. Pages are numbered from 1; passing a
+ * cursor from a previous response continues after it instead.
+ * @param {Object} filter - MongoDB filter from buildFilter
+ * @param {Object} query - { sort, page, limit, cursor }
+ * @param {Function} prepare - Adds populates etc. to the find query
+ * @returns {Object} - { requests, pagination: { page, limit, total, pages, nextCursor } }
+ */
+exports.paginate = async (filter, query, prepare = (q) => q) => {
+  const { field, direction } = parseSort(query.sort);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, field);
+    const op = direction === -1 ? '$lt' : '$gt';
+    pageFilter = {
+      $and: [filter, {
+        $or: [
+          { [field]: { [op]: cursor.value } },
+          { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }]
+    };
+  }
+
+  let find = Request.find(pageFilter).sort({ [field]: direction, _id: direction }).limit(limit + 1);
+  if (!query.cursor) {
+    find = find.skip((page - 1) * limit);
+  }
+
+  const [results, total] = await Promise.all([
+    prepare(find),
+    Request.countDocuments(filter)
+  ]);
+
+  const hasMore = results.length > limit;
+  const requests = hasMore ? results.slice(0, limit) : results;
+
+  return {
+    requests,
+    pagination: {
+      page: query.cursor ? null : page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      nextCursor: hasMore ? encodeCursor(requests[requests.length - 1], field) : null
+    }
+  };
+};
+
+exports.SORT_FIELDS = SORT_FIELDS;
@@ -0,0 +1,150 @@
+// services/roleService.js
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('roles', { file: 'auth.log' });
+
+// Every user has this role until an admin assigns another
+exports.DEFAULT_ROLE = 'user';
+
+// Always has every permission, so the app can't be locked out of its own settings
+exports.ADMIN_ROLE = 'admin';
+
+// Roles created on first start; admins can change the permissions of all but admin
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: Role.PERMISSIONS
+  },
+  {
+    name: 'user',
+    description: 'Request books and follow their own requests',
+    permissions: []
+  },
+  {
+    name: 'moderator',
+    description: 'Approve, deny and manage requests',
+    permissions: ['manage-requests']
+  },
+  {
+    name: 'librarian',
+    description: 'Manage the Calibre library',
+    permissions: ['manage-calibre']
+  }
+];
+
+// Permissions keyed by role name, cleared whenever a role changes
+let cache = null;
+
+const loadRoles = async () => {
+  if (!cache) {
+    const roles = await Role.find().select('name permissions').lean();
+    cache = new Map(roles.map(role => [role.name, role.permissions]));
+  }
+  return cache;
+};
+
+/**
+ * Forget cached role permissions after a role is created, changed or deleted
+ */
+exports.clearCache = () => {
+  cache = null;
+};
+
+/**
+ * Create the built-in roles that don't exist yet and give admin any
+ * permissions added since it was created
+ */
+exports.seedRoles = async () => {
+  for (const seed of BUILT_IN_ROLES) {
+    const result = await Role.updateOne(
+      { name: seed.name },
+      { $setOnInsert: { ...seed, builtIn: true } },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) {
+      log(`Created built-in role "${seed.name}"`);
+    }
+  }
+
+  await Role.updateOne(
+    { name: exports.ADMIN_ROLE },
+    { $addToSet: { permissions: { $each: Role.PERMISSIONS } } }
+  );
+  exports.clearCache();
+};
+
+/**
+ * Permissions granted by a role. Unknown roles grant nothing.
+ * @param {string} roleName
+ * @returns {Array} - Permission names
+ */
+exports.getPermissions = async (roleName) => {
+  if (roleName === exports.ADMIN_ROLE) return [...Role.PERMISSIONS];
+
+  const roles = await loadRoles();
+  return roles.get(roleName) || [];
+};
+
+/**
+ * Whether a role grants a permission
+ * @param {string} roleName
+ * @param {string} permission
+ */
+exports.hasPermission = async (roleName, permission) => {
+  const permissions = await exports.getPermissions(roleName);
+  return permissions.includes(permission);
+};
+
+/**
+ * Permissions of a role that a user lacks. Users can only hand out or manage
+ * roles whose permissions they hold themselves.
+ * @param {Array} permissions - The user's permissions
+ * @param {string} roleName
+ * @returns {Array} - Permission names
+ */
+exports.getMissingPermissions = async (permissions, roleName) => {
+  const granted = await exports.getPermissions(roleName);
+  return granted.filter(permission => !permissions.includes(permission));
+};
+
+/**
+ * Whether a role exists
+ * @param {string} roleName
+ */
+exports.roleExists = async (roleName) => {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+};
+
+/**
+ * Names of every role, built-in roles first
+ * @returns {Array}
+ */
+exports.listRoleNames = async () => {
+  const roles = await Role.find().select('name builtIn').sort({ builtIn: -1, name: 1 }).lean();
+  return roles.map(role => role.name);
+};
+
+/**
+ * Names of the roles that grant a permission
+ * @param {string} permission
+ * @returns {Array}
+ */
+exports.getRolesWithPermission = async (permission) => {
+  const roles = await loadRoles();
+  const names = [...roles.keys()].filter(name => roles.get(name).includes(permission));
+  return names.includes(exports.ADMIN_ROLE) ? names : [...names, exports.ADMIN_ROLE];
+};
+
+/**
+ * Users whose role grants a permission
+ * @param {string} permission
+ * @returns {Promise<Array>} - User documents
+ */
+exports.findUsersWithPermission = async (permission) => {
+  const roles = await exports.getRolesWithPermission(permission);
+  return User.find({ role: { $in: roles } });
+};
@@ -0,0 +1,221 @@
+// services/schedulerService.js
+const JobRun = require('../models/JobRun');
+const ScheduledJob = require('../models/ScheduledJob');
+const { createLogger, runWithContext } = require('../utils/logger');
+
+const log = createLogger('scheduler');
+
+// Registered jobs keyed by name
+const jobs = new Map();
+let started = false;
+
+/**
+ * Schedule the next run of a job based on its interval
+ * @param {Object} job - Registered job
+ */
+const scheduleNextRun = (job) => {
+  if (job.timer) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+
+  if (!started || !job.enabled) {
+    job.nextRunAt = null;
+    return;
+  }
+
+  const delay = job.intervalMinutes * 60 * 1000;
+  job.nextRunAt = new Date(Date.now() + delay);
+  job.timer = setTimeout(async () => {
+    try {
+      await exports.runJob(job.name, { trigger: 'scheduled' });
+    } catch (error) {
+      log(`Scheduled run of ${job.name} failed: ${error.message}`);
+    }
+    scheduleNextRun(job);
+  }, delay);
+};
+
+/**
+ * Register a job with the scheduler
+ * @param {Object} options - Job definition
+ * @param {string} options.name - Unique job name
+ * @param {string} options.description - Human readable description
+ * @param {Function} options.handler - Async function returning the run result
+ * @param {number} options.intervalMinutes - Default interval between runs
+ * @param {boolean} options.enabled - Whether the job runs on a schedule by default
+ */
+exports.registerJob = ({ name, description, handler, intervalMinutes, enabled = true }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  jobs.set(name, {
+    name,
+    description,
+    handler,
+    defaultIntervalMinutes: intervalMinutes,
+    intervalMinutes,
+    enabled,
+    running: false,
+    timer: null,
+    nextRunAt: null
+  });
+
+  log(`Registered job ${name} (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Load saved schedules and start all enabled jobs
+ */
+exports.start = async () => {
+  if (started) return;
+
+  try {
+    const savedSchedules = await ScheduledJob.find({ name: { $in: [...jobs.keys()] } });
+
+    for (const saved of savedSchedules) {
+      const job = jobs.get(saved.name);
+      if (saved.intervalMinutes) job.intervalMinutes = saved.intervalMinutes;
+      job.enabled = saved.enabled;
+    }
+  } catch (error) {
+    log.warn(`Error loading saved job schedules, using defaults: ${error.message}`);
+  }
+
+  started = true;
+
+  for (const job of jobs.values()) {
+    scheduleNextRun(job);
+    log(`Job ${job.name} ${job.enabled ? `next run at ${job.nextRunAt.toISOString()}` : 'is disabled'}`);
+  }
+};
+
+/**
+ * Run a job immediately and record the run
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'scheduled' or 'manual'
+ * @param {string} options.userId - User who triggered a manual run
+ * @returns {Object} - The finished JobRun document
+ */
+exports.runJob = async (name, { trigger = 'manual', userId } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    const error = new Error(`Job ${name} is already running`);
+    error.code = 'JOB_RUNNING';
+    throw error;
+  }
+
+  let run;
+
+  // Recording the run can fail too (e.g. the database is down); the job must not stay locked
+  try {
+    job.running = true;
+    run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy: userId
+    });
+
+    log(`Starting ${trigger} run of ${name} (run ${run._id})`);
+
+    try {
+      // Everything the handler logs is tagged with the run
+      run.result = await runWithContext({ job: name, runId: run._id.toString() }, () => job.handler());
+      run.status = 'success';
+      log(`Finished run of ${name}`, { result: run.result });
+    } catch (error) {
+      run.status = 'error';
+      run.error = error.message;
+      log.error(`Run of ${name} failed: ${error.message}`);
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+  } finally {
+    job.running = false;
+  }
+
+  return run;
+};
+
+/**
+ * Update a job's schedule and persist it
+ * @param {string} name - Job name
+ * @param {Object} changes - { intervalMinutes, enabled }
+ */
+exports.updateJob = async (name, { intervalMinutes, enabled }) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (intervalMinutes !== undefined) {
+    const interval = parseInt(intervalMinutes);
+    if (!interval || interval < 1) {
+      throw new Error('Interval must be at least 1 minute');
+    }
+    job.intervalMinutes = interval;
+  }
+
+  if (enabled !== undefined) {
+    job.enabled = Boolean(enabled);
+  }
+
+  await ScheduledJob.findOneAndUpdate(
+    { name },
+    { intervalMinutes: job.intervalMinutes, enabled: job.enabled, updatedAt: Date.now() },
+    { upsert: true }
+  );
+
+  scheduleNextRun(job);
+  log(`Updated job ${name}: every ${job.intervalMinutes} minutes, ${job.enabled ? 'enabled' : 'disabled'}`);
+
+  return exports.getJob(name);
+};
+
+/**
+ * Get a job's schedule with its last run
+ * @param {string} name - Job name
+ */
+exports.getJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+
+  const lastRun = await JobRun.findOne({ job: name }).sort({ startedAt: -1 });
+
+  return {
+    name: job.name,
+    description: job.description,
+    intervalMinutes: job.intervalMinutes,
+    defaultIntervalMinutes: job.defaultIntervalMinutes,
+    enabled: job.enabled,
+    running: job.running,
+    nextRunAt: job.nextRunAt,
+    lastRun
+  };
+};
+
+/**
+ * Get all registered jobs with their schedules
+ */
+exports.getJobs = async () => {
+  return Promise.all([...jobs.keys()].map(name => exports.getJob(name)));
+};
+
+/**
+ * Get recent runs for a job
+ * @param {string} name - Job name
+ * @param {number} limit - Maximum runs to return
+ */
+exports.getJobRuns = async (name, limit = 20) => {
+  return JobRun.find({ job: name })
+    .populate('triggeredBy', 'username')
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
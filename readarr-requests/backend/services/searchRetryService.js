@@ -0,0 +1,160 @@
+// services/searchRetryService.js
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const notificationService = require('./notificationService');
+const readarrInstanceService = require('./readarrInstanceService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('search-retry', { file: 'readarr.log' });
+
+// Name the search retry is registered under in the scheduler
+exports.SEARCH_RETRY_JOB = 'readarr-search-retry';
+
+// Wait before the first retry, doubling after each one up to the maximum
+const BASE_DELAY_MINUTES = parseInt(process.env.SEARCH_RETRY_BASE_MINUTES) || 60;
+const MAX_DELAY_MINUTES = parseInt(process.env.SEARCH_RETRY_MAX_MINUTES) || 24 * 60;
+// Retries before a request is marked stalled
+const MAX_ATTEMPTS = parseInt(process.env.SEARCH_RETRY_MAX_ATTEMPTS) || 5;
+
+/**
+ * When the next search is due after a number of retries
+ * @param {number} attempts - Retries made so far
+ * @param {Date} from - Time of the last search
+ * @returns {Date}
+ */
+exports.getNextSearchAt = (attempts, from = new Date()) => {
+  const delay = Math.min(BASE_DELAY_MINUTES * 2 ** attempts, MAX_DELAY_MINUTES);
+  return new Date(from.getTime() + delay * 60 * 1000);
+};
+
+/**
+ * Re-issue a BookSearch for a request and schedule the next one. The request is saved.
+ * @param {Object} request - Request document
+ * @param {Object} instance - Readarr instance the book lives in
+ * @param {string} actorId - Admin asking for the search, if not the retry job
+ */
+const search = async (request, instance, actorId) => {
+  const { commandId } = await readarrAPI.searchBook(request.readarrId, instance);
+
+  request.searchAttempts = actorId ? 0 : request.searchAttempts + 1;
+  request.lastSearchAt = new Date();
+  request.nextSearchAt = exports.getNextSearchAt(request.searchAttempts, request.lastSearchAt);
+  request.readarrStatus = 'added';
+  request.readarrMessage = 'Searching for a release';
+  request.addEvent('search-retried', actorId
+    ? 'Readarr search started by admin'
+    : `Readarr search retry ${request.searchAttempts} of ${MAX_ATTEMPTS}`, {
+    actor: actorId,
+    data: { commandId, attempt: request.searchAttempts }
+  });
+  await request.save();
+};
+
+/**
+ * Give up searching for a request and tell the admins. The request is saved.
+ * @param {Object} request - Request document
+ */
+const markStalled = async (request) => {
+  request.readarrStatus = 'stalled';
+  request.readarrMessage = `No release found after ${request.searchAttempts} automatic searches`;
+  request.nextSearchAt = undefined;
+  request.addEvent('stalled', request.readarrMessage, {
+    data: { attempts: request.searchAttempts }
+  });
+  await request.save();
+
+  log(`Request ${request._id} ("${request.title}") stalled after ${request.searchAttempts} searches`);
+
+  try {
+    await notificationService.sendAdminNotification({
+      title: 'Request Stalled',
+      body: `No release found for "${request.title}" after ${request.searchAttempts} searches`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/admin/requests',
+        requestId: request._id.toString(),
+        type: 'admin-request-stalled'
+      }
+    });
+  } catch (notifyError) {
+    log.error(`Error sending stalled notification: ${notifyError.message}`);
+  }
+};
+
+/**
+ * Search Readarr again for approved books that haven't been grabbed, backing
+ * off between attempts, and mark them stalled once the retries run out
+ * @returns {Object} - Summary of the run
+ */
+exports.retryStalledSearches = async () => {
+  const now = new Date();
+  const requests = await Request.find({
+    status: 'approved',
+    readarrId: { $exists: true, $ne: '' },
+    readarrStatus: 'added',
+    // Requests added before retries existed have no schedule yet and are due now
+    $or: [{ nextSearchAt: { $lte: now } }, { nextSearchAt: null }]
+  }).populate('readarrInstance');
+
+  if (requests.length === 0) {
+    return { message: 'No searches due', searchedCount: 0, stalledCount: 0, errors: [] };
+  }
+
+  let searchedCount = 0;
+  let stalledCount = 0;
+  const errors = [];
+
+  for (const request of requests) {
+    try {
+      if (request.searchAttempts >= MAX_ATTEMPTS) {
+        await markStalled(request);
+        stalledCount++;
+        continue;
+      }
+
+      const instance = await readarrInstanceService.getRequestInstance(request);
+      if (!instance?.enabled) {
+        log(`Request ${request._id}: Readarr instance unavailable or disabled, skipping search`);
+        continue;
+      }
+
+      await search(request, instance);
+      searchedCount++;
+      log(`Request ${request._id}: search retry ${request.searchAttempts} of ${MAX_ATTEMPTS} sent to ${instance.name}`);
+    } catch (error) {
+      log.error(`Error retrying search for request ${request._id}: ${error.message}`);
+      errors.push({ requestId: request._id, error: error.message });
+      // Back off as if the search had run so an unreachable instance isn't hammered
+      await Request.updateOne(
+        { _id: request._id },
+        { nextSearchAt: exports.getNextSearchAt(request.searchAttempts) }
+      ).catch(() => {});
+    }
+  }
+
+  return {
+    message: `Searched again for ${searchedCount} requests, ${stalledCount} stalled`,
+    searchedCount,
+    stalledCount,
+    errors
+  };
+};
+
+/**
+ * Search for a request's book straight away and restart its retry schedule
+ * @param {Object} request - Request document, added to Readarr
+ * @param {string} actorId - Admin asking for the search
+ */
+exports.searchNow = async (request, actorId) => {
+  const instance = await readarrInstanceService.getRequestInstance(request);
+  if (!instance) {
+    throw new Error('No Readarr instance available for this request');
+  }
+
+  await search(request, instance, actorId);
+  log(`Request ${request._id}: search started by admin on ${instance.name}`);
+  return request;
+};
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
@@ -0,0 +1,174 @@
+// services/sharedRequestService.js
+const Request = require('../models/Request');
+const notificationService = require('./notificationService');
+const matching = require('../utils/matching');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('requests', { file: 'readarr.log' });
+
+// Requests other users can join; denied books have to be requested again
+const SHAREABLE_STATUSES = ['pending', 'approved', 'available'];
+
+// Most requests sharing words with a book that are compared against it
+const FUZZY_CANDIDATE_LIMIT = 50;
+
+/**
+ * Find the request other users should join for a book, matched by book ID,
+ * then ISBN, then a fuzzy title/author comparison
+ * @param {Object} book - { bookId, isbn, title, author }
+ * @param {string} format - 'ebook' or 'audiobook'
+ * @returns {Object|null} - Oldest matching request
+ */
+exports.findCanonical = async ({ bookId, isbn, title, author }, format = 'ebook') => {
+  const base = {
+    format: Request.formatCondition(format),
+    status: { $in: SHAREABLE_STATUSES }
+  };
+
+  if (bookId) {
+    const byId = await Request.findOne({ ...base, bookId }).sort({ createdAt: 1 });
+    if (byId) return byId;
+  }
+
+  if (isbn) {
+    const byIsbn = await Request.findOne({ ...base, isbn }).sort({ createdAt: 1 });
+    if (byIsbn) return byIsbn;
+  }
+
+  if (!title) return null;
+
+  // Different sources use different IDs for the same book. The text index narrows
+  // the requests down to those sharing words with the book (ignoring case and accents).
+  const terms = `${title} ${author || ''}`.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  if (!terms) return null;
+
+  const candidates = await Request.find({ ...base, $text: { $search: terms } })
+    .select({ title: 1, author: 1, createdAt: 1, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(FUZZY_CANDIDATE_LIMIT);
+
+  // Oldest first, so it wins a tie
+  candidates.sort((a, b) => a.createdAt - b.createdAt);
+  const best = matching.bestMatch(candidates, candidate => {
+    const result = matching.compareBooks({ title, author }, candidate);
+    return result.isMatch ? result.score : 0;
+  });
+
+  return best ? Request.findById(best.item._id) : null;
+};
+
+/**
+ * Add a user to a request's followers. The request is saved.
+ * @param {Object} request - Request document
+ * @param {string} userId - User joining the request
+ * @returns {boolean} - False when the user already made or follows the request
+ */
+exports.follow = async (request, userId) => {
+  if (request.isInterested(userId)) return false;
+
+  request.followers.push({ user: userId });
+  request.voteCount = request.followers.length + 1;
+  request.addEvent('followed', 'Another user asked for this book', { actor: userId });
+  await request.save();
+  return true;
+};
+
+/**
+ * Remove a user from a request's followers. The request is saved.
+ * @param {Object} request - Request document
+ * @param {string} userId - User leaving the request
+ * @returns {boolean} - False when the user was not following
+ */
+exports.unfollow = async (request, userId) => {
+  const remaining = request.followers.filter(follower => follower.user.toString() !== userId.toString());
+  if (remaining.length === request.followers.length) return false;
+
+  request.followers = remaining;
+  request.voteCount = remaining.length + 1;
+  request.addEvent('unfollowed', 'A follower left the request', { actor: userId });
+  await request.save();
+  return true;
+};
+
+/**
+ * Give a request to its longest follower when the requester leaves it, and
+ * tell them it is now theirs. The request is saved.
+ * @param {Object} request - Request document with followers
+ * @param {Object} options - { actor, message } for the history entry
+ * @returns {string|null} - ID of the new owner, or null when nobody follows the request
+ */
+exports.handToFirstFollower = async (request, { actor, message }) => {
+  if (request.followers.length === 0) return null;
+
+  const previousOwner = request.user._id || request.user;
+  const [newOwner, ...remaining] = request.followers;
+  request.user = newOwner.user;
+  request.followers = remaining;
+  request.voteCount = remaining.length + 1;
+  request.addEvent('owner-changed', message, {
+    actor,
+    data: { from: previousOwner, to: newOwner.user }
+  });
+  await request.save();
+
+  try {
+    await notificationService.sendUserNotification(newOwner.user, {
+      title: 'Request Handed to You',
+      body: `The original requester left "${request.title}", so the request is now yours`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/requests',
+        requestId: request._id.toString(),
+        type: 'request-owner-changed'
+      }
+    });
+  } catch (error) {
+    // The hand-off stands even if the new owner can't be told
+    log.error(`Failed to notify the new owner of request ${request._id}: ${error.message}`);
+  }
+
+  return newOwner.user.toString();
+};
+
+/**
+ * A request as seen by a user who made or follows it. Other users' details
+ * and the requester's comment thread are left out for followers.
+ * @param {Object} request - Request document
+ * @param {string} userId - Viewing user
+ */
+exports.toUserView = (request, userId) => {
+  const { followers, comments, ...rest } = request.toObject();
+  const following = (request.user._id || request.user).toString() !== userId.toString();
+
+  return {
+    ...rest,
+    comments: following ? [] : comments,
+    history: request.getUserHistory(),
+    following
+  };
+};
+
+/**
+ * Add the number of users who asked for each book to a list of search results
+ * @param {Array} books - Books with an `id`
+ * @returns {Array} - Books with `requestCount` where someone asked for them
+ */
+exports.annotateBooks = async (books) => {
+  const ids = books.map(book => book.id).filter(Boolean);
+  if (ids.length === 0) return books;
+
+  const requests = await Request.find({
+    bookId: { $in: ids },
+    status: { $in: SHAREABLE_STATUSES }
+  }).select('bookId voteCount');
+
+  const counts = new Map();
+  for (const request of requests) {
+    counts.set(request.bookId, (counts.get(request.bookId) || 0) + (request.voteCount || 1));
+  }
+
+  return books.map(book => (counts.has(book.id) ? { ...book, requestCount: counts.get(book.id) } : book));
+};
+
+exports.SHAREABLE_STATUSES = SHAREABLE_STATUSES;
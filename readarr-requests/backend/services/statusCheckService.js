@@ -0,0 +1,181 @@
+// services/statusCheckService.js
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const calibreAPI = require('../config/calibreAPI');
+const notificationService = require('./notificationService');
+const readarrInstanceService = require('./readarrInstanceService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('status-check', { file: 'readarr.log' });
+
+// Name the status check is registered under in the scheduler
+exports.STATUS_CHECK_JOB = 'readarr-status-check';
+
+/**
+ * Tell the requester and followers that their book is in the library
+ * @param {Object} request - Request document, saved again when the notification is recorded
+ */
+const notifyBookAvailable = async (request) => {
+  try {
+    const userNotification = {
+      title: 'Book Now Available',
+      body: `Your requested book "${request.title}" is now available in the library.`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      data: {
+        url: '/requests',
+        requestId: request._id.toString(),
+        type: 'book-available'
+      }
+    };
+
+    const notifyResult = await notificationService.sendRequestNotification(
+      request,
+      userNotification
+    );
+    log(`Notification sent to user for book availability: ${request.title}`);
+
+    if (notifyResult.success) {
+      request.addEvent('notification-sent', 'User notified that the book is available', {
+        data: { audience: 'user', results: notifyResult.results }
+      });
+      await request.save();
+    }
+  } catch (notifyError) {
+    log.error(`Failed to send book availability notification: ${notifyError.message}`);
+  }
+};
+
+/**
+ * Check approved requests against Readarr, tag downloaded books in Calibre
+ * and notify users when their book becomes available
+ * @returns {Object} - Summary of the check
+ */
+exports.checkApprovedRequests = async () => {
+  // Get approved requests with readarrId that aren't downloaded or removed from Readarr
+  const requests = await Request.find({
+    status: 'approved',
+    readarrId: { $exists: true, $ne: '' },
+    readarrStatus: { $nin: ['downloaded', 'removed'] }
+  }).populate('user', 'username').populate('readarrInstance');
+
+  if (requests.length === 0) {
+    return {
+      message: 'No requests to check',
+      checkedCount: 0,
+      updatedCount: 0,
+      metadataStats: { updated: 0, failed: 0 },
+      errors: []
+    };
+  }
+
+  log(`Checking status for ${requests.length} requests`);
+
+  // Check each request
+  let updatedCount = 0;
+  let metadataUpdatedCount = 0;
+  let metadataFailedCount = 0;
+  const errors = [];
+
+  for (const request of requests) {
+    try {
+      const instance = await readarrInstanceService.getRequestInstance(request);
+      if (!instance?.enabled) {
+        log(`Request ${request._id}: Readarr instance unavailable or disabled, skipping`);
+        continue;
+      }
+
+      // Check if the book is available in Readarr
+      const bookStatus = await readarrAPI.getBookStatus(request.readarrId, instance);
+      log(`Request ${request._id}: Book ${request.readarrId} on ${instance.name} status - isDownloaded: ${bookStatus.isDownloaded}`);
+
+      if (bookStatus.isDownloaded) {
+        if (request.format === 'audiobook') {
+          // Audiobooks are not tagged in Calibre
+          request.readarrStatus = 'downloaded';
+          request.status = 'available';
+          request.filePath = bookStatus.bookFilePath || request.filePath;
+          request.readarrMessage = 'Audiobook is downloaded and available';
+          request.addEvent('imported', 'Download detected by status check', {
+            data: { filePath: bookStatus.bookFilePath }
+          });
+          await request.save();
+          updatedCount++;
+
+          await notifyBookAvailable(request);
+        } else if (bookStatus.bookFilePath) {
+          // Update metadata if file path is available
+          try {
+            log(`Updating metadata for book: ${request.title} (file: ${bookStatus.bookFilePath})`);
+
+            const metadataResult = await calibreAPI.updateBookMetadata(bookStatus.bookFilePath, {
+              user: request.user.username,
+              userId: request.user._id.toString(),
+              title: request.title,
+              author: request.author
+            });
+
+            log(`Metadata updated for book: ${request.title}`);
+            metadataUpdatedCount++;
+
+            // Update the request status
+            request.readarrStatus = 'downloaded';
+            request.status = 'available';
+            request.filePath = bookStatus.bookFilePath;
+            request.readarrMessage = 'Book is downloaded and available with metadata';
+            request.addEvent('imported', 'Download detected by status check', {
+              data: { filePath: bookStatus.bookFilePath }
+            });
+            request.addEvent('calibre-tagged', `Tagged for ${request.user.username} in Calibre`, {
+              data: { filePath: bookStatus.bookFilePath, calibreBookId: metadataResult.bookId }
+            });
+            await request.save();
+            updatedCount++;
+
+            await notifyBookAvailable(request);
+          } catch (metadataError) {
+            log.error(`Error updating metadata: ${metadataError.message}`);
+            metadataFailedCount++;
+
+            // Still update request status but note the error
+            request.readarrStatus = 'downloaded';
+            request.status = 'available';
+            request.filePath = bookStatus.bookFilePath;
+            request.readarrMessage = `Book is downloaded but metadata update failed: ${metadataError.message}`;
+            request.addEvent('imported', 'Download detected by status check', {
+              data: { filePath: bookStatus.bookFilePath }
+            });
+            request.addEvent('calibre-tag-failed', `Calibre tagging failed: ${metadataError.message}`, {
+              data: { filePath: bookStatus.bookFilePath, error: metadataError.message }
+            });
+            await request.save();
+            updatedCount++;
+          }
+        } else {
+          // No file path, but still update status
+          log(`No file path available for book: ${request.title}`);
+          request.readarrStatus = 'downloaded';
+          request.status = 'available';
+          request.readarrMessage = 'Book is downloaded and available (no file path for metadata)';
+          request.addEvent('imported', 'Download detected by status check (no file path for Calibre tagging)');
+          await request.save();
+          updatedCount++;
+        }
+      }
+    } catch (error) {
+      log.error(`Error checking status for request ${request._id}: ${error.message}`);
+      errors.push({ requestId: request._id.toString(), title: request.title, error: error.message });
+    }
+  }
+
+  return {
+    message: `Checked ${requests.length} requests, updated ${updatedCount}`,
+    checkedCount: requests.length,
+    updatedCount,
+    metadataStats: {
+      updated: metadataUpdatedCount,
+      failed: metadataFailedCount
+    },
+    errors
+  };
+};
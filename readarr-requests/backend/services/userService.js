@@ -0,0 +1,246 @@
+// services/userService.js
+const User = require('../models/User');
+const Request = require('../models/Request');
+const quotaService = require('./quotaService');
+const roleService = require('./roleService');
+const eventService = require('./eventService');
+const sharedRequestService = require('./sharedRequestService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('users', { file: 'auth.log' });
+
+// Fields of a user shown to admins
+const ADMIN_FIELDS = 'username email role createdAt lastLoginAt disabled disabledAt pendingApproval quotaOverride pushSubscriptions';
+
+/**
+ * Error thrown when a user can't be changed
+ * @param {string} code - USER_NOT_FOUND, FORBIDDEN or INVALID_USER_CHANGE
+ * @param {string} message
+ */
+const userError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * A user as listed to admins, without push subscription secrets
+ * @param {Object} user - User document
+ * @param {Object} extra - Request counts and quota to include
+ */
+const toAdminUser = (user, extra = {}) => {
+  const { pushSubscriptions, ...fields } = user.toObject();
+  return { ...fields, pushSubscriptionCount: (pushSubscriptions || []).length, ...extra };
+};
+
+/**
+ * Requests each user made, by status
+ * @returns {Map} - User ID -> { total, pending, approved, denied, available }
+ */
+const getRequestCounts = async () => {
+  const rows = await Request.aggregate([
+    { $group: { _id: { user: '$user', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const { _id, count } of rows) {
+    const key = _id.user.toString();
+    const userCounts = counts.get(key) || { total: 0, pending: 0, approved: 0, denied: 0, available: 0 };
+    userCounts[_id.status] = (userCounts[_id.status] || 0) + count;
+    userCounts.total += count;
+    counts.set(key, userCounts);
+  }
+  return counts;
+};
+
+/**
+ * Every user with their request counts, quota and push subscription count
+ * @returns {Array}
+ */
+exports.listUsers = async () => {
+  const [users, requestCounts] = await Promise.all([
+    User.find().select(ADMIN_FIELDS).sort({ username: 1 }),
+    getRequestCounts()
+  ]);
+
+  return Promise.all(users.map(async user => toAdminUser(user, {
+    requests: requestCounts.get(user.id) || { total: 0, pending: 0, approved: 0, denied: 0, available: 0 },
+    quota: await quotaService.getQuota(user)
+  })));
+};
+
+/**
+ * Load a user for an admin to change, making sure the admin may change them.
+ * Users can't change someone whose role has permissions they lack, or themselves.
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @returns {Object} - User document
+ */
+const loadManagedUser = async (actor, userId) => {
+  const user = await User.findById(userId).catch(() => null);
+  if (!user) {
+    throw userError('USER_NOT_FOUND', 'User not found');
+  }
+  if (user.id === actor.id) {
+    throw userError('INVALID_USER_CHANGE', 'You cannot change your own account here');
+  }
+
+  const missing = await roleService.getMissingPermissions(actor.permissions, user.role);
+  if (missing.length > 0) {
+    throw userError('FORBIDDEN', `You can't manage users with permissions you don't have: ${missing.join(', ')}`);
+  }
+
+  return user;
+};
+
+/**
+ * Make sure a change leaves at least one admin who can sign in
+ * @param {Object} user - Admin about to lose their role, be disabled or be deleted
+ */
+const assertNotLastAdmin = async (user) => {
+  if (user.role !== roleService.ADMIN_ROLE || user.disabled) return;
+
+  const admins = await User.countDocuments({ role: roleService.ADMIN_ROLE, disabled: { $ne: true } });
+  if (admins <= 1) {
+    throw userError('INVALID_USER_CHANGE', 'This is the last active admin');
+  }
+};
+
+/**
+ * Give a user another role
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @param {string} role - Role name
+ * @returns {Object} - User as listed to admins
+ */
+exports.changeRole = async (actor, userId, role) => {
+  if (!role || !(await roleService.roleExists(role))) {
+    throw userError('INVALID_USER_CHANGE', `Unknown role: ${role}`);
+  }
+
+  const user = await loadManagedUser(actor, userId);
+  if (user.role !== role) {
+    const missing = await roleService.getMissingPermissions(actor.permissions, role);
+    if (missing.length > 0) {
+      throw userError('FORBIDDEN', `You can't grant permissions you don't have: ${missing.join(', ')}`);
+    }
+    await assertNotLastAdmin(user);
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    eventService.disconnectUser(user.id);
+    log(`User ${user.username} moved from role "${previousRole}" to "${role}"`, { userId: user.id, actor: actor.id });
+  }
+
+  return toAdminUser(user);
+};
+
+/**
+ * Set a new password for a user
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @param {string} password
+ */
+exports.resetPassword = async (actor, userId, password) => {
+  if (typeof password !== 'string' || password.length < User.MIN_PASSWORD_LENGTH) {
+    throw userError('INVALID_USER_CHANGE', `Passwords must be at least ${User.MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const user = await loadManagedUser(actor, userId);
+  user.password = password;
+  await user.save();
+  eventService.disconnectUser(user.id);
+  log(`Password of ${user.username} reset by an admin`, { userId: user.id, actor: actor.id });
+
+  return toAdminUser(user);
+};
+
+/**
+ * Stop or allow a user signing in
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @param {boolean} disabled
+ * @returns {Object} - User as listed to admins
+ */
+exports.setDisabled = async (actor, userId, disabled) => {
+  const user = await loadManagedUser(actor, userId);
+  if (Boolean(user.disabled) === Boolean(disabled)) return toAdminUser(user);
+
+  if (disabled) {
+    await assertNotLastAdmin(user);
+  }
+
+  user.disabled = Boolean(disabled);
+  user.disabledAt = disabled ? new Date() : undefined;
+  await user.save();
+  if (disabled) eventService.disconnectUser(user.id);
+  log(`User ${user.username} ${disabled ? 'disabled' : 'enabled'}`, { userId: user.id, actor: actor.id });
+
+  return toAdminUser(user);
+};
+
+/**
+ * Let a user who registered while registration needed approval sign in
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @returns {Object} - User as listed to admins
+ */
+exports.approveUser = async (actor, userId) => {
+  const user = await loadManagedUser(actor, userId);
+  if (!user.pendingApproval) return toAdminUser(user);
+
+  user.pendingApproval = false;
+  await user.save();
+  log(`User ${user.username} approved`, { userId: user.id, actor: actor.id });
+
+  return toAdminUser(user);
+};
+
+/**
+ * Delete a user and take them off requests they joined. Requests they made
+ * go to their longest follower; only requests nobody follows are deleted.
+ * @param {Object} actor - req.user with permissions loaded
+ * @param {string} userId
+ * @returns {Object} - { deletedRequests, handedOverRequests }
+ */
+exports.deleteUser = async (actor, userId) => {
+  const user = await loadManagedUser(actor, userId);
+  await assertNotLastAdmin(user);
+
+  const requests = await Request.find({ user: user._id });
+  const unfollowed = [];
+  let handedOver = 0;
+  for (const request of requests) {
+    const newOwner = await sharedRequestService.handToFirstFollower(request, {
+      actor: actor.id,
+      message: 'Original requester\'s account was deleted; the first follower now owns the request'
+    });
+    if (newOwner) {
+      handedOver++;
+    } else {
+      unfollowed.push(request);
+    }
+  }
+
+  await Request.deleteMany({ _id: { $in: unfollowed.map(request => request._id) } });
+  for (const request of unfollowed) {
+    eventService.publishRequest('request:deleted', request);
+  }
+
+  const followed = await Request.find({ 'followers.user': user._id });
+  for (const request of followed) {
+    request.followers = request.followers.filter(follower => follower.user.toString() !== user.id);
+    request.voteCount = request.followers.length + 1;
+    await request.save();
+  }
+
+  await User.deleteOne({ _id: user._id });
+  eventService.disconnectUser(user.id);
+  log(`User ${user.username} deleted with ${unfollowed.length} request(s), ${handedOver} handed to followers`, {
+    userId: user.id,
+    actor: actor.id
+  });
+
+  return { deletedRequests: unfollowed.length, handedOverRequests: handedOver };
+};
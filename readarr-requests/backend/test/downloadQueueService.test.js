@@ -0,0 +1,140 @@
+// test/downloadQueueService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the queue sync logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const readarrInstanceService = require('../services/readarrInstanceService');
+const downloadQueueService = require('../services/downloadQueueService');
+
+const instance = { _id: new mongoose.Types.ObjectId(), name: 'Main', enabled: true };
+
+const makeRequest = (fields) => new Request({
+  user: new mongoose.Types.ObjectId(),
+  bookId: 'lathe-google-id',
+  title: 'The Lathe of Heaven',
+  author: 'Ursula K. Le Guin',
+  status: 'approved',
+  readarrStatus: 'downloading',
+  readarrId: '104',
+  readarrInstance: instance._id,
+  ...fields
+});
+
+const queueItem = {
+  bookId: '104',
+  progress: 42,
+  status: 'downloading',
+  downloadClient: 'qBittorrent'
+};
+
+describe('downloadQueueService.syncQueues', () => {
+  let requests;
+  let queue;
+  let getBookStatus;
+
+  beforeEach(() => {
+    requests = [];
+    queue = [];
+    mock.method(Request, 'find', () => {
+      const results = Promise.resolve(requests);
+      results.populate = () => results;
+      return results;
+    });
+    mock.method(Request.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(readarrInstanceService, 'getRequestInstance', async () => instance);
+    mock.method(readarrAPI, 'getQueue', async () => queue);
+    getBookStatus = mock.method(readarrAPI, 'getBookStatus', async () => ({ isDownloaded: false }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('copies progress from the queue', async () => {
+    const request = makeRequest({ readarrStatus: 'added' });
+    requests.push(request);
+    queue.push(queueItem);
+
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.downloadingCount, 1);
+    assert.equal(request.readarrStatus, 'downloading');
+    assert.equal(request.download.progress, 42);
+    assert.deepEqual(request.history.map(event => event.type), ['grabbed']);
+  });
+
+  it('searches again when a download leaves the queue without an import', async () => {
+    const request = makeRequest({ download: { ...queueItem, errorMessage: 'Torrent removed' } });
+    requests.push(request);
+
+    const before = Date.now();
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.requeuedCount, 1);
+    assert.equal(request.readarrStatus, 'added');
+    assert.equal(request.download, undefined);
+    assert.ok(request.nextSearchAt.getTime() > before);
+    assert.equal(request.history[0].type, 'download-failed');
+    assert.equal(request.history[0].data.errorMessage, 'Torrent removed');
+    assert.equal(getBookStatus.mock.callCount(), 1);
+  });
+
+  it('leaves an imported book for the status check', async () => {
+    const request = makeRequest({ download: queueItem });
+    requests.push(request);
+    getBookStatus.mock.mockImplementation(async () => ({ isDownloaded: true, bookFilePath: '/books/lathe.epub' }));
+
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.requeuedCount, 0);
+    assert.equal(request.readarrStatus, 'downloading');
+    assert.equal(request.download, undefined);
+    assert.deepEqual(request.history.map(event => event.type), []);
+  });
+
+  it('gives a fresh grab time to reach the queue', async () => {
+    const request = makeRequest();
+    request.addEvent('grabbed', 'Release grabbed');
+    requests.push(request);
+
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.requeuedCount, 0);
+    assert.equal(request.readarrStatus, 'downloading');
+    assert.equal(getBookStatus.mock.callCount(), 0);
+  });
+
+  it('searches again for an old grab that never reached the queue', async () => {
+    const request = makeRequest();
+    request.history.push({ type: 'grabbed', message: 'Release grabbed', at: new Date(Date.now() - 60 * 60 * 1000) });
+    requests.push(request);
+
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.requeuedCount, 1);
+    assert.equal(request.readarrStatus, 'added');
+  });
+
+  it('keeps the request downloading when Readarr cannot be asked about the book', async () => {
+    const request = makeRequest({ download: queueItem });
+    requests.push(request);
+    getBookStatus.mock.mockImplementation(async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const result = await downloadQueueService.syncQueues();
+
+    assert.equal(result.errors.length, 1);
+    assert.equal(request.readarrStatus, 'downloading');
+  });
+});
@@ -0,0 +1,90 @@
+// test/eventService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+const eventService = require('../services/eventService');
+const userService = require('../services/userService');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), permissions: ['manage-users', 'manage-requests'] };
+
+// Stand-in for an EventSource connection that records what it was sent
+const openStream = (user) => {
+  const req = new EventEmitter();
+  req.user = user;
+  const res = {
+    events: [],
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) {
+      const match = /^event: (.+)$/m.exec(chunk);
+      if (match) this.events.push(match[1]);
+    },
+    end() {
+      this.ended = true;
+      req.emit('close');
+    }
+  };
+  eventService.subscribe(req, res);
+  return { req, res };
+};
+
+describe('eventService streams', () => {
+  let demoted;
+  let streams;
+
+  beforeEach(() => {
+    demoted = new User({ username: 'demoted', email: 'demoted@example.com', password: 'former-admin', role: 'admin' });
+    streams = [];
+    mock.method(User, 'findById', async () => demoted);
+    mock.method(User, 'countDocuments', async () => 2);
+    mock.method(User.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(roleService, 'roleExists', async () => true);
+    mock.method(roleService, 'getMissingPermissions', async () => []);
+  });
+
+  afterEach(() => {
+    for (const { req } of streams) req.emit('close');
+    mock.restoreAll();
+  });
+
+  it('stops sending admin events to a user once they are demoted', async () => {
+    const stream = openStream({ id: demoted._id, role: 'admin', permissions: ['manage-requests'] });
+    streams.push(stream);
+    const clientCount = eventService.getClientCount();
+
+    eventService.publish('request:created', { id: 'first' }, { permission: 'manage-requests' });
+    assert.deepEqual(stream.res.events, ['ready', 'request:created']);
+
+    await userService.changeRole(admin, demoted.id, 'user');
+
+    assert.equal(stream.res.ended, true);
+    assert.equal(eventService.getClientCount(), clientCount - 1);
+
+    eventService.publish('request:created', { id: 'second' }, { permission: 'manage-requests' });
+    assert.deepEqual(stream.res.events, ['ready', 'request:created']);
+  });
+
+  it('keeps other users streaming', async () => {
+    const bystander = openStream({ id: new mongoose.Types.ObjectId(), role: 'admin', permissions: ['manage-requests'] });
+    streams.push(bystander);
+
+    await userService.setDisabled(admin, demoted.id, true);
+
+    eventService.publish('request:created', { id: 'third' }, { permission: 'manage-requests' });
+    assert.equal(bystander.res.ended, false);
+    assert.deepEqual(bystander.res.events, ['ready', 'request:created']);
+  });
+});
@@ -0,0 +1,159 @@
+// test/matching.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const matching = require('../utils/matching');
+
+const { MATCH_THRESHOLD } = matching;
+
+// [a, b, same author?]
+const AUTHOR_CASES = [
+  ['Ursula K. Le Guin', 'Le Guin, Ursula K.', true],
+  ['Ursula K. Le Guin', 'Ursula LeGuin', true],
+  ['Ursula K. Le Guin', 'Ursula Le Guin', true],
+  ['J.R.R. Tolkien', 'JRR Tolkien', true],
+  ['J.R.R. Tolkien', 'Tolkien, J.R.R.', true],
+  ['J. R. R. Tolkien', 'John Ronald Reuel Tolkien', true],
+  ['Christopher Tolkien', 'J.R.R. Tolkien', false],
+  ['Tolkien', 'J.R.R. Tolkien', false],
+  ['Gabriel García Márquez', 'Gabriel Garcia Marquez', true],
+  ['García Márquez, Gabriel', 'Gabriel García Márquez', true],
+  ['Iain M. Banks', 'Iain Banks', true],
+  ['Iain M. Banks', 'Russell Banks', false],
+  ['Stanisław Lem', 'Stanislaw Lem', true],
+  ['Neil Gaiman & Terry Pratchett', 'Terry Pratchett', true],
+  ['Frank Herbert', 'Brian Herbert', false]
+];
+
+// [a, b, same title?]
+const TITLE_CASES = [
+  ['Sapiens', 'Sapiens: A Brief History of Humankind', true],
+  ['Sapiens: A Brief History of Humankind', 'Sapiens - A brief history of humankind', true],
+  ['The Hobbit, or There and Back Again', 'The Hobbit', true],
+  ['The Final Empire (Mistborn, #1)', 'The Final Empire', true],
+  ['Mistborn: The Final Empire', 'The Final Empire', true],
+  ['Cien años de soledad', 'Cien Anos de Soledad', true],
+  ['The Left Hand of Darkness', 'Left Hand of Darkness', true],
+  ['Mistborn: The Final Empire', 'Mistborn: The Well of Ascension', false],
+  ['Star Wars: Thrawn', 'Star Wars: Heir to the Empire', false],
+  ["Harry Potter and the Philosopher's Stone", 'Harry Potter and the Chamber of Secrets', false],
+  ['Dune', 'Dune Messiah', false],
+  ['The Player of Games (Culture, #2)', 'Consider Phlebas (Culture, #1)', false]
+];
+
+// [a, b, same book?]
+const BOOK_CASES = [
+  [
+    { title: 'A Wizard of Earthsea', author: 'Ursula K. Le Guin' },
+    { title: 'A Wizard of Earthsea (Earthsea Cycle, #1)', author: 'Le Guin, Ursula K.' },
+    true
+  ],
+  [
+    { title: 'The Fellowship of the Ring', author: 'J.R.R. Tolkien' },
+    { title: 'The Fellowship of the Ring: Being the First Part of The Lord of the Rings', author: 'Tolkien, J. R. R.' },
+    true
+  ],
+  [
+    { title: 'One Hundred Years of Solitude', author: 'Gabriel García Márquez' },
+    { title: 'One Hundred Years of Solitude', author: 'Gabriel Garcia Marquez' },
+    true
+  ],
+  [
+    { title: 'The Player of Games', author: 'Iain M. Banks' },
+    { title: 'The Player of Games', author: 'Iain Banks' },
+    true
+  ],
+  [
+    { title: 'Mistborn: The Final Empire', author: 'Brandon Sanderson' },
+    { title: 'Mistborn: The Well of Ascension', author: 'Brandon Sanderson' },
+    false
+  ],
+  [
+    { title: 'Star Wars: Thrawn', author: 'Timothy Zahn' },
+    { title: 'Star Wars: Heir to the Empire', author: 'Timothy Zahn' },
+    false
+  ],
+  [
+    { title: 'The Silmarillion', author: 'J.R.R. Tolkien' },
+    { title: 'The Silmarillion', author: 'Christopher Tolkien' },
+    false
+  ]
+];
+
+describe('authorSimilarity', () => {
+  for (const [a, b, same] of AUTHOR_CASES) {
+    it(`${same ? 'matches' : 'does not match'} "${a}" and "${b}"`, () => {
+      const score = matching.authorSimilarity(a, b);
+      assert.equal(score >= MATCH_THRESHOLD, same, `score ${score}`);
+      assert.equal(matching.authorSimilarity(b, a), score);
+    });
+  }
+});
+
+describe('titleSimilarity', () => {
+  for (const [a, b, same] of TITLE_CASES) {
+    it(`${same ? 'matches' : 'does not match'} "${a}" and "${b}"`, () => {
+      const score = matching.titleSimilarity(a, b);
+      assert.equal(score >= MATCH_THRESHOLD, same, `score ${score}`);
+      assert.equal(matching.titleSimilarity(b, a), score);
+    });
+  }
+});
+
+describe('compareBooks', () => {
+  for (const [a, b, same] of BOOK_CASES) {
+    it(`${same ? 'matches' : 'does not match'} "${a.title}" and "${b.title}"`, () => {
+      assert.equal(matching.compareBooks(a, b).isMatch, same);
+    });
+  }
+
+  it('compares the title alone when an author is missing', () => {
+    const result = matching.compareBooks({ title: 'Dune' }, { title: 'Dune', author: 'Frank Herbert' });
+    assert.equal(result.authorScore, null);
+    assert.equal(result.isMatch, true);
+  });
+});
+
+describe('normalization', () => {
+  const cases = [
+    ['foldDiacritics', 'Brontë', 'Bronte'],
+    ['foldDiacritics', 'Łem Søren Straße', 'Lem Soren Strasse'],
+    ['stripSeries', 'Leviathan Wakes (The Expanse, #1)', 'Leviathan Wakes'],
+    ['stripSeries', 'Guards! Guards! [Discworld 8]', 'Guards! Guards!'],
+    ['stripSubtitle', 'Sapiens: A Brief History of Humankind', 'Sapiens'],
+    ['normalizeTitle', 'The Hobbit, or There and Back Again', 'hobbit'],
+    ['normalizeAuthor', 'Ursula K. Le Guin', 'ursula k leguin'],
+    ['normalizeAuthor', 'Tolkien, J.R.R.', 'j r r tolkien'],
+    ['normalizeAuthor', 'Martin Luther King, Jr.', 'martin luther king'],
+    ['lastnameFirst', 'Ursula K. Le Guin', 'Le Guin, Ursula K.'],
+    ['lastnameFirst', 'Ludwig van Beethoven', 'van Beethoven, Ludwig'],
+    ['lastnameFirst', 'Tolkien, J.R.R.', 'Tolkien, J.R.R.']
+  ];
+
+  for (const [fn, input, expected] of cases) {
+    it(`${fn}("${input}")`, () => {
+      assert.equal(matching[fn](input), expected);
+    });
+  }
+
+  it('splits multi-author strings but keeps "Last, First" whole', () => {
+    assert.deepEqual(matching.splitAuthors('Neil Gaiman & Terry Pratchett'), ['Neil Gaiman', 'Terry Pratchett']);
+    assert.deepEqual(matching.splitAuthors('Stephen King, Peter Straub'), ['Stephen King', 'Peter Straub']);
+    assert.deepEqual(matching.splitAuthors('Tolkien, J.R.R.'), ['Tolkien, J.R.R.']);
+  });
+});
+
+describe('bestMatch', () => {
+  it('picks the best candidate above the threshold', () => {
+    const candidates = [
+      { title: 'Mistborn: The Well of Ascension' },
+      { title: 'The Final Empire (Mistborn, #1)' }
+    ];
+    const best = matching.bestMatch(candidates, item => matching.titleSimilarity('Mistborn: The Final Empire', item.title));
+    assert.equal(best.item, candidates[1]);
+  });
+
+  it('returns null when nothing reaches the threshold', () => {
+    const best = matching.bestMatch([{ title: 'Dune Messiah' }], item => matching.titleSimilarity('Dune', item.title));
+    assert.equal(best, null);
+  });
+});
@@ -0,0 +1,90 @@
+// test/readarr.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the Readarr logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const readarrAPI = require('../config/readarr');
+
+// Options the stand-in Readarr has
+const OPTIONS = {
+  '/api/v1/qualityprofile': [{ id: 1, name: 'eBook' }, { id: 2, name: 'Spoken' }],
+  '/api/v1/metadataprofile': [{ id: 1, name: 'Standard' }],
+  '/api/v1/rootfolder': [{ id: 1, name: 'Books', path: '/books' }, { id: 2, name: 'Audiobooks', path: '/audiobooks' }]
+};
+
+const bookData = { title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin' };
+
+describe('readarrAPI.addBook', () => {
+  let instance;
+  let requested;
+  let posted;
+
+  beforeEach(() => {
+    // A fresh instance id skips the client cache
+    instance = { _id: new mongoose.Types.ObjectId(), name: 'Main', url: 'http://readarr.test', apiKey: 'key' };
+    requested = [];
+    posted = [];
+    mock.method(axios, 'create', () => ({
+      get: async (url) => {
+        requested.push(url);
+        if (OPTIONS[url]) return { data: OPTIONS[url] };
+        throw new Error(`Unexpected request to ${url}`);
+      },
+      post: async (url) => {
+        posted.push(url);
+        throw new Error(`Unexpected request to ${url}`);
+      }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('fails instead of using another root folder when the configured one is gone', async () => {
+    const events = [];
+
+    await assert.rejects(
+      readarrAPI.addBook(bookData, {
+        instance,
+        profiles: { qualityProfileId: 2, metadataProfileId: 1, rootFolderPath: '/old-audiobooks' },
+        onEvent: (type) => events.push(type)
+      }),
+      { message: 'Configured root folder "/old-audiobooks" not found in Readarr' }
+    );
+
+    assert.deepEqual(requested, Object.keys(OPTIONS));
+    assert.deepEqual(posted, []);
+    assert.deepEqual(events, []);
+  });
+
+  it('fails when the configured quality profile is gone', async () => {
+    await assert.rejects(
+      readarrAPI.addBook(bookData, { instance, profiles: { qualityProfileId: 7 } }),
+      { message: 'Configured quality profile "7" not found in Readarr' }
+    );
+  });
+
+  it('uses the first option of each kind when none is configured', async () => {
+    const events = [];
+
+    // The author lookup after the options is outside this test
+    await assert.rejects(readarrAPI.addBook(bookData, {
+      instance,
+      onEvent: (type, message, data) => events.push({ type, data })
+    }));
+
+    const [attempt] = events;
+    assert.equal(attempt.type, 'readarr-add-attempt');
+    assert.equal(attempt.data.qualityProfileId, 1);
+    assert.equal(attempt.data.metadataProfileId, 1);
+    assert.equal(attempt.data.rootFolderPath, '/books');
+  });
+});
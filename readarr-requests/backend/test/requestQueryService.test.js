@@ -0,0 +1,46 @@
+// test/requestQueryService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const requestQueryService = require('../services/requestQueryService');
+
+describe('requestQueryService.buildFilter', () => {
+  let reader;
+  let findOne;
+
+  beforeEach(() => {
+    reader = new User({ username: 'twelve-chars', email: 'twelve@example.com', password: 'left-hand-of-darkness' });
+    findOne = mock.method(User, 'findOne', (query) => {
+      const found = Promise.resolve(query.username === reader.username ? reader : null);
+      found.select = () => found;
+      return found;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('filters by a user ID without looking it up', async () => {
+    const filter = await requestQueryService.buildFilter({ user: reader.id }, { allowUser: true });
+
+    assert.equal(filter.user, reader.id);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('looks up a twelve-character username instead of treating it as an ID', async () => {
+    const filter = await requestQueryService.buildFilter({ user: 'twelve-chars' }, { allowUser: true });
+
+    assert.equal(findOne.mock.callCount(), 1);
+    assert.ok(filter.user.equals(reader._id));
+  });
+
+  it('matches nothing for an unknown username', async () => {
+    const filter = await requestQueryService.buildFilter({ user: 'nobody' }, { allowUser: true });
+
+    assert.ok(filter.user instanceof mongoose.Types.ObjectId);
+    assert.ok(!filter.user.equals(reader._id));
+  });
+});
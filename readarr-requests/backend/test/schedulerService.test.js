@@ -0,0 +1,89 @@
+// test/schedulerService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the scheduler logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const JobRun = require('../models/JobRun');
+const schedulerService = require('../services/schedulerService');
+
+// A JobRun that saves nowhere
+const fakeRun = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...fields,
+  save: async () => {}
+});
+
+describe('schedulerService.runJob', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('unlocks the job when the run cannot be recorded', async () => {
+    let handlerCalls = 0;
+    schedulerService.registerJob({
+      name: 'test-run-not-recorded',
+      description: 'Fails to record its first run',
+      handler: async () => ({ checked: ++handlerCalls }),
+      intervalMinutes: 60
+    });
+
+    const create = mock.method(JobRun, 'create', async () => {
+      throw new Error('connection closed');
+    });
+    await assert.rejects(schedulerService.runJob('test-run-not-recorded'), /connection closed/);
+    assert.equal(handlerCalls, 0);
+
+    create.mock.mockImplementation(async (fields) => fakeRun(fields));
+    const run = await schedulerService.runJob('test-run-not-recorded');
+
+    assert.equal(run.status, 'success');
+    assert.deepEqual(run.result, { checked: 1 });
+  });
+
+  it('records a failing handler and unlocks the job', async () => {
+    schedulerService.registerJob({
+      name: 'test-handler-fails',
+      description: 'Handler always throws',
+      handler: async () => {
+        throw new Error('Readarr unreachable');
+      },
+      intervalMinutes: 60
+    });
+    mock.method(JobRun, 'create', async (fields) => fakeRun(fields));
+
+    const run = await schedulerService.runJob('test-handler-fails');
+    assert.equal(run.status, 'error');
+    assert.equal(run.error, 'Readarr unreachable');
+    assert.ok(run.finishedAt instanceof Date);
+
+    const again = await schedulerService.runJob('test-handler-fails');
+    assert.equal(again.status, 'error');
+  });
+
+  it('refuses to start a job that is already running', async () => {
+    let finish;
+    schedulerService.registerJob({
+      name: 'test-slow-job',
+      description: 'Waits until released',
+      handler: () => new Promise(resolve => {
+        finish = resolve;
+      }),
+      intervalMinutes: 60
+    });
+    mock.method(JobRun, 'create', async (fields) => fakeRun(fields));
+
+    const first = schedulerService.runJob('test-slow-job');
+    await new Promise(resolve => setImmediate(resolve));
+
+    await assert.rejects(schedulerService.runJob('test-slow-job'), { code: 'JOB_RUNNING' });
+
+    finish({ done: true });
+    assert.equal((await first).status, 'success');
+  });
+});
@@ -0,0 +1,181 @@
+// test/sharedRequestService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the request logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const notificationService = require('../services/notificationService');
+const sharedRequestService = require('../services/sharedRequestService');
+
+const requester = new mongoose.Types.ObjectId();
+const firstFollower = new mongoose.Types.ObjectId();
+const secondFollower = new mongoose.Types.ObjectId();
+
+const makeRequest = (followers = []) => new Request({
+  user: requester,
+  bookId: 'dispossessed-google-id',
+  title: 'The Dispossessed',
+  author: 'Ursula K. Le Guin',
+  followers: followers.map(user => ({ user })),
+  voteCount: followers.length + 1
+});
+
+describe('sharedRequestService.handToFirstFollower', () => {
+  let save;
+  let sendUserNotification;
+
+  beforeEach(() => {
+    save = mock.method(Request.prototype, 'save', async function() {
+      return this;
+    });
+    sendUserNotification = mock.method(notificationService, 'sendUserNotification', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('makes the longest follower the owner and tells them', async () => {
+    const request = makeRequest([firstFollower, secondFollower]);
+
+    const newOwner = await sharedRequestService.handToFirstFollower(request, {
+      actor: requester,
+      message: 'Original requester cancelled; the first follower now owns the request'
+    });
+
+    assert.equal(newOwner, firstFollower.toString());
+    assert.equal(request.user.toString(), firstFollower.toString());
+    assert.deepEqual(request.followers.map(follower => follower.user.toString()), [secondFollower.toString()]);
+    assert.equal(request.voteCount, 2);
+    assert.equal(save.mock.callCount(), 1);
+
+    const [event] = request.history;
+    assert.equal(event.type, 'owner-changed');
+    assert.equal(event.data.from.toString(), requester.toString());
+    assert.equal(event.data.to.toString(), firstFollower.toString());
+
+    assert.equal(sendUserNotification.mock.callCount(), 1);
+    const [userId, notification] = sendUserNotification.mock.calls[0].arguments;
+    assert.equal(userId.toString(), firstFollower.toString());
+    assert.equal(notification.data.type, 'request-owner-changed');
+    assert.equal(notification.data.requestId, request._id.toString());
+  });
+
+  it('leaves a request nobody follows alone', async () => {
+    const request = makeRequest();
+
+    const newOwner = await sharedRequestService.handToFirstFollower(request, { actor: requester, message: 'Cancelled' });
+
+    assert.equal(newOwner, null);
+    assert.equal(request.user.toString(), requester.toString());
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(sendUserNotification.mock.callCount(), 0);
+  });
+
+  it('keeps the hand-off when the new owner cannot be notified', async () => {
+    sendUserNotification.mock.mockImplementation(async () => {
+      throw new Error('push service unavailable');
+    });
+    const request = makeRequest([firstFollower]);
+
+    const newOwner = await sharedRequestService.handToFirstFollower(request, { actor: requester, message: 'Cancelled' });
+
+    assert.equal(newOwner, firstFollower.toString());
+    assert.equal(request.followers.length, 0);
+    assert.equal(request.voteCount, 1);
+    assert.equal(save.mock.callCount(), 1);
+  });
+});
+
+describe('sharedRequestService.findCanonical', () => {
+  let textQuery;
+  let queryLimit;
+  let candidates;
+
+  // Stand-in for a query chain resolving to `result`
+  const queryOf = (result, onLimit) => {
+    const query = Promise.resolve(result);
+    query.sort = () => query;
+    query.select = () => query;
+    query.limit = (count) => {
+      if (onLimit) onLimit(count);
+      return query;
+    };
+    return query;
+  };
+
+  const candidate = (title, author, createdAt) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    author,
+    createdAt: new Date(createdAt)
+  });
+
+  beforeEach(() => {
+    textQuery = null;
+    queryLimit = null;
+    candidates = [];
+    mock.method(Request, 'findOne', () => queryOf(null));
+    mock.method(Request, 'find', (filter) => {
+      textQuery = filter;
+      return queryOf(candidates, count => {
+        queryLimit = count;
+      });
+    });
+    mock.method(Request, 'findById', async (id) => candidates.find(item => item._id.equals(id)));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('searches the text index with the title and author and caps the candidates', async () => {
+    await sharedRequestService.findCanonical({
+      bookId: 'new-source-id',
+      title: 'Mistborn: The Final Empire (Mistborn, #1)',
+      author: 'Brandon Sanderson'
+    });
+
+    assert.deepEqual(textQuery.$text, { $search: 'Mistborn The Final Empire Mistborn 1 Brandon Sanderson' });
+    assert.deepEqual(textQuery.status, { $in: sharedRequestService.SHAREABLE_STATUSES });
+    assert.equal(queryLimit, 50);
+  });
+
+  it('picks the oldest request for the same book from the candidates', async () => {
+    const sequel = candidate('Mistborn: The Well of Ascension', 'Brandon Sanderson', '2024-01-01');
+    const newer = candidate('The Final Empire', 'Sanderson, Brandon', '2024-03-01');
+    const older = candidate('Mistborn: The Final Empire', 'Brandon Sanderson', '2024-02-01');
+    candidates.push(sequel, newer, older);
+
+    const found = await sharedRequestService.findCanonical({
+      title: 'Mistborn: The Final Empire',
+      author: 'Brandon Sanderson'
+    });
+
+    assert.equal(found, older);
+  });
+
+  it('finds nothing when only the series matches', async () => {
+    candidates.push(candidate('Mistborn: The Well of Ascension', 'Brandon Sanderson', '2024-01-01'));
+
+    const found = await sharedRequestService.findCanonical({
+      title: 'Mistborn: The Final Empire',
+      author: 'Brandon Sanderson'
+    });
+
+    assert.equal(found, null);
+  });
+
+  it('does not query the text index for a title without words', async () => {
+    const found = await sharedRequestService.findCanonical({ title: '?!' });
+
+    assert.equal(found, null);
+    assert.equal(textQuery, null);
+  });
+});
@@ -0,0 +1,111 @@
+// test/statusCheckService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the status check logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const readarrAPI = require('../config/readarr');
+const calibreAPI = require('../config/calibreAPI');
+const notificationService = require('../services/notificationService');
+const readarrInstanceService = require('../services/readarrInstanceService');
+const statusCheckService = require('../services/statusCheckService');
+
+const instance = { _id: new mongoose.Types.ObjectId(), name: 'Main', enabled: true };
+const reader = new User({ username: 'reader', email: 'reader@example.com', password: 'dispossessed' });
+
+const makeRequest = (fields) => new Request({
+  user: reader,
+  bookId: 'dispossessed-google-id',
+  title: 'The Dispossessed',
+  author: 'Ursula K. Le Guin',
+  status: 'approved',
+  readarrStatus: 'downloading',
+  readarrId: '103',
+  readarrInstance: instance._id,
+  ...fields
+});
+
+describe('statusCheckService.checkApprovedRequests', () => {
+  let requests;
+  let sendRequestNotification;
+  let updateBookMetadata;
+
+  beforeEach(() => {
+    requests = [];
+    mock.method(Request, 'find', () => {
+      const results = Promise.resolve(requests);
+      results.populate = () => results;
+      return results;
+    });
+    mock.method(Request.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(readarrInstanceService, 'getRequestInstance', async () => instance);
+    sendRequestNotification = mock.method(notificationService, 'sendRequestNotification',
+      async () => ({ success: true, results: { users: 1, successful: 1, failed: 0 } }));
+    updateBookMetadata = mock.method(calibreAPI, 'updateBookMetadata', async () => ({ bookId: 9 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('notifies the requester when a downloaded audiobook becomes available', async () => {
+    const request = makeRequest({ format: 'audiobook' });
+    requests.push(request);
+    mock.method(readarrAPI, 'getBookStatus', async () => ({
+      isDownloaded: true,
+      bookFilePath: '/audiobooks/Ursula K. Le Guin/The Dispossessed/The Dispossessed.m4b'
+    }));
+
+    const result = await statusCheckService.checkApprovedRequests();
+
+    assert.equal(result.updatedCount, 1);
+    assert.equal(request.status, 'available');
+    assert.equal(request.readarrStatus, 'downloaded');
+    assert.deepEqual(request.history.map(event => event.type), ['imported', 'notification-sent']);
+    assert.equal(updateBookMetadata.mock.callCount(), 0);
+
+    assert.equal(sendRequestNotification.mock.callCount(), 1);
+    const [notifiedRequest, notification] = sendRequestNotification.mock.calls[0].arguments;
+    assert.equal(notifiedRequest, request);
+    assert.equal(notification.title, 'Book Now Available');
+    assert.equal(notification.data.type, 'book-available');
+  });
+
+  it('tags a downloaded ebook in Calibre and sends the same notification', async () => {
+    const request = makeRequest({ format: 'ebook' });
+    requests.push(request);
+    mock.method(readarrAPI, 'getBookStatus', async () => ({
+      isDownloaded: true,
+      bookFilePath: '/books/Ursula K. Le Guin/The Dispossessed/The Dispossessed.epub'
+    }));
+
+    const result = await statusCheckService.checkApprovedRequests();
+
+    assert.deepEqual(result.metadataStats, { updated: 1, failed: 0 });
+    assert.equal(request.status, 'available');
+    assert.deepEqual(request.history.map(event => event.type), ['imported', 'calibre-tagged', 'notification-sent']);
+    assert.equal(sendRequestNotification.mock.callCount(), 1);
+    assert.equal(sendRequestNotification.mock.calls[0].arguments[1].data.type, 'book-available');
+  });
+
+  it('leaves requests that are still downloading alone', async () => {
+    const request = makeRequest({ format: 'audiobook' });
+    requests.push(request);
+    mock.method(readarrAPI, 'getBookStatus', async () => ({ isDownloaded: false }));
+
+    const result = await statusCheckService.checkApprovedRequests();
+
+    assert.equal(result.updatedCount, 0);
+    assert.equal(request.status, 'approved');
+    assert.equal(sendRequestNotification.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,93 @@
+// test/userService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const roleService = require('../services/roleService');
+const eventService = require('../services/eventService');
+const notificationService = require('../services/notificationService');
+const userService = require('../services/userService');
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), permissions: ['manage-users'] };
+const leaving = new User({ username: 'leaving', email: 'leaving@example.com', password: 'goodbye-2024', role: 'user' });
+const follower = new mongoose.Types.ObjectId();
+
+const makeRequest = (fields) => new Request({
+  user: leaving._id,
+  bookId: 'tehanu-google-id',
+  title: 'Tehanu',
+  author: 'Ursula K. Le Guin',
+  ...fields
+});
+
+describe('userService.deleteUser', () => {
+  let owned;
+  let joined;
+  let deleteMany;
+  let publishRequest;
+  let sendUserNotification;
+
+  beforeEach(() => {
+    owned = [];
+    joined = [];
+    mock.method(User, 'findById', async () => leaving);
+    mock.method(User, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(roleService, 'getMissingPermissions', async () => []);
+    mock.method(Request, 'find', async (query) => (query.user ? owned : joined));
+    mock.method(Request.prototype, 'save', async function() {
+      return this;
+    });
+    deleteMany = mock.method(Request, 'deleteMany', async () => ({}));
+    publishRequest = mock.method(eventService, 'publishRequest', () => {});
+    sendUserNotification = mock.method(notificationService, 'sendUserNotification', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('hands followed requests to the first follower and deletes the rest', async () => {
+    const followedRequest = makeRequest({ followers: [{ user: follower }], voteCount: 2 });
+    const lonelyRequest = makeRequest({ title: 'The Other Wind', bookId: 'other-wind-google-id' });
+    owned.push(followedRequest, lonelyRequest);
+
+    const result = await userService.deleteUser(admin, leaving.id);
+
+    assert.deepEqual(result, { deletedRequests: 1, handedOverRequests: 1 });
+
+    assert.equal(followedRequest.user.toString(), follower.toString());
+    assert.equal(followedRequest.followers.length, 0);
+    assert.equal(followedRequest.voteCount, 1);
+    assert.equal(followedRequest.history[0].type, 'owner-changed');
+    assert.equal(sendUserNotification.mock.callCount(), 1);
+    assert.equal(sendUserNotification.mock.calls[0].arguments[0].toString(), follower.toString());
+
+    assert.equal(deleteMany.mock.callCount(), 1);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { _id: { $in: [lonelyRequest._id] } });
+    assert.deepEqual(publishRequest.mock.calls.map(call => call.arguments), [['request:deleted', lonelyRequest]]);
+  });
+
+  it('takes the user off requests they joined', async () => {
+    const othersRequest = makeRequest({
+      user: follower,
+      followers: [{ user: leaving._id }],
+      voteCount: 2
+    });
+    joined.push(othersRequest);
+
+    const result = await userService.deleteUser(admin, leaving.id);
+
+    assert.deepEqual(result, { deletedRequests: 0, handedOverRequests: 0 });
+    assert.equal(othersRequest.user.toString(), follower.toString());
+    assert.equal(othersRequest.followers.length, 0);
+    assert.equal(othersRequest.voteCount, 1);
+  });
+});
@@ -0,0 +1,399 @@
+// test/webhookController.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the webhook logs out of the repo
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readarr-requests-test-'));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const readarrInstanceService = require('../services/readarrInstanceService');
+const notificationService = require('../services/notificationService');
+const calibreAPI = require('../config/calibreAPI');
+const { getContext } = require('../utils/logger');
+const webhookController = require('../controllers/webhookController');
+
+const instance = { _id: new mongoose.Types.ObjectId(), name: 'Main' };
+const otherInstance = { _id: new mongoose.Types.ObjectId(), name: 'Audiobooks' };
+const ursula = new User({ username: 'ursula', email: 'ursula@example.com', password: 'earthsea1968' });
+
+// Requests the mocked Request.find queries
+let store = [];
+
+const loadFixture = (eventType) => JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures/webhooks', `${eventType}.json`), 'utf8')
+);
+
+// Enough of a MongoDB filter for the queries the webhook handlers run
+const matchesQuery = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  const value = doc.get(key);
+  if (condition && condition.$in) {
+    return condition.$in.map(String).includes(String(value));
+  }
+  return String(value) === String(condition);
+});
+
+const addRequest = (fields = {}) => {
+  const request = new Request({
+    user: ursula,
+    bookId: 'earthsea-google-id',
+    title: 'A Wizard of Earthsea',
+    author: 'Ursula K. Le Guin',
+    status: 'approved',
+    readarrStatus: 'added',
+    readarrId: '101',
+    readarrAuthorId: '12',
+    readarrInstance: instance._id,
+    ...fields
+  });
+  store.push(request);
+  return request;
+};
+
+const eventTypes = (request) => request.history.map(event => event.type);
+
+/**
+ * Post a fixture to the webhook handler
+ * @param {Object} event - Webhook payload
+ * @returns {Object} - { status, body }
+ */
+const sendWebhook = async (event) => {
+  const response = {};
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+
+  await webhookController.processReadarrWebhook({ body: event, params: {} }, res);
+  return response;
+};
+
+describe('webhookController.processReadarrWebhook', () => {
+  let sendRequestNotification;
+  let sendAdminNotification;
+  let sendBookAvailableNotification;
+  let updateBookMetadata;
+  let findRequests;
+
+  beforeEach(() => {
+    store = [];
+    mock.method(readarrInstanceService, 'findWebhookInstance', async () => instance);
+    findRequests = mock.method(Request, 'find', (query) => {
+      const results = Promise.resolve(store.filter(doc => matchesQuery(doc, query)));
+      results.populate = () => results;
+      return results;
+    });
+    mock.method(Request.prototype, 'save', async function() {
+      return this;
+    });
+    sendRequestNotification = mock.method(notificationService, 'sendRequestNotification',
+      async () => ({ success: true, results: [] }));
+    sendAdminNotification = mock.method(notificationService, 'sendAdminNotification', async () => ({ success: true }));
+    sendBookAvailableNotification = mock.method(notificationService, 'sendBookAvailableNotification',
+      async () => ({ success: true }));
+    updateBookMetadata = mock.method(calibreAPI, 'updateBookMetadata', async () => ({ bookId: 7 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('Grab marks approved requests on the sending instance as downloading', async () => {
+    const request = addRequest();
+    const pending = addRequest({ status: 'pending', readarrStatus: 'pending' });
+    const elsewhere = addRequest({ readarrInstance: otherInstance._id });
+
+    const { status, body } = await sendWebhook(loadFixture('Grab'));
+
+    assert.equal(status, 200);
+    assert.equal(body.requestsUpdated, 1);
+    assert.equal(request.readarrStatus, 'downloading');
+    assert.equal(request.readarrMessage, 'Downloading: Ursula K. Le Guin - A Wizard of Earthsea (epub)');
+    assert.deepEqual(eventTypes(request), ['grabbed', 'notification-sent']);
+    assert.equal(request.history[0].data.downloadClient, 'qBittorrent');
+    assert.equal(pending.readarrStatus, 'pending');
+    assert.equal(elsewhere.readarrStatus, 'added');
+
+    assert.equal(sendRequestNotification.mock.callCount(), 1);
+    const [notifiedRequest, payload] = sendRequestNotification.mock.calls[0].arguments;
+    assert.equal(notifiedRequest, request);
+    assert.equal(payload.title, 'Book Downloading');
+    assert.equal(payload.data.type, 'request-downloading');
+    assert.equal(payload.data.requestId, request._id.toString());
+    assert.equal(sendAdminNotification.mock.callCount(), 0);
+  });
+
+  it('Download makes the request available, tags it in Calibre and notifies', async () => {
+    const request = addRequest({ readarrStatus: 'downloading' });
+    const filePath = '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub';
+
+    const { status, body } = await sendWebhook(loadFixture('Download'));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.requests, [{ requestId: request._id, user: 'ursula', metadataUpdated: true }]);
+    assert.equal(request.status, 'available');
+    assert.equal(request.readarrStatus, 'downloaded');
+    assert.equal(request.filePath, filePath);
+    assert.equal(request.readarrMessage, 'Book downloaded and metadata updated');
+    assert.deepEqual(eventTypes(request), ['imported', 'calibre-tagged', 'notification-sent']);
+
+    assert.equal(updateBookMetadata.mock.callCount(), 1);
+    assert.deepEqual(updateBookMetadata.mock.calls[0].arguments, [filePath, {
+      user: 'ursula',
+      userId: ursula._id.toString(),
+      title: 'A Wizard of Earthsea',
+      author: 'Ursula K. Le Guin'
+    }]);
+
+    assert.equal(sendBookAvailableNotification.mock.callCount(), 1);
+    assert.deepEqual(sendBookAvailableNotification.mock.calls[0].arguments, [
+      { id: 101, title: 'A Wizard of Earthsea', author: 'Ursula K. Le Guin' },
+      request
+    ]);
+  });
+
+  it('Download still makes the request available when Calibre tagging fails', async () => {
+    const request = addRequest({ readarrStatus: 'downloading' });
+    updateBookMetadata.mock.mockImplementation(async () => {
+      throw new Error('calibredb not found');
+    });
+
+    const { body } = await sendWebhook(loadFixture('Download'));
+
+    assert.equal(body.requests[0].metadataUpdated, false);
+    assert.equal(request.status, 'available');
+    assert.equal(request.readarrMessage, 'Book downloaded but metadata update failed: calibredb not found');
+    assert.deepEqual(eventTypes(request), ['imported', 'calibre-tag-failed', 'notification-sent']);
+    assert.equal(sendBookAvailableNotification.mock.callCount(), 1);
+  });
+
+  it('BookFileImport makes an audiobook request available without Calibre', async () => {
+    const request = addRequest({
+      title: 'The Left Hand of Darkness',
+      bookId: 'left-hand-google-id',
+      format: 'audiobook',
+      readarrId: '102'
+    });
+
+    const { status } = await sendWebhook(loadFixture('BookFileImport'));
+
+    assert.equal(status, 200);
+    assert.equal(request.status, 'available');
+    assert.equal(request.readarrStatus, 'downloaded');
+    assert.equal(request.filePath,
+      '/audiobooks/Ursula K. Le Guin/The Left Hand of Darkness/The Left Hand of Darkness.m4b');
+    assert.deepEqual(eventTypes(request), ['imported', 'notification-sent']);
+    assert.equal(updateBookMetadata.mock.callCount(), 0);
+    assert.equal(sendBookAvailableNotification.mock.callCount(), 1);
+  });
+
+  it('Upgrade replaces the file and only notifies requests that were not available yet', async () => {
+    const available = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub'
+    });
+    const approved = addRequest({ bookId: 'earthsea-isbn' });
+    const newPath = '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.azw3';
+
+    const { status, body } = await sendWebhook(loadFixture('Upgrade'));
+
+    assert.equal(status, 200);
+    assert.equal(body.requestsUpdated, 2);
+    for (const request of [available, approved]) {
+      assert.equal(request.status, 'available');
+      assert.equal(request.readarrStatus, 'downloaded');
+      assert.equal(request.filePath, newPath);
+    }
+    assert.deepEqual(eventTypes(available), ['upgraded', 'calibre-tagged']);
+    assert.equal(available.history[0].data.previousFilePath,
+      '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub');
+    assert.deepEqual(eventTypes(approved), ['upgraded', 'calibre-tagged', 'notification-sent']);
+
+    assert.equal(sendRequestNotification.mock.callCount(), 1);
+    assert.equal(sendRequestNotification.mock.calls[0].arguments[0], approved);
+    assert.equal(sendRequestNotification.mock.calls[0].arguments[1].data.type, 'book-available');
+  });
+
+  it('Rename follows the file to its new path', async () => {
+    const request = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub'
+    });
+
+    const { body } = await sendWebhook(loadFixture('Rename'));
+
+    assert.equal(body.requestsUpdated, 1);
+    assert.equal(request.filePath, '/books/Ursula K. Le Guin/Earthsea Cycle/01 - A Wizard of Earthsea.epub');
+    assert.deepEqual(eventTypes(request), ['renamed']);
+    assert.equal(sendRequestNotification.mock.callCount(), 0);
+    assert.equal(sendAdminNotification.mock.callCount(), 0);
+  });
+
+  it('Rename leaves the same path on another instance alone', async () => {
+    const previousPath = '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub';
+    const elsewhere = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: previousPath,
+      readarrInstance: otherInstance._id
+    });
+
+    const { body } = await sendWebhook(loadFixture('Rename'));
+
+    assert.equal(body.requestsUpdated, 0);
+    assert.equal(elsewhere.filePath, previousPath);
+    assert.deepEqual(eventTypes(elsewhere), []);
+  });
+
+  it('BookDelete with files marks the request removed and no longer available', async () => {
+    const request = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub'
+    });
+
+    const { body } = await sendWebhook(loadFixture('BookDelete'));
+
+    assert.equal(body.requestsUpdated, 1);
+    assert.equal(request.status, 'approved');
+    assert.equal(request.readarrStatus, 'removed');
+    assert.equal(request.filePath, undefined);
+    assert.equal(request.readarrMessage, 'Book was deleted from Readarr');
+    assert.deepEqual(eventTypes(request), ['readarr-removed']);
+
+    assert.equal(sendAdminNotification.mock.callCount(), 1);
+    const [payload] = sendAdminNotification.mock.calls[0].arguments;
+    assert.equal(payload.title, 'Requested Book Deleted');
+    assert.equal(payload.body, '"A Wizard of Earthsea" was deleted from Readarr');
+    assert.equal(payload.data.type, 'admin-book-deleted');
+    assert.equal(sendRequestNotification.mock.callCount(), 0);
+  });
+
+  it('BookFileDelete sends an available request back to waiting for a download', async () => {
+    const request = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub'
+    });
+
+    const { body } = await sendWebhook(loadFixture('BookFileDelete'));
+
+    assert.equal(body.requestsUpdated, 1);
+    assert.equal(request.status, 'approved');
+    assert.equal(request.readarrStatus, 'added');
+    assert.equal(request.filePath, undefined);
+    assert.equal(request.readarrMessage, 'Book file deleted from Readarr (Manual)');
+    assert.deepEqual(eventTypes(request), ['file-deleted']);
+
+    assert.equal(sendAdminNotification.mock.callCount(), 1);
+    assert.equal(sendAdminNotification.mock.calls[0].arguments[0].data.type, 'admin-book-file-deleted');
+  });
+
+  it('BookFileDelete for an upgrade leaves the request alone', async () => {
+    const request = addRequest({ status: 'available', readarrStatus: 'downloaded', filePath: '/books/old.epub' });
+
+    const { body } = await sendWebhook({ ...loadFixture('BookFileDelete'), deleteReason: 'Upgrade' });
+
+    assert.equal(body.event, 'bookFileDelete');
+    assert.equal(request.status, 'available');
+    assert.equal(request.filePath, '/books/old.epub');
+    assert.deepEqual(eventTypes(request), []);
+    assert.equal(findRequests.mock.callCount(), 0);
+    assert.equal(sendAdminNotification.mock.callCount(), 0);
+  });
+
+  it('AuthorDelete without files marks every request for the author removed', async () => {
+    const available = addRequest({
+      status: 'available',
+      readarrStatus: 'downloaded',
+      filePath: '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub'
+    });
+    const approved = addRequest({ title: 'The Dispossessed', bookId: 'dispossessed-google-id', readarrId: '103' });
+    const otherAuthor = addRequest({ title: 'Kindred', author: 'Octavia E. Butler', readarrId: '201', readarrAuthorId: '20' });
+
+    const { body } = await sendWebhook(loadFixture('AuthorDelete'));
+
+    assert.equal(body.requestsUpdated, 2);
+    assert.equal(available.status, 'available');
+    assert.equal(available.filePath, '/books/Ursula K. Le Guin/A Wizard of Earthsea/A Wizard of Earthsea.epub');
+    assert.equal(approved.status, 'approved');
+    for (const request of [available, approved]) {
+      assert.equal(request.readarrStatus, 'removed');
+      assert.equal(request.readarrMessage, 'Author Ursula K. Le Guin was deleted from Readarr');
+      assert.deepEqual(eventTypes(request), ['readarr-removed']);
+    }
+    assert.equal(otherAuthor.readarrStatus, 'added');
+
+    assert.equal(sendAdminNotification.mock.callCount(), 1);
+    const [payload] = sendAdminNotification.mock.calls[0].arguments;
+    assert.equal(payload.body, 'Ursula K. Le Guin was deleted from Readarr, affecting 2 request(s)');
+    assert.equal(payload.data.type, 'admin-author-deleted');
+  });
+
+  it('HealthIssue notifies admins and touches no requests', async () => {
+    const request = addRequest();
+
+    const { status, body } = await sendWebhook(loadFixture('HealthIssue'));
+
+    assert.equal(status, 200);
+    assert.equal(body.event, 'healthIssue');
+    assert.deepEqual(eventTypes(request), []);
+    assert.equal(findRequests.mock.callCount(), 0);
+
+    assert.equal(sendAdminNotification.mock.callCount(), 1);
+    const [payload] = sendAdminNotification.mock.calls[0].arguments;
+    assert.equal(payload.title, 'Readarr Health Warning (Main)');
+    assert.equal(payload.body, 'No download client is available');
+    assert.equal(payload.data.type, 'admin-readarr-health');
+  });
+
+  it('Test is acknowledged without touching requests or notifying anyone', async () => {
+    const request = addRequest({ readarrId: '123' });
+
+    const { status, body } = await sendWebhook(loadFixture('Test'));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { message: 'Test event received', event: 'test' });
+    assert.deepEqual(eventTypes(request), []);
+    assert.equal(findRequests.mock.callCount(), 0);
+    assert.equal(sendRequestNotification.mock.callCount(), 0);
+    assert.equal(sendAdminNotification.mock.callCount(), 0);
+    assert.equal(sendBookAvailableNotification.mock.callCount(), 0);
+  });
+
+  it('tags what it logs for each request with the request ID', async () => {
+    const first = addRequest();
+    const second = addRequest({ bookId: 'earthsea-isbn' });
+    const contexts = [];
+    sendRequestNotification.mock.mockImplementation(async () => {
+      contexts.push(getContext().request);
+      return { success: true, results: [] };
+    });
+
+    await sendWebhook(loadFixture('Grab'));
+
+    assert.deepEqual(contexts, [first._id.toString(), second._id.toString()]);
+    assert.equal(getContext().request, undefined);
+  });
+
+  it('rejects webhooks for an unknown Readarr instance', async () => {
+    readarrInstanceService.findWebhookInstance.mock.mockImplementation(async () => null);
+
+    const { status } = await sendWebhook(loadFixture('Grab'));
+
+    assert.equal(status, 404);
+    assert.equal(findRequests.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,179 @@
+// utils/logger.js
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Read on first use, so modules that create loggers before dotenv runs still get the configured values
+let settings = null;
+
+const getSettings = () => {
+  if (!settings) {
+    settings = {
+      dir: process.env.LOG_DIR || path.join(__dirname, '../logs'),
+      level: LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info,
+      // Rotate a file once it passes this size, keeping this many old files
+      maxSize: (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+      maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5
+    };
+    if (!fs.existsSync(settings.dir)) {
+      fs.mkdirSync(settings.dir, { recursive: true });
+    }
+  }
+  return settings;
+};
+
+// Correlation context (request ID, job run) for whatever is currently executing
+const context = new AsyncLocalStorage();
+
+// Keys whose values never reach a log
+const SECRET_KEY = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|auth$/i;
+// Secrets embedded in free text: query parameters, headers and bearer tokens
+const SECRET_PATTERNS = [
+  [/([?&](?:apikey|api_key|token|secret|password)=)[^&\s"]+/gi, '$1[REDACTED]'],
+  [/((?:x-api-key|x-auth-token|x-webhook-secret|authorization)["']?\s*[:=]\s*["']?)(?:bearer\s+)?[^\s"',}]+/gi, '$1[REDACTED]'],
+  [/\bbearer\s+[\w\-.~+/]+=*/gi, 'Bearer [REDACTED]'],
+  // JSON web tokens
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED]']
+];
+
+/**
+ * Strip secrets from a string
+ * @param {string} text
+ */
+const redactText = (text) => SECRET_PATTERNS.reduce(
+  (result, [pattern, replacement]) => result.replace(pattern, replacement),
+  text
+);
+
+/**
+ * Copy of a value with secrets removed, safe to serialize
+ * @param {*} value
+ * @param {number} depth - Nesting left before values are summarized
+ */
+const redact = (value, depth = 5) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) return { message: redactText(value.message), stack: value.stack };
+  if (value === null || typeof value !== 'object') return value;
+  if (depth === 0) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth - 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY.test(key) ? '[REDACTED]' : redact(item, depth - 1);
+  }
+  return result;
+};
+
+// One append stream per file, opened on the first write and rotated by size
+class FileSink {
+  constructor(file) {
+    this.name = file;
+    this.stream = null;
+  }
+
+  open() {
+    this.file = path.join(getSettings().dir, this.name);
+    this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    // Open the file now so a rotation right after still renames the file being written
+    this.stream = fs.createWriteStream(null, { fd: fs.openSync(this.file, 'a') });
+    this.stream.on('error', (error) => console.error(`Log file ${this.file} failed: ${error.message}`));
+  }
+
+  write(line) {
+    if (!this.stream) this.open();
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > getSettings().maxSize) {
+      this.rotate();
+    }
+    this.size += bytes;
+    this.stream.write(line);
+  }
+
+  // file.log -> file.log.1 -> file.log.2 ..., dropping the oldest
+  rotate() {
+    const { maxFiles } = getSettings();
+    this.stream.end();
+
+    try {
+      const oldest = `${this.file}.${maxFiles}`;
+      if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+      for (let index = maxFiles - 1; index >= 1; index--) {
+        const from = `${this.file}.${index}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${index + 1}`);
+      }
+      if (fs.existsSync(this.file)) fs.renameSync(this.file, `${this.file}.1`);
+    } catch (error) {
+      console.error(`Rotating ${this.file} failed: ${error.message}`);
+    }
+
+    this.open();
+  }
+}
+
+const sinks = new Map();
+
+const getSink = (file) => {
+  if (!sinks.has(file)) sinks.set(file, new FileSink(file));
+  return sinks.get(file);
+};
+
+const consoleMethods = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * Create a logger writing JSON lines to logs/<file>. The logger is a function
+ * logging at info level, with a method per level.
+ * @param {string} name - Logger name, included in every entry
+ * @param {Object} options
+ * @param {string} options.file - Log file name, defaults to <name>.log
+ * @returns {Function} - log(message, meta) with .debug/.info/.warn/.error
+ */
+exports.createLogger = (name, { file = `${name}.log` } = {}) => {
+  const sink = getSink(file);
+
+  const write = (level, message, meta) => {
+    if (LEVELS[level] < getSettings().level) return;
+
+    const text = redactText(String(message));
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      logger: name,
+      msg: text,
+      ...context.getStore(),
+      ...(meta && typeof meta === 'object' ? redact(meta) : {})
+    };
+
+    sink.write(`${JSON.stringify(entry)}\n`);
+    console[consoleMethods[level]](text);
+  };
+
+  const logger = (message, meta) => write('info', message, meta);
+  for (const level of Object.keys(LEVELS)) {
+    logger[level] = (message, meta) => write(level, message, meta);
+  }
+  return logger;
+};
+
+/**
+ * Run a function with correlation fields added to every log entry it writes,
+ * including from async work it starts
+ * @param {Object} fields - e.g. { requestId } or { job, runId }
+ * @param {Function} fn
+ */
+exports.runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+/**
+ * Correlation fields of the code currently running
+ */
+exports.getContext = () => context.getStore() || {};
+
+/**
+ * Directory the log files are written to
+ */
+exports.getLogDir = () => getSettings().dir;
+
+exports.redact = redact;
+exports.LEVELS = LEVELS;
@@ -0,0 +1,450 @@
+// utils/matching.js
+// Fuzzy matching of book titles and author names across Readarr, Google Books,
+// Open Library and Calibre, which all spell them slightly differently.
+
+// Scores at or above this are treated as the same title or author
+const MATCH_THRESHOLD = 0.9;
+
+// Two tokens at or above this are treated as the same word (typos, plurals)
+const TOKEN_THRESHOLD = 0.85;
+
+// Surname particles that belong to the last name ("Le Guin", "van der Berg")
+const PARTICLES = new Set([
+  'al', 'bin', 'da', 'das', 'de', 'del', 'della', 'der', 'di', 'dos', 'du',
+  'el', 'la', 'le', 'st', 'ten', 'ter', 'van', 'von', 'y'
+]);
+
+// Name suffixes that are not part of the surname
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md']);
+
+const LEADING_ARTICLES = /^(the|a|an)\s+/;
+
+// Letters that NFKD doesn't decompose
+const SPECIAL_LETTERS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O',
+  ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', þ: 'th', Þ: 'TH', ð: 'd', Ð: 'D'
+};
+
+/**
+ * Remove accents and other diacritics ("Brontë" -> "Bronte", "Łem" -> "Lem")
+ * @param {string} text
+ * @returns {string}
+ */
+function foldDiacritics(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæÆœŒøØłŁđĐþÞðÐ]/g, letter => SPECIAL_LETTERS[letter]);
+}
+
+// Lowercase, fold, drop apostrophes and turn other punctuation into spaces
+function cleanText(text) {
+  return foldDiacritics(text)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove a trailing series marker such as "(The Expanse, #1)" or "[Book 2]"
+ * @param {string} title
+ * @returns {string}
+ */
+function stripSeries(title) {
+  if (!title) return '';
+
+  let result = title.trim();
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(/\s*[([][^()[\]]*[)\]]\s*$/, '').trim();
+  } while (result && result !== previous);
+
+  // Keep the original if the whole title was in brackets
+  return result || title.trim();
+}
+
+/**
+ * Remove a subtitle ("Sapiens: A Brief History of Humankind" -> "Sapiens",
+ * "The Hobbit, or There and Back Again" -> "The Hobbit")
+ * @param {string} title
+ * @returns {string}
+ */
+function stripSubtitle(title) {
+  if (!title) return '';
+
+  const [main] = title.split(/\s*[:;]\s+|\s+[-–—]\s+|,\s+or\s+/i);
+  return main.trim() || title.trim();
+}
+
+/**
+ * The subtitle of a title, normalized ("Mistborn: The Final Empire" -> "the final empire")
+ * @param {string} title
+ * @returns {string} - Empty when the title has none
+ */
+function subtitleOf(title) {
+  if (!title) return '';
+
+  const full = stripSeries(title);
+  const main = stripSubtitle(full);
+  if (main === full) return '';
+
+  return cleanText(full.slice(main.length).replace(/^\s*(?:[:;]|[-–—]|,\s*or\b)\s*/i, ''));
+}
+
+/**
+ * Normalize a title for comparison
+ * @param {string} title
+ * @param {Object} options
+ * @param {boolean} options.keepSubtitle - Compare the subtitle too
+ * @returns {string}
+ */
+function normalizeTitle(title, { keepSubtitle = false } = {}) {
+  if (!title) return '';
+
+  let result = stripSeries(title);
+  if (!keepSubtitle) {
+    result = stripSubtitle(result);
+  }
+
+  return cleanText(result).replace(LEADING_ARTICLES, '');
+}
+
+// Split "J.R.R." or "JRR" into separate initials
+function splitInitials(word) {
+  if (/^([A-Za-z]\.){2,}$/.test(word) || /^[A-Z]{2,3}$/.test(word)) {
+    return word.replace(/\./g, '').split('');
+  }
+  return [word];
+}
+
+// Reorder "Tolkien, J.R.R." to "J.R.R. Tolkien"
+function reorderLastnameFirst(name) {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) return name;
+
+  const suffixes = parts.slice(2).filter(part => SUFFIXES.has(cleanText(part)));
+  if (parts.length > 2 && suffixes.length !== parts.length - 2) return name;
+
+  return [parts[1], parts[0], ...suffixes].join(' ');
+}
+
+/**
+ * Name tokens ready for comparison: lowercase, folded, "first last" order,
+ * initials split, suffixes dropped and particles joined onto the surname
+ * @param {string} name
+ * @returns {string[]}
+ */
+function authorTokens(name) {
+  if (!name) return [];
+
+  const words = reorderLastnameFirst(foldDiacritics(name).trim())
+    .replace(/\.(?=[A-Za-z])/g, '. ')
+    .split(/\s+/)
+    .flatMap(splitInitials)
+    .map(cleanText)
+    .flatMap(word => word.split(' '))
+    .filter(word => word && !SUFFIXES.has(word));
+
+  // "le guin" -> "leguin" so it matches "LeGuin"; a particle on its own is kept
+  const tokens = [];
+  let particles = '';
+  words.forEach((word, index) => {
+    if (PARTICLES.has(word) && index < words.length - 1 && index > 0) {
+      particles += word;
+    } else {
+      tokens.push(particles + word);
+      particles = '';
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Normalize an author name for comparison or as a lookup key
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeAuthor(name) {
+  return authorTokens(name).join(' ');
+}
+
+/**
+ * Convert "Ursula K. Le Guin" to "Le Guin, Ursula K.", keeping particles with the surname
+ * @param {string} name
+ * @returns {string}
+ */
+function lastnameFirst(name) {
+  if (!name) return '';
+
+  const trimmed = name.trim();
+  if (trimmed.includes(',')) return trimmed;
+
+  const words = trimmed.split(/\s+/);
+  const suffix = words.length > 2 && SUFFIXES.has(cleanText(words[words.length - 1]))
+    ? words.pop()
+    : null;
+  if (words.length < 2) return trimmed;
+
+  let surnameStart = words.length - 1;
+  while (surnameStart > 1 && PARTICLES.has(cleanText(words[surnameStart - 1]))) {
+    surnameStart--;
+  }
+
+  const surname = words.slice(surnameStart).join(' ');
+  const given = words.slice(0, surnameStart).join(' ');
+  return suffix ? `${surname}, ${given}, ${suffix}` : `${surname}, ${given}`;
+}
+
+/**
+ * Split a multi-author string ("Neil Gaiman & Terry Pratchett") into names.
+ * Commas only split when every part looks like a full name, so "Tolkien, J.R.R." stays whole.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitAuthors(text) {
+  if (!text) return [];
+
+  return text
+    .split(/\s*(?:&|;|\band\b)\s*/)
+    .flatMap(part => {
+      const pieces = part.split(',').map(piece => piece.trim()).filter(Boolean);
+      const allFullNames = pieces.length > 1 && pieces.every(piece => piece.split(/\s+/).length > 1);
+      return allFullNames ? pieces : [part.trim()];
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two strings from their Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 to 1
+ */
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Whether two tokens are the same word, or one is the initial of the other
+function tokensMatch(a, b, { initials = false } = {}) {
+  if (a === b) return true;
+  if (initials && (a.length === 1 || b.length === 1)) {
+    return a[0] === b[0];
+  }
+  return a.length > 3 && b.length > 3 && stringSimilarity(a, b) >= TOKEN_THRESHOLD;
+}
+
+/**
+ * Token-set similarity: the share of tokens the two sides have in common (Dice
+ * coefficient), with near-identical tokens counted as shared
+ * @param {string|string[]} a - Text or tokens
+ * @param {string|string[]} b - Text or tokens
+ * @param {Object} options
+ * @param {boolean} options.initials - Let a single letter match a word starting with it
+ * @returns {number} 0 to 1
+ */
+function tokenSetSimilarity(a, b, options = {}) {
+  const tokensA = [...new Set(Array.isArray(a) ? a : cleanText(a).split(' ').filter(Boolean))];
+  const tokensB = [...new Set(Array.isArray(b) ? b : cleanText(b).split(' ').filter(Boolean))];
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const unmatched = [...tokensB];
+  let shared = 0;
+  for (const token of tokensA) {
+    const index = unmatched.findIndex(other => tokensMatch(token, other, options));
+    if (index !== -1) {
+      unmatched.splice(index, 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * How alike two titles are, ignoring series markers, articles and punctuation.
+ * A title with a subtitle still matches the same title without one. When both
+ * have subtitles they must agree too, since a shared main title is often a
+ * series or franchise name ("Mistborn: The Final Empire" vs "Mistborn: The Well of Ascension").
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 to 1
+ */
+function titleSimilarity(a, b) {
+  const fullA = normalizeTitle(a, { keepSubtitle: true });
+  const fullB = normalizeTitle(b, { keepSubtitle: true });
+  if (!fullA || !fullB) return 0;
+  if (fullA === fullB) return 1;
+
+  const mainA = normalizeTitle(a);
+  const mainB = normalizeTitle(b);
+  const sameMain = mainA === mainB || mainA.replace(/ /g, '') === mainB.replace(/ /g, '');
+  let mainScore = sameMain
+    ? 0.95
+    : Math.max(tokenSetSimilarity(mainA, mainB), stringSimilarity(mainA, mainB));
+
+  const subtitleA = subtitleOf(a);
+  const subtitleB = subtitleOf(b);
+  // A series name in front of the title ("Mistborn: The Final Empire" vs "The Final Empire")
+  if ((subtitleA && !subtitleB && subtitleA.replace(LEADING_ARTICLES, '') === mainB) ||
+      (subtitleB && !subtitleA && subtitleB.replace(LEADING_ARTICLES, '') === mainA)) {
+    mainScore = 0.95;
+  }
+  if (subtitleA && subtitleB) {
+    const subtitleScore = Math.max(
+      tokenSetSimilarity(subtitleA, subtitleB),
+      stringSimilarity(subtitleA, subtitleB)
+    );
+    // Differing subtitles keep the main title alone below the match threshold
+    if (subtitleScore < MATCH_THRESHOLD) {
+      mainScore = Math.min(mainScore, 0.5 + 0.35 * subtitleScore);
+    }
+  }
+
+  return Math.max(tokenSetSimilarity(fullA, fullB), mainScore);
+}
+
+// Similarity of two single author names
+function nameSimilarity(a, b) {
+  const tokensA = authorTokens(a);
+  const tokensB = authorTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  if (tokensA.join(' ') === tokensB.join(' ')) return 1;
+  if (tokensA.join('') === tokensB.join('')) return 0.98;
+
+  const surnameA = tokensA[tokensA.length - 1];
+  const surnameB = tokensB[tokensB.length - 1];
+
+  if (tokensMatch(surnameA, surnameB)) {
+    // Given names must agree in order, but initials and missing middle names are fine
+    const [shorter, longer] = tokensA.length <= tokensB.length
+      ? [tokensA.slice(0, -1), tokensB.slice(0, -1)]
+      : [tokensB.slice(0, -1), tokensA.slice(0, -1)];
+
+    let position = 0;
+    const compatible = shorter.every(token => {
+      while (position < longer.length && !tokensMatch(token, longer[position], { initials: true })) {
+        position++;
+      }
+      position++;
+      return position <= longer.length;
+    });
+
+    // A bare surname could be anyone in the family
+    if (compatible && shorter.length === 0 && longer.length > 0) {
+      return 0.8;
+    }
+    if (compatible) {
+      return surnameA === surnameB ? 0.95 : 0.92;
+    }
+  }
+
+  return tokenSetSimilarity(tokensA, tokensB, { initials: true }) * 0.9;
+}
+
+/**
+ * How alike two author strings are. Multi-author strings match if any pair of names does.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 to 1
+ */
+function authorSimilarity(a, b) {
+  // "Le Guin, Ursula K." could be one name or two, so try it both ways
+  const namesA = [...new Set([a, ...splitAuthors(a)])].filter(Boolean);
+  const namesB = [...new Set([b, ...splitAuthors(b)])].filter(Boolean);
+
+  let best = 0;
+  for (const nameA of namesA) {
+    for (const nameB of namesB) {
+      best = Math.max(best, nameSimilarity(nameA, nameB));
+    }
+  }
+  return best;
+}
+
+/**
+ * Describe a score for logs and the UI
+ * @param {number} score
+ * @returns {string} 'exact', 'high', 'medium' or 'low'
+ */
+function confidence(score) {
+  if (score >= 0.99) return 'exact';
+  if (score >= MATCH_THRESHOLD) return 'high';
+  if (score >= 0.75) return 'medium';
+  return 'low';
+}
+
+/**
+ * Compare two books by title and author
+ * @param {Object} a - { title, author }
+ * @param {Object} b - { title, author }
+ * @returns {Object} - { score, titleScore, authorScore, confidence, isMatch }
+ */
+function compareBooks(a, b) {
+  const titleScore = titleSimilarity(a.title, b.title);
+  // Without an author on both sides only the title can be compared
+  const authorScore = a.author && b.author ? authorSimilarity(a.author, b.author) : null;
+  const score = authorScore === null ? titleScore : titleScore * 0.6 + authorScore * 0.4;
+
+  return {
+    score,
+    titleScore,
+    authorScore,
+    confidence: confidence(score),
+    isMatch: titleScore >= MATCH_THRESHOLD && (authorScore === null || authorScore >= MATCH_THRESHOLD)
+  };
+}
+
+/**
+ * Find the best-scoring candidate at or above the threshold
+ * @param {Array} candidates
+ * @param {Function} scoreCandidate - Returns a 0 to 1 score for a candidate
+ * @param {number} threshold
+ * @returns {Object|null} - { item, score, confidence }
+ */
+function bestMatch(candidates, scoreCandidate, threshold = MATCH_THRESHOLD) {
+  let best = null;
+
+  for (const item of candidates || []) {
+    const score = scoreCandidate(item);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { item, score, confidence: confidence(score) };
+    }
+  }
+
+  return best;
+}
+
+exports.MATCH_THRESHOLD = MATCH_THRESHOLD;
+exports.foldDiacritics = foldDiacritics;
+exports.stripSeries = stripSeries;
+exports.stripSubtitle = stripSubtitle;
+exports.normalizeTitle = normalizeTitle;
+exports.normalizeAuthor = normalizeAuthor;
+exports.lastnameFirst = lastnameFirst;
+exports.splitAuthors = splitAuthors;
+exports.stringSimilarity = stringSimilarity;
+exports.tokenSetSimilarity = tokenSetSimilarity;
+exports.titleSimilarity = titleSimilarity;
+exports.authorSimilarity = authorSimilarity;
+exports.confidence = confidence;
+exports.compareBooks = compareBooks;
+exports.bestMatch = bestMatch;
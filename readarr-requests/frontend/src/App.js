@@ -12,12 +12,16 @@ import { ThemeProvider } from './context/ThemeContext';
 import PrivateRoute from './components/routing/PrivateRoute';
 import Layout from './components/layout/Layout';
 import AdminRoute from './components/routing/AdminRoute';
+import { SETTINGS_PERMISSIONS } from './utils/permissions';
 
 
 
 // Lazy-loaded components
 const Login = lazy(() => import('./pages/Login'));
 const Register = lazy(() => import('./pages/Register'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
 const Home = lazy(() => import('./pages/Home'));
 const Search = lazy(() => import('./pages/Search'));
 const BookDetail = lazy(() => import('./pages/BookDetail'));
@@ -25,6 +29,9 @@ const Requests = lazy(() => import('./pages/Requests'));
 const AdminRequests = lazy(() => import('./pages/AdminRequests'));
 const Profile = lazy(() => import('./pages/Profile'));
 const CalibreManager = lazy(() => import('./pages/CalibreManager'));
+const AdminSettings = lazy(() => import('./pages/AdminSettings'));
+const AdminLogs = lazy(() => import('./pages/AdminLogs'));
+const AdminUsers = lazy(() => import('./pages/AdminUsers'));
 
 
 // Loading fallback
@@ -45,16 +52,22 @@ function App() {
               <Routes>
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
 
                 <Route element={<PrivateRoute><Layout /></PrivateRoute>}>
                   <Route path="/" element={<Home />} />
                   <Route path="/search" element={<Search />} />
                   <Route path="/book/:id" element={<BookDetail />} />
                   <Route path="/requests" element={<Requests />} />
-                  <Route path="/admin/requests" element={<AdminRequests />} />
+                  <Route path="/admin/requests" element={<AdminRoute permissions={['manage-requests']}><AdminRequests /></AdminRoute>} />
+                  <Route path="/admin/settings" element={<AdminRoute permissions={SETTINGS_PERMISSIONS}><AdminSettings /></AdminRoute>} />
+                  <Route path="/admin/users" element={<AdminRoute permissions={['manage-users']}><AdminUsers /></AdminRoute>} />
+                  <Route path="/admin/logs" element={<AdminRoute permissions={['view-logs']}><AdminLogs /></AdminRoute>} />
                   <Route path="/profile" element={<Profile />} />
                   <Route path="/book/google/:id" element={<BookDetail source="google" />} />
-                  <Route path="calibre-manager" element={<AdminRoute><CalibreManager /></AdminRoute>} />
+                  <Route path="calibre-manager" element={<AdminRoute permissions={['manage-calibre']}><CalibreManager /></AdminRoute>} />
                 </Route>
 
                 <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,159 @@
+// src/components/admin/ApproveRequestDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import Typography from '@mui/material/Typography';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import ReadarrOptionFields from './ReadarrOptionFields';
+import api from '../../utils/api';
+
+// Dialog for approving a request, optionally choosing the Readarr instance and overriding its defaults
+const ApproveRequestDialog = ({ open, onClose, onConfirm, request }) => {
+  const [instances, setInstances] = useState([]);
+  const [routedInstanceId, setRoutedInstanceId] = useState('');
+  const [instanceId, setInstanceId] = useState('');
+  // Options are cached per instance
+  const [optionsByInstance, setOptionsByInstance] = useState({});
+  const [overrides, setOverrides] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the instances and the one the routing rules pick for this request
+  useEffect(() => {
+    if (!open || !request) return;
+
+    setOverrides(request.readarrOptions || {});
+    setError(null);
+
+    const fetchInstances = async () => {
+      setLoading(true);
+      try {
+        const [instancesResponse, routedResponse] = await Promise.all([
+          api.get('/admin/readarr-instances'),
+          api.get(`/admin/readarr-instances/resolve/${request._id}`)
+        ]);
+        const routedId = routedResponse.data?._id || '';
+        setInstances(instancesResponse.data.filter(instance => instance.enabled));
+        setRoutedInstanceId(routedId);
+        setInstanceId(routedId);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load Readarr instances');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInstances();
+  }, [open, request]);
+
+  const options = optionsByInstance[instanceId];
+
+  useEffect(() => {
+    if (!open || !instanceId || options) return;
+
+    api.get(`/admin/readarr-instances/${instanceId}/options`)
+      .then(response => setOptionsByInstance(prev => ({ ...prev, [instanceId]: response.data })))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load Readarr options'));
+  }, [open, instanceId, options]);
+
+  const handleInstanceChange = (e) => {
+    setInstanceId(e.target.value);
+    // Profiles and folders differ between instances
+    setOverrides({});
+  };
+
+  const handleConfirm = () => {
+    // Only send the fields that were actually overridden
+    const readarrOptions = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+    );
+    onConfirm({
+      readarrOptions,
+      readarrInstance: instanceId && instanceId !== routedInstanceId ? instanceId : undefined
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Approve Request</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1" gutterBottom>
+          "{request?.title}"{request?.format === 'audiobook' ? ' (audiobook)' : ''} will be added to Readarr.
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Leave a field on "Use default" to use the profile or folder configured for the instance.
+        </Typography>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="approve-instance-label">Readarr Instance</InputLabel>
+              <Select
+                labelId="approve-instance-label"
+                value={instanceId}
+                label="Readarr Instance"
+                onChange={handleInstanceChange}
+              >
+                {instances.map(instance => (
+                  <MenuItem key={instance._id} value={instance._id}>
+                    {instance.name}
+                    {instance._id === routedInstanceId ? ' (matched by routing rules)' : ''}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {options && (
+              <ReadarrOptionFields
+                options={options}
+                value={overrides}
+                onChange={setOverrides}
+                emptyLabel="Use default"
+              />
+            )}
+          </Box>
+        )}
+
+        {!loading && !routedInstanceId && !error && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            No Readarr instance matches this request. Choose one to approve it.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          color="primary"
+          startIcon={<CheckCircleIcon />}
+          disabled={loading}
+        >
+          Approve
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ApproveRequestDialog;
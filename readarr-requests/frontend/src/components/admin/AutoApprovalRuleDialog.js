@@ -0,0 +1,256 @@
+// src/components/admin/AutoApprovalRuleDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Switch from '@mui/material/Switch';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import IconButton from '@mui/material/IconButton';
+import Divider from '@mui/material/Divider';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import api from '../../utils/api';
+
+// `input` says which inputs a condition uses: a list of values, a year range or a minimum
+export const conditionFields = [
+  { value: 'user', label: 'User', input: 'values', placeholder: 'username' },
+  { value: 'role', label: 'Role', input: 'values', placeholder: 'user, admin' },
+  { value: 'genre', label: 'Genre', input: 'values', placeholder: 'Fantasy, Science Fiction' },
+  { value: 'author-in-library', label: 'Author already in library', input: 'none' },
+  { value: 'year', label: 'Publication year', input: 'range' },
+  { value: 'quota-headroom', label: 'Requests left after this one', input: 'min' }
+];
+
+const emptyRule = {
+  name: '',
+  enabled: true,
+  priority: 100,
+  conditions: []
+};
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+
+// Add or edit an auto-approval rule and its conditions
+const AutoApprovalRuleDialog = ({ open, rule, onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyRule);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError(null);
+    setForm(rule
+      ? {
+        ...emptyRule,
+        ...rule,
+        conditions: (rule.conditions || []).map(condition => ({
+          field: condition.field,
+          values: (condition.values || []).join(', '),
+          min: condition.min ?? '',
+          max: condition.max ?? ''
+        }))
+      }
+      : emptyRule);
+  }, [open, rule]);
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    }));
+  };
+
+  const addCondition = () => {
+    setForm(prev => ({
+      ...prev,
+      conditions: [...prev.conditions, { field: 'user', values: '', min: '', max: '' }]
+    }));
+  };
+
+  const removeCondition = (index) => {
+    setForm(prev => ({ ...prev, conditions: prev.conditions.filter((condition, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      ...form,
+      priority: parseInt(form.priority, 10) || 0,
+      conditions: form.conditions.map(condition => ({
+        field: condition.field,
+        values: condition.values.split(',').map(value => value.trim()).filter(Boolean),
+        min: toNumber(condition.min),
+        max: toNumber(condition.max)
+      }))
+    };
+
+    try {
+      const response = rule?._id
+        ? await api.put(`/admin/auto-approval-rules/${rule._id}`, payload)
+        : await api.post('/admin/auto-approval-rules', payload);
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save auto-approval rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderConditionInputs = (condition, index) => {
+    const field = conditionFields.find(f => f.value === condition.field);
+
+    switch (field?.input) {
+      case 'values':
+        return (
+          <TextField
+            size="small"
+            label="Any of"
+            value={condition.values}
+            onChange={(e) => updateCondition(index, { values: e.target.value })}
+            placeholder={field.placeholder}
+            sx={{ flexGrow: 1 }}
+          />
+        );
+      case 'range':
+        return (
+          <>
+            <TextField
+              size="small"
+              type="number"
+              label="From"
+              value={condition.min}
+              onChange={(e) => updateCondition(index, { min: e.target.value })}
+              sx={{ width: 110 }}
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="To"
+              value={condition.max}
+              onChange={(e) => updateCondition(index, { max: e.target.value })}
+              sx={{ width: 110 }}
+            />
+          </>
+        );
+      case 'min':
+        return (
+          <TextField
+            size="small"
+            type="number"
+            label="At least"
+            value={condition.min}
+            onChange={(e) => updateCondition(index, { min: e.target.value })}
+            inputProps={{ min: 0 }}
+            sx={{ width: 120 }}
+          />
+        );
+      default:
+        return <Box sx={{ flexGrow: 1 }} />;
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{rule?._id ? `Edit ${rule.name}` : 'Add Auto-Approval Rule'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField label="Name" value={form.name} onChange={updateField('name')} size="small" required />
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+            <FormControlLabel
+              control={<Switch checked={form.enabled} onChange={updateField('enabled')} />}
+              label="Enabled"
+            />
+            <TextField
+              label="Priority"
+              type="number"
+              value={form.priority}
+              onChange={updateField('priority')}
+              size="small"
+              sx={{ width: 120 }}
+            />
+          </Box>
+
+          <Divider />
+
+          <Box>
+            <Typography variant="subtitle2">Conditions</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              New requests matching all conditions are approved and sent to Readarr straight away.
+              Rules are tried by priority (lowest first).
+            </Typography>
+
+            {form.conditions.map((condition, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'center' }}>
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel id={`condition-field-${index}`}>Field</InputLabel>
+                  <Select
+                    labelId={`condition-field-${index}`}
+                    value={condition.field}
+                    label="Field"
+                    onChange={(e) => updateCondition(index, { field: e.target.value })}
+                  >
+                    {conditionFields.map(field => (
+                      <MenuItem key={field.value} value={field.value}>{field.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {renderConditionInputs(condition, index)}
+                <IconButton size="small" onClick={() => removeCondition(index)} aria-label="Remove condition">
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+
+            <Button size="small" startIcon={<AddIcon />} onClick={addCondition}>
+              Add condition
+            </Button>
+          </Box>
+
+          {form.conditions.length === 0 && (
+            <Alert severity="info">
+              A rule without conditions never approves anything.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AutoApprovalRuleDialog;
@@ -0,0 +1,192 @@
+// src/components/admin/AutoApprovalRules.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AutoApprovalRuleDialog, { conditionFields } from './AutoApprovalRuleDialog';
+import api from '../../utils/api';
+
+const describeCondition = (condition) => {
+  const label = conditionFields.find(field => field.value === condition.field)?.label || condition.field;
+
+  switch (condition.field) {
+    case 'author-in-library':
+      return label;
+    case 'year':
+      if (condition.min != null && condition.max != null) return `${label} ${condition.min}–${condition.max}`;
+      if (condition.min != null) return `${label} from ${condition.min}`;
+      if (condition.max != null) return `${label} up to ${condition.max}`;
+      return label;
+    case 'quota-headroom':
+      return `${label}: at least ${condition.min ?? 0}`;
+    default:
+      return `${label}: ${condition.values.join(', ')}`;
+  }
+};
+
+const AutoApprovalRules = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+
+  const fetchRules = async () => {
+    try {
+      const response = await api.get('/admin/auto-approval-rules');
+      setRules(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load auto-approval rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const handleAdd = () => {
+    setEditingRule(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    // Priorities decide the order, so reload them all
+    fetchRules();
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete auto-approval rule "${rule.name}"?`)) return;
+
+    try {
+      await api.delete(`/admin/auto-approval-rules/${rule._id}`);
+      setRules(prev => prev.filter(r => r._id !== rule._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete rule');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Auto-Approval Rules
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            New requests are approved automatically by the first rule whose conditions all match.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+          Add Rule
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Conditions</TableCell>
+                <TableCell>Approved</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rules.length > 0 ? rules.map(rule => (
+                <TableRow key={rule._id} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {rule.name}
+                      {!rule.enabled && <Chip size="small" label="disabled" sx={{ ml: 1 }} />}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      Priority {rule.priority}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {rule.conditions.length > 0
+                      ? rule.conditions.map((condition, index) => (
+                        <Typography key={index} variant="body2">{describeCondition(condition)}</Typography>
+                      ))
+                      : <Typography variant="body2" color="text.secondary">No conditions</Typography>}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{rule.matchCount} request(s)</Typography>
+                    {rule.lastMatchedAt && (
+                      <Typography variant="caption" color="text.secondary">
+                        last {new Date(rule.lastMatchedAt).toLocaleString()}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(rule)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDelete(rule)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              )) : (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    <Typography sx={{ py: 2 }}>
+                      No auto-approval rules. Every request waits for an admin.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <AutoApprovalRuleDialog
+        open={dialogOpen}
+        rule={editingRule}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Paper>
+  );
+};
+
+export default AutoApprovalRules;
@@ -0,0 +1,157 @@
+// src/components/admin/BulkRequestActions.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Button from '@mui/material/Button';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import LinearProgress from '@mui/material/LinearProgress';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import DownloadDoneIcon from '@mui/icons-material/DownloadDone';
+import DeleteIcon from '@mui/icons-material/Delete';
+import DenyRequestDialog from './DenyRequestDialog';
+import api from '../../utils/api';
+
+const POLL_INTERVAL = 1000;
+
+const actionLabels = {
+  approve: 'Approve',
+  deny: 'Deny',
+  retry: 'Retry Readarr',
+  'mark-available': 'Mark available',
+  delete: 'Delete'
+};
+
+// Toolbar for acting on the selected requests at once, with the run's progress and failures
+const BulkRequestActions = ({ selected, onClear, onDone }) => {
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [denyDialogOpen, setDenyDialogOpen] = useState(false);
+
+  const running = run && !run.finishedAt;
+
+  // Poll the run until it finishes
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/requests/bulk/${run._id}`);
+        setRun(response.data);
+        if (response.data.finishedAt) {
+          onDone();
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Lost track of the bulk action');
+        setRun(null);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [run, running, onDone]);
+
+  const startAction = async (action, extra = {}) => {
+    setError(null);
+
+    try {
+      const response = await api.post('/requests/bulk', { action, ids: selected, ...extra });
+      setRun(response.data);
+      onClear();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to start ${actionLabels[action].toLowerCase()}`);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${selected.length} request(s)? This cannot be undone.`)) return;
+    startAction('delete');
+  };
+
+  const handleDenyConfirm = (denialReason) => {
+    setDenyDialogOpen(false);
+    startAction('deny', { denialReason });
+  };
+
+  const failures = run?.result?.items?.filter(item => item.status === 'error') || [];
+  const skippedCount = run?.result?.items?.filter(item => item.status === 'skipped').length || 0;
+
+  if (selected.length === 0 && !run && !error) return null;
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      {selected.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2" sx={{ mr: 1 }}>
+            {selected.length} selected
+          </Typography>
+          <Button size="small" startIcon={<CheckCircleIcon />} onClick={() => startAction('approve')} disabled={running}>
+            Approve
+          </Button>
+          <Button size="small" color="error" startIcon={<CancelIcon />} onClick={() => setDenyDialogOpen(true)} disabled={running}>
+            Deny
+          </Button>
+          <Button size="small" startIcon={<RefreshIcon />} onClick={() => startAction('retry')} disabled={running}>
+            Retry Readarr
+          </Button>
+          <Button size="small" color="success" startIcon={<DownloadDoneIcon />} onClick={() => startAction('mark-available')} disabled={running}>
+            Mark Available
+          </Button>
+          <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleDelete} disabled={running}>
+            Delete
+          </Button>
+          <Button size="small" color="inherit" onClick={onClear} sx={{ ml: 'auto' }}>
+            Clear selection
+          </Button>
+        </Box>
+      )}
+
+      {run && (
+        <Box sx={{ mt: selected.length > 0 ? 2 : 0 }}>
+          <Typography variant="body2" gutterBottom>
+            {actionLabels[run.result?.action] || 'Bulk action'}: {run.progress.processed} of {run.progress.total} processed
+            {' '}({run.progress.succeeded} succeeded, {run.progress.failed} failed
+            {skippedCount > 0 && `, ${skippedCount} skipped`})
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={run.progress.total ? (run.progress.processed / run.progress.total) * 100 : 0}
+            color={run.progress.failed > 0 ? 'warning' : 'primary'}
+          />
+
+          {!running && failures.length > 0 && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              {failures.map(item => (
+                <div key={item.id}>
+                  <strong>{item.title || item.id}</strong>: {item.message}
+                </div>
+              ))}
+            </Alert>
+          )}
+
+          {!running && (
+            <Button size="small" onClick={() => setRun(null)} sx={{ mt: 1 }}>
+              Dismiss
+            </Button>
+          )}
+        </Box>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <DenyRequestDialog
+        open={denyDialogOpen}
+        onClose={() => setDenyDialogOpen(false)}
+        onConfirm={handleDenyConfirm}
+        request={null}
+      />
+    </Paper>
+  );
+};
+
+export default BulkRequestActions;
@@ -0,0 +1,108 @@
+// src/components/admin/DenyRequestDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import Typography from '@mui/material/Typography';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+import CancelIcon from '@mui/icons-material/Cancel';
+import api from '../../utils/api';
+
+const OTHER = 'other';
+
+// Dialog for denying a request with a preset or written reason the requester will see
+const DenyRequestDialog = ({ open, onClose, onConfirm, request }) => {
+  const [presets, setPresets] = useState([]);
+  const [preset, setPreset] = useState('');
+  const [customReason, setCustomReason] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+
+    setPreset('');
+    setCustomReason('');
+
+    const fetchReasons = async () => {
+      try {
+        const response = await api.get('/requests/denial-reasons');
+        setPresets(response.data.reasons || []);
+      } catch (err) {
+        // Free text still works without the presets
+        setPresets([]);
+      }
+    };
+
+    fetchReasons();
+  }, [open]);
+
+  const reason = preset === OTHER || !preset ? customReason.trim() : preset;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Deny Request</DialogTitle>
+      <DialogContent>
+        {request && (
+          <Typography variant="subtitle1" gutterBottom>
+            {request.title} by {request.author}
+          </Typography>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The reason is shown to the requester and included in their notification. It is optional.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="denial-reason-label">Reason</InputLabel>
+            <Select
+              labelId="denial-reason-label"
+              value={preset}
+              label="Reason"
+              onChange={(e) => setPreset(e.target.value)}
+            >
+              <MenuItem value="">
+                <em>No reason</em>
+              </MenuItem>
+              {presets.map(presetReason => (
+                <MenuItem key={presetReason} value={presetReason}>{presetReason}</MenuItem>
+              ))}
+              <MenuItem value={OTHER}>Other...</MenuItem>
+            </Select>
+          </FormControl>
+
+          {preset === OTHER && (
+            <TextField
+              label="Reason"
+              value={customReason}
+              onChange={(e) => setCustomReason(e.target.value)}
+              multiline
+              rows={3}
+              inputProps={{ maxLength: 500 }}
+              fullWidth
+              autoFocus
+            />
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={() => onConfirm(reason)}
+          color="error"
+          variant="contained"
+          startIcon={<CancelIcon />}
+        >
+          Deny
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DenyRequestDialog;
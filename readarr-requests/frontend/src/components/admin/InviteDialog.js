@@ -0,0 +1,160 @@
+// src/components/admin/InviteDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import { quotaFields, toFormValues } from './UserQuotaDialog';
+import api from '../../utils/api';
+
+const expiryOptions = [
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: '', label: 'Never' }
+];
+
+const emptyInvite = {
+  role: 'user',
+  maxUses: 1,
+  expiresInDays: 7,
+  note: ''
+};
+
+// Create an invite code with the role and quota its users get
+const InviteDialog = ({ open, roles, onClose, onCreated }) => {
+  const [form, setForm] = useState(emptyInvite);
+  const [quota, setQuota] = useState(toFormValues());
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError(null);
+    setForm(emptyInvite);
+    setQuota(toFormValues());
+  }, [open]);
+
+  const updateField = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/admin/invites', { ...form, quotaOverride: quota });
+      onCreated(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invite');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Create Invite</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <FormControl size="small" fullWidth>
+            <InputLabel id="invite-role-label">Role</InputLabel>
+            <Select
+              labelId="invite-role-label"
+              value={form.role}
+              label="Role"
+              onChange={updateField('role')}
+            >
+              {roles.map(role => (
+                <MenuItem key={role.name} value={role.name}>{role.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Uses"
+            type="number"
+            size="small"
+            value={form.maxUses}
+            onChange={updateField('maxUses')}
+            helperText="How many accounts can register with this code"
+            inputProps={{ min: 1 }}
+          />
+          <FormControl size="small" fullWidth>
+            <InputLabel id="invite-expiry-label">Expires after</InputLabel>
+            <Select
+              labelId="invite-expiry-label"
+              value={form.expiresInDays}
+              label="Expires after"
+              onChange={updateField('expiresInDays')}
+              displayEmpty
+            >
+              {expiryOptions.map(option => (
+                <MenuItem key={option.label} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Note"
+            size="small"
+            value={form.note}
+            onChange={updateField('note')}
+            helperText="Who the invite is for"
+          />
+
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Quota
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Leave blank to use the role's quota.
+            </Typography>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {quotaFields.map(field => (
+                <TextField
+                  key={field.value}
+                  label={field.label}
+                  type="number"
+                  size="small"
+                  value={quota[field.value]}
+                  onChange={(e) => setQuota(prev => ({ ...prev, [field.value]: e.target.value }))}
+                  inputProps={{ min: field.value === 'periodDays' ? 1 : 0 }}
+                />
+              ))}
+            </Box>
+          </Box>
+
+          {error && (
+            <Alert severity="error" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleCreate}
+          variant="contained"
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InviteDialog;
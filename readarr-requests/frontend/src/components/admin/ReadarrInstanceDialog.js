@@ -0,0 +1,264 @@
+// src/components/admin/ReadarrInstanceDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Switch from '@mui/material/Switch';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import IconButton from '@mui/material/IconButton';
+import Divider from '@mui/material/Divider';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ReadarrOptionFields from './ReadarrOptionFields';
+import api from '../../utils/api';
+
+const ruleFields = [
+  { value: 'format', label: 'Format', placeholder: 'ebook, audiobook' },
+  { value: 'language', label: 'Language', placeholder: 'en, de' },
+  { value: 'genre', label: 'Genre', placeholder: 'Fantasy, Science Fiction' },
+  { value: 'user', label: 'User', placeholder: 'username' }
+];
+
+const emptyInstance = {
+  name: '',
+  slug: '',
+  url: '',
+  apiKey: '',
+  enabled: true,
+  isDefault: false,
+  priority: 100,
+  rules: [],
+  defaults: {}
+};
+
+// Add or edit a Readarr instance, its routing rules and its default profiles
+const ReadarrInstanceDialog = ({ open, instance, onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyInstance);
+  const [options, setOptions] = useState(null);
+  const [loadingOptions, setLoadingOptions] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError(null);
+    setOptions(null);
+    setForm(instance
+      ? {
+        ...emptyInstance,
+        ...instance,
+        apiKey: '',
+        rules: (instance.rules || []).map(rule => ({ field: rule.field, values: rule.values.join(', ') })),
+        defaults: instance.defaults || {}
+      }
+      : emptyInstance);
+
+    // Profiles can only be listed once the instance is saved
+    if (instance?._id) {
+      setLoadingOptions(true);
+      api.get(`/admin/readarr-instances/${instance._id}/options`)
+        .then(response => setOptions(response.data))
+        .catch(err => setError(err.response?.data?.message || 'Failed to load Readarr options'))
+        .finally(() => setLoadingOptions(false));
+    }
+  }, [open, instance]);
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateRule = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const addRule = () => {
+    setForm(prev => ({ ...prev, rules: [...prev.rules, { field: 'format', values: '' }] }));
+  };
+
+  const removeRule = (index) => {
+    setForm(prev => ({ ...prev, rules: prev.rules.filter((rule, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      ...form,
+      priority: parseInt(form.priority, 10) || 0,
+      rules: form.rules
+        .map(rule => ({
+          field: rule.field,
+          values: rule.values.split(',').map(value => value.trim()).filter(Boolean)
+        }))
+        .filter(rule => rule.values.length > 0),
+      defaults: Object.fromEntries(
+        Object.entries(form.defaults || {}).filter(([, value]) => value !== '' && value !== null)
+      )
+    };
+
+    try {
+      const response = instance?._id
+        ? await api.put(`/admin/readarr-instances/${instance._id}`, payload)
+        : await api.post('/admin/readarr-instances', payload);
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save Readarr instance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{instance?._id ? `Edit ${instance.name}` : 'Add Readarr Instance'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField label="Name" value={form.name} onChange={updateField('name')} size="small" required />
+          <TextField
+            label="Slug"
+            value={form.slug}
+            onChange={updateField('slug')}
+            size="small"
+            required
+            helperText={`Webhook URL: /api/webhooks/readarr/${form.slug || '<slug>'}`}
+          />
+          <TextField
+            label="URL"
+            value={form.url}
+            onChange={updateField('url')}
+            size="small"
+            required
+            placeholder="http://readarr:8787"
+          />
+          <TextField
+            label="API Key"
+            value={form.apiKey}
+            onChange={updateField('apiKey')}
+            size="small"
+            type="password"
+            required={!instance?.hasApiKey}
+            helperText={instance?.hasApiKey ? 'Leave blank to keep the current key' : ''}
+          />
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+            <FormControlLabel
+              control={<Switch checked={form.enabled} onChange={updateField('enabled')} />}
+              label="Enabled"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.isDefault} onChange={updateField('isDefault')} />}
+              label="Default instance"
+            />
+            <TextField
+              label="Priority"
+              type="number"
+              value={form.priority}
+              onChange={updateField('priority')}
+              size="small"
+              sx={{ width: 120 }}
+            />
+          </Box>
+
+          <Divider />
+
+          <Box>
+            <Typography variant="subtitle2">Routing rules</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Requests matching all rules are sent here. Instances are tried by priority (lowest first);
+              unmatched requests go to the default instance.
+            </Typography>
+
+            {form.rules.map((rule, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'center' }}>
+                <FormControl size="small" sx={{ minWidth: 130 }}>
+                  <InputLabel id={`rule-field-${index}`}>Field</InputLabel>
+                  <Select
+                    labelId={`rule-field-${index}`}
+                    value={rule.field}
+                    label="Field"
+                    onChange={(e) => updateRule(index, { field: e.target.value })}
+                  >
+                    {ruleFields.map(field => (
+                      <MenuItem key={field.value} value={field.value}>{field.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  size="small"
+                  label="Any of"
+                  value={rule.values}
+                  onChange={(e) => updateRule(index, { values: e.target.value })}
+                  placeholder={ruleFields.find(field => field.value === rule.field)?.placeholder}
+                  sx={{ flexGrow: 1 }}
+                />
+                <IconButton size="small" onClick={() => removeRule(index)} aria-label="Remove rule">
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+
+            <Button size="small" startIcon={<AddIcon />} onClick={addRule}>
+              Add rule
+            </Button>
+          </Box>
+
+          <Divider />
+
+          <Box>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Defaults</Typography>
+            {!instance?._id && (
+              <Typography variant="body2" color="text.secondary">
+                Save the instance first to choose its profiles and root folder.
+              </Typography>
+            )}
+            {loadingOptions && <CircularProgress size={24} />}
+            {options && (
+              <ReadarrOptionFields
+                options={options}
+                value={form.defaults}
+                onChange={(defaults) => setForm(prev => ({ ...prev, defaults }))}
+                emptyLabel="First available"
+                disabled={saving}
+              />
+            )}
+          </Box>
+
+          {error && (
+            <Alert severity="error" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReadarrInstanceDialog;
@@ -0,0 +1,229 @@
+// src/components/admin/ReadarrInstances.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import MonitorHeartIcon from '@mui/icons-material/MonitorHeart';
+import ReadarrInstanceDialog from './ReadarrInstanceDialog';
+import api from '../../utils/api';
+
+const healthColors = {
+  unknown: 'default',
+  ok: 'success',
+  warning: 'warning',
+  error: 'error'
+};
+
+const describeRules = (rules = []) => {
+  if (rules.length === 0) return 'All requests';
+  return rules.map(rule => `${rule.field}: ${rule.values.join(', ')}`).join(' and ');
+};
+
+const ReadarrInstances = () => {
+  const [instances, setInstances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checking, setChecking] = useState({});
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingInstance, setEditingInstance] = useState(null);
+
+  const fetchInstances = async () => {
+    try {
+      const response = await api.get('/admin/readarr-instances');
+      setInstances(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load Readarr instances');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInstances();
+  }, []);
+
+  const replaceInstance = (updated) => {
+    setInstances(prev => prev.map(instance => (instance._id === updated._id ? updated : instance)));
+  };
+
+  const handleAdd = () => {
+    setEditingInstance(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (instance) => {
+    setEditingInstance(instance);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    // Saving can change the default flag on other instances, so reload them all
+    fetchInstances();
+  };
+
+  const handleCheckHealth = async (instance) => {
+    setChecking(prev => ({ ...prev, [instance._id]: true }));
+    try {
+      const response = await api.post(`/admin/readarr-instances/${instance._id}/health`);
+      replaceInstance(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to check instance health');
+    } finally {
+      setChecking(prev => ({ ...prev, [instance._id]: false }));
+    }
+  };
+
+  const handleDelete = async (instance) => {
+    if (!window.confirm(`Delete Readarr instance "${instance.name}"?`)) return;
+
+    try {
+      await api.delete(`/admin/readarr-instances/${instance._id}`);
+      setInstances(prev => prev.filter(i => i._id !== instance._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete instance');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Readarr Instances
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Approved requests are sent to the first instance whose routing rules match.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+          Add Instance
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Routing</TableCell>
+                <TableCell>Health</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {instances.length > 0 ? instances.map(instance => (
+                <TableRow key={instance._id} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {instance.name}
+                      {instance.isDefault && <Chip size="small" label="default" color="primary" sx={{ ml: 1 }} />}
+                      {!instance.enabled && <Chip size="small" label="disabled" sx={{ ml: 1 }} />}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {instance.url}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      Webhook: /api/webhooks/readarr/{instance.slug}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{describeRules(instance.rules)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      Priority {instance.priority}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip
+                      title={instance.health?.issues?.length
+                        ? instance.health.issues.map(issue => issue.message).join('\n')
+                        : instance.health?.message || ''}
+                    >
+                      <Chip
+                        size="small"
+                        label={instance.health?.status || 'unknown'}
+                        color={healthColors[instance.health?.status] || 'default'}
+                      />
+                    </Tooltip>
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {instance.health?.version && `v${instance.health.version} · `}
+                      {instance.health?.checkedAt
+                        ? `checked ${new Date(instance.health.checkedAt).toLocaleString()}`
+                        : 'never checked'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Check health now">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleCheckHealth(instance)}
+                          disabled={checking[instance._id]}
+                        >
+                          {checking[instance._id] ? <CircularProgress size={18} /> : <MonitorHeartIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(instance)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDelete(instance)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              )) : (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    <Typography sx={{ py: 2 }}>
+                      No Readarr instances configured yet.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <ReadarrInstanceDialog
+        open={dialogOpen}
+        instance={editingInstance}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Paper>
+  );
+};
+
+export default ReadarrInstances;
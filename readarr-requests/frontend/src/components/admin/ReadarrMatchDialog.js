@@ -0,0 +1,230 @@
+// src/components/admin/ReadarrMatchDialog.js
+import React, { useState, useEffect, useCallback } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Chip from '@mui/material/Chip';
+import Avatar from '@mui/material/Avatar';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemAvatar from '@mui/material/ListItemAvatar';
+import ListItemText from '@mui/material/ListItemText';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import SearchIcon from '@mui/icons-material/Search';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import MenuBookIcon from '@mui/icons-material/MenuBook';
+import api from '../../utils/api';
+
+// Dialog for picking the Readarr author and book of a request that had no exact match
+const ReadarrMatchDialog = ({ open, onClose, onMatched, request }) => {
+  const [title, setTitle] = useState('');
+  const [author, setAuthor] = useState('');
+  const [candidates, setCandidates] = useState({ authors: [], books: [] });
+  const [instanceName, setInstanceName] = useState('');
+  const [authorFilter, setAuthorFilter] = useState(null);
+  const [selectedBook, setSelectedBook] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const search = useCallback(async (searchTitle, searchAuthor) => {
+    if (!request) return;
+
+    setLoading(true);
+    setError(null);
+    setSelectedBook(null);
+    setAuthorFilter(null);
+
+    try {
+      const response = await api.get(`/requests/${request._id}/readarr-candidates`, {
+        params: { title: searchTitle, author: searchAuthor }
+      });
+      setCandidates({ authors: response.data.authors, books: response.data.books });
+      setInstanceName(response.data.instance?.name || '');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to search Readarr');
+      setCandidates({ authors: [], books: [] });
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (!open || !request) return;
+
+    setTitle(request.title);
+    setAuthor(request.author);
+    search(request.title, request.author);
+  }, [open, request, search]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    search(title, author);
+  };
+
+  const handleConfirm = async () => {
+    if (!selectedBook) return;
+
+    setSaving(true);
+    setError(null);
+
+    // Fall back to the author chip when Readarr leaves the author off a book
+    const bookAuthor = candidates.authors.find(a => a.foreignAuthorId === selectedBook.foreignAuthorId) ||
+      candidates.authors.find(a => a.foreignAuthorId === authorFilter);
+
+    try {
+      const response = await api.post(`/requests/${request._id}/match`, {
+        foreignBookId: selectedBook.foreignBookId,
+        title: selectedBook.title,
+        foreignAuthorId: selectedBook.foreignAuthorId || bookAuthor?.foreignAuthorId,
+        authorName: bookAuthor?.name || selectedBook.authorName,
+        authorTitleSlug: selectedBook.authorTitleSlug || bookAuthor?.titleSlug
+      });
+      onMatched(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to add the selected book');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const books = authorFilter
+    ? candidates.books.filter(book => book.foreignAuthorId === authorFilter)
+    : candidates.books;
+  const canConfirm = selectedBook && (selectedBook.foreignAuthorId || authorFilter);
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Pick Readarr Match</DialogTitle>
+      <DialogContent>
+        {request?.readarrMessage && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {request.readarrMessage}
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSearch} sx={{ display: 'flex', gap: 1, mb: 2, mt: 1 }}>
+          <TextField
+            label="Title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            size="small"
+            sx={{ flexGrow: 1 }}
+          />
+          <TextField
+            label="Author"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            size="small"
+            sx={{ flexGrow: 1 }}
+          />
+          <Button type="submit" variant="outlined" startIcon={<SearchIcon />} disabled={loading}>
+            Search
+          </Button>
+        </Box>
+
+        {instanceName && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+            Searching {instanceName}
+          </Typography>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            {candidates.authors.length > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>Authors</Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  {candidates.authors.map(a => (
+                    <Chip
+                      key={a.foreignAuthorId}
+                      avatar={a.image ? <Avatar src={a.image} /> : undefined}
+                      label={`${a.name}${a.bookCount ? ` (${a.bookCount})` : ''}`}
+                      color={a.exact ? 'success' : 'default'}
+                      variant={authorFilter === a.foreignAuthorId ? 'filled' : 'outlined'}
+                      onClick={() => setAuthorFilter(prev => (prev === a.foreignAuthorId ? null : a.foreignAuthorId))}
+                    />
+                  ))}
+                </Box>
+              </Box>
+            )}
+
+            <Typography variant="subtitle2" gutterBottom>Books</Typography>
+            {books.length > 0 ? (
+              <List dense sx={{ maxHeight: 360, overflow: 'auto' }}>
+                {books.map(book => (
+                  <ListItemButton
+                    key={book.foreignBookId}
+                    selected={selectedBook?.foreignBookId === book.foreignBookId}
+                    onClick={() => setSelectedBook(book)}
+                  >
+                    <ListItemAvatar>
+                      <Avatar variant="rounded" src={book.cover || undefined}>
+                        <MenuBookIcon />
+                      </Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                      primary={
+                        <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {book.title}
+                          {book.exact
+                            ? <Chip size="small" label="exact" color="success" />
+                            : book.score > 0 && <Chip size="small" label={`${Math.round(book.score * 100)}% match`} />}
+                        </Box>
+                      }
+                      secondary={[
+                        book.authorName,
+                        book.year,
+                        book.editionCount ? `${book.editionCount} editions` : null
+                      ].filter(Boolean).join(' · ')}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                No books found. Try a different title or author.
+              </Typography>
+            )}
+          </>
+        )}
+
+        {selectedBook && !canConfirm && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Readarr did not return an author for this book. Select the author above.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          color="primary"
+          startIcon={saving ? <CircularProgress size={20} /> : <CheckCircleIcon />}
+          disabled={!canConfirm || saving}
+        >
+          Add to Readarr
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReadarrMatchDialog;
@@ -0,0 +1,65 @@
+// src/components/admin/ReadarrOptionFields.js
+import React from 'react';
+import Box from '@mui/material/Box';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+
+const formatFreeSpace = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  return ` (${(bytes / 1024 ** 3).toFixed(1)} GB free)`;
+};
+
+// Quality profile, metadata profile and root folder selects.
+// `emptyLabel` is shown for the unset value, e.g. "Use default".
+const ReadarrOptionFields = ({ options, value, onChange, emptyLabel, disabled = false }) => {
+  const handleChange = (field) => (e) => {
+    onChange({ ...value, [field]: e.target.value });
+  };
+
+  const fields = [
+    {
+      name: 'qualityProfileId',
+      label: 'Quality Profile',
+      items: options.qualityProfiles.map(p => ({ value: p.id, label: p.name }))
+    },
+    {
+      name: 'metadataProfileId',
+      label: 'Metadata Profile',
+      items: options.metadataProfiles.map(p => ({ value: p.id, label: p.name }))
+    },
+    {
+      name: 'rootFolderPath',
+      label: 'Root Folder',
+      items: options.rootFolders.map(f => ({ value: f.path, label: `${f.path}${formatFreeSpace(f.freeSpace)}` }))
+    }
+  ];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {fields.map(field => (
+        <FormControl key={field.name} fullWidth size="small" disabled={disabled}>
+          <InputLabel id={`${field.name}-label`}>{field.label}</InputLabel>
+          <Select
+            labelId={`${field.name}-label`}
+            value={value[field.name] ?? ''}
+            label={field.label}
+            onChange={handleChange(field.name)}
+          >
+            <MenuItem value="">
+              <em>{emptyLabel}</em>
+            </MenuItem>
+            {field.items.map(item => (
+              <MenuItem key={item.value} value={item.value}>
+                {item.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      ))}
+    </Box>
+  );
+};
+
+export default ReadarrOptionFields;
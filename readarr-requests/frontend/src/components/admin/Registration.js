@@ -0,0 +1,248 @@
+// src/components/admin/Registration.js
+import React, { useState, useEffect, useContext } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import AddIcon from '@mui/icons-material/Add';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import BlockIcon from '@mui/icons-material/Block';
+import InviteDialog from './InviteDialog';
+import AuthContext from '../../context/AuthContext';
+import api from '../../utils/api';
+
+const registrationModes = [
+  { value: 'open', label: 'Open', description: 'Anyone who can reach the server can register.' },
+  { value: 'invite', label: 'Invite only', description: 'Registering needs an invite code.' },
+  { value: 'approval', label: 'Admin approval', description: 'Anyone can register, but can only sign in once approved. Invite codes skip approval.' },
+  { value: 'closed', label: 'Closed', description: 'Nobody can register.' }
+];
+
+const statusColors = {
+  active: 'success',
+  used: 'default',
+  expired: 'warning',
+  revoked: 'error'
+};
+
+const getInviteLink = (invite) => `${window.location.origin}/register?invite=${invite.code}`;
+
+// Who can register, and the invite codes admins hand out
+const Registration = () => {
+  const { hasPermission } = useContext(AuthContext);
+  const [mode, setMode] = useState('open');
+  const [invites, setInvites] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  useEffect(() => {
+    Promise.all([
+      api.get('/admin/registration'),
+      api.get('/admin/invites'),
+      api.get('/admin/roles')
+    ])
+      .then(([registrationResponse, invitesResponse, rolesResponse]) => {
+        setMode(registrationResponse.data.mode);
+        setInvites(invitesResponse.data);
+        setRoles(rolesResponse.data.roles);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load registration settings'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleModeChange = async (e) => {
+    const previous = mode;
+    setMode(e.target.value);
+
+    try {
+      const response = await api.put('/admin/registration', { mode: e.target.value });
+      setMode(response.data.mode);
+    } catch (err) {
+      setMode(previous);
+      setError(err.response?.data?.message || 'Failed to change registration mode');
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(invite));
+      setMessage('Invite link copied');
+    } catch (err) {
+      setError('Could not copy the link; copy it from the table instead');
+    }
+  };
+
+  const handleCreated = (invite) => {
+    setDialogOpen(false);
+    setInvites(prev => [invite, ...prev]);
+    handleCopy(invite);
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm('Revoke this invite? Accounts already registered with it are kept.')) return;
+
+    try {
+      const response = await api.delete(`/admin/invites/${invite._id}`);
+      setInvites(prev => prev.map(i => (i._id === invite._id ? response.data : i)));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invite');
+    }
+  };
+
+  // Invites can only give roles whose permissions the admin has
+  const grantableRoles = roles.filter(role => role.permissions.every(hasPermission));
+  const currentMode = registrationModes.find(option => option.value === mode);
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Registration
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Decide who can create an account, and invite people with a link.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)} disabled={loading}>
+          Create Invite
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          <Box sx={{ mb: 2 }}>
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel id="registration-mode-label">Registration</InputLabel>
+              <Select
+                labelId="registration-mode-label"
+                value={mode}
+                label="Registration"
+                onChange={handleModeChange}
+              >
+                {registrationModes.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {currentMode && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                {currentMode.description}
+              </Typography>
+            )}
+          </Box>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Invite</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Uses</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {invites.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No invites yet</TableCell>
+                  </TableRow>
+                ) : (
+                  invites.map(invite => (
+                    <TableRow key={invite._id} hover>
+                      <TableCell>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                          {invite.code}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {invite.note || 'No note'}
+                          {invite.createdBy && ` · by ${invite.createdBy.username}`}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{invite.role}</TableCell>
+                      <TableCell>
+                        <Tooltip
+                          title={invite.usedBy.length > 0
+                            ? invite.usedBy.map(use => use.user?.username || 'deleted user').join(', ')
+                            : 'Not used yet'}
+                        >
+                          <span>{invite.uses} / {invite.maxUses}</span>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        {invite.expiresAt ? new Date(invite.expiresAt).toLocaleString() : 'Never'}
+                      </TableCell>
+                      <TableCell>
+                        <Chip size="small" label={invite.status} color={statusColors[invite.status] || 'default'} />
+                      </TableCell>
+                      <TableCell align="right">
+                        {invite.status === 'active' && (
+                          <>
+                            <Tooltip title="Copy invite link">
+                              <IconButton size="small" onClick={() => handleCopy(invite)}>
+                                <ContentCopyIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Revoke">
+                              <IconButton size="small" onClick={() => handleRevoke(invite)}>
+                                <BlockIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      <InviteDialog
+        open={dialogOpen}
+        roles={grantableRoles}
+        onClose={() => setDialogOpen(false)}
+        onCreated={handleCreated}
+      />
+    </Paper>
+  );
+};
+
+export default Registration;
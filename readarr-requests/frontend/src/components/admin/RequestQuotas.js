@@ -0,0 +1,204 @@
+// src/components/admin/RequestQuotas.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import Divider from '@mui/material/Divider';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import EditIcon from '@mui/icons-material/Edit';
+import SaveIcon from '@mui/icons-material/Save';
+import UserQuotaDialog, { quotaFields, toFormValues } from './UserQuotaDialog';
+import api from '../../utils/api';
+
+const describeQuota = (quota = {}) => {
+  const parts = [];
+  if (quota.maxRequests != null) {
+    parts.push(quota.periodDays != null
+      ? `${quota.maxRequests} per ${quota.periodDays} days`
+      : `${quota.maxRequests} per period`);
+  } else if (quota.periodDays != null) {
+    parts.push(`${quota.periodDays}-day period`);
+  }
+  if (quota.maxPending != null) {
+    parts.push(`${quota.maxPending} pending`);
+  }
+  return parts.join(', ');
+};
+
+// Request quotas per role, with per-user overrides
+const RequestQuotas = () => {
+  const [roleQuotas, setRoleQuotas] = useState({});
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [editingUser, setEditingUser] = useState(null);
+
+  useEffect(() => {
+    const fetchQuotas = async () => {
+      try {
+        const [quotasResponse, usersResponse] = await Promise.all([
+          api.get('/admin/quotas'),
+          api.get('/admin/users')
+        ]);
+        setRoleQuotas(Object.fromEntries(
+          Object.entries(quotasResponse.data).map(([role, quota]) => [role, toFormValues(quota)])
+        ));
+        setUsers(usersResponse.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load quotas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQuotas();
+  }, []);
+
+  const updateRoleQuota = (role, field, value) => {
+    setRoleQuotas(prev => ({ ...prev, [role]: { ...prev[role], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await api.put('/admin/quotas', roleQuotas);
+      setRoleQuotas(Object.fromEntries(
+        Object.entries(response.data).map(([role, quota]) => [role, toFormValues(quota)])
+      ));
+      setSuccess('Quotas saved');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save quotas');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUserSaved = (updated) => {
+    setUsers(prev => prev.map(user => (user._id === updated._id ? updated : user)));
+    setEditingUser(null);
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Request Quotas
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Limit how many books each role can request per period and how many can wait for approval.
+        Leave a field blank for no limit.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          {Object.entries(roleQuotas).map(([role, quota]) => (
+            <Box key={role} sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2, mb: 2 }}>
+              <Typography sx={{ width: 80, textTransform: 'capitalize' }}>{role}</Typography>
+              {quotaFields.map(field => (
+                <TextField
+                  key={field.value}
+                  label={field.label}
+                  type="number"
+                  size="small"
+                  value={quota[field.value]}
+                  onChange={(e) => updateRoleQuota(role, field.value, e.target.value)}
+                  inputProps={{ min: field.value === 'periodDays' ? 1 : 0 }}
+                  sx={{ width: 170 }}
+                />
+              ))}
+            </Box>
+          ))}
+
+          <Button
+            variant="contained"
+            startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+            onClick={handleSave}
+            disabled={saving}
+          >
+            Save Quotas
+          </Button>
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="subtitle1" gutterBottom>
+            User Overrides
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Override</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users.map(user => (
+                  <TableRow key={user._id} hover>
+                    <TableCell>{user.username}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={user.role} />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color={describeQuota(user.quotaOverride) ? 'text.primary' : 'text.secondary'}>
+                        {describeQuota(user.quotaOverride) || 'Role quota'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit quota">
+                        <IconButton size="small" onClick={() => setEditingUser(user)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      <UserQuotaDialog
+        open={Boolean(editingUser)}
+        user={editingUser}
+        onClose={() => setEditingUser(null)}
+        onSaved={handleUserSaved}
+      />
+    </Paper>
+  );
+};
+
+export default RequestQuotas;
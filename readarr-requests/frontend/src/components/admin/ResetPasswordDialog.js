@@ -0,0 +1,100 @@
+// src/components/admin/ResetPasswordDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import api from '../../utils/api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Set a new password for another user
+const ResetPasswordDialog = ({ open, user, onClose, onSaved }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setPassword('');
+    setConfirmPassword('');
+    setError(null);
+  }, [open]);
+
+  const mismatch = confirmPassword !== '' && password !== confirmPassword;
+  const valid = password.length >= MIN_PASSWORD_LENGTH && password === confirmPassword;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await api.put(`/admin/users/${user._id}/password`, { password });
+      onSaved(user);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Reset password for {user?.username}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The user signs in with this password from now on. Let them know what it is.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <TextField
+            label="New password"
+            type="password"
+            size="small"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+            autoComplete="new-password"
+          />
+          <TextField
+            label="Confirm password"
+            type="password"
+            size="small"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            error={mismatch}
+            helperText={mismatch ? 'Passwords do not match' : ' '}
+            autoComplete="new-password"
+          />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving || !valid}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Reset Password
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ResetPasswordDialog;
@@ -0,0 +1,144 @@
+// src/components/admin/RoleDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import FormGroup from '@mui/material/FormGroup';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Checkbox from '@mui/material/Checkbox';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import { permissionLabels } from '../../utils/permissions';
+import api from '../../utils/api';
+
+const emptyRole = {
+  name: '',
+  description: '',
+  permissions: []
+};
+
+// Add a role or edit a role's description and permissions
+const RoleDialog = ({ open, role, permissions, onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyRole);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isAdminRole = role?.name === 'admin';
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError(null);
+    setForm(role ? { ...emptyRole, ...role } : emptyRole);
+  }, [open, role]);
+
+  const updateField = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const togglePermission = (permission) => {
+    setForm(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    // The admin role always has every permission
+    const payload = isAdminRole
+      ? { description: form.description }
+      : { description: form.description, permissions: form.permissions };
+
+    try {
+      const response = role?._id
+        ? await api.put(`/admin/roles/${role._id}`, payload)
+        : await api.post('/admin/roles', { ...payload, name: form.name.trim() });
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{role?._id ? `Edit ${role.name}` : 'Add Role'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Name"
+            value={form.name}
+            onChange={updateField('name')}
+            disabled={Boolean(role?._id)}
+            helperText={role?._id ? 'Names cannot change once created' : 'Lowercase letters, numbers and dashes'}
+            size="small"
+            required
+          />
+          <TextField
+            label="Description"
+            value={form.description || ''}
+            onChange={updateField('description')}
+            size="small"
+          />
+
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Permissions
+            </Typography>
+            <FormGroup>
+              {permissions.map(permission => (
+                <FormControlLabel
+                  key={permission}
+                  control={
+                    <Checkbox
+                      checked={isAdminRole || form.permissions.includes(permission)}
+                      onChange={() => togglePermission(permission)}
+                      disabled={isAdminRole}
+                    />
+                  }
+                  label={permissionLabels[permission] || permission}
+                />
+              ))}
+            </FormGroup>
+          </Box>
+
+          {isAdminRole && (
+            <Alert severity="info">
+              The admin role always has every permission.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving || !form.name.trim()}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RoleDialog;
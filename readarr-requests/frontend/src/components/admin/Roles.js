@@ -0,0 +1,169 @@
+// src/components/admin/Roles.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RoleDialog from './RoleDialog';
+import { permissionLabels } from '../../utils/permissions';
+import api from '../../utils/api';
+
+// Roles and the permissions they grant
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await api.get('/admin/roles');
+      setRoles(response.data.roles);
+      setPermissions(response.data.permissions);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const handleAdd = () => {
+    setEditingRole(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (role) => {
+    setEditingRole(role);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    fetchRoles();
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete role "${role.name}"?`)) return;
+
+    try {
+      await api.delete(`/admin/roles/${role._id}`);
+      setRoles(prev => prev.filter(r => r._id !== role._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Roles
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Each user has one role, which decides what they can manage besides their own requests.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+          Add Role
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Role</TableCell>
+                <TableCell>Permissions</TableCell>
+                <TableCell>Users</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {roles.map(role => (
+                <TableRow key={role._id} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {role.name}
+                      {role.builtIn && <Chip size="small" label="built-in" sx={{ ml: 1 }} />}
+                    </Typography>
+                    {role.description && (
+                      <Typography variant="caption" color="text.secondary">
+                        {role.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {role.permissions.length > 0
+                      ? role.permissions.map(permission => (
+                        <Typography key={permission} variant="body2">
+                          {permissionLabels[permission] || permission}
+                        </Typography>
+                      ))
+                      : <Typography variant="body2" color="text.secondary">Own requests only</Typography>}
+                  </TableCell>
+                  <TableCell>{role.userCount}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(role)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    {!role.builtIn && (
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDelete(role)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <RoleDialog
+        open={dialogOpen}
+        role={editingRole}
+        permissions={permissions}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+    </Paper>
+  );
+};
+
+export default Roles;
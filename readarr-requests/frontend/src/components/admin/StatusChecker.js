@@ -1,27 +1,73 @@
 // src/components/admin/StatusChecker.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
 import Button from '@mui/material/Button';
 import CircularProgress from '@mui/material/CircularProgress';
 import Box from '@mui/material/Box';
 import Alert from '@mui/material/Alert';
 import Typography from '@mui/material/Typography';
 import SyncIcon from '@mui/icons-material/Sync';
-import InfoIcon from '@mui/icons-material/Info';
+import ScheduleIcon from '@mui/icons-material/Schedule';
 import LinearProgress from '@mui/material/LinearProgress';
-import Tooltip from '@mui/material/Tooltip';
 import Paper from '@mui/material/Paper';
 import Collapse from '@mui/material/Collapse';
 import IconButton from '@mui/material/IconButton';
+import Switch from '@mui/material/Switch';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Chip from '@mui/material/Chip';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import AuthContext from '../../context/AuthContext';
 import api from '../../utils/api';
 
+const STATUS_CHECK_JOB = 'readarr-status-check';
+
+const intervalOptions = [5, 15, 30, 60, 180, 360];
+
+const runStatusColors = {
+  running: 'info',
+  success: 'success',
+  error: 'error'
+};
+
+const formatDateTime = (value) => {
+  if (!value) return 'Never';
+  return new Date(value).toLocaleString();
+};
+
 const StatusChecker = ({ onStatusChecked }) => {
+  const { hasPermission } = useContext(AuthContext);
+  // Request managers can run the check; changing its schedule is a setting
+  const canEditSchedule = hasPermission('manage-settings');
+  const [job, setJob] = useState(null);
+  const [runs, setRuns] = useState([]);
   const [checking, setChecking] = useState(false);
+  const [saving, setSaving] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
 
+  // Load the job schedule and recent runs
+  const fetchJob = useCallback(async () => {
+    try {
+      const [jobsResponse, runsResponse] = await Promise.all([
+        api.get('/admin/jobs'),
+        api.get(`/admin/jobs/${STATUS_CHECK_JOB}/runs`, { params: { limit: 5 } })
+      ]);
+      setJob(jobsResponse.data.find(j => j.name === STATUS_CHECK_JOB) || null);
+      setRuns(runsResponse.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load status check schedule');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJob();
+  }, [fetchJob]);
+
   const checkStatus = async () => {
     setChecking(true);
     setResult(null);
@@ -30,7 +76,7 @@ const StatusChecker = ({ onStatusChecked }) => {
     try {
       const response = await api.post('/requests/check-status');
       setResult(response.data);
-      
+
       // Call the callback if provided
       if (onStatusChecked && typeof onStatusChecked === 'function') {
         onStatusChecked();
@@ -39,6 +85,21 @@ const StatusChecker = ({ onStatusChecked }) => {
       setError(err.response?.data?.message || 'Failed to check request status');
     } finally {
       setChecking(false);
+      fetchJob();
+    }
+  };
+
+  const updateSchedule = async (changes) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await api.put(`/admin/jobs/${STATUS_CHECK_JOB}`, changes);
+      setJob(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update schedule');
+    } finally {
+      setSaving(false);
     }
   };
 
@@ -48,38 +109,95 @@ const StatusChecker = ({ onStatusChecked }) => {
 
   // Calculate statistics if we have results
   const stats = result ? {
-    checkCount: result.updatedCount,
+    checkCount: result.checkedCount ?? result.updatedCount,
+    updatedCount: result.updatedCount,
     metadataUpdated: result.metadataStats?.updated || 0,
     metadataFailed: result.metadataStats?.failed || 0,
-    successRate: result.updatedCount > 0 
-      ? Math.round((result.metadataStats?.updated || 0) / result.updatedCount * 100) 
+    successRate: result.updatedCount > 0
+      ? Math.round((result.metadataStats?.updated || 0) / result.updatedCount * 100)
       : 0
   } : null;
 
+  const lastRun = job?.lastRun;
+
   return (
     <Box sx={{ mb: 3 }}>
       <Paper sx={{ p: 2 }}>
-        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
           <Box>
             <Typography variant="h6" gutterBottom>
-              Check Readarr Download Status
+              Readarr Download Status
             </Typography>
             <Typography variant="body2" color="text.secondary">
               Checks if requested books have been downloaded in Readarr and updates their status
             </Typography>
           </Box>
-          
+
           <Button
             variant="contained"
             color="primary"
             onClick={checkStatus}
-            disabled={checking}
+            disabled={checking || job?.running}
             startIcon={checking ? <CircularProgress size={20} /> : <SyncIcon />}
           >
-            {checking ? 'Checking Status...' : 'Update Book Status'}
+            {checking ? 'Checking Status...' : 'Run Now'}
           </Button>
         </Box>
-        
+
+        {job && (
+          <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={job.enabled}
+                  onChange={(e) => updateSchedule({ enabled: e.target.checked })}
+                  disabled={saving || !canEditSchedule}
+                />
+              }
+              label="Automatic checks"
+            />
+
+            <FormControl size="small" sx={{ minWidth: 160 }} disabled={saving || !job.enabled || !canEditSchedule}>
+              <InputLabel id="status-check-interval-label">Interval</InputLabel>
+              <Select
+                labelId="status-check-interval-label"
+                value={job.intervalMinutes}
+                label="Interval"
+                onChange={(e) => updateSchedule({ intervalMinutes: e.target.value })}
+              >
+                {!intervalOptions.includes(job.intervalMinutes) && (
+                  <MenuItem value={job.intervalMinutes}>Every {job.intervalMinutes} minutes</MenuItem>
+                )}
+                {intervalOptions.map(minutes => (
+                  <MenuItem key={minutes} value={minutes}>
+                    {minutes < 60 ? `Every ${minutes} minutes` : `Every ${minutes / 60} hour${minutes > 60 ? 's' : ''}`}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Box sx={{ display: 'flex', alignItems: 'center' }}>
+              <ScheduleIcon fontSize="small" color="action" sx={{ mr: 1 }} />
+              <Box>
+                <Typography variant="body2">
+                  Last run: {formatDateTime(lastRun?.startedAt)}
+                  {lastRun && (
+                    <Chip
+                      size="small"
+                      label={lastRun.status}
+                      color={runStatusColors[lastRun.status]}
+                      sx={{ ml: 1 }}
+                    />
+                  )}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Next run: {job.enabled ? formatDateTime(job.nextRunAt) : 'Disabled'}
+                </Typography>
+              </Box>
+            </Box>
+          </Box>
+        )}
+
         {checking && (
           <Box sx={{ width: '100%', mt: 2 }}>
             <LinearProgress />
@@ -90,8 +208,8 @@ const StatusChecker = ({ onStatusChecked }) => {
         )}
 
         {result && (
-          <Alert 
-            severity="info" 
+          <Alert
+            severity="info"
             sx={{ mt: 2 }}
             action={
               <IconButton
@@ -105,9 +223,8 @@ const StatusChecker = ({ onStatusChecked }) => {
           >
             <Typography variant="body2">
               {result.message}
-              {result.updatedCount > 0 && ' Refresh page to see updates.'}
             </Typography>
-            
+
             <Collapse in={showDetails}>
               <Box sx={{ mt: 2 }}>
                 <Typography variant="subtitle2" gutterBottom>
@@ -116,13 +233,16 @@ const StatusChecker = ({ onStatusChecked }) => {
                 <Typography variant="body2">
                   • Books checked: {stats.checkCount}
                 </Typography>
+                <Typography variant="body2">
+                  • Books now available: {stats.updatedCount}
+                </Typography>
                 <Typography variant="body2">
                   • Metadata updates successful: {stats.metadataUpdated}
                 </Typography>
                 <Typography variant="body2">
                   • Metadata updates failed: {stats.metadataFailed}
                 </Typography>
-                {stats.checkCount > 0 && (
+                {stats.updatedCount > 0 && (
                   <Typography variant="body2">
                     • Success rate: {stats.successRate}%
                   </Typography>
@@ -133,17 +253,34 @@ const StatusChecker = ({ onStatusChecked }) => {
         )}
 
         {error && (
-          <Alert severity="error" sx={{ mt: 2 }}>
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
             {error}
           </Alert>
         )}
-        
-        {!checking && !result && !error && (
-          <Box sx={{ display: 'flex', alignItems: 'center', mt: 2 }}>
-            <InfoIcon color="info" sx={{ mr: 1 }} />
-            <Typography variant="body2" color="text.secondary">
-              This process checks Readarr to see if books have been downloaded and updates their status.
+
+        {runs.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Recent runs
             </Typography>
+            {runs.map(run => (
+              <Box key={run._id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+                <Chip size="small" label={run.status} color={runStatusColors[run.status]} />
+                <Typography variant="body2" sx={{ minWidth: 170 }}>
+                  {formatDateTime(run.startedAt)}
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+                  {run.status === 'error'
+                    ? run.error
+                    : run.result?.message || 'Running...'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {run.trigger === 'manual'
+                    ? `manual${run.triggeredBy?.username ? ` by ${run.triggeredBy.username}` : ''}`
+                    : 'scheduled'}
+                </Typography>
+              </Box>
+            ))}
           </Box>
         )}
       </Paper>
@@ -151,4 +288,4 @@ const StatusChecker = ({ onStatusChecked }) => {
   );
 };
 
-export default StatusChecker;
\ No newline at end of file
+export default StatusChecker;
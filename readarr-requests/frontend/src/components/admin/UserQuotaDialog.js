@@ -0,0 +1,108 @@
+// src/components/admin/UserQuotaDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import api from '../../utils/api';
+
+export const quotaFields = [
+  { value: 'maxRequests', label: 'Requests per period' },
+  { value: 'periodDays', label: 'Period (days)' },
+  { value: 'maxPending', label: 'Max pending' }
+];
+
+// Show blank for limits that aren't set
+export const toFormValues = (quota = {}) => Object.fromEntries(
+  quotaFields.map(field => [field.value, quota[field.value] ?? ''])
+);
+
+// Override a user's quota; blank fields use the quota of the user's role
+const UserQuotaDialog = ({ open, user, onClose, onSaved }) => {
+  const [form, setForm] = useState(toFormValues());
+  const [usage, setUsage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !user) return;
+
+    setError(null);
+    setUsage(null);
+    setForm(toFormValues(user.quotaOverride));
+
+    api.get(`/admin/users/${user._id}/quota`)
+      .then(response => setUsage(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load quota usage'));
+  }, [open, user]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await api.put(`/admin/users/${user._id}/quota`, form);
+      onSaved({ ...user, quotaOverride: response.data.quotaOverride });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save quota');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Quota for {user?.username}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Leave a field blank to use the {user?.role} role's quota.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {quotaFields.map(field => (
+            <TextField
+              key={field.value}
+              label={field.label}
+              type="number"
+              size="small"
+              value={form[field.value]}
+              onChange={(e) => setForm(prev => ({ ...prev, [field.value]: e.target.value }))}
+              inputProps={{ min: field.value === 'periodDays' ? 1 : 0 }}
+            />
+          ))}
+        </Box>
+
+        {usage && (
+          <Typography variant="body2" sx={{ mt: 2 }}>
+            {usage.used} request(s) in the last {usage.quota.periodDays} days, {usage.pending} pending
+          </Typography>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UserQuotaDialog;
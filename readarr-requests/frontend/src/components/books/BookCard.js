@@ -11,6 +11,7 @@ import Chip from '@mui/material/Chip';
 import useMediaQuery from '@mui/material/useMediaQuery';
 import StarIcon from '@mui/icons-material/Star';
 import CalendarTodayOutlinedIcon from '@mui/icons-material/CalendarTodayOutlined';
+import GroupIcon from '@mui/icons-material/Group';
 import noImage from '../../assets/no-image.png';
 
 const BookCard = ({ book, showRating = true }) => {
@@ -141,6 +142,24 @@ const BookCard = ({ book, showRating = true }) => {
           backdropFilter: 'blur(3px)'
         }}
       >
+        {/* Users who already asked for this book */}
+        {book.requestCount > 0 && (
+          <Chip
+            icon={<GroupIcon sx={{ color: 'white !important' }} />}
+            label={`${book.requestCount} want${book.requestCount === 1 ? 's' : ''} this`}
+            size="small"
+            sx={{
+              alignSelf: 'flex-start',
+              mb: 1,
+              height: 22,
+              fontSize: '0.7rem',
+              bgcolor: 'primary.main',
+              color: 'white',
+              fontWeight: 500
+            }}
+          />
+        )}
+
         <Typography 
           variant="h6" 
           component="h2"
@@ -1,5 +1,5 @@
 // src/components/books/BookRequestDialog.js
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect } from 'react';
 import Dialog from '@mui/material/Dialog';
 import DialogActions from '@mui/material/DialogActions';
 import DialogContent from '@mui/material/DialogContent';
@@ -12,27 +12,53 @@ import CircularProgress from '@mui/material/CircularProgress';
 import Alert from '@mui/material/Alert';
 import Chip from '@mui/material/Chip';
 import Divider from '@mui/material/Divider';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import MenuBookIcon from '@mui/icons-material/MenuBook';
+import HeadphonesIcon from '@mui/icons-material/Headphones';
 import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
-import AuthContext from '../../context/AuthContext';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
 import api from '../../utils/api';
 
+// "this week" for a 7-day period, otherwise "in the last N days"
+const describePeriod = (days) => {
+  if (days === 1) return 'today';
+  if (days === 7) return 'this week';
+  if (days === 30) return 'this month';
+  return `in the last ${days} days`;
+};
+
 const BookRequestDialog = ({ open, onClose, book }) => {
-  const { user } = useContext(AuthContext);
   const [requesting, setRequesting] = useState(false);
   const [requested, setRequested] = useState(false);
   const [error, setError] = useState(null);
   const [authorInfo, setAuthorInfo] = useState(null);
   const [loadingAuthor, setLoadingAuthor] = useState(false);
-
-  const isAdmin = user && user.role === 'admin';
+  const [formats, setFormats] = useState(['ebook']);
+  const [format, setFormat] = useState('ebook');
+  const [quota, setQuota] = useState(null);
+  // Another user's request for the same book, which this one would join
+  const [shared, setShared] = useState(null);
+  const [joined, setJoined] = useState(false);
 
   // Reset state when dialog opens
   useEffect(() => {
     if (open && book) {
       setRequested(false);
+      setJoined(false);
       setError(null);
       setAuthorInfo(null);
+      setFormat('ebook');
+
+      // Only offer the formats that have a Readarr instance
+      api.get('/requests/formats')
+        .then(response => setFormats(response.data.formats))
+        .catch(() => setFormats(['ebook']));
+
+      api.get('/requests/quota')
+        .then(response => setQuota(response.data))
+        .catch(() => setQuota(null));
       
       // Get author information if available
       if (book.author && book.source === 'google') {
@@ -41,6 +67,26 @@ const BookRequestDialog = ({ open, onClose, book }) => {
     }
   }, [open, book]);
 
+  // Look for an existing request for this book in the chosen format
+  useEffect(() => {
+    if (!open || !book || format === 'both') {
+      setShared(null);
+      return;
+    }
+
+    api.get('/requests/shared', {
+      params: {
+        bookId: book.id,
+        isbn: book.isbn,
+        title: book.title,
+        author: book.author,
+        format
+      }
+    })
+      .then(response => setShared(response.data.request))
+      .catch(() => setShared(null));
+  }, [open, book, format]);
+
   // Load author information
   const loadAuthorInfo = async (authorName) => {
     try {
@@ -67,17 +113,26 @@ const BookRequestDialog = ({ open, onClose, book }) => {
     setError(null);
 
     try {
-      await api.post('/requests', {
+      const response = await api.post('/requests', {
         bookId: book.id,
         title: book.title,
         author: book.author,
         cover: book.cover,
         isbn: book.isbn,
-        source: book.source || 'google' // Ensure source is passed 
+        source: book.source || 'google', // Ensure source is passed 
+        language: book.language,
+        genres: book.genres,
+        year: book.year,
+        format
       });
 
+      const results = Array.isArray(response.data) ? response.data : [response.data];
+      setJoined(results.some(result => result.following));
       setRequested(true);
     } catch (err) {
+      if (err.response?.data?.quota) {
+        setQuota(err.response.data.quota);
+      }
       setError(err.response?.data?.message || 'Failed to request book. Please try again.');
     } finally {
       setRequesting(false);
@@ -98,6 +153,16 @@ const BookRequestDialog = ({ open, onClose, book }) => {
 
   if (!book) return null;
 
+  // "Both" creates one request per format
+  const requestCount = format === 'both' ? 2 : 1;
+  const alreadyRequested = shared && (shared.mine || shared.following);
+  // Joining someone else's request doesn't use the quota
+  const canJoin = shared && !alreadyRequested;
+  const overQuota = !canJoin && quota && (
+    (quota.remaining !== null && requestCount > quota.remaining) ||
+    (quota.pendingRemaining !== null && requestCount > quota.pendingRemaining)
+  );
+
   return (
     <Dialog
       open={open}
@@ -181,6 +246,56 @@ const BookRequestDialog = ({ open, onClose, book }) => {
           Do you want to request this book to be added to the library?
         </DialogContentText>
 
+        {formats.includes('audiobook') && (
+          <ToggleButtonGroup
+            value={format}
+            exclusive
+            onChange={(e, value) => value && setFormat(value)}
+            size="small"
+            sx={{ mt: 2 }}
+            disabled={requesting || requested}
+          >
+            <ToggleButton value="ebook">
+              <MenuBookIcon fontSize="small" sx={{ mr: 1 }} />
+              Ebook
+            </ToggleButton>
+            <ToggleButton value="audiobook">
+              <HeadphonesIcon fontSize="small" sx={{ mr: 1 }} />
+              Audiobook
+            </ToggleButton>
+            <ToggleButton value="both">
+              Both
+            </ToggleButton>
+          </ToggleButtonGroup>
+        )}
+
+        {shared && !requested && (
+          <Alert severity="info" icon={<GroupAddIcon fontSize="inherit" />} sx={{ mt: 2 }}>
+            {alreadyRequested
+              ? 'You have already requested this book.'
+              : `${shared.voteCount} ${shared.voteCount === 1 ? 'person has' : 'people have'} already asked for this book. ` +
+                'Join their request to be notified when it is available; it does not count against your quota.'}
+          </Alert>
+        )}
+
+        {quota && !requested && !canJoin && (quota.remaining !== null || quota.pendingRemaining !== null) && (
+          <Alert severity={overQuota ? 'warning' : 'info'} sx={{ mt: 2 }}>
+            {quota.remaining !== null && (
+              <div>
+                {quota.remaining} of {quota.quota.maxRequests} requests left {describePeriod(quota.quota.periodDays)}
+                {quota.remaining === 0 && quota.resetsAt && (
+                  <> (next one available {new Date(quota.resetsAt).toLocaleDateString()})</>
+                )}
+              </div>
+            )}
+            {quota.pendingRemaining !== null && (
+              <div>
+                {quota.pending} of {quota.quota.maxPending} requests waiting for approval
+              </div>
+            )}
+          </Alert>
+        )}
+
         {error && (
           <Alert severity="error" sx={{ mt: 2 }}>
             {error}
@@ -193,7 +308,9 @@ const BookRequestDialog = ({ open, onClose, book }) => {
             severity="success" 
             sx={{ mt: 2 }}
           >
-            Book successfully requested!
+            {joined
+              ? 'You joined the existing request and will be notified when the book is available.'
+              : 'Book successfully requested!'}
           </Alert>
         )}
       </DialogContent>
@@ -204,11 +321,11 @@ const BookRequestDialog = ({ open, onClose, book }) => {
         {!requested && (
           <Button 
             onClick={handleRequestBook} 
-            disabled={requesting}
+            disabled={requesting || overQuota || alreadyRequested}
             variant="contained" 
-            startIcon={requesting ? <CircularProgress size={20} /> : <BookmarkAddIcon />}
+            startIcon={requesting ? <CircularProgress size={20} /> : (canJoin ? <GroupAddIcon /> : <BookmarkAddIcon />)}
           >
-            {requesting ? 'Requesting...' : 'Request Book'}
+            {requesting ? 'Requesting...' : (canJoin ? 'Me Too' : 'Request Book')}
           </Button>
         )}
       </DialogActions>
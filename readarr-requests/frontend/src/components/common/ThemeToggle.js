@@ -5,17 +5,32 @@ import Tooltip from '@mui/material/Tooltip';
 import LightModeIcon from '@mui/icons-material/LightMode';
 import DarkModeIcon from '@mui/icons-material/DarkMode';
 import { ThemeContext } from '../../context/ThemeContext';
+import AuthContext from '../../context/AuthContext';
+import api from '../../utils/api';
 
 const ThemeToggle = () => {
   const { mode, toggleColorMode } = useContext(ThemeContext);
+  const { isAuthenticated, updateUser } = useContext(AuthContext);
+
+  const handleToggle = () => {
+    const next = mode === 'dark' ? 'light' : 'dark';
+    toggleColorMode();
+
+    // Remember the choice on the account; the switch works locally either way
+    if (isAuthenticated) {
+      api.put('/users/preferences', { theme: next })
+        .then(response => updateUser({ preferences: response.data }))
+        .catch(err => console.error('Error saving theme preference:', err));
+    }
+  };
 
   return (
     <Tooltip title={`Switch to ${mode === 'dark' ? 'light' : 'dark'} mode`}>
-      <IconButton onClick={toggleColorMode} color="inherit">
+      <IconButton onClick={handleToggle} color="inherit">
         {mode === 'dark' ? <LightModeIcon /> : <DarkModeIcon />}
       </IconButton>
     </Tooltip>
   );
 };
 
-export default ThemeToggle;
\ No newline at end of file
+export default ThemeToggle;
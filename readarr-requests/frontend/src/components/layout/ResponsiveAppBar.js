@@ -13,13 +13,16 @@ import Avatar from '@mui/material/Avatar';
 import Button from '@mui/material/Button';
 import Tooltip from '@mui/material/Tooltip';
 import MenuItem from '@mui/material/MenuItem';
+import Badge from '@mui/material/Badge';
 import SearchIcon from '@mui/icons-material/Search';
 import LocalLibraryIcon from '@mui/icons-material/LocalLibrary';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import LogoutIcon from '@mui/icons-material/Logout';
 import { useTheme, useMediaQuery } from '@mui/material';
 import AuthContext from '../../context/AuthContext';
+import AppContext from '../../context/AppContext';
 import ThemeToggle from '../common/ThemeToggle';
+import { SETTINGS_PERMISSIONS } from '../../utils/permissions';
 
 const ResponsiveAppBar = ({ toggleSidebar }) => {
   const theme = useTheme();
@@ -27,7 +30,8 @@ const ResponsiveAppBar = ({ toggleSidebar }) => {
   const isTablet = useMediaQuery(theme.breakpoints.down('lg'));
   const location = useLocation();
   const navigate = useNavigate();
-  const { user, logout } = useContext(AuthContext);
+  const { user, logout, hasPermission } = useContext(AuthContext);
+  const { pendingRequestCount, availableUpdateCount } = useContext(AppContext);
 
   const [anchorElNav, setAnchorElNav] = useState(null);
   const [anchorElUser, setAnchorElUser] = useState(null);
@@ -40,6 +44,8 @@ const ResponsiveAppBar = ({ toggleSidebar }) => {
     if (path.startsWith('/book/')) return 'Book Details';
     if (path.startsWith('/requests')) return 'My Requests';
     if (path.startsWith('/admin/requests')) return 'Manage Requests';
+    if (path.startsWith('/admin/settings')) return 'Settings';
+    if (path.startsWith('/admin/logs')) return 'Logs';
     if (path.startsWith('/calibre-manager')) return 'Calibre Manager';
     if (path.startsWith('/profile')) return 'Profile';
     return 'Readarr Requests';
@@ -49,16 +55,17 @@ const ResponsiveAppBar = ({ toggleSidebar }) => {
   const pages = [
     { name: 'Home', path: '/' },
     { name: 'Search', path: '/search' },
-    { name: 'My Requests', path: '/requests' }
+    { name: 'My Requests', path: '/requests', badge: availableUpdateCount }
   ];
 
-  // Admin pages
-  const adminPages = user && user.role === 'admin' 
-    ? [
-        { name: 'Manage Requests', path: '/admin/requests' },
-        { name: 'Calibre Manager', path: '/calibre-manager' }
-      ] 
-    : [];
+  // Admin pages, each shown to roles with one of its permissions
+  const adminPages = [
+    { name: 'Manage Requests', path: '/admin/requests', badge: pendingRequestCount, permissions: ['manage-requests'] },
+    { name: 'Calibre Manager', path: '/calibre-manager', permissions: ['manage-calibre'] },
+    { name: 'Users', path: '/admin/users', permissions: ['manage-users'] },
+    { name: 'Settings', path: '/admin/settings', permissions: SETTINGS_PERMISSIONS },
+    { name: 'Logs', path: '/admin/logs', permissions: ['view-logs'] }
+  ].filter(page => page.permissions.some(hasPermission));
 
   // All navigation pages combined
   const allPages = [...pages, ...adminPages];
@@ -172,7 +179,9 @@ const ResponsiveAppBar = ({ toggleSidebar }) => {
                 onClick={() => handleNavigate(page.path)}
                 selected={location.pathname === page.path}
               >
-                <Typography textAlign="center">{page.name}</Typography>
+                <Badge badgeContent={page.badge} color="secondary">
+                  <Typography textAlign="center">{page.name}</Typography>
+                </Badge>
               </MenuItem>
             ))}
           </Menu>
@@ -194,7 +203,9 @@ const ResponsiveAppBar = ({ toggleSidebar }) => {
                   px: 2
                 }}
               >
-                {page.name}
+                <Badge badgeContent={page.badge} color="secondary">
+                  {page.name}
+                </Badge>
               </Button>
             ))}
           </Box>
@@ -18,11 +18,14 @@ import Box from '@mui/material/Box';
 import AuthContext from '../../context/AuthContext';
 import LibraryBooksIcon from '@mui/icons-material/LibraryBooks';
 import LocalLibraryIcon from '@mui/icons-material/LocalLibrary';
+import SettingsIcon from '@mui/icons-material/Settings';
+import ArticleIcon from '@mui/icons-material/Article';
+import PeopleIcon from '@mui/icons-material/People';
+import { SETTINGS_PERMISSIONS } from '../../utils/permissions';
 
 const Sidebar = ({ open, drawerWidth }) => {
   const location = useLocation();
-  const { user } = useContext(AuthContext);
-  const isAdmin = user && user.role === 'admin';
+  const { hasPermission } = useContext(AuthContext);
 
   const menuItems = [
     { text: 'Home', icon: <HomeIcon />, path: '/' },
@@ -32,9 +35,12 @@ const Sidebar = ({ open, drawerWidth }) => {
   ];
 
   const adminItems = [
-    { text: 'Manage Requests', icon: <AdminPanelSettingsIcon />, path: '/admin/requests' },
-    { text: 'Calibre Manager', icon: <LocalLibraryIcon />, path: '/calibre-manager' },
-  ];
+    { text: 'Manage Requests', icon: <AdminPanelSettingsIcon />, path: '/admin/requests', permissions: ['manage-requests'] },
+    { text: 'Calibre Manager', icon: <LocalLibraryIcon />, path: '/calibre-manager', permissions: ['manage-calibre'] },
+    { text: 'Users', icon: <PeopleIcon />, path: '/admin/users', permissions: ['manage-users'] },
+    { text: 'Settings', icon: <SettingsIcon />, path: '/admin/settings', permissions: SETTINGS_PERMISSIONS },
+    { text: 'Logs', icon: <ArticleIcon />, path: '/admin/logs', permissions: ['view-logs'] },
+  ].filter(item => item.permissions.some(hasPermission));
 
   return (
     <Drawer
@@ -75,7 +81,7 @@ const Sidebar = ({ open, drawerWidth }) => {
         ))}
       </List>
 
-      {isAdmin && (
+      {adminItems.length > 0 && (
         <>
           <Divider />
           <Box sx={{ p: 2 }}>
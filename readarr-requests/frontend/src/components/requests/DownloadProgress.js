@@ -0,0 +1,61 @@
+// src/components/requests/DownloadProgress.js
+import React from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import LinearProgress from '@mui/material/LinearProgress';
+
+// Readarr reports time left as "hh:mm:ss", or "d.hh:mm:ss" for long downloads
+const formatTimeLeft = (timeLeft) => {
+  if (!timeLeft) return null;
+
+  const match = /^(?:(\d+)\.)?(\d+):(\d+):(\d+)/.exec(timeLeft);
+  if (!match) return timeLeft;
+
+  const [, days, hours, minutes] = match.map(part => parseInt(part, 10) || 0);
+  if (days > 0) return `${days}d ${hours}h left`;
+  if (hours > 0) return `${hours}h ${minutes}m left`;
+  return minutes > 0 ? `${minutes}m left` : 'less than a minute left';
+};
+
+const healthColors = {
+  ok: 'primary',
+  warning: 'warning',
+  error: 'error'
+};
+
+// Live progress of a request's download from the Readarr queue
+const DownloadProgress = ({ download, compact = false }) => {
+  if (!download) return null;
+
+  const progress = download.progress || 0;
+  const timeLeft = formatTimeLeft(download.timeLeft);
+  const warnings = [download.errorMessage, ...(download.messages || [])].filter(Boolean);
+
+  return (
+    <Box sx={{ mt: 1, minWidth: compact ? 140 : undefined }}>
+      <LinearProgress
+        variant={progress > 0 ? 'determinate' : 'indeterminate'}
+        value={progress}
+        color={healthColors[download.health] || 'primary'}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+        {Math.round(progress)}%
+        {timeLeft && ` · ${timeLeft}`}
+        {!compact && download.eta && ` · ETA ${new Date(download.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+        {download.indexer && ` · ${download.indexer}`}
+      </Typography>
+      {warnings.map((message, index) => (
+        <Typography
+          key={index}
+          variant="caption"
+          color={download.health === 'error' ? 'error' : 'warning.main'}
+          sx={{ display: 'block' }}
+        >
+          {message}
+        </Typography>
+      ))}
+    </Box>
+  );
+};
+
+export default DownloadProgress;
@@ -0,0 +1,143 @@
+// src/components/requests/EditRequestDialog.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import TextField from '@mui/material/TextField';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import api from '../../utils/api';
+
+export const editionPreferences = [
+  { value: 'any', label: 'Any edition' },
+  { value: 'original', label: 'Original edition' },
+  { value: 'latest', label: 'Latest edition' }
+];
+
+const formatLabels = {
+  ebook: 'Ebook',
+  audiobook: 'Audiobook'
+};
+
+// Let the requester change a pending request before an admin looks at it
+const EditRequestDialog = ({ open, request, onClose, onSaved }) => {
+  const [form, setForm] = useState({ format: 'ebook', editionPreference: 'any', notes: '' });
+  const [formats, setFormats] = useState(['ebook']);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !request) return;
+
+    setError(null);
+    setForm({
+      format: request.format || 'ebook',
+      editionPreference: request.editionPreference || 'any',
+      notes: request.notes || ''
+    });
+
+    api.get('/requests/formats')
+      .then(response => setFormats(response.data.formats))
+      .catch(() => setFormats([request.format || 'ebook']));
+  }, [open, request]);
+
+  const updateField = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await api.patch(`/requests/${request._id}`, form);
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!request) return null;
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Edit Request</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <FormControl size="small" fullWidth>
+            <InputLabel id="edit-request-format-label">Format</InputLabel>
+            <Select
+              labelId="edit-request-format-label"
+              value={form.format}
+              label="Format"
+              onChange={updateField('format')}
+              disabled={request.voteCount > 1}
+            >
+              {formats.map(format => (
+                <MenuItem key={format} value={format}>{formatLabels[format] || format}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" fullWidth>
+            <InputLabel id="edit-request-edition-label">Edition</InputLabel>
+            <Select
+              labelId="edit-request-edition-label"
+              value={form.editionPreference}
+              label="Edition"
+              onChange={updateField('editionPreference')}
+            >
+              {editionPreferences.map(edition => (
+                <MenuItem key={edition.value} value={edition.value}>{edition.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <TextField
+            label="Notes for the admins"
+            value={form.notes}
+            onChange={updateField('notes')}
+            multiline
+            rows={3}
+            inputProps={{ maxLength: 1000 }}
+            fullWidth
+          />
+
+          {request.voteCount > 1 && (
+            <Alert severity="info">
+              Other users joined this request, so its format can't be changed.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={20} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditRequestDialog;
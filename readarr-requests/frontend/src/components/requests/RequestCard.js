@@ -1,11 +1,23 @@
 // src/components/requests/RequestCard.js
-import React from 'react';
+import React, { useState } from 'react';
 import Card from '@mui/material/Card';
 import CardContent from '@mui/material/CardContent';
 import CardMedia from '@mui/material/CardMedia';
 import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
 import Chip from '@mui/material/Chip';
+import Button from '@mui/material/Button';
+import Collapse from '@mui/material/Collapse';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import HeadphonesIcon from '@mui/icons-material/Headphones';
+import GroupIcon from '@mui/icons-material/Group';
+import EditIcon from '@mui/icons-material/Edit';
+import CloseIcon from '@mui/icons-material/Close';
+import RequestTimeline from './RequestTimeline';
+import RequestComments from './RequestComments';
+import DownloadProgress from './DownloadProgress';
+import { editionPreferences } from './EditRequestDialog';
 import noImage from '../../assets/no-image.png'; // Make sure this path is correct
 
 const statusColors = {
@@ -15,15 +27,29 @@ const statusColors = {
   available: 'success'
 };
 
-const RequestCard = ({ request }) => {
+const RequestCard = ({ request, onUnfollow, onEdit, onCancel }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [commentCount, setCommentCount] = useState(request.comments?.length || 0);
+
   // Define status messages
   const statusMessages = {
     pending: 'Awaiting approval',
-    approved: request.readarrStatus === 'added' ? 'Added to Readarr - Searching' : 'Approved',
+    approved: {
+      added: 'Added to Readarr - Searching',
+      downloading: 'Downloading',
+      stalled: 'No release found yet'
+    }[request.readarrStatus] || 'Approved',
     denied: 'Request denied',
     available: 'Available in library'
   };
 
+  // Requesters can change their mind until an admin acts on the request
+  const canChange = request.status === 'pending' && !request.following;
+  const edition = request.editionPreference && request.editionPreference !== 'any'
+    ? editionPreferences.find(option => option.value === request.editionPreference)?.label
+    : null;
+
   // Determine if there's a Readarr error to show
   const hasReadarrError = request.readarrStatus === 'error' && request.readarrMessage;
 
@@ -43,6 +69,24 @@ const RequestCard = ({ request }) => {
           <Typography variant="subtitle1" color="text.secondary" component="div">
             {request.author}
           </Typography>
+          {request.format === 'audiobook' && (
+            <Chip
+              icon={<HeadphonesIcon />}
+              label="Audiobook"
+              size="small"
+              variant="outlined"
+              sx={{ mt: 0.5 }}
+            />
+          )}
+          {request.voteCount > 1 && (
+            <Chip
+              icon={<GroupIcon />}
+              label={request.following ? `Joined · ${request.voteCount} want this` : `${request.voteCount} want this`}
+              size="small"
+              variant="outlined"
+              sx={{ mt: 0.5, ml: request.format === 'audiobook' ? 0.5 : 0 }}
+            />
+          )}
 
           <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <Chip 
@@ -56,6 +100,8 @@ const RequestCard = ({ request }) => {
             </Typography>
           </Box>
 
+          {request.status === 'approved' && <DownloadProgress download={request.download} />}
+
           {hasReadarrError && (
             <Typography 
               variant="caption" 
@@ -66,15 +112,97 @@ const RequestCard = ({ request }) => {
             </Typography>
           )}
 
+          {(edition || request.notes) && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {edition}
+              {edition && request.notes && ' · '}
+              {request.notes}
+            </Typography>
+          )}
+
+          {canChange && (onEdit || onCancel) && (
+            <Box sx={{ mt: 1, display: 'flex', gap: 1 }}>
+              {onEdit && (
+                <Button size="small" startIcon={<EditIcon />} onClick={() => onEdit(request)} sx={{ px: 0 }}>
+                  Edit
+                </Button>
+              )}
+              {onCancel && (
+                <Button size="small" color="error" startIcon={<CloseIcon />} onClick={() => onCancel(request)}>
+                  Cancel request
+                </Button>
+              )}
+            </Box>
+          )}
+
+          {request.status === 'denied' && request.denialReason && (
+            <Typography
+              variant="body2"
+              color="error"
+              sx={{ mt: 1 }}
+            >
+              Reason: {request.denialReason}
+            </Typography>
+          )}
+
           {request.status === 'available' && (
             <Typography 
               variant="body2" 
               color="success.main" 
               sx={{ mt: 1 }}
             >
-              Ready to read!
+              {request.format === 'audiobook' ? 'Ready to listen!' : 'Ready to read!'}
             </Typography>
           )}
+
+          {request.history?.length > 0 && (
+            <Box sx={{ mt: 1 }}>
+              <Button
+                size="small"
+                onClick={() => setShowHistory(!showHistory)}
+                endIcon={showHistory ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                sx={{ px: 0 }}
+              >
+                {showHistory ? 'Hide history' : 'Show history'}
+              </Button>
+              <Collapse in={showHistory}>
+                <Box sx={{ mt: 1 }}>
+                  <RequestTimeline history={request.history} />
+                </Box>
+              </Collapse>
+            </Box>
+          )}
+
+          {request.following && onUnfollow && (
+            <Box sx={{ mt: 1 }}>
+              <Button size="small" color="inherit" onClick={() => onUnfollow(request)} sx={{ px: 0 }}>
+                Stop following
+              </Button>
+            </Box>
+          )}
+
+          {/* The comment thread is between the requester and admins */}
+          {!request.following && (
+            <Box sx={{ mt: 1 }}>
+              <Button
+                size="small"
+                onClick={() => setShowComments(!showComments)}
+                endIcon={showComments ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                sx={{ px: 0 }}
+              >
+                {showComments ? 'Hide comments' : `Comments (${commentCount})`}
+              </Button>
+              <Collapse in={showComments}>
+                <Box sx={{ mt: 1 }}>
+                  <RequestComments
+                    requestId={request._id}
+                    comments={request.comments}
+                    onChange={(comments) => setCommentCount(comments.length)}
+                  />
+                </Box>
+              </Collapse>
+            </Box>
+          )}
         </CardContent>
       </Box>
     </Card>
@@ -0,0 +1,104 @@
+// src/components/requests/RequestComments.js
+import React, { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import SendIcon from '@mui/icons-material/Send';
+import api from '../../utils/api';
+
+// Comment thread between the requester and admins, with a reply box
+const RequestComments = ({ requestId, comments: initialComments, onChange }) => {
+  const [comments, setComments] = useState(initialComments || []);
+  const [body, setBody] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setComments(initialComments || []);
+  }, [initialComments]);
+
+  const handleSend = async () => {
+    if (!body.trim()) return;
+
+    setSending(true);
+    setError(null);
+
+    try {
+      const response = await api.post(`/requests/${requestId}/comments`, { body });
+      setComments(response.data);
+      setBody('');
+      if (onChange) onChange(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send comment');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Box>
+      {comments.length > 0 ? comments.map(comment => (
+        <Box
+          key={comment._id}
+          sx={{
+            mb: 1,
+            p: 1,
+            borderRadius: 1,
+            bgcolor: comment.fromAdmin ? 'action.selected' : 'action.hover'
+          }}
+        >
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="caption" sx={{ fontWeight: 500 }}>
+              {comment.username || 'Unknown user'}
+            </Typography>
+            {comment.fromAdmin && <Chip size="small" label="admin" sx={{ height: 18 }} />}
+            <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+              {new Date(comment.createdAt).toLocaleString()}
+            </Typography>
+          </Box>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+            {comment.body}
+          </Typography>
+        </Box>
+      )) : (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          No comments yet.
+        </Typography>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          size="small"
+          placeholder="Write a comment"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          multiline
+          maxRows={4}
+          inputProps={{ maxLength: 2000 }}
+          fullWidth
+        />
+        <Button
+          variant="contained"
+          onClick={handleSend}
+          disabled={sending || !body.trim()}
+          aria-label="Send comment"
+          sx={{ minWidth: 0, px: 1.5 }}
+        >
+          {sending ? <CircularProgress size={20} /> : <SendIcon fontSize="small" />}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default RequestComments;
@@ -0,0 +1,146 @@
+// src/components/requests/RequestTimeline.js
+import React, { useState } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Collapse from '@mui/material/Collapse';
+import Link from '@mui/material/Link';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import SearchIcon from '@mui/icons-material/Search';
+import DownloadIcon from '@mui/icons-material/Download';
+import FileDownloadOffIcon from '@mui/icons-material/FileDownloadOff';
+import LibraryAddCheckIcon from '@mui/icons-material/LibraryAddCheck';
+import LocalOfferIcon from '@mui/icons-material/LocalOffer';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import ErrorIcon from '@mui/icons-material/Error';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import AutoModeIcon from '@mui/icons-material/AutoMode';
+import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
+import ManageSearchIcon from '@mui/icons-material/ManageSearch';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
+import GroupRemoveIcon from '@mui/icons-material/GroupRemove';
+import EditIcon from '@mui/icons-material/Edit';
+import PersonIcon from '@mui/icons-material/Person';
+import HourglassDisabledIcon from '@mui/icons-material/HourglassDisabled';
+
+// Icon and color for each history event type
+const eventStyles = {
+  created: { icon: AddCircleOutlineIcon, color: 'primary', label: 'Requested' },
+  approved: { icon: CheckCircleIcon, color: 'info', label: 'Approved' },
+  'auto-approved': { icon: AutoModeIcon, color: 'info', label: 'Auto-approved' },
+  denied: { icon: CancelIcon, color: 'error', label: 'Denied' },
+  'status-changed': { icon: SwapHorizIcon, color: 'action', label: 'Status changed' },
+  'readarr-add-attempt': { icon: CloudUploadIcon, color: 'action', label: 'Readarr add attempt' },
+  'readarr-author-added': { icon: CloudUploadIcon, color: 'info', label: 'Author added' },
+  'readarr-book-found': { icon: CloudUploadIcon, color: 'info', label: 'Book found in Readarr' },
+  'readarr-book-added': { icon: CloudUploadIcon, color: 'info', label: 'Book added to Readarr' },
+  'readarr-error': { icon: ErrorIcon, color: 'error', label: 'Readarr error' },
+  'readarr-reset': { icon: RestartAltIcon, color: 'warning', label: 'Readarr status reset' },
+  'needs-match': { icon: HelpOutlineIcon, color: 'warning', label: 'Needs a Readarr match' },
+  'match-selected': { icon: ManageSearchIcon, color: 'info', label: 'Readarr match picked' },
+  followed: { icon: GroupAddIcon, color: 'action', label: 'Another user joined' },
+  unfollowed: { icon: GroupRemoveIcon, color: 'action', label: 'A follower left' },
+  edited: { icon: EditIcon, color: 'action', label: 'Edited' },
+  'owner-changed': { icon: PersonIcon, color: 'action', label: 'New owner' },
+  'search-triggered': { icon: SearchIcon, color: 'action', label: 'Search triggered' },
+  'search-retried': { icon: SearchIcon, color: 'action', label: 'Searched again' },
+  stalled: { icon: HourglassDisabledIcon, color: 'warning', label: 'Stalled' },
+  grabbed: { icon: DownloadIcon, color: 'info', label: 'Downloading' },
+  'download-failed': { icon: FileDownloadOffIcon, color: 'warning', label: 'Download dropped' },
+  imported: { icon: LibraryAddCheckIcon, color: 'success', label: 'Downloaded' },
+  'calibre-tagged': { icon: LocalOfferIcon, color: 'success', label: 'Tagged in Calibre' },
+  'calibre-tag-failed': { icon: LocalOfferIcon, color: 'error', label: 'Calibre tagging failed' },
+  'notification-sent': { icon: NotificationsIcon, color: 'action', label: 'Notification sent' },
+  'marked-available': { icon: LibraryAddCheckIcon, color: 'success', label: 'Available' }
+};
+
+const defaultStyle = { icon: SwapHorizIcon, color: 'action' };
+
+// Single event row, with optional payload details for admins
+const TimelineEvent = ({ event, isLast, showDetails }) => {
+  const [expanded, setExpanded] = useState(false);
+  const style = eventStyles[event.type] || defaultStyle;
+  const Icon = style.icon;
+  const hasData = showDetails && event.data && Object.keys(event.data).length > 0;
+
+  return (
+    <Box sx={{ display: 'flex' }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mr: 1.5 }}>
+        <Icon fontSize="small" color={style.color} />
+        {!isLast && (
+          <Box sx={{ flexGrow: 1, width: '2px', bgcolor: 'divider', my: 0.5 }} />
+        )}
+      </Box>
+      <Box sx={{ pb: isLast ? 0 : 2, minWidth: 0, flexGrow: 1 }}>
+        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+          {style.label || event.type}
+        </Typography>
+        {event.message && (
+          <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+            {event.message}
+          </Typography>
+        )}
+        <Typography variant="caption" color="text.secondary">
+          {new Date(event.at).toLocaleString()}
+          {event.actor?.username && ` · ${event.actor.username}`}
+        </Typography>
+        {hasData && (
+          <>
+            <Link
+              component="button"
+              variant="caption"
+              onClick={() => setExpanded(!expanded)}
+              sx={{ ml: 1 }}
+            >
+              {expanded ? 'Hide details' : 'Details'}
+            </Link>
+            <Collapse in={expanded}>
+              <Box
+                component="pre"
+                sx={{
+                  mt: 1,
+                  p: 1,
+                  bgcolor: 'action.hover',
+                  borderRadius: 1,
+                  fontSize: '0.75rem',
+                  overflowX: 'auto',
+                  whiteSpace: 'pre-wrap'
+                }}
+              >
+                {JSON.stringify(event.data, null, 2)}
+              </Box>
+            </Collapse>
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+const RequestTimeline = ({ history = [], showDetails = false }) => {
+  if (history.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No history recorded for this request yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {history.map((event, index) => (
+        <TimelineEvent
+          key={`${event.type}-${event.at}-${index}`}
+          event={event}
+          isLast={index === history.length - 1}
+          showDetails={showDetails}
+        />
+      ))}
+    </Box>
+  );
+};
+
+export default RequestTimeline;
@@ -6,8 +6,9 @@ import CircularProgress from '@mui/material/CircularProgress';
 import Box from '@mui/material/Box';
 import Typography from '@mui/material/Typography';
 
-const AdminRoute = ({ children }) => {
-  const { isAuthenticated, loading, user } = useContext(AuthContext);
+// Only render children for users whose role grants one of `permissions`
+const AdminRoute = ({ children, permissions }) => {
+  const { isAuthenticated, loading, user, hasPermission } = useContext(AuthContext);
 
   if (loading) {
     return (
@@ -26,13 +27,13 @@ const AdminRoute = ({ children }) => {
     );
   }
 
-  // Check if user is authenticated and is an admin
+  // Check if user is authenticated
   if (!isAuthenticated) {
     return <Navigate to="/login" />;
   }
 
-  // If user is authenticated but not admin, redirect to home
-  if (user && user.role !== 'admin') {
+  // If user is authenticated but lacks the permission, redirect to home
+  if (user && !permissions.some(hasPermission)) {
     return <Navigate to="/" />;
   }
 
@@ -1,10 +1,17 @@
 // src/context/AppContext.js
-import React, { createContext, useState, useCallback, useEffect } from 'react';
+import React, { createContext, useState, useCallback, useEffect, useContext, useRef } from 'react';
 import api from '../utils/api';
+import AuthContext from './AuthContext';
 
 const AppContext = createContext();
 
+// Request events pushed by the server over /api/events
+const REQUEST_EVENTS = ['request:created', 'request:updated', 'request:available', 'request:deleted'];
+
 export const AppProvider = ({ children }) => {
+  const { token, isAuthenticated, hasPermission } = useContext(AuthContext);
+  const isAdmin = hasPermission('manage-requests');
+
   // Books data
   const [trendingBooks, setTrendingBooks] = useState([]);
   const [popularBooks, setPopularBooks] = useState([]);
@@ -31,6 +38,13 @@ export const AppProvider = ({ children }) => {
   const [yearFilter, setYearFilter] = useState('all');
   const [ratingFilter, setRatingFilter] = useState(0);
 
+  // Live request updates
+  const [liveUpdates, setLiveUpdates] = useState(false);
+  const [pendingRequestCount, setPendingRequestCount] = useState(0);
+  const [availableUpdateCount, setAvailableUpdateCount] = useState(0);
+  const requestListeners = useRef(new Set());
+  const pendingCountTimer = useRef(null);
+
   // Function to fetch trending and popular books
   const fetchHomeData = useCallback(async () => {
     setLoading(prev => ({ ...prev, home: true }));
@@ -150,6 +164,64 @@ export const AppProvider = ({ children }) => {
     });
   }, [yearFilter, ratingFilter]);
 
+  // Register a callback for live request events; returns the unsubscribe function
+  const subscribeToRequests = useCallback((listener) => {
+    requestListeners.current.add(listener);
+    return () => requestListeners.current.delete(listener);
+  }, []);
+
+  const clearAvailableUpdates = useCallback(() => setAvailableUpdateCount(0), []);
+
+  // Number of requests waiting for approval, shown as a badge to request managers
+  const fetchPendingCount = useCallback(async () => {
+    if (!isAdmin) return;
+
+    try {
+      const response = await api.get('/requests', { params: { status: 'pending', limit: 1 } });
+      setPendingRequestCount(response.data.pagination.total);
+    } catch (err) {
+      console.error('Error fetching pending request count:', err);
+    }
+  }, [isAdmin]);
+
+  // Bulk actions send a burst of events; count once they settle
+  const schedulePendingCount = useCallback(() => {
+    clearTimeout(pendingCountTimer.current);
+    pendingCountTimer.current = setTimeout(fetchPendingCount, 1000);
+  }, [fetchPendingCount]);
+
+  // Keep one event stream open while signed in
+  useEffect(() => {
+    if (!isAuthenticated || !token) return undefined;
+
+    const source = new EventSource(`/api/events?token=${encodeURIComponent(token)}`);
+
+    const handleRequestEvent = (event) => {
+      const { request } = JSON.parse(event.data);
+      requestListeners.current.forEach(listener => listener(event.type, request));
+
+      if (isAdmin) {
+        schedulePendingCount();
+      } else if (event.type === 'request:available') {
+        setAvailableUpdateCount(count => count + 1);
+      }
+    };
+
+    REQUEST_EVENTS.forEach(type => source.addEventListener(type, handleRequestEvent));
+    source.addEventListener('ready', () => {
+      setLiveUpdates(true);
+      fetchPendingCount();
+    });
+    // EventSource reconnects by itself; pages fall back to polling meanwhile
+    source.onerror = () => setLiveUpdates(false);
+
+    return () => {
+      source.close();
+      clearTimeout(pendingCountTimer.current);
+      setLiveUpdates(false);
+    };
+  }, [isAuthenticated, token, isAdmin, fetchPendingCount, schedulePendingCount]);
+
   // Initial data load
   useEffect(() => {
     fetchHomeData();
@@ -181,6 +253,13 @@ export const AppProvider = ({ children }) => {
         setRatingFilter,
         filterBooks,
 
+        // Live request updates
+        liveUpdates,
+        pendingRequestCount,
+        availableUpdateCount,
+        clearAvailableUpdates,
+        subscribeToRequests,
+
         // Actions
         fetchHomeData,
         fetchGenres,
@@ -1,7 +1,8 @@
 // src/context/AuthContext.js
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useContext } from 'react';
 import jwt_decode from 'jwt-decode';
 import api from '../utils/api';
+import { ThemeContext } from './ThemeContext';
 
 const AuthContext = createContext();
 
@@ -11,6 +12,15 @@ export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Machine-readable reason for a failed login, e.g. 'EMAIL_NOT_VERIFIED'
+  const [errorCode, setErrorCode] = useState(null);
+  const { setPreference } = useContext(ThemeContext);
+
+  // Use the theme saved on the account on every device
+  const savedTheme = user?.preferences?.theme;
+  useEffect(() => {
+    if (savedTheme) setPreference(savedTheme);
+  }, [savedTheme, setPreference]);
 
   useEffect(() => {
     const loadUser = async () => {
@@ -41,13 +51,20 @@ export const AuthProvider = ({ children }) => {
   const register = async (formData) => {
     try {
       const res = await api.post('/auth/register', formData);
+
+      // Accounts waiting for approval don't get a session yet
+      if (res.data.pending) {
+        setError(null);
+        return { pending: true, message: res.data.message };
+      }
+
       localStorage.setItem('token', res.data.token);
       setToken(res.data.token);
       setUser(res.data.user);
       setIsAuthenticated(true);
       setLoading(false);
       setError(null);
-      return true;
+      return { pending: false };
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
       return false;
@@ -64,9 +81,11 @@ export const AuthProvider = ({ children }) => {
       setIsAuthenticated(true);
       setLoading(false);
       setError(null);
+      setErrorCode(null);
       return true;
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed');
+      setErrorCode(err.response?.data?.code || null);
       return false;
     }
   };
@@ -81,7 +100,23 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Clear Errors
-  const clearError = () => setError(null);
+  const clearError = () => {
+    setError(null);
+    setErrorCode(null);
+  };
+
+  // Switch to the token and user returned after changing account details
+  const updateSession = (session) => {
+    localStorage.setItem('token', session.token);
+    setToken(session.token);
+    setUser(prev => ({ ...prev, ...session.user }));
+  };
+
+  // Merge changes such as saved preferences into the signed-in user
+  const updateUser = (changes) => setUser(prev => ({ ...prev, ...changes }));
+
+  // Whether the user's role grants a permission, e.g. 'manage-requests'
+  const hasPermission = (permission) => Boolean(user?.permissions?.includes(permission));
 
   return (
     <AuthContext.Provider
@@ -91,10 +126,14 @@ export const AuthProvider = ({ children }) => {
         loading,
         user,
         error,
+        errorCode,
         register,
         login,
         logout,
-        clearError
+        clearError,
+        hasPermission,
+        updateSession,
+        updateUser
       }}
     >
       {children}
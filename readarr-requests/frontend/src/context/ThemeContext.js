@@ -2,32 +2,36 @@
 import React, { createContext, useState, useEffect } from 'react';
 import { ThemeProvider as MuiThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
+import useMediaQuery from '@mui/material/useMediaQuery';
 import { createAppTheme } from '../theme';
 
 export const ThemeContext = createContext();
 
 export const ThemeProvider = ({ children }) => {
-  const [mode, setMode] = useState(() => {
+  // 'light', 'dark' or 'system' to follow the device
+  const [preference, setPreference] = useState(() => {
     const savedMode = localStorage.getItem('themeMode');
     return savedMode || 'dark'; // Default to dark mode
   });
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
 
   useEffect(() => {
-    localStorage.setItem('themeMode', mode);
-  }, [mode]);
+    localStorage.setItem('themeMode', preference);
+  }, [preference]);
 
+  const mode = preference === 'system' ? (prefersDark ? 'dark' : 'light') : preference;
   const theme = createAppTheme(mode);
 
   const toggleColorMode = () => {
-    setMode((prevMode) => (prevMode === 'light' ? 'dark' : 'light'));
+    setPreference(mode === 'light' ? 'dark' : 'light');
   };
 
   return (
-    <ThemeContext.Provider value={{ mode, toggleColorMode }}>
+    <ThemeContext.Provider value={{ mode, preference, setPreference, toggleColorMode }}>
       <MuiThemeProvider theme={theme}>
         <CssBaseline />
         {children}
       </MuiThemeProvider>
     </ThemeContext.Provider>
   );
-};
\ No newline at end of file
+};
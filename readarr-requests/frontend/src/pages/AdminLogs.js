@@ -0,0 +1,312 @@
+// src/pages/AdminLogs.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Typography from '@mui/material/Typography';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Switch from '@mui/material/Switch';
+import Chip from '@mui/material/Chip';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import api from '../utils/api';
+
+const LIVE_INTERVAL = 5000;
+
+const levelColors = {
+  debug: 'default',
+  info: 'info',
+  warn: 'warning',
+  error: 'error'
+};
+
+// Fields every entry has; anything else is shown as extra detail
+const baseFields = ['subsystem', 'time', 'level', 'logger', 'msg', 'requestId', 'request'];
+
+// Filters kept in the URL so a request's logs can be linked to
+const filterNames = ['subsystem', 'level', 'from', 'to', 'q', 'request', 'correlationId'];
+
+// datetime-local values are in the admin's time zone
+const toIsoTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const LogEntryRow = ({ entry, onFilter }) => {
+  const extra = Object.fromEntries(
+    Object.entries(entry).filter(([key]) => !baseFields.includes(key))
+  );
+  const hasExtra = Object.keys(extra).length > 0;
+
+  return (
+    <TableRow hover>
+      <TableCell sx={{ whiteSpace: 'nowrap', verticalAlign: 'top' }}>
+        {new Date(entry.time).toLocaleString()}
+      </TableCell>
+      <TableCell sx={{ verticalAlign: 'top' }}>
+        <Chip size="small" label={entry.level} color={levelColors[entry.level] || 'default'} />
+      </TableCell>
+      <TableCell sx={{ verticalAlign: 'top' }}>
+        {entry.logger || entry.subsystem}
+      </TableCell>
+      <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem', wordBreak: 'break-word' }}>
+        {entry.msg}
+        {hasExtra && (
+          <Box component="pre" sx={{ m: 0, mt: 0.5, color: 'text.secondary', whiteSpace: 'pre-wrap' }}>
+            {JSON.stringify(extra, null, 2)}
+          </Box>
+        )}
+        {(entry.request || entry.requestId) && (
+          <Box sx={{ mt: 0.5, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {entry.request && (
+              <Chip
+                size="small"
+                variant="outlined"
+                label={`request ${entry.request}`}
+                onClick={() => onFilter('request', entry.request)}
+              />
+            )}
+            {entry.requestId && (
+              <Chip
+                size="small"
+                variant="outlined"
+                label={`correlation ${entry.requestId.slice(0, 8)}`}
+                onClick={() => onFilter('correlationId', entry.requestId)}
+              />
+            )}
+          </Box>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+};
+
+const AdminLogs = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [subsystems, setSubsystems] = useState([]);
+  const [result, setResult] = useState({ entries: [], total: 0, truncated: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [live, setLive] = useState(false);
+  const [search, setSearch] = useState(searchParams.get('q') || '');
+
+  const filters = Object.fromEntries(filterNames.map(name => [name, searchParams.get(name) || '']));
+  const queryString = searchParams.toString();
+
+  const setFilter = useCallback((name, value) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+      return next;
+    });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    api.get('/admin/logs')
+      .then(response => setSubsystems(response.data))
+      .catch(() => setSubsystems([]));
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    const params = Object.fromEntries(new URLSearchParams(queryString));
+
+    try {
+      const response = await api.get('/admin/logs/entries', {
+        params: {
+          ...params,
+          from: toIsoTime(params.from),
+          to: toIsoTime(params.to),
+          limit: 300
+        }
+      });
+      setResult(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [queryString]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Follow new entries while live mode is on
+  useEffect(() => {
+    if (!live) return undefined;
+
+    const timer = setInterval(fetchEntries, LIVE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [live, fetchEntries]);
+
+  // Search once the admin stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (search.trim() !== (searchParams.get('q') || '')) {
+        setFilter('q', search.trim());
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, searchParams, setFilter]);
+
+  const clearFilters = () => {
+    setSearch('');
+    setSearchParams({});
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Logs
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="log-subsystem-label">Subsystem</InputLabel>
+            <Select
+              labelId="log-subsystem-label"
+              value={filters.subsystem}
+              label="Subsystem"
+              onChange={(e) => setFilter('subsystem', e.target.value)}
+            >
+              <MenuItem value="">All</MenuItem>
+              {subsystems.map(item => (
+                <MenuItem key={item.subsystem} value={item.subsystem}>{item.subsystem}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel id="log-level-label">Level</InputLabel>
+            <Select
+              labelId="log-level-label"
+              value={filters.level}
+              label="Level"
+              onChange={(e) => setFilter('level', e.target.value)}
+            >
+              <MenuItem value="">Any</MenuItem>
+              {Object.keys(levelColors).map(level => (
+                <MenuItem key={level} value={level}>{level} and above</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <TextField
+            size="small"
+            type="datetime-local"
+            label="From"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="datetime-local"
+            label="To"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+
+          <TextField
+            size="small"
+            label="Search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            sx={{ minWidth: 200, flexGrow: 1 }}
+          />
+        </Box>
+
+        <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="Request ID"
+            value={filters.request}
+            onChange={(e) => setFilter('request', e.target.value.trim())}
+            sx={{ minWidth: 240 }}
+          />
+          <TextField
+            size="small"
+            label="Correlation ID"
+            value={filters.correlationId}
+            onChange={(e) => setFilter('correlationId', e.target.value.trim())}
+            sx={{ minWidth: 240 }}
+          />
+          <FormControlLabel
+            control={<Switch checked={live} onChange={(e) => setLive(e.target.checked)} />}
+            label="Live"
+          />
+          <Button startIcon={<RefreshIcon />} onClick={fetchEntries}>
+            Refresh
+          </Button>
+          <Button color="inherit" onClick={clearFilters}>
+            Clear filters
+          </Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {result.truncated
+              ? `Showing the newest ${result.entries.length} of ${result.total} matching entries`
+              : `${result.total} matching entries`}
+          </Typography>
+
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Level</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Message</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.entries.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={4} align="center">No log entries match these filters</TableCell>
+                  </TableRow>
+                ) : (
+                  result.entries.map((entry, index) => (
+                    <LogEntryRow key={`${entry.time}-${index}`} entry={entry} onFilter={setFilter} />
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AdminLogs;
@@ -1,6 +1,6 @@
 // src/pages/AdminRequests.js
-import React, { useState, useEffect, useContext } from 'react';
-import { Navigate } from 'react-router-dom';
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { Navigate, Link } from 'react-router-dom';
 import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
 import Paper from '@mui/material/Paper';
@@ -28,6 +28,15 @@ import DownloadDoneIcon from '@mui/icons-material/DownloadDone';
 import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
 import InfoIcon from '@mui/icons-material/Info';
 import RefreshIcon from '@mui/icons-material/Refresh';
+import HistoryIcon from '@mui/icons-material/History';
+import ArticleIcon from '@mui/icons-material/Article';
+import HeadphonesIcon from '@mui/icons-material/Headphones';
+import ManageSearchIcon from '@mui/icons-material/ManageSearch';
+import SearchIcon from '@mui/icons-material/Search';
+import ChatBubbleOutlineIcon from '@mui/icons-material/ChatBubbleOutline';
+import GroupIcon from '@mui/icons-material/Group';
+import Badge from '@mui/material/Badge';
+import Checkbox from '@mui/material/Checkbox';
 import Dialog from '@mui/material/Dialog';
 import DialogActions from '@mui/material/DialogActions';
 import DialogContent from '@mui/material/DialogContent';
@@ -37,8 +46,16 @@ import InputLabel from '@mui/material/InputLabel';
 import Select from '@mui/material/Select';
 import TextField from '@mui/material/TextField';
 import AuthContext from '../context/AuthContext';
+import AppContext from '../context/AppContext';
 import api from '../utils/api';
 import StatusChecker from '../components/admin/StatusChecker';
+import ApproveRequestDialog from '../components/admin/ApproveRequestDialog';
+import ReadarrMatchDialog from '../components/admin/ReadarrMatchDialog';
+import DenyRequestDialog from '../components/admin/DenyRequestDialog';
+import BulkRequestActions from '../components/admin/BulkRequestActions';
+import RequestTimeline from '../components/requests/RequestTimeline';
+import RequestComments from '../components/requests/RequestComments';
+import DownloadProgress from '../components/requests/DownloadProgress';
 
 const statusColors = {
   pending: 'warning',
@@ -49,10 +66,14 @@ const statusColors = {
 
 const readarrStatusColors = {
   pending: 'default',
+  'needs-match': 'warning',
   added: 'info',
+  downloading: 'info',
   downloaded: 'success',
   error: 'error',
-  'externally-downloaded': 'success'
+  removed: 'warning',
+  'externally-downloaded': 'success',
+  stalled: 'warning'
 };
 
 // Component to show Readarr status details
@@ -98,12 +119,36 @@ const ReadarrStatusDetails = ({ request }) => {
               />
             </Typography>
             
+            {request.readarrInstance?.name && (
+              <Typography variant="body2" gutterBottom>
+                Instance: {request.readarrInstance.name}
+              </Typography>
+            )}
+
             {request.readarrId && (
               <Typography variant="body2" gutterBottom>
                 Readarr ID: {request.readarrId}
               </Typography>
             )}
+
+            {request.searchAttempts > 0 && (
+              <Typography variant="body2" gutterBottom>
+                Search retries: {request.searchAttempts}
+                {request.nextSearchAt && request.readarrStatus === 'added' &&
+                  ` (next ${new Date(request.nextSearchAt).toLocaleString()})`}
+              </Typography>
+            )}
             
+            {request.download && (
+              <Box sx={{ mb: 1 }}>
+                <Typography variant="body2">
+                  Downloading via {request.download.downloadClient || 'download client'}
+                  {request.download.protocol && ` (${request.download.protocol})`}
+                </Typography>
+                <DownloadProgress download={request.download} />
+              </Box>
+            )}
+
             {request.readarrMessage && (
               <Typography 
                 variant="body2" 
@@ -116,6 +161,7 @@ const ReadarrStatusDetails = ({ request }) => {
           </Box>
         </DialogContent>
         <DialogActions>
+          <Button component={Link} to={`/admin/logs?request=${request._id}`}>View logs</Button>
           <Button onClick={handleClose}>Close</Button>
         </DialogActions>
       </Dialog>
@@ -123,6 +169,90 @@ const ReadarrStatusDetails = ({ request }) => {
   );
 };
 
+// Button and dialog showing the full lifecycle history of a request
+const RequestHistoryButton = ({ request }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <Tooltip title="View request history">
+        <IconButton size="small" onClick={() => setOpen(true)}>
+          <HistoryIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Request History
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="h6">
+            {request.title}
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+            by {request.author} · requested by {request.user?.username || 'Unknown User'}
+          </Typography>
+
+          <Box sx={{ mt: 2 }}>
+            <RequestTimeline history={request.history} showDetails />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+// Button and dialog for the comment thread with the requester
+const RequestCommentsButton = ({ request, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const count = request.comments?.length || 0;
+
+  return (
+    <>
+      <Tooltip title="Comments">
+        <IconButton size="small" onClick={() => setOpen(true)}>
+          <Badge badgeContent={count} color="primary" max={99}>
+            <ChatBubbleOutlineIcon fontSize="small" />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Comments
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="h6">
+            {request.title}
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+            by {request.author} · requested by {request.user?.username || 'Unknown User'}
+          </Typography>
+          {request.denialReason && (
+            <Typography variant="body2" color="error" gutterBottom>
+              Denied: {request.denialReason}
+            </Typography>
+          )}
+
+          <Box sx={{ mt: 2 }}>
+            <RequestComments
+              requestId={request._id}
+              comments={request.comments}
+              onChange={(comments) => onChange({ ...request, comments })}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
 // Dialog for marking a book as externally downloaded
 const ExternalDownloadDialog = ({ open, onClose, onConfirm, request }) => {
   const [notes, setNotes] = useState('');
@@ -175,43 +305,110 @@ const ExternalDownloadDialog = ({ open, onClose, onConfirm, request }) => {
 };
 
 const AdminRequests = () => {
-  const { user } = useContext(AuthContext);
+  const { user, hasPermission } = useContext(AuthContext);
+  const canManageRequests = hasPermission('manage-requests');
+  const { liveUpdates, subscribeToRequests } = useContext(AppContext);
+  const refetchTimer = useRef(null);
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [statusFilter, setStatusFilter] = useState('all');
+  const [sortByVotes, setSortByVotes] = useState(false);
+  const [readarrStatusFilter, setReadarrStatusFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [total, setTotal] = useState(0);
+  // IDs of the requests checked for a bulk action
+  const [selectedIds, setSelectedIds] = useState([]);
   const [filterMenuAnchor, setFilterMenuAnchor] = useState(null);
   const [updateLoading, setUpdateLoading] = useState({});
   const [refreshing, setRefreshing] = useState(false);
   const [isAdmin, setIsAdmin] = useState(true); // Default to true, will check in useEffect
   const [externalDownloadDialogOpen, setExternalDownloadDialogOpen] = useState(false);
   const [selectedRequest, setSelectedRequest] = useState(null);
+  const [approveDialogOpen, setApproveDialogOpen] = useState(false);
+  const [matchDialogOpen, setMatchDialogOpen] = useState(false);
+  const [denyDialogOpen, setDenyDialogOpen] = useState(false);
 
-  // Load requests
-  const fetchRequests = async () => {
+  // Load the current page with the current filters
+  const fetchRequests = useCallback(async () => {
     try {
       setRefreshing(true);
-      const res = await api.get('/requests');
-      setRequests(res.data);
+      const res = await api.get('/requests', {
+        params: {
+          page: page + 1,
+          limit: rowsPerPage,
+          status: statusFilter === 'all' ? undefined : statusFilter,
+          readarrStatus: readarrStatusFilter === 'all' ? undefined : readarrStatusFilter,
+          q: searchQuery || undefined,
+          // Dates are days in the admin's time zone; include the whole end day
+          from: dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : undefined,
+          to: dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : undefined,
+          sort: sortByVotes ? '-voteCount' : '-createdAt'
+        }
+      });
+      setRequests(res.data.requests);
+      setTotal(res.data.pagination.total);
       setRefreshing(false);
     } catch (err) {
-      setError('Failed to load requests');
+      setError(err.response?.data?.message || 'Failed to load requests');
       setRefreshing(false);
     }
-  };
+  }, [page, rowsPerPage, statusFilter, readarrStatusFilter, searchQuery, dateFrom, dateTo, sortByVotes]);
 
   useEffect(() => {
-    // Check if user is admin
-    if (user && user.role !== 'admin') {
+    // Check the user's role can manage requests
+    if (user && !canManageRequests) {
       setIsAdmin(false);
       return; // Return early but don't exit the function altogether
     }
 
-    fetchRequests();
-    setLoading(false);
-  }, [user]);
+    fetchRequests().finally(() => setLoading(false));
+  }, [user, canManageRequests, fetchRequests]);
+
+  // Apply pushed updates. New, deleted and newly available requests change
+  // the page, so refetch it once a burst of events (e.g. a bulk run) settles.
+  useEffect(() => {
+    const unsubscribe = subscribeToRequests((type, updated) => {
+      if (type === 'request:updated') {
+        setRequests(prev => prev.map(request => (
+          request._id === updated._id ? { ...request, ...updated } : request
+        )));
+        return;
+      }
+
+      clearTimeout(refetchTimer.current);
+      refetchTimer.current = setTimeout(fetchRequests, 500);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(refetchTimer.current);
+    };
+  }, [subscribeToRequests, fetchRequests]);
+
+  // Keep download progress current while the live update stream is down
+  useEffect(() => {
+    if (liveUpdates || !requests.some(request => request.download)) return undefined;
+
+    const timer = setInterval(fetchRequests, 15000);
+    return () => clearInterval(timer);
+  }, [requests, fetchRequests, liveUpdates]);
+
+  const clearSelection = useCallback(() => setSelectedIds([]), []);
+
+  // Search once the admin stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearchQuery(search.trim());
+      setPage(0);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search]);
 
   // If not admin, redirect to home
   if (!isAdmin) {
@@ -241,11 +438,11 @@ const AdminRequests = () => {
     setPage(0);
   };
 
-  const handleUpdateStatus = async (requestId, newStatus) => {
+  const handleUpdateStatus = async (requestId, newStatus, extra = {}) => {
     setUpdateLoading(prev => ({ ...prev, [requestId]: true }));
 
     try {
-      const res = await api.put(`/requests/${requestId}`, { status: newStatus });
+      const res = await api.put(`/requests/${requestId}`, { status: newStatus, ...extra });
 
       // Update the requests array with the updated request
       setRequests(requests.map(req => 
@@ -253,12 +450,75 @@ const AdminRequests = () => {
       ));
 
       setUpdateLoading(prev => ({ ...prev, [requestId]: false }));
+      return res.data;
     } catch (err) {
       setError('Failed to update request status');
       setUpdateLoading(prev => ({ ...prev, [requestId]: false }));
+      return null;
+    }
+  };
+
+  // Open the approve dialog so Readarr options can be overridden
+  const handleApproveClick = (request) => {
+    setSelectedRequest(request);
+    setApproveDialogOpen(true);
+  };
+
+  const handleApproveConfirm = async ({ readarrOptions, readarrInstance }) => {
+    if (!selectedRequest) return;
+
+    setApproveDialogOpen(false);
+    const updated = await handleUpdateStatus(selectedRequest._id, 'approved', { readarrOptions, readarrInstance });
+
+    // Readarr had no exact match, so let the admin pick one straight away
+    if (updated?.readarrStatus === 'needs-match') {
+      setSelectedRequest(updated);
+      setMatchDialogOpen(true);
     }
   };
 
+  // Ask for a reason before denying
+  const handleDenyClick = (request) => {
+    setSelectedRequest(request);
+    setDenyDialogOpen(true);
+  };
+
+  const handleDenyConfirm = async (denialReason) => {
+    if (!selectedRequest) return;
+
+    setDenyDialogOpen(false);
+    await handleUpdateStatus(selectedRequest._id, 'denied', { denialReason });
+  };
+
+  const handleCommentsChange = (updated) => {
+    setRequests(prev => prev.map(req => (req._id === updated._id ? updated : req)));
+  };
+
+  const toggleSelected = (requestId) => {
+    setSelectedIds(prev => (prev.includes(requestId)
+      ? prev.filter(id => id !== requestId)
+      : [...prev, requestId]));
+  };
+
+  // Select or clear every request on the current page
+  const toggleSelectPage = () => {
+    const pageIds = requests.map(request => request._id);
+    const allSelected = pageIds.every(id => selectedIds.includes(id));
+    setSelectedIds(prev => (allSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...new Set([...prev, ...pageIds])]));
+  };
+
+  const handleMatchClick = (request) => {
+    setSelectedRequest(request);
+    setMatchDialogOpen(true);
+  };
+
+  const handleMatched = (updated) => {
+    setMatchDialogOpen(false);
+    setRequests(requests.map(req => (req._id === updated._id ? updated : req)));
+  };
+
   // Handle the retry action for a failed Readarr integration
   const handleRetry = async (requestId) => {
     setUpdateLoading(prev => ({ ...prev, [requestId]: true }));
@@ -285,6 +545,20 @@ const AdminRequests = () => {
     }
   };
 
+  // Ask Readarr to search again for a book with no release yet
+  const handleSearchAgain = async (requestId) => {
+    setUpdateLoading(prev => ({ ...prev, [requestId]: true }));
+
+    try {
+      const res = await api.post(`/requests/${requestId}/search`);
+      setRequests(prev => prev.map(req => (req._id === requestId ? res.data : req)));
+    } catch (err) {
+      setError(`Failed to search: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setUpdateLoading(prev => ({ ...prev, [requestId]: false }));
+    }
+  };
+
   // Handle external download option
   const handleExternalDownloadClick = (request) => {
     setSelectedRequest(request);
@@ -315,17 +589,6 @@ const AdminRequests = () => {
     }
   };
 
-  // Filter requests based on selected status
-  const filteredRequests = requests.filter(request => 
-    statusFilter === 'all' ? true : request.status === statusFilter
-  );
-
-  // Paginate the filtered requests
-  const paginatedRequests = filteredRequests.slice(
-    page * rowsPerPage,
-    page * rowsPerPage + rowsPerPage
-  );
-
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
@@ -348,6 +611,55 @@ const AdminRequests = () => {
         </Alert>
       )}
 
+      <Box sx={{ mb: 2, display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+        <TextField
+          size="small"
+          label="Search title or author"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ minWidth: 240, flexGrow: 1 }}
+        />
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel id="readarr-status-filter-label">Readarr Status</InputLabel>
+          <Select
+            labelId="readarr-status-filter-label"
+            value={readarrStatusFilter}
+            label="Readarr Status"
+            onChange={(e) => {
+              setReadarrStatusFilter(e.target.value);
+              setPage(0);
+            }}
+          >
+            <MenuItem value="all">Any</MenuItem>
+            {Object.keys(readarrStatusColors).map(status => (
+              <MenuItem key={status} value={status}>{status}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          value={dateFrom}
+          onChange={(e) => {
+            setDateFrom(e.target.value);
+            setPage(0);
+          }}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          value={dateTo}
+          onChange={(e) => {
+            setDateTo(e.target.value);
+            setPage(0);
+          }}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+
       <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between' }}>
         <Button
           startIcon={<FilterListIcon />}
@@ -357,6 +669,18 @@ const AdminRequests = () => {
           Filter: {statusFilter === 'all' ? 'All Requests' : `${statusFilter.charAt(0).toUpperCase() + statusFilter.slice(1)}`}
         </Button>
 
+        <Button
+          startIcon={<GroupIcon />}
+          onClick={() => {
+            setSortByVotes(!sortByVotes);
+            setPage(0);
+          }}
+          variant={sortByVotes ? 'contained' : 'outlined'}
+          sx={{ ml: 1, mr: 'auto' }}
+        >
+          Most Wanted
+        </Button>
+
         <Button
           startIcon={<RefreshIcon />}
           onClick={fetchRequests}
@@ -404,11 +728,26 @@ const AdminRequests = () => {
         </Menu>
       </Box>
 
+      <BulkRequestActions
+        selected={selectedIds}
+        onClear={clearSelection}
+        onDone={fetchRequests}
+      />
+
       <Paper sx={{ width: '100%', overflow: 'hidden' }}>
         <TableContainer>
           <Table sx={{ minWidth: 700 }} aria-label="requests table">
             <TableHead>
               <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    indeterminate={requests.some(request => selectedIds.includes(request._id)) &&
+                      !requests.every(request => selectedIds.includes(request._id))}
+                    checked={requests.length > 0 && requests.every(request => selectedIds.includes(request._id))}
+                    onChange={toggleSelectPage}
+                    inputProps={{ 'aria-label': 'Select all requests on this page' }}
+                  />
+                </TableCell>
                 <TableCell>Book</TableCell>
                 <TableCell>Requested By</TableCell>
                 <TableCell>Date</TableCell>
@@ -418,9 +757,16 @@ const AdminRequests = () => {
               </TableRow>
             </TableHead>
             <TableBody>
-              {paginatedRequests.length > 0 ? (
-                paginatedRequests.map((request) => (
-                  <TableRow key={request._id} hover>
+              {requests.length > 0 ? (
+                requests.map((request) => (
+                  <TableRow key={request._id} hover selected={selectedIds.includes(request._id)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selectedIds.includes(request._id)}
+                        onChange={() => toggleSelected(request._id)}
+                        inputProps={{ 'aria-label': `Select ${request.title}` }}
+                      />
+                    </TableCell>
                     <TableCell component="th" scope="row">
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <Avatar 
@@ -441,11 +787,36 @@ const AdminRequests = () => {
                               sx={{ mt: 0.5, fontSize: '0.7rem' }}
                             />
                           )}
+                          {request.format === 'audiobook' && (
+                            <Chip
+                              size="small"
+                              icon={<HeadphonesIcon />}
+                              label="Audiobook"
+                              variant="outlined"
+                              sx={{ mt: 0.5, ml: request.source ? 0.5 : 0, fontSize: '0.7rem' }}
+                            />
+                          )}
+                          {(request.notes || (request.editionPreference && request.editionPreference !== 'any')) && (
+                            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                              {request.editionPreference && request.editionPreference !== 'any' && `Wants the ${request.editionPreference} edition. `}
+                              {request.notes}
+                            </Typography>
+                          )}
                         </Box>
                       </Box>
                     </TableCell>
                     <TableCell>
                       {request.user?.username || 'Unknown User'}
+                      {request.voteCount > 1 && (
+                        <Tooltip title="Users who asked for the same book">
+                          <Chip
+                            size="small"
+                            icon={<GroupIcon />}
+                            label={`+${request.voteCount - 1}`}
+                            sx={{ ml: 1 }}
+                          />
+                        </Tooltip>
+                      )}
                     </TableCell>
                     <TableCell>
                       {new Date(request.createdAt).toLocaleDateString()}
@@ -465,86 +836,121 @@ const AdminRequests = () => {
                           size="small" 
                           sx={{ mr: 1 }}
                         />
-                        {(request.readarrStatus === 'added' || 
-                          request.readarrStatus === 'error' || 
-                          request.readarrStatus === 'externally-downloaded') && (
+                        {request.readarrStatus !== 'pending' && (
                           <ReadarrStatusDetails request={request} />
                         )}
                       </Box>
+                      <DownloadProgress download={request.download} compact />
                     </TableCell>
                     <TableCell align="right">
-                      {request.status === 'pending' && (
-                        <Box>
-                          <Button
-                            startIcon={<CheckCircleIcon />}
-                            color="primary"
-                            size="small"
-                            sx={{ mr: 1 }}
-                            onClick={() => handleUpdateStatus(request._id, 'approved')}
-                            disabled={updateLoading[request._id]}
-                          >
-                            Approve
-                          </Button>
-                          <Button
-                            startIcon={<CancelIcon />}
-                            color="error"
-                            size="small"
-                            onClick={() => handleUpdateStatus(request._id, 'denied')}
-                            disabled={updateLoading[request._id]}
-                          >
-                            Deny
-                          </Button>
-                        </Box>
-                      )}
-                      {(request.status === 'approved' || request.readarrStatus === 'error') && (
-                        <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
-                          {request.readarrStatus === 'error' && (
-                            <Tooltip title="Retry Readarr integration">
-                              <Button
-                                startIcon={<RefreshIcon />}
-                                color="warning"
-                                size="small"
-                                onClick={() => handleRetry(request._id)}
-                                disabled={updateLoading[request._id]}
-                                sx={{ mr: 1 }}
-                              >
-                                Retry
-                              </Button>
-                            </Tooltip>
-                          )}
-                          
-                          <Tooltip title="Mark as externally downloaded">
+                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center' }}>
+                        <RequestCommentsButton request={request} onChange={handleCommentsChange} />
+                        <RequestHistoryButton request={request} />
+                        <Tooltip title="View related logs">
+                          <IconButton size="small" component={Link} to={`/admin/logs?request=${request._id}`}>
+                            <ArticleIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        {request.readarrStatus === 'needs-match' && (
+                          <Tooltip title="Pick the matching book in Readarr">
                             <Button
-                              startIcon={<DownloadDoneIcon />}
-                              color="info"
+                              startIcon={<ManageSearchIcon />}
+                              color="warning"
                               size="small"
-                              onClick={() => handleExternalDownloadClick(request)}
-                              disabled={updateLoading[request._id]}
                               sx={{ mr: 1 }}
+                              onClick={() => handleMatchClick(request)}
+                              disabled={updateLoading[request._id]}
                             >
-                              External
+                              Pick Match
                             </Button>
                           </Tooltip>
-                          
-                          {request.readarrStatus !== 'error' && (
+                        )}
+                        {request.status === 'pending' && request.readarrStatus !== 'needs-match' && (
+                          <Box>
                             <Button
-                              startIcon={<LibraryAddCheckIcon />}
-                              color="success"
+                              startIcon={<CheckCircleIcon />}
+                              color="primary"
                               size="small"
-                              onClick={() => handleUpdateStatus(request._id, 'available')}
+                              sx={{ mr: 1 }}
+                              onClick={() => handleApproveClick(request)}
                               disabled={updateLoading[request._id]}
                             >
-                              Available
+                              Approve
                             </Button>
-                          )}
-                        </Box>
-                      )}
+                            <Button
+                              startIcon={<CancelIcon />}
+                              color="error"
+                              size="small"
+                              onClick={() => handleDenyClick(request)}
+                              disabled={updateLoading[request._id]}
+                            >
+                              Deny
+                            </Button>
+                          </Box>
+                        )}
+                        {(request.status === 'approved' || request.readarrStatus === 'error') && (
+                          <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                            {['added', 'stalled'].includes(request.readarrStatus) && request.readarrId && (
+                              <Tooltip title="Search Readarr for this book now">
+                                <Button
+                                  startIcon={<SearchIcon />}
+                                  size="small"
+                                  onClick={() => handleSearchAgain(request._id)}
+                                  disabled={updateLoading[request._id]}
+                                  sx={{ mr: 1 }}
+                                >
+                                  Search
+                                </Button>
+                              </Tooltip>
+                            )}
+                            {(request.readarrStatus === 'error' || request.readarrStatus === 'removed') && (
+                              <Tooltip title="Retry Readarr integration">
+                                <Button
+                                  startIcon={<RefreshIcon />}
+                                  color="warning"
+                                  size="small"
+                                  onClick={() => handleRetry(request._id)}
+                                  disabled={updateLoading[request._id]}
+                                  sx={{ mr: 1 }}
+                                >
+                                  Retry
+                                </Button>
+                              </Tooltip>
+                            )}
+                          
+                            <Tooltip title="Mark as externally downloaded">
+                              <Button
+                                startIcon={<DownloadDoneIcon />}
+                                color="info"
+                                size="small"
+                                onClick={() => handleExternalDownloadClick(request)}
+                                disabled={updateLoading[request._id]}
+                                sx={{ mr: 1 }}
+                              >
+                                External
+                              </Button>
+                            </Tooltip>
+                          
+                            {request.readarrStatus !== 'error' && (
+                              <Button
+                                startIcon={<LibraryAddCheckIcon />}
+                                color="success"
+                                size="small"
+                                onClick={() => handleUpdateStatus(request._id, 'available')}
+                                disabled={updateLoading[request._id]}
+                              >
+                                Available
+                              </Button>
+                            )}
+                          </Box>
+                        )}
+                      </Box>
                     </TableCell>
                   </TableRow>
                 ))
               ) : (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={7} align="center">
                     <Typography sx={{ py: 2 }}>
                       No requests found with the selected filter.
                     </Typography>
@@ -558,7 +964,7 @@ const AdminRequests = () => {
         <TablePagination
           rowsPerPageOptions={[5, 10, 25]}
           component="div"
-          count={filteredRequests.length}
+          count={total}
           rowsPerPage={rowsPerPage}
           page={page}
           onPageChange={handleChangePage}
@@ -588,9 +994,12 @@ const AdminRequests = () => {
             <Typography variant="subtitle2" gutterBottom>Readarr Status:</Typography>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
               <Chip size="small" label="pending" color="default" />
+              <Chip size="small" label="needs-match" color="warning" />
               <Chip size="small" label="added" color="info" />
+              <Chip size="small" label="downloading" color="info" />
               <Chip size="small" label="downloaded" color="success" />
               <Chip size="small" label="externally-downloaded" color="success" />
+              <Chip size="small" label="removed" color="warning" />
               <Chip size="small" label="error" color="error" />
             </Box>
           </Box>
@@ -606,6 +1015,9 @@ const AdminRequests = () => {
             <Typography variant="body2">
               3. If the author doesn't exist, it adds the author and the book, then triggers a search
             </Typography>
+            <Typography variant="body2">
+              If Readarr has no exact match for the author or book, the request waits in "needs-match" until you pick one
+            </Typography>
             <Typography variant="body2">
               4. If Readarr encounters an error, you can retry or mark as externally downloaded
             </Typography>
@@ -616,6 +1028,30 @@ const AdminRequests = () => {
         </Box>
       </Paper>
       
+      {/* Approve Dialog */}
+      <ApproveRequestDialog
+        open={approveDialogOpen}
+        onClose={() => setApproveDialogOpen(false)}
+        onConfirm={handleApproveConfirm}
+        request={selectedRequest}
+      />
+
+      {/* Deny Dialog */}
+      <DenyRequestDialog
+        open={denyDialogOpen}
+        onClose={() => setDenyDialogOpen(false)}
+        onConfirm={handleDenyConfirm}
+        request={selectedRequest}
+      />
+
+      {/* Readarr Match Dialog */}
+      <ReadarrMatchDialog
+        open={matchDialogOpen}
+        onClose={() => setMatchDialogOpen(false)}
+        onMatched={handleMatched}
+        request={selectedRequest}
+      />
+
       {/* External Download Dialog */}
       <ExternalDownloadDialog
         open={externalDownloadDialogOpen}
@@ -0,0 +1,38 @@
+// src/pages/AdminSettings.js
+import React, { useContext } from 'react';
+import Typography from '@mui/material/Typography';
+import Box from '@mui/material/Box';
+import AuthContext from '../context/AuthContext';
+import ReadarrInstances from '../components/admin/ReadarrInstances';
+import RequestQuotas from '../components/admin/RequestQuotas';
+import AutoApprovalRules from '../components/admin/AutoApprovalRules';
+import Roles from '../components/admin/Roles';
+import Registration from '../components/admin/Registration';
+
+const AdminSettings = () => {
+  const { hasPermission } = useContext(AuthContext);
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Settings
+      </Typography>
+
+      {hasPermission('manage-settings') && (
+        <>
+          <ReadarrInstances />
+          <AutoApprovalRules />
+        </>
+      )}
+      {hasPermission('manage-users') && (
+        <>
+          <Registration />
+          <Roles />
+          <RequestQuotas />
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AdminSettings;
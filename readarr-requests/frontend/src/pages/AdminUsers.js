@@ -0,0 +1,302 @@
+// src/pages/AdminUsers.js
+import React, { useState, useEffect, useContext } from 'react';
+import Typography from '@mui/material/Typography';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import IconButton from '@mui/material/IconButton';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import EditIcon from '@mui/icons-material/Edit';
+import KeyIcon from '@mui/icons-material/Key';
+import BlockIcon from '@mui/icons-material/Block';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import DeleteIcon from '@mui/icons-material/Delete';
+import HowToRegIcon from '@mui/icons-material/HowToReg';
+import AuthContext from '../context/AuthContext';
+import UserQuotaDialog from '../components/admin/UserQuotaDialog';
+import ResetPasswordDialog from '../components/admin/ResetPasswordDialog';
+import api from '../utils/api';
+
+// The quota that applies to a user, from their override or their role
+const describeQuota = (quota) => {
+  if (!quota) return '';
+
+  const parts = [quota.maxRequests != null
+    ? `${quota.maxRequests} per ${quota.periodDays} days`
+    : 'Unlimited'];
+  if (quota.maxPending != null) {
+    parts.push(`${quota.maxPending} pending`);
+  }
+  return parts.join(', ');
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const AdminUsers = () => {
+  const { user: currentUser } = useContext(AuthContext);
+  const currentUserId = currentUser?._id || currentUser?.id;
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [search, setSearch] = useState('');
+  const [quotaUser, setQuotaUser] = useState(null);
+  const [passwordUser, setPasswordUser] = useState(null);
+
+  const fetchUsers = async () => {
+    try {
+      const [usersResponse, rolesResponse] = await Promise.all([
+        api.get('/admin/users'),
+        api.get('/admin/roles')
+      ]);
+      setUsers(usersResponse.data);
+      setRoles(rolesResponse.data.roles.map(role => role.name));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  // Keep counts and quotas from the list; actions only return the user's own fields
+  const mergeUser = (updated) => {
+    setUsers(prev => prev.map(user => (user._id === updated._id ? { ...user, ...updated } : user)));
+  };
+
+  const runAction = async (action, successMessage) => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      await action();
+      if (successMessage) setSuccess(successMessage);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const handleRoleChange = (user, role) => runAction(async () => {
+    await api.put(`/admin/users/${user._id}/role`, { role });
+    // The role decides the quota, so reload the list
+    await fetchUsers();
+  }, `${user.username} is now ${role}`);
+
+  const handleToggleDisabled = (user) => {
+    const disabled = !user.disabled;
+    if (disabled && !window.confirm(`Disable ${user.username}? They will be signed out and can't sign in again until enabled.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      const response = await api.put(`/admin/users/${user._id}/status`, { disabled });
+      mergeUser(response.data);
+    }, `${user.username} ${disabled ? 'disabled' : 'enabled'}`);
+  };
+
+  const handleApprove = (user) => runAction(async () => {
+    const response = await api.put(`/admin/users/${user._id}/approve`);
+    mergeUser(response.data);
+  }, `${user.username} approved`);
+
+  const handleDelete = (user) => {
+    const requestCount = user.requests?.total || 0;
+    if (!window.confirm(
+      `Delete ${user.username} and their ${requestCount} request(s)? ` +
+      'Requests other users joined are kept and handed to them. This cannot be undone.'
+    )) {
+      return;
+    }
+
+    runAction(async () => {
+      const response = await api.delete(`/admin/users/${user._id}`);
+      setUsers(prev => prev.filter(u => u._id !== user._id));
+      const handedOver = response.data.handedOverRequests || 0;
+      setSuccess(handedOver > 0
+        ? `${user.username} deleted, ${handedOver} request(s) handed to followers`
+        : `${user.username} deleted`);
+    });
+  };
+
+  const handleQuotaSaved = () => {
+    setQuotaUser(null);
+    fetchUsers();
+  };
+
+  const handlePasswordSaved = (user) => {
+    setPasswordUser(null);
+    setSuccess(`Password reset for ${user.username}`);
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleUsers = query
+    ? users.filter(user => user.username.toLowerCase().includes(query) || user.email.toLowerCase().includes(query))
+    : users;
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Users
+      </Typography>
+
+      <Box sx={{ mb: 2 }}>
+        <TextField
+          size="small"
+          label="Search users"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ minWidth: 260 }}
+        />
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Requests</TableCell>
+                <TableCell>Quota</TableCell>
+                <TableCell>Last login</TableCell>
+                <TableCell>Push</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleUsers.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No users found</TableCell>
+                </TableRow>
+              ) : visibleUsers.map(user => {
+                const isSelf = user._id === currentUserId;
+
+                return (
+                  <TableRow key={user._id} hover sx={{ opacity: user.disabled ? 0.6 : 1 }}>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                        {user.username}
+                        {user.disabled && <Chip size="small" color="error" label="disabled" sx={{ ml: 1 }} />}
+                        {user.pendingApproval && <Chip size="small" color="warning" label="awaiting approval" sx={{ ml: 1 }} />}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {user.email} · joined {new Date(user.createdAt).toLocaleDateString()}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={roles.includes(user.role) ? user.role : ''}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        disabled={isSelf}
+                        sx={{ minWidth: 120 }}
+                      >
+                        {roles.map(role => (
+                          <MenuItem key={role} value={role}>{role}</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{user.requests?.total || 0}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {user.requests?.pending || 0} pending · {user.requests?.available || 0} available
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{describeQuota(user.quota)}</Typography>
+                      {user.quotaOverride && Object.values(user.quotaOverride).some(value => value != null) && (
+                        <Typography variant="caption" color="text.secondary">Overridden</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(user.lastLoginAt)}</TableCell>
+                    <TableCell>{user.pushSubscriptionCount}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {user.pendingApproval && (
+                        <Tooltip title="Approve account">
+                          <IconButton size="small" color="success" onClick={() => handleApprove(user)}>
+                            <HowToRegIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <Tooltip title="Edit quota">
+                        <IconButton size="small" onClick={() => setQuotaUser(user)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Reset password">
+                        <span>
+                          <IconButton size="small" onClick={() => setPasswordUser(user)} disabled={isSelf}>
+                            <KeyIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title={user.disabled ? 'Enable login' : 'Disable login'}>
+                        <span>
+                          <IconButton size="small" onClick={() => handleToggleDisabled(user)} disabled={isSelf}>
+                            {user.disabled ? <CheckCircleIcon fontSize="small" /> : <BlockIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Delete user and requests">
+                        <span>
+                          <IconButton size="small" color="error" onClick={() => handleDelete(user)} disabled={isSelf}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <UserQuotaDialog
+        open={Boolean(quotaUser)}
+        user={quotaUser}
+        onClose={() => setQuotaUser(null)}
+        onSaved={handleQuotaSaved}
+      />
+      <ResetPasswordDialog
+        open={Boolean(passwordUser)}
+        user={passwordUser}
+        onClose={() => setPasswordUser(null)}
+        onSaved={handlePasswordSaved}
+      />
+    </Box>
+  );
+};
+
+export default AdminUsers;
@@ -12,6 +12,7 @@ import Alert from '@mui/material/Alert';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
 import noImage from '../assets/no-image.png'; // You'll need this file
 import api from '../utils/api';
 
@@ -25,6 +26,8 @@ const BookDetail = () => {
   const [requesting, setRequesting] = useState(false);
   const [requested, setRequested] = useState(false);
   const [requestError, setRequestError] = useState(null);
+  // Another user's request for this book, which can be joined
+  const [shared, setShared] = useState(null);
 
   useEffect(() => {
     
@@ -50,13 +53,23 @@ const BookDetail = () => {
   
         setBook(response.data);
   
-        // Check if book is already requested
+        // Check if book is already requested, by this user or someone else
         try {
-          const requestRes = await api.get('/requests/me');
-          const isRequested = requestRes.data.some(
-            request => request.bookId === id
-          );
-          setRequested(isRequested);
+          const [requestRes, sharedRes] = await Promise.all([
+            api.get('/requests/me', { params: { bookId: id, limit: 1 } }),
+            api.get('/requests/shared', {
+              params: {
+                bookId: id,
+                isbn: response.data.isbn,
+                title: response.data.title,
+                author: response.data.author
+              }
+            })
+          ]);
+          const isRequested = requestRes.data.requests.length > 0;
+          const sharedRequest = sharedRes.data.request;
+          setRequested(isRequested || Boolean(sharedRequest && (sharedRequest.mine || sharedRequest.following)));
+          setShared(sharedRequest);
         } catch (reqErr) {
           console.error('Error checking request status:', reqErr);
         }
@@ -76,6 +89,15 @@ const BookDetail = () => {
     setRequestError(null);
 
     try {
+      // Join the existing request instead of making a duplicate
+      if (shared && !shared.mine && !shared.following) {
+        const res = await api.post(`/requests/${shared._id}/follow`);
+        setShared({ ...shared, following: true, voteCount: res.data.voteCount });
+        setRequested(true);
+        setRequesting(false);
+        return;
+      }
+
       await api.post('/requests', {
         bookId: book.id,
         title: book.title,
@@ -201,16 +223,16 @@ const BookDetail = () => {
                   startIcon={<CheckCircleIcon />}
                   disabled
                 >
-                  Requested
+                  {shared?.following ? 'Following' : 'Requested'}
                 </Button>
               ) : (
                 <Button
                   variant="contained"
-                  startIcon={<BookmarkAddIcon />}
+                  startIcon={shared ? <GroupAddIcon /> : <BookmarkAddIcon />}
                   onClick={handleRequestBook}
                   disabled={requesting}
                 >
-                  {requesting ? 'Requesting...' : 'Request Book'}
+                  {requesting ? 'Requesting...' : (shared ? `Me Too (${shared.voteCount})` : 'Request Book')}
                 </Button>
               )}
             </Box>
@@ -37,7 +37,7 @@ import AuthContext from '../context/AuthContext';
 import api from '../utils/api';
 
 const CalibreManager = () => {
-  const { user, isAuthenticated } = useContext(AuthContext);
+  const { isAuthenticated, hasPermission } = useContext(AuthContext);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [books, setBooks] = useState([]);
@@ -57,8 +57,8 @@ const CalibreManager = () => {
   const [sortBy, setSortBy] = useState('title');
   const [sortOrder, setSortOrder] = useState('asc');
 
-  // Check if user is admin
-  const isAdmin = user && user.role === 'admin';
+  // Check if the user's role can manage the library
+  const isAdmin = hasPermission('manage-calibre');
 
   // Load books on component mount
   useEffect(() => {
@@ -196,7 +196,7 @@ const CalibreManager = () => {
     }
   };
 
-  // If not admin, show access denied
+  // Without the permission, show access denied
   if (!isAdmin) {
     return (
       <Box sx={{ p: 3, textAlign: 'center' }}>
@@ -204,7 +204,7 @@ const CalibreManager = () => {
           Access Denied
         </Typography>
         <Typography variant="body1" sx={{ mt: 2 }}>
-          You must be an admin to access this page.
+          Your role doesn't allow managing the Calibre library.
         </Typography>
       </Box>
     );
@@ -0,0 +1,108 @@
+// src/pages/ForgotPassword.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Avatar from '@mui/material/Avatar';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Box from '@mui/material/Box';
+import LockResetIcon from '@mui/icons-material/LockReset';
+import Typography from '@mui/material/Typography';
+import Container from '@mui/material/Container';
+import Alert from '@mui/material/Alert';
+import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
+import api from '../utils/api';
+
+// Ask for a password reset link by email
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/auth/forgot-password', { email: email.trim() });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the email, please try again later');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Paper elevation={3} sx={{ p: 4, mt: 8, borderRadius: 2 }}>
+        <Box
+          sx={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          <Avatar sx={{ m: 1, bgcolor: 'primary.main' }}>
+            <LockResetIcon />
+          </Avatar>
+
+          <Typography component="h1" variant="h6">
+            Forgot your password?
+          </Typography>
+
+          {message ? (
+            <Alert severity="success" sx={{ width: '100%', mt: 2 }}>
+              {message}. The link works for one hour.
+            </Alert>
+          ) : (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1, width: '100%' }}>
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Enter the email address of your account and we'll send you a link to choose a new password.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={sending || !email.trim()}
+                startIcon={sending ? <CircularProgress size={20} /> : null}
+                sx={{ mt: 3, mb: 2 }}
+              >
+                Send Reset Link
+              </Button>
+            </Box>
+          )}
+
+          <Link to="/login" style={{ textDecoration: 'none', marginTop: 16 }}>
+            <Typography variant="body2" color="primary">
+              Back to sign in
+            </Typography>
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
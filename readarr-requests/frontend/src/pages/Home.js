@@ -59,8 +59,8 @@ const Home = () => {
   const [mainTab, setMainTab] = useState(0);
   const [genreTab, setGenreTab] = useState(0);
   const [loading, setLoading] = useState(true);
-  const { user } = useContext(AuthContext);
-  const isAdmin = user && user.role === 'admin';
+  const { hasPermission } = useContext(AuthContext);
+  const isAdmin = hasPermission('purge-cache');
   const [requestDialogOpen, setRequestDialogOpen] = useState(false);
   const [selectedBook, setSelectedBook] = useState(null);
 
@@ -233,7 +233,7 @@ const Home = () => {
         </Select>
       </FormControl>
 
-      {/* Add the cache purger for admins */}
+      {/* Add the cache purger for roles that can purge it */}
       {isAdmin && (
         <CachePurger 
           onSuccess={() => {
@@ -14,6 +14,7 @@ import Container from '@mui/material/Container';
 import Alert from '@mui/material/Alert';
 import Paper from '@mui/material/Paper';
 import AuthContext from '../context/AuthContext';
+import api from '../utils/api';
 import LibraryBooksIcon from '@mui/icons-material/LibraryBooks';
 
 const Login = () => {
@@ -22,8 +23,9 @@ const Login = () => {
     password: '',
   });
   const [showError, setShowError] = useState(false);
+  const [verificationMessage, setVerificationMessage] = useState(null);
 
-  const { login, isAuthenticated, error, clearError } = useContext(AuthContext);
+  const { login, isAuthenticated, error, errorCode, clearError } = useContext(AuthContext);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -47,6 +49,17 @@ const Login = () => {
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification', { email });
+      setVerificationMessage(response.data.message);
+    } catch (err) {
+      setVerificationMessage(err.response?.data?.message || 'Could not send the email, please try again later');
+    }
+    clearError();
+    setShowError(false);
+  };
+
   const onSubmit = async (e) => {
     e.preventDefault();
     const success = await login(formData);
@@ -90,6 +103,17 @@ const Login = () => {
               }}
             >
               {error}
+              {errorCode === 'EMAIL_NOT_VERIFIED' && (
+                <Button size="small" color="inherit" onClick={resendVerification} sx={{ display: 'block', mt: 1, px: 0 }}>
+                  Send the confirmation link again
+                </Button>
+              )}
+            </Alert>
+          )}
+
+          {verificationMessage && (
+            <Alert severity="info" sx={{ width: '100%', mt: 2 }} onClose={() => setVerificationMessage(null)}>
+              {verificationMessage}
             </Alert>
           )}
 
@@ -130,7 +154,14 @@ const Login = () => {
             >
               Sign In
             </Button>
-            <Grid container>
+            <Grid container justifyContent="space-between">
+              <Grid item>
+                <Link to="/forgot-password" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Forgot password?
+                  </Typography>
+                </Link>
+              </Grid>
               <Grid item>
                 <Link to="/register" style={{ textDecoration: 'none' }}>
                   <Typography variant="body2" color="primary">
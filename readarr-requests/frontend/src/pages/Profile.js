@@ -7,12 +7,27 @@ import TextField from '@mui/material/TextField';
 import Button from '@mui/material/Button';
 import Alert from '@mui/material/Alert';
 import Grid from '@mui/material/Grid';
+import FormControl from '@mui/material/FormControl';
+import InputLabel from '@mui/material/InputLabel';
+import Select from '@mui/material/Select';
+import MenuItem from '@mui/material/MenuItem';
+import FormGroup from '@mui/material/FormGroup';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Switch from '@mui/material/Switch';
 import AuthContext from '../context/AuthContext';
 import api from '../utils/api';
 import NotificationPermissionButton from '../components/notifications/NotificationPermissionButton';
 
+const MIN_PASSWORD_LENGTH = 8;
+
+// Push notifications a user can turn off
+const notificationOptions = [
+  { value: 'bookAvailable', label: 'A book I requested is available' },
+  { value: 'requestUpdates', label: 'My requests are approved, denied or commented on' }
+];
+
 const Profile = () => {
-  const { user, setUser } = useContext(AuthContext);
+  const { user, updateSession, updateUser } = useContext(AuthContext);
   const [formData, setFormData] = useState({
     username: user?.username || '',
     email: user?.email || '',
@@ -23,6 +38,8 @@ const Profile = () => {
   const [successMessage, setSuccessMessage] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [preferencesError, setPreferencesError] = useState('');
+  const [verificationMessage, setVerificationMessage] = useState('');
 
   const handleChange = (e) => {
     setFormData({
@@ -44,27 +61,27 @@ const Profile = () => {
         setLoading(false);
         return;
       }
-      if (!formData.currentPassword) {
-        setError('Current password is required to set a new password');
+      if (formData.newPassword.length < MIN_PASSWORD_LENGTH) {
+        setError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
         setLoading(false);
         return;
       }
     }
+    if ((formData.newPassword || formData.email.trim() !== user.email) && !formData.currentPassword) {
+      setError('Current password is required to change your email or password');
+      setLoading(false);
+      return;
+    }
 
     try {
-      // Note: For simplicity, we're just showing a success message
-      // In a real app, you'd implement a user profile update API endpoint
-
-      // Simulating an API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // For a real implementation, you'd do:
-      // const response = await api.put('/api/users/profile', {
-      //   username: formData.username,
-      //   email: formData.email,
-      //   currentPassword: formData.currentPassword,
-      //   newPassword: formData.newPassword || undefined
-      // });
+      const response = await api.put('/users/profile', {
+        username: formData.username,
+        email: formData.email,
+        currentPassword: formData.currentPassword || undefined,
+        newPassword: formData.newPassword || undefined
+      });
+      // Old tokens stop working after a password change
+      updateSession(response.data);
 
       setSuccessMessage('Profile updated successfully!');
       setFormData({
@@ -80,6 +97,26 @@ const Profile = () => {
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification', { email: user.email });
+      setVerificationMessage(response.data.message);
+    } catch (err) {
+      setVerificationMessage(err.response?.data?.message || 'Could not send the email, please try again later');
+    }
+  };
+
+  const savePreferences = async (changes) => {
+    setPreferencesError('');
+
+    try {
+      const response = await api.put('/users/preferences', changes);
+      updateUser({ preferences: response.data });
+    } catch (err) {
+      setPreferencesError(err.response?.data?.message || 'Failed to save preferences');
+    }
+  };
+
   if (!user) {
     return (
       <Box sx={{ mt: 4 }}>
@@ -137,12 +174,28 @@ const Profile = () => {
                 onChange={handleChange}
                 disabled={loading}
               />
+              {user.emailVerified === false && (
+                <Alert
+                  severity="warning"
+                  sx={{ mt: 1 }}
+                  action={
+                    <Button color="inherit" size="small" onClick={resendVerification}>
+                      Send link again
+                    </Button>
+                  }
+                >
+                  {verificationMessage || 'Your email address is not confirmed yet. Open the link we emailed you.'}
+                </Alert>
+              )}
             </Grid>
 
             <Grid item xs={12}>
               <Typography variant="h6" sx={{ mt: 2, mb: 1 }}>
                 Change Password (optional)
               </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Your current password is needed to change your email or password.
+              </Typography>
             </Grid>
 
             <Grid item xs={12}>
@@ -165,6 +218,7 @@ const Profile = () => {
                 value={formData.newPassword}
                 onChange={handleChange}
                 disabled={loading}
+                helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -201,13 +255,39 @@ const Profile = () => {
         </Typography>
         <Box sx={{ mt: 2 }}>
           <Typography variant="body1">
-            <strong>Role:</strong> {user.role === 'admin' ? 'Administrator' : 'User'}
+            <strong>Role:</strong> {user.role === 'admin' ? 'Administrator' : user.role.charAt(0).toUpperCase() + user.role.slice(1)}
           </Typography>
           <Typography variant="body1">
             <strong>Member Since:</strong> {new Date(user.createdAt || Date.now()).toLocaleDateString()}
           </Typography>
         </Box>
       </Paper>
+      <Paper elevation={3} sx={{ p: 4, mt: 4, maxWidth: 600, mx: 'auto' }}>
+        <Typography variant="h6" gutterBottom>
+          Preferences
+        </Typography>
+
+        {preferencesError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setPreferencesError('')}>
+            {preferencesError}
+          </Alert>
+        )}
+
+        <FormControl size="small" sx={{ mt: 2, minWidth: 200 }}>
+          <InputLabel id="theme-preference-label">Theme</InputLabel>
+          <Select
+            labelId="theme-preference-label"
+            value={user.preferences?.theme || 'system'}
+            label="Theme"
+            onChange={(e) => savePreferences({ theme: e.target.value })}
+          >
+            <MenuItem value="system">Same as device</MenuItem>
+            <MenuItem value="light">Light</MenuItem>
+            <MenuItem value="dark">Dark</MenuItem>
+          </Select>
+        </FormControl>
+      </Paper>
+
       <Paper elevation={3} sx={{ p: 4, mt: 4, maxWidth: 600, mx: 'auto' }}>
         <Typography variant="h6" gutterBottom>
           Notifications
@@ -218,6 +298,20 @@ const Profile = () => {
             size="small"
           />
         </Box>
+        <FormGroup sx={{ mt: 2 }}>
+          {notificationOptions.map(option => (
+            <FormControlLabel
+              key={option.value}
+              control={
+                <Switch
+                  checked={user.preferences?.notifications?.[option.value] ?? true}
+                  onChange={(e) => savePreferences({ notifications: { [option.value]: e.target.checked } })}
+                />
+              }
+              label={option.label}
+            />
+          ))}
+        </FormGroup>
       </Paper>
     </Box>
   );
@@ -1,6 +1,6 @@
 // src/pages/Register.js
 import React, { useState, useContext, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import Avatar from '@mui/material/Avatar';
 import Button from '@mui/material/Button';
 import TextField from '@mui/material/TextField';
@@ -11,18 +11,30 @@ import Typography from '@mui/material/Typography';
 import Container from '@mui/material/Container';
 import Alert from '@mui/material/Alert';
 import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
 import AuthContext from '../context/AuthContext';
+import api from '../utils/api';
 import LibraryBooksIcon from '@mui/icons-material/LibraryBooks';
 
+const inviteHelp = {
+  invite: 'Registration is by invite only',
+  approval: 'Optional; an invite skips approval'
+};
+
 const Register = () => {
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    invite: searchParams.get('invite') || ''
   });
   const [showError, setShowError] = useState(false);
   const [passwordMatch, setPasswordMatch] = useState(true);
+  // { mode, invite } from the server; invite is set when the link had a code
+  const [registration, setRegistration] = useState(null);
+  const [pendingMessage, setPendingMessage] = useState(null);
 
   const { register, isAuthenticated, error, clearError } = useContext(AuthContext);
   const navigate = useNavigate();
@@ -38,7 +50,15 @@ const Register = () => {
     }
   }, [isAuthenticated, navigate, error]);
 
-  const { username, email, password, confirmPassword } = formData;
+  useEffect(() => {
+    const invite = searchParams.get('invite');
+    api.get('/auth/registration', { params: invite ? { invite } : {} })
+      .then(response => setRegistration(response.data))
+      // Let the server decide when the form is sent
+      .catch(() => setRegistration({ mode: 'open', invite: null }));
+  }, [searchParams]);
+
+  const { username, email, password, confirmPassword, invite } = formData;
 
   const onChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -65,17 +85,24 @@ const Register = () => {
       return;
     }
 
-    const success = await register({
+    const result = await register({
       username,
       email,
-      password
+      password,
+      invite: invite.trim() || undefined
     });
 
-    if (success) {
+    if (result?.pending) {
+      setPendingMessage(result.message);
+    } else if (result) {
       navigate('/');
     }
   };
 
+  const mode = registration?.mode;
+  // The code field is only needed when codes do something in this mode
+  const showInviteField = mode === 'invite' || mode === 'approval' || Boolean(invite);
+
   return (
     <Container component="main" maxWidth="xs">
       <Paper elevation={3} sx={{ p: 4, mt: 8, borderRadius: 2 }}>
@@ -101,6 +128,36 @@ const Register = () => {
             Sign up
           </Typography>
 
+          {!registration && (
+            <CircularProgress sx={{ mt: 3 }} />
+          )}
+
+          {mode === 'closed' && (
+            <Alert severity="info" sx={{ width: '100%', mt: 2 }}>
+              Registration is closed. Ask an admin if you need an account.
+            </Alert>
+          )}
+
+          {pendingMessage && (
+            <Alert severity="success" sx={{ width: '100%', mt: 2 }}>
+              {pendingMessage}
+            </Alert>
+          )}
+
+          {registration?.invite && !pendingMessage && (
+            <Alert severity={registration.invite.valid ? 'info' : 'warning'} sx={{ width: '100%', mt: 2 }}>
+              {registration.invite.valid
+                ? `You've been invited to join as ${registration.invite.role}.`
+                : 'This invite link is invalid, expired or used up.'}
+            </Alert>
+          )}
+
+          {mode === 'approval' && !registration?.invite?.valid && !pendingMessage && (
+            <Alert severity="info" sx={{ width: '100%', mt: 2 }}>
+              New accounts need an admin's approval before they can sign in.
+            </Alert>
+          )}
+
           {showError && (
             <Alert 
               severity="error" 
@@ -124,73 +181,96 @@ const Register = () => {
             </Alert>
           )}
 
-          <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="username"
-              label="Username"
-              name="username"
-              autoComplete="username"
-              autoFocus
-              value={username}
-              onChange={onChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              value={email}
-              onChange={onChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="new-password"
-              value={password}
-              onChange={onChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="confirmPassword"
-              label="Confirm Password"
-              type="password"
-              id="confirmPassword"
-              autoComplete="new-password"
-              value={confirmPassword}
-              onChange={onChange}
-              error={!passwordMatch}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2 }}
-            >
-              Sign Up
-            </Button>
-            <Grid container justifyContent="flex-end">
-              <Grid item>
-                <Link to="/login" style={{ textDecoration: 'none' }}>
-                  <Typography variant="body2" color="primary">
-                    Already have an account? Sign in
-                  </Typography>
-                </Link>
+          {registration && mode !== 'closed' && !pendingMessage && (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="username"
+                label="Username"
+                name="username"
+                autoComplete="username"
+                autoFocus
+                value={username}
+                onChange={onChange}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                value={email}
+                onChange={onChange}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={onChange}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={onChange}
+                error={!passwordMatch}
+              />
+              {showInviteField && (
+                <TextField
+                  margin="normal"
+                  required={mode === 'invite'}
+                  fullWidth
+                  name="invite"
+                  label="Invite Code"
+                  id="invite"
+                  value={invite}
+                  onChange={onChange}
+                  helperText={inviteHelp[mode]}
+                />
+              )}
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+              >
+                Sign Up
+              </Button>
+              <Grid container justifyContent="flex-end">
+                <Grid item>
+                  <Link to="/login" style={{ textDecoration: 'none' }}>
+                    <Typography variant="body2" color="primary">
+                      Already have an account? Sign in
+                    </Typography>
+                  </Link>
+                </Grid>
               </Grid>
-            </Grid>
-          </Box>
+            </Box>
+          )}
+
+          {(mode === 'closed' || pendingMessage) && (
+            <Link to="/login" style={{ textDecoration: 'none', marginTop: 16 }}>
+              <Typography variant="body2" color="primary">
+                Back to sign in
+              </Typography>
+            </Link>
+          )}
         </Box>
       </Paper>
     </Container>
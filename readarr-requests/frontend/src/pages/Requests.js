@@ -1,5 +1,5 @@
 // src/pages/Requests.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
@@ -12,55 +12,114 @@ import Button from '@mui/material/Button';
 import SearchIcon from '@mui/icons-material/Search';
 import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
 import Tooltip from '@mui/material/Tooltip';
+import TextField from '@mui/material/TextField';
+import Pagination from '@mui/material/Pagination';
 import noImage from '../assets/no-image.png';
 import api from '../utils/api';
+import AppContext from '../context/AppContext';
 
 // Import or define RequestCard component
 import RequestCard from '../components/requests/RequestCard';
+import EditRequestDialog from '../components/requests/EditRequestDialog';
+
+const PAGE_SIZE = 12;
+
+const statusFilters = [
+  { value: 'all', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'available', label: 'Available' },
+  { value: 'denied', label: 'Denied' }
+];
 
 const Requests = () => {
+  const { liveUpdates, subscribeToRequests, clearAvailableUpdates } = useContext(AppContext);
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editingRequest, setEditingRequest] = useState(null);
+
+  const filtered = statusFilter !== 'all' || Boolean(searchQuery);
 
   // Fetch requests function using useCallback to avoid infinite loops
   const fetchRequests = useCallback(async () => {
     try {
       setError(null); // Clear previous errors
-      const res = await api.get('/requests/me');
-      console.log('Requests data:', res.data); // Add this for debugging
-      setRequests(res.data);
+      const res = await api.get('/requests/me', {
+        params: {
+          page,
+          limit: PAGE_SIZE,
+          status: statusFilter === 'all' ? undefined : statusFilter,
+          q: searchQuery || undefined
+        }
+      });
+      setRequests(res.data.requests);
+      setPages(res.data.pagination.pages);
       setLoading(false);
     } catch (err) {
       console.error('Error fetching requests:', err); // Add detailed error logging
       setError('Failed to load your requests. Please try again.');
       setLoading(false);
     }
-  }, []);
+  }, [page, statusFilter, searchQuery]);
 
-  // Initial load
+  // Initial load, and again whenever the page or filters change
   useEffect(() => {
     fetchRequests();
   }, [fetchRequests]);
 
-  // Auto-refresh for approved requests
+  // Search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearchQuery(search.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Apply pushed updates; anything that changes the list itself needs a refetch
+  useEffect(() => subscribeToRequests((type, updated) => {
+    if (type === 'request:updated') {
+      setRequests(prev => prev.map(request => (
+        request._id === updated._id ? { ...request, ...updated } : request
+      )));
+    } else {
+      fetchRequests();
+    }
+  }), [subscribeToRequests, fetchRequests]);
+
+  // The badge counts books that became available since the user last looked
+  useEffect(() => {
+    clearAvailableUpdates();
+  }, [clearAvailableUpdates]);
+
+  // Auto-refresh for approved requests while the live update stream is down,
+  // more often while something is downloading
   useEffect(() => {
+    if (liveUpdates) return undefined;
+
     // Only setup refresh if we have approved requests that aren't errored
     const hasApprovedRequests = requests.some(req => 
       req.status === 'approved' && req.readarrStatus !== 'error'
     );
+    const hasActiveDownloads = requests.some(req => req.download);
 
     let refreshTimer;
     if (hasApprovedRequests) {
       refreshTimer = setInterval(() => {
         fetchRequests();
-      }, 30000); // 30 seconds
+      }, hasActiveDownloads ? 15000 : 30000); // 15 seconds while downloading, otherwise 30
     }
 
     return () => {
       if (refreshTimer) clearInterval(refreshTimer);
     };
-  }, [requests, fetchRequests]);
+  }, [requests, fetchRequests, liveUpdates]);
 
   // Helper functions
   const handleRetry = () => {
@@ -68,6 +127,32 @@ const Requests = () => {
     fetchRequests();
   };
 
+  // Leave a request joined with "me too"
+  const handleUnfollow = async (request) => {
+    try {
+      await api.delete(`/requests/${request._id}/follow`);
+      setRequests(prev => prev.filter(req => req._id !== request._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to stop following the request.');
+    }
+  };
+
+  const handleEdited = (updated) => {
+    setRequests(prev => prev.map(req => (req._id === updated._id ? updated : req)));
+    setEditingRequest(null);
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel your request for "${request.title}"?`)) return;
+
+    try {
+      await api.delete(`/requests/${request._id}`);
+      setRequests(prev => prev.filter(req => req._id !== request._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel the request.');
+    }
+  };
+
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
@@ -118,14 +203,47 @@ const Requests = () => {
         </Alert>
       )}
 
+      <Box sx={{ mb: 3, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+        {statusFilters.map(filter => (
+          <Chip
+            key={filter.value}
+            label={filter.label}
+            color={statusFilter === filter.value ? 'primary' : 'default'}
+            variant={statusFilter === filter.value ? 'filled' : 'outlined'}
+            onClick={() => {
+              setStatusFilter(filter.value);
+              setPage(1);
+            }}
+          />
+        ))}
+        <TextField
+          size="small"
+          placeholder="Search title or author"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ ml: { sm: 'auto' }, minWidth: 220 }}
+        />
+      </Box>
+
       {requests.length > 0 ? (
         <Grid container spacing={3}>
           {requests.map((request) => (
             <Grid item xs={12} sm={6} md={4} key={request._id}>
-              <RequestCard request={request} />
+              <RequestCard
+                request={request}
+                onUnfollow={handleUnfollow}
+                onEdit={setEditingRequest}
+                onCancel={handleCancel}
+              />
             </Grid>
           ))}
         </Grid>
+      ) : filtered ? (
+        <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6">
+            No requests match these filters
+          </Typography>
+        </Paper>
       ) : (
         <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
           <Typography variant="h6" gutterBottom>
@@ -145,6 +263,12 @@ const Requests = () => {
         </Paper>
       )}
 
+      {pages > 1 && (
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+          <Pagination count={pages} page={page} onChange={(e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+
       <Box sx={{ mt: 4 }}>
         <Paper elevation={1} sx={{ p: 2 }}>
           <Typography variant="subtitle2" gutterBottom>
@@ -158,6 +282,13 @@ const Requests = () => {
           </Box>
         </Paper>
       </Box>
+
+      <EditRequestDialog
+        open={Boolean(editingRequest)}
+        request={editingRequest}
+        onClose={() => setEditingRequest(null)}
+        onSaved={handleEdited}
+      />
     </Box>
   );
 };
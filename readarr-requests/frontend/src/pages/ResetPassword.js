@@ -0,0 +1,133 @@
+// src/pages/ResetPassword.js
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Avatar from '@mui/material/Avatar';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Box from '@mui/material/Box';
+import LockResetIcon from '@mui/icons-material/LockReset';
+import Typography from '@mui/material/Typography';
+import Container from '@mui/material/Container';
+import Alert from '@mui/material/Alert';
+import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
+import api from '../utils/api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Choose a new password from the link in a reset email
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(token ? null : 'This reset link is incomplete. Open the link from the email again.');
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Paper elevation={3} sx={{ p: 4, mt: 8, borderRadius: 2 }}>
+        <Box
+          sx={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          <Avatar sx={{ m: 1, bgcolor: 'primary.main' }}>
+            <LockResetIcon />
+          </Avatar>
+
+          <Typography component="h1" variant="h6">
+            Choose a new password
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ width: '100%', mt: 2 }} onClose={token ? () => setError(null) : undefined}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <Alert severity="success" sx={{ width: '100%', mt: 2 }}>
+              {message}
+            </Alert>
+          ) : token && (
+            <Box component="form" onSubmit={onSubmit} noValidate sx={{ mt: 1, width: '100%' }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm New Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={saving || !password}
+                startIcon={saving ? <CircularProgress size={20} /> : null}
+                sx={{ mt: 3, mb: 2 }}
+              >
+                Reset Password
+              </Button>
+            </Box>
+          )}
+
+          <Link to={message ? '/login' : '/forgot-password'} style={{ textDecoration: 'none', marginTop: 16 }}>
+            <Typography variant="body2" color="primary">
+              {message ? 'Sign in' : 'Need a new link?'}
+            </Typography>
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ResetPassword;
@@ -26,7 +26,7 @@ import AuthContext from '../context/AuthContext';
 import api from '../utils/api';
 
 const Search = () => {
-  const { user } = useContext(AuthContext);
+  const { hasPermission } = useContext(AuthContext);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
@@ -36,7 +36,7 @@ const Search = () => {
   const [metadataSource, setMetadataSource] = useState('google'); // Default to google
   const [hasSearched, setHasSearched] = useState(false);
 
-  const isAdmin = user && user.role === 'admin';
+  const isAdmin = hasPermission('manage-requests');
 
   // Handle search
   const handleSearch = async (e) => {
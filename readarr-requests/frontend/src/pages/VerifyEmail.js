@@ -0,0 +1,73 @@
+// src/pages/VerifyEmail.js
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Avatar from '@mui/material/Avatar';
+import Box from '@mui/material/Box';
+import MarkEmailReadIcon from '@mui/icons-material/MarkEmailRead';
+import Typography from '@mui/material/Typography';
+import Container from '@mui/material/Container';
+import Alert from '@mui/material/Alert';
+import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
+import AuthContext from '../context/AuthContext';
+import api from '../utils/api';
+
+// Confirm an email address from the link in a verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated } = useContext(AuthContext);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      setResult({ success: false, message: 'This confirmation link is incomplete. Open the link from the email again.' });
+      return;
+    }
+
+    api.post('/auth/verify-email', { token })
+      .then(response => setResult({ success: true, message: response.data.message }))
+      .catch(err => setResult({
+        success: false,
+        message: err.response?.data?.message || 'Failed to confirm your email address'
+      }));
+  }, [token]);
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Paper elevation={3} sx={{ p: 4, mt: 8, borderRadius: 2 }}>
+        <Box
+          sx={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          <Avatar sx={{ m: 1, bgcolor: 'primary.main' }}>
+            <MarkEmailReadIcon />
+          </Avatar>
+
+          <Typography component="h1" variant="h6">
+            Confirm your email address
+          </Typography>
+
+          {result ? (
+            <Alert severity={result.success ? 'success' : 'error'} sx={{ width: '100%', mt: 2 }}>
+              {result.message}
+            </Alert>
+          ) : (
+            <CircularProgress sx={{ mt: 3 }} />
+          )}
+
+          <Link to={isAuthenticated ? '/' : '/login'} style={{ textDecoration: 'none', marginTop: 16 }}>
+            <Typography variant="body2" color="primary">
+              {isAuthenticated ? 'Go to Readarr Requests' : 'Sign in'}
+            </Typography>
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,14 @@
+// src/utils/permissions.js
+
+// What each permission lets a role do, as shown to admins
+export const permissionLabels = {
+  'manage-requests': 'Approve, deny and manage requests',
+  'manage-calibre': 'Manage the Calibre library',
+  'manage-users': 'Manage users, roles, quotas and invites',
+  'manage-settings': 'Manage Readarr instances, jobs and auto-approval',
+  'view-logs': 'View logs',
+  'purge-cache': 'Purge metadata caches'
+};
+
+// The settings page has a section for each of these
+export const SETTINGS_PERMISSIONS = ['manage-settings', 'manage-users'];